@@ -1,11 +1,13 @@
 const {onCall} = require("firebase-functions/v2/https");
 const admin = require("firebase-admin");
+const { hasAdminClaim } = require("./userClaims");
 
 //admin only callable to create another admin user
 //caller must be authenticated admin, target user must already exist
+//the role claim is set from users/{uid} by syncUserClaims
 exports.createAdmin = onCall(async (req) => {
   const auth = req.auth;
-  if(!auth || auth.token.role !== "admin") {
+  if(!(await hasAdminClaim(auth))) { //admin claim on a token that was not revoked
     throw new Error("permission-denied");
   }
 
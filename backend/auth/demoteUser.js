@@ -0,0 +1,111 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("./verifyUser");
+const { ROLE_RANK } = require("./userClaims");
+
+/**
+ * DEMOTE USER (Admin)
+ * Takes a role away: admin → seller or buyer, seller → buyer. Sellers that
+ * become buyers lose their KYC verification too ("unverified").
+ *
+ * The profile change is mirrored into the user's custom claims and their
+ * sessions are revoked by syncUserClaims (see userClaims.js).
+ *
+ * Request Body: { userId, role: "seller" | "buyer" (default "buyer"), reason: string }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, userId, role, reason
+ * 2. AUTHORIZATION: Admin only, not on themselves
+ * 3. TRANSACTION: The new role must be lower than the current one; update the profile
+ * 4. RESPONSE: Old and new role
+ */
+exports.demoteUser = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { userId, role = "buyer", reason } = request.body;
+
+    if (!userId) {
+      return response.status(400).json({ error: "Missing required field: userId" });
+    }
+    if (role !== "seller" && role !== "buyer") {
+      return response.status(400).json({ error: "Invalid role: must be 'seller' or 'buyer'" });
+    }
+    if (typeof reason !== "string" || reason.trim() === "") {
+      return response.status(400).json({ error: "A reason is required when demoting a user" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can demote users" });
+    }
+    if (userId === adminId) {
+      return response.status(400).json({ error: "Cannot demote yourself" });
+    }
+
+    const firestore = admin.firestore();
+    const userRef = firestore.collection("users").doc(userId);
+
+    const oldRole = await firestore.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new Error("User profile not found");
+      }
+      const currentRole = userDoc.data().role || "buyer";
+      if (ROLE_RANK[role] >= (ROLE_RANK[currentRole] || 0)) {
+        throw new Error(`Cannot demote: user is ${currentRole}, ${role} is not a lower role`);
+      }
+
+      const update = {
+        role,
+        roleChange: {
+          from: currentRole,
+          to: role,
+          reason: reason.trim(),
+          changedBy: adminId,
+          changedAt: new Date(),
+        },
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      if (role === "buyer") {
+        update.verificationStatus = "unverified";
+      }
+      transaction.update(userRef, update);
+
+      return currentRole;
+    });
+
+    logger.info(`User ${userId} demoted from ${oldRole} to ${role} by admin ${adminId}: ${reason.trim()}`);
+
+    return response.json({
+      success: true,
+      message: "User demoted",
+      userId,
+      oldRole,
+      role,
+    });
+  } catch (error) {
+    logger.error("Error demoting user:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Cannot")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to demote user",
+      details: error.message,
+    });
+  }
+});
@@ -3,6 +3,8 @@ module.exports = {
   ...require("./updateUserProfile"),
   ...require("./verifySellerKYC"),
   ...require("./createAdmin"),
+  ...require("./syncUserClaims"),
+  ...require("./demoteUser"),
   ...require("./verifySellerRole"),
   ...require("./verifyUser"),
 };
@@ -0,0 +1,31 @@
+const { onDocumentWritten } = require("firebase-functions/v2/firestore");
+const logger = require("firebase-functions/logger");
+
+const { claimsFor, applyUserClaims } = require("./userClaims");
+
+/**
+ * SYNC USER CLAIMS (Firestore trigger)
+ * When a users/{uid} profile is created, deleted or its role or
+ * verificationStatus change, mirrors them into the user's custom claims and
+ * revokes their sessions if they lost privileges (see userClaims.js).
+ * Other profile edits (displayName, language, ...) are ignored.
+ */
+exports.syncUserClaims = onDocumentWritten("users/{uid}", async (event) => {
+  const { uid } = event.params;
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+
+  const beforeClaims = claimsFor(before);
+  const afterClaims = claimsFor(after);
+  if (beforeClaims && afterClaims &&
+      beforeClaims.role === afterClaims.role &&
+      beforeClaims.verificationStatus === afterClaims.verificationStatus) {
+    return;
+  }
+
+  const { updated, revoked } = await applyUserClaims(uid, after);
+
+  if (updated) {
+    logger.info(`Custom claims of ${uid} synced${revoked ? " (sessions revoked)" : ""}`, afterClaims || {});
+  }
+});
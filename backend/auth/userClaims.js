@@ -0,0 +1,144 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+/**
+ * USER CLAIMS
+ * Mirrors each user's Firestore role and verificationStatus into their Auth
+ * custom claims (request.auth.token.role / .verificationStatus), so callable
+ * functions and firestore.rules can rely on them.
+ *
+ * - syncUserClaims (Firestore trigger on users/{uid}) calls applyUserClaims
+ *   whenever role or verificationStatus change
+ * - Losing privileges (a lower role, or no longer "verified") revokes the
+ *   user's refresh tokens: they must sign in again, and firestore.rules
+ *   reject ID tokens issued before revokeTime
+ * - Gaining privileges needs no new sign-in: clients watch userClaims/{uid}
+ *   and refresh their ID token (getIdToken(true)) when claimsUpdatedAt changes
+ * - A deleted profile keeps its record (role and verificationStatus null) so the
+ *   revokeTime still rejects ID tokens that have not expired yet
+ *
+ * Claims Record Schema (userClaims/{uid}, readable by the user only):
+ * {
+ *   uid,
+ *   role: string | null,               // null once the profile is deleted
+ *   verificationStatus: string | null,
+ *   revokeTime: number,                // seconds; tokens signed in before this are revoked
+ *   claimsUpdatedAt
+ * }
+ */
+
+// Higher is more privileged
+const ROLE_RANK = { buyer: 0, seller: 1, admin: 2 };
+
+/**
+ * The claims a user profile maps to (null when the profile was deleted)
+ */
+function claimsFor(userData) {
+  if (!userData) return null;
+  return {
+    role: userData.role || "buyer",
+    verificationStatus: userData.verificationStatus || "unverified",
+  };
+}
+
+function sameClaims(a, b) {
+  if (!a || !b) return a === b;
+  return a.role === b.role && a.verificationStatus === b.verificationStatus;
+}
+
+/**
+ * Whether moving from one set of claims to another takes privileges away
+ */
+function losesPrivileges(from, to) {
+  if (!from || !from.role) return false;
+  if (!to) return true;
+  if ((ROLE_RANK[to.role] || 0) < (ROLE_RANK[from.role] || 0)) return true;
+  return from.verificationStatus === "verified" && to.verificationStatus !== "verified";
+}
+
+/**
+ * userClaims/{uid} record for the given claims (null once the profile is deleted)
+ */
+function claimsRecord(uid, claims, revokeTime) {
+  return {
+    uid,
+    role: claims ? claims.role : null,
+    verificationStatus: claims ? claims.verificationStatus : null,
+    revokeTime,
+    claimsUpdatedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Set a user's custom claims from their profile, revoking their sessions
+ * when they lose privileges, and record the result in userClaims/{uid}
+ *
+ * @param {string} uid
+ * @param {Object|null} userData - users/{uid} data after the write (null if deleted)
+ * @returns {Promise<{ updated: boolean, revoked: boolean }>} updated is false when
+ *   the claims were already current or there is no Auth user
+ */
+async function applyUserClaims(uid, userData) {
+  const claimsRef = admin.firestore().collection("userClaims").doc(uid);
+
+  let authUser;
+  try {
+    authUser = await admin.auth().getUser(uid);
+  } catch (error) {
+    if (error.code !== "auth/user-not-found") throw error;
+    // ID tokens of a deleted Auth user stay valid until they expire: revoke them now
+    if (!userData) await claimsRef.set(claimsRecord(uid, null, Math.floor(Date.now() / 1000)));
+    return { updated: false, revoked: false };
+  }
+
+  const currentClaims = authUser.customClaims || {};
+  const current = currentClaims.role ? claimsFor(currentClaims) : null;
+  const wanted = claimsFor(userData);
+  if (sameClaims(current, wanted)) {
+    return { updated: false, revoked: false };
+  }
+
+  // Other custom claims are kept as they are
+  const claims = { ...currentClaims };
+  delete claims.role;
+  delete claims.verificationStatus;
+  await admin.auth().setCustomUserClaims(uid, wanted ? { ...claims, ...wanted } : claims);
+
+  const revoked = losesPrivileges(current, wanted);
+  if (revoked) {
+    await admin.auth().revokeRefreshTokens(uid);
+    authUser = await admin.auth().getUser(uid);
+  }
+
+  await claimsRef.set(claimsRecord(
+    uid, wanted, Math.floor(new Date(authUser.tokensValidAfterTime).getTime() / 1000)
+  ));
+
+  return { updated: true, revoked };
+}
+
+/**
+ * Whether a callable request comes from an admin whose ID token has the admin
+ * claim and was not revoked since
+ *
+ * @param {Object|undefined} auth - Callable request auth context (req.auth)
+ */
+async function hasAdminClaim(auth) {
+  if (!auth || auth.token.role !== "admin") {
+    return false;
+  }
+  try {
+    await admin.auth().verifyIdToken(auth.rawToken, true);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  ROLE_RANK,
+  claimsFor,
+  losesPrivileges,
+  applyUserClaims,
+  hasAdminClaim,
+};
@@ -1,13 +1,18 @@
 const {onCall} = require("firebase-functions/v2/https");
 const admin = require("firebase-admin");
+const { VERIFICATION_STATUSES } = require("../kyc/kycRules");
+const { logKycEvent } = require("../kyc/kycLogger");
+const { hasAdminClaim } = require("./userClaims");
 
 //admin only callable to set a seller's know your customer verification status in users/{userId}
 //verifying user's identity to reduce fraud
 //sellers submit id, proof of address, bank account/mobile money details
 //seller hierarchy, verified sellers get badges and higher trust
+//sellers now submit through kyc/submitKyc and admins decide through kyc/reviewKyc;
+//this stays as a manual override, limited to the defined statuses and logged
 exports.verifySellerKYC = onCall(async (req) => {
   const auth = req.auth;
-  if(!auth || auth.token.role !== "admin") { //if not authenticated or role not admin
+  if(!(await hasAdminClaim(auth))) { //if not authenticated, role claim not admin or token revoked
     throw new Error("unauthorized"); //throw perm denied
   }
 
@@ -16,6 +21,9 @@ exports.verifySellerKYC = onCall(async (req) => {
   if(!userId || !verificationStatus) {  //if any userId or verification status is missing
     throw new Error("invalid-argument"); //throw invalid arg
   }
+  if(!VERIFICATION_STATUSES.includes(verificationStatus)) { //only the defined statuses (kyc/kycRules.js)
+    throw new Error(`invalid-argument: verificationStatus must be one of ${VERIFICATION_STATUSES.join(", ")}`);
+  }
 
   //update users/{userid}
   //set verificationstatus and optional kycdata
@@ -31,5 +39,11 @@ exports.verifySellerKYC = onCall(async (req) => {
     updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   });
 
+  //audit trail, same log as submissions and reviews
+  await logKycEvent(userId, null, "kyc_status_set", auth.uid, {
+    oldStatus: userDoc.data().verificationStatus || null,
+    newStatus: verificationStatus,
+  });
+
   return { ok: true };
 });
\ No newline at end of file
@@ -0,0 +1,128 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const {
+  getCartRef,
+  isValidCartQuantity,
+  cartLineKey,
+  cartLineStockSource,
+  MAX_ITEM_QUANTITY,
+} = require("./cartStore");
+
+/**
+ * ADD TO CART
+ * Adds a product to the authenticated user's cart (or increases its quantity).
+ * Products from any number of sellers can share one cart. Products with variants
+ * need a variantId; each variant is its own cart line.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, productId, variantId (optional), quantity (default 1), user authentication
+ * 2. TRANSACTION: Read product + cart, validate product (and variant) is active and has enough stock
+ *    for the combined quantity, then merge the line into carts/{userId}
+ * 3. RESPONSE: Return the updated cart line
+ *
+ * Note: Stock is only checked here, not reserved. It is re-validated atomically at checkout.
+ */
+exports.addToCart = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const { productId, variantId = null, quantity = 1 } = request.body;
+
+    if (!productId) {
+      return response.status(400).json({ error: "Missing required field: productId" });
+    }
+    if (!isValidCartQuantity(quantity)) {
+      return response.status(400).json({
+        error: `Invalid quantity: must be a whole number between 1 and ${MAX_ITEM_QUANTITY}`,
+      });
+    }
+
+    const firestore = admin.firestore();
+    const productRef = firestore.collection("products").doc(productId);
+    const cartRef = getCartRef(userId);
+    const lineKey = cartLineKey(productId, variantId);
+    let cartItem;
+
+    await firestore.runTransaction(async (transaction) => {
+      const [productDoc, cartDoc] = await Promise.all([
+        transaction.get(productRef),
+        transaction.get(cartRef),
+      ]);
+
+      if (!productDoc.exists) {
+        throw new Error("Product not found");
+      }
+      const productData = productDoc.data();
+      if (productData.status !== "active") {
+        throw new Error(`Product ${productId} is not available`);
+      }
+      const stockSource = cartLineStockSource(productId, productData, variantId);
+
+      const existingItem = cartDoc.exists ? (cartDoc.data().items || {})[lineKey] : null;
+      const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+      if (newQuantity > MAX_ITEM_QUANTITY) {
+        throw new Error(`Invalid quantity: cart line cannot exceed ${MAX_ITEM_QUANTITY}`);
+      }
+      if (stockSource.stock < newQuantity) {
+        throw new Error(
+          `Insufficient stock for ${productData.name}. Available: ${stockSource.stock}, Requested: ${newQuantity}`
+        );
+      }
+
+      cartItem = {
+        productId,
+        variantId,
+        sellerId: productData.sellerId,
+        quantity: newQuantity,
+        addedAt: existingItem ? existingItem.addedAt : FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      // set + merge creates the cart on first use and only touches this line
+      transaction.set(cartRef, {
+        userId,
+        items: { [lineKey]: cartItem },
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+
+    logger.info(`Product ${lineKey} added to cart of ${userId} (quantity: ${cartItem.quantity})`);
+
+    return response.json({
+      success: true,
+      message: "Item added to cart",
+      item: {
+        productId,
+        variantId,
+        sellerId: cartItem.sellerId,
+        quantity: cartItem.quantity,
+      },
+    });
+  } catch (error) {
+    logger.error("Error adding to cart:", error);
+
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("not available") ||
+        error.message.includes("variant") ||
+        error.message.includes("Insufficient stock") ||
+        error.message.includes("Invalid quantity")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to add item to cart",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,106 @@
+const admin = require("firebase-admin");
+
+const { orderLineKey } = require("../orders/orderBuilder");
+
+/**
+ * CART STORE
+ * Shared helpers for the persistent per-user cart.
+ *
+ * Firestore Collection: carts/{userId}
+ *
+ * Cart Schema:
+ * {
+ *   userId: string,
+ *   items: {
+ *     [lineKey]: {
+ *       productId: string,
+ *       variantId: string | null,     // set for products with variants
+ *       sellerId: string,
+ *       quantity: number,
+ *       addedAt: timestamp,
+ *       updatedAt: timestamp
+ *     }
+ *   },
+ *   updatedAt: timestamp
+ * }
+ *
+ * Items are keyed like order lines (orders/orderBuilder.orderLineKey): the
+ * productId, or productId:variantId for products with variants. Add/update/remove
+ * are single field writes and the same product or variant is never listed twice.
+ */
+
+// Upper bound per cart line (protects against typos like 1000 instead of 10)
+const MAX_ITEM_QUANTITY = 99;
+
+function getCartRef(userId) {
+  return admin.firestore().collection("carts").doc(userId);
+}
+
+/**
+ * Validate a requested cart quantity (positive integer, capped)
+ */
+function isValidCartQuantity(quantity) {
+  return Number.isInteger(quantity) && quantity > 0 && quantity <= MAX_ITEM_QUANTITY;
+}
+
+/**
+ * Key of a cart line in the items map
+ */
+function cartLineKey(productId, variantId) {
+  return orderLineKey({ productId, variantId });
+}
+
+/**
+ * Stock counters a cart line draws from: the product, or the chosen variant for
+ * products with variants (same rules as orders/orderBuilder.buildOrderLines)
+ */
+function cartLineStockSource(productId, productData, variantId) {
+  if (!productData.variants) {
+    if (variantId) {
+      throw new Error(`Product ${productId} has no variants`);
+    }
+    return productData;
+  }
+  if (!variantId) {
+    throw new Error(`Product ${productId} requires a variantId`);
+  }
+  const variant = productData.variants[variantId];
+  if (!variant) {
+    throw new Error(`Variant ${variantId} of product ${productId} not found`);
+  }
+  return variant;
+}
+
+/**
+ * Convert the stored items map into an array (oldest first)
+ */
+function cartItemsToArray(cartData) {
+  const items = Object.values((cartData && cartData.items) || {});
+  return items.sort((a, b) => {
+    const aTime = a.addedAt && a.addedAt.toMillis ? a.addedAt.toMillis() : 0;
+    const bTime = b.addedAt && b.addedAt.toMillis ? b.addedAt.toMillis() : 0;
+    return aTime - bTime;
+  });
+}
+
+/**
+ * Group cart items by seller: { [sellerId]: [items] }
+ */
+function groupItemsBySeller(items) {
+  const groups = {};
+  for (const item of items) {
+    if (!groups[item.sellerId]) groups[item.sellerId] = [];
+    groups[item.sellerId].push(item);
+  }
+  return groups;
+}
+
+module.exports = {
+  MAX_ITEM_QUANTITY,
+  getCartRef,
+  isValidCartQuantity,
+  cartLineKey,
+  cartLineStockSource,
+  cartItemsToArray,
+  groupItemsBySeller,
+};
@@ -0,0 +1,233 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const {
+  VALID_PAYMENT_METHODS,
+  normalizeDeliveryAddress,
+  readOrderProducts,
+  buildOrderLines,
+  buildOrderDocument,
+  orderErrorStatus,
+} = require("../orders/orderBuilder");
+const { reserveStock } = require("../products/inventory");
+const { loadCommissionRules, calculateFeeBreakdown } = require("../wallet/commission");
+const { getShippingRatesRef, quoteDeliveryFee } = require("../shipping/shippingRates");
+const { getCartRef, cartLineKey, cartItemsToArray, groupItemsBySeller } = require("./cartStore");
+
+/**
+ * CHECKOUT CART
+ * Converts the user's multi-seller cart into one order per seller, all sharing
+ * a checkoutId so they can be tracked (and later paid) together.
+ *
+ * Pre-Transaction Validation:
+ * - Request validation (method, payment method, delivery address, optional productIds)
+ *
+ * Transaction (Atomic):
+ * - Reads cart, every product, every seller profile and shipping rate table (all reads first)
+ * - Validates sellers (exists, is seller) and products (stock, seller, status), using
+ *   each line's variantId for products with variants
+ * - Computes each seller's delivery fee for the address (added to that order's total)
+ * - Holds stock for every line (products/inventory.js)
+ * - Creates checkouts/{checkoutId} and one orders/{orderId} per seller
+ *   (each with its own platform fee breakdown)
+ * - Removes the checked-out lines from the cart
+ *
+ * Post-Transaction:
+ * - Logs order creation event for each order
+ * - Returns checkoutId, orderIds and totals
+ *
+ * Either every seller's order is created or none is (no partial checkouts).
+ */
+exports.checkoutCart = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { uid: buyerId } = await verifyUser(request);
+
+    const {
+      paymentMethod,
+      deliveryAddress,
+      productIds, // Optional: only check out these products' cart lines (all their variants)
+    } = request.body;
+
+    if (!paymentMethod) {
+      return response.status(400).json({ error: "Missing payment method" });
+    }
+    if (!VALID_PAYMENT_METHODS.includes(paymentMethod)) {
+      return response.status(400).json({ error: "Invalid payment method" });
+    }
+    const { address: normalizedAddress, error: addressError } = normalizeDeliveryAddress(deliveryAddress);
+    if (addressError) {
+      return response.status(400).json({ error: addressError });
+    }
+    if (productIds !== undefined && (!Array.isArray(productIds) || productIds.length === 0)) {
+      return response.status(400).json({ error: "Invalid productIds: must be a non-empty array" });
+    }
+
+    const firestore = admin.firestore();
+    const cartRef = getCartRef(buyerId);
+    const checkoutRef = firestore.collection("checkouts").doc();
+    const checkoutId = checkoutRef.id;
+    let createdOrders = [];
+    const commissionRules = await loadCommissionRules();
+
+    try {
+      await firestore.runTransaction(async (transaction) => {
+        // Step 1: Read cart and select lines to check out
+        const cartDoc = await transaction.get(cartRef);
+        let items = cartItemsToArray(cartDoc.exists ? cartDoc.data() : null);
+        if (productIds) {
+          items = items.filter(item => productIds.includes(item.productId));
+        }
+        if (items.length === 0) {
+          throw new Error("Cart is empty");
+        }
+
+        // Step 2: Read all sellers, shipping rates and products (reads before writes)
+        const groups = groupItemsBySeller(items);
+        const sellerIds = Object.keys(groups);
+        const sellerDocs = await Promise.all(
+          sellerIds.map(sellerId => transaction.get(firestore.collection("users").doc(sellerId)))
+        );
+        const ratesDocs = await Promise.all(
+          sellerIds.map(sellerId => transaction.get(getShippingRatesRef(sellerId)))
+        );
+        const productReads = {};
+        for (const sellerId of sellerIds) {
+          productReads[sellerId] = await readOrderProducts(transaction, firestore, groups[sellerId]);
+        }
+
+        // Step 3: Validate every seller group before writing anything
+        createdOrders = [];
+        sellerIds.forEach((sellerId, i) => {
+          if (!sellerDocs[i].exists) {
+            throw new Error(`Seller ${sellerId} not found`);
+          }
+          if (sellerDocs[i].data().role !== "seller") {
+            throw new Error(`User ${sellerId} is not a seller`);
+          }
+
+          const { lineItems, subtotal } = buildOrderLines(
+            groups[sellerId], productReads[sellerId].productDocs, sellerId
+          );
+          const rates = ratesDocs[i].exists ? ratesDocs[i].data() : null;
+          const deliveryQuote = quoteDeliveryFee(rates, normalizedAddress, lineItems);
+          createdOrders.push({
+            orderRef: firestore.collection("orders").doc(),
+            sellerId,
+            lineItems,
+            subtotal,
+            deliveryQuote,
+            totalAmount: subtotal + deliveryQuote.deliveryFee,
+          });
+        });
+
+        // Step 4: Hold stock and create one order per seller
+        for (const order of createdOrders) {
+          reserveStock(transaction, productReads[order.sellerId].productRefs, groups[order.sellerId]);
+
+          const orderData = buildOrderDocument({
+            orderId: order.orderRef.id,
+            buyerId,
+            sellerId: order.sellerId,
+            lineItems: order.lineItems,
+            subtotal: order.subtotal,
+            deliveryQuote: order.deliveryQuote,
+            paymentMethod,
+            deliveryAddress: normalizedAddress,
+            orderSource: "cart",
+            feeBreakdown: calculateFeeBreakdown(
+              order.lineItems, paymentMethod, commissionRules, order.deliveryQuote.deliveryFee
+            ),
+            checkoutId,
+          });
+          transaction.set(order.orderRef, orderData);
+          order.paymentDueAt = orderData.paymentDueAt;
+        }
+
+        // Step 5: Record the checkout group
+        transaction.set(checkoutRef, {
+          checkoutId,
+          buyerId,
+          orderIds: createdOrders.map(order => order.orderRef.id),
+          sellerIds,
+          totalAmount: createdOrders.reduce((sum, order) => sum + order.totalAmount, 0),
+          paymentMethod,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+
+        // Step 6: Remove checked-out lines from the cart
+        const removals = [];
+        for (const item of items) {
+          removals.push(new FieldPath("items", cartLineKey(item.productId, item.variantId)), FieldValue.delete());
+        }
+        transaction.update(cartRef, ...removals, "updatedAt", FieldValue.serverTimestamp());
+      });
+    } catch (err) {
+      logger.error("Checkout transaction error:", {
+        message: err.message,
+        stack: err.stack,
+        code: err.code,
+      });
+
+      if (err.message === "Cart is empty") {
+        return response.status(400).json({ error: err.message });
+      }
+      if (err.message.includes("is not a seller")) {
+        return response.status(400).json({ error: err.message });
+      }
+      const statusCode = orderErrorStatus(err.message);
+      if (statusCode !== 500) {
+        return response.status(statusCode).json({ error: err.message });
+      }
+
+      return response.status(500).json({
+        error: "Transaction failed",
+        details: err.message,
+      });
+    }
+
+    // Log one creation event per order (each order has its own audit trail)
+    for (const order of createdOrders) {
+      await logOrderEvent(order.orderRef.id, "order_created", buyerId, {
+        sellerId: order.sellerId,
+        totalAmount: order.totalAmount,
+        deliveryFee: order.deliveryQuote.deliveryFee,
+        paymentMethod,
+        productCount: order.lineItems.length,
+        orderSource: "cart",
+        checkoutId,
+      });
+    }
+
+    const totalAmount = createdOrders.reduce((sum, order) => sum + order.totalAmount, 0);
+    logger.info(`Checkout ${checkoutId} by buyer ${buyerId} created ${createdOrders.length} orders`);
+
+    return response.json({
+      success: true,
+      message: "Checkout completed successfully",
+      checkoutId,
+      orders: createdOrders.map(order => ({
+        orderId: order.orderRef.id,
+        sellerId: order.sellerId,
+        subtotal: order.subtotal,
+        deliveryFee: order.deliveryQuote.deliveryFee,
+        totalAmount: order.totalAmount,
+        paymentDueAt: order.paymentDueAt, // null for COD
+      })),
+      totalAmount,
+    });
+  } catch (error) {
+    logger.error("Error checking out cart:", error);
+    return response.status(500).json({
+      error: "Failed to checkout cart",
+      details: error.message,
+    });
+  }
+});
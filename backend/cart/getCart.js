@@ -0,0 +1,101 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getCartRef, cartItemsToArray, groupItemsBySeller } = require("./cartStore");
+
+/**
+ * GET CART
+ * Returns the authenticated user's cart grouped by seller, priced with current
+ * product data (prices are only snapshotted at checkout).
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (GET only), user authentication
+ * 2. FETCH: Read carts/{userId} and all referenced products in one batch
+ * 3. PRICE: Attach current name/price/stock (of the variant, for variant lines) and flag
+ *    unavailable lines
+ * 4. RESPONSE: Return seller groups with subtotals and the cart total
+ *
+ * Each seller group becomes one order at checkout (see checkoutCart).
+ */
+exports.getCart = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const cartDoc = await getCartRef(userId).get();
+    const items = cartItemsToArray(cartDoc.exists ? cartDoc.data() : null);
+
+    if (items.length === 0) {
+      return response.json({
+        success: true,
+        message: "Cart is empty",
+        sellers: [],
+        itemCount: 0,
+        totalAmount: 0,
+      });
+    }
+
+    // Fetch current product data for all lines at once
+    const firestore = admin.firestore();
+    const productDocs = await firestore.getAll(
+      ...items.map(item => firestore.collection("products").doc(item.productId))
+    );
+
+    const pricedItems = items.map((item, i) => {
+      const productDoc = productDocs[i];
+      const productData = productDoc.exists ? productDoc.data() : null;
+      // Variant lines are priced and stocked by their variant (null if it was removed)
+      const variant = productData && item.variantId
+        ? (productData.variants || {})[item.variantId] || null
+        : null;
+      const priceSource = item.variantId ? variant : productData;
+      const available = !!priceSource &&
+        productData.status === "active" &&
+        priceSource.stock >= item.quantity;
+
+      return {
+        productId: item.productId,
+        variantId: item.variantId || null,
+        attributes: variant ? variant.attributes : null,
+        sellerId: item.sellerId,
+        quantity: item.quantity,
+        name: productData ? productData.name : null,
+        price: priceSource ? priceSource.price : null,
+        imageURL: productData ? productData.imageURL || null : null,
+        stock: priceSource ? priceSource.stock : 0,
+        available,
+        lineTotal: priceSource ? priceSource.price * item.quantity : 0,
+      };
+    });
+
+    // One group per seller (= one order at checkout)
+    const groups = groupItemsBySeller(pricedItems);
+    const sellers = Object.keys(groups).map(sellerId => ({
+      sellerId,
+      items: groups[sellerId],
+      subtotal: groups[sellerId]
+        .filter(item => item.available)
+        .reduce((sum, item) => sum + item.lineTotal, 0),
+    }));
+
+    const totalAmount = sellers.reduce((sum, group) => sum + group.subtotal, 0);
+
+    return response.json({
+      success: true,
+      sellers,
+      itemCount: pricedItems.length,
+      totalAmount,
+    });
+  } catch (error) {
+    logger.error("Error fetching cart:", error);
+    return response.status(500).json({
+      error: "Failed to fetch cart",
+      details: error.message,
+    });
+  }
+});
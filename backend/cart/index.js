@@ -0,0 +1,12 @@
+/**
+ * CART MODULE
+ * Exports all shopping cart functions.
+ */
+
+module.exports = {
+  ...require("./addToCart"),
+  ...require("./updateCartItem"),
+  ...require("./removeCartItem"),
+  ...require("./getCart"),
+  ...require("./checkoutCart"),
+};
@@ -0,0 +1,60 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getCartRef, cartLineKey } = require("./cartStore");
+
+/**
+ * REMOVE CART ITEM
+ * Removes a product line (or one variant's line) from the authenticated user's cart.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, productId, variantId (for variant lines), user authentication
+ * 2. VALIDATION: Check the line exists in the cart
+ * 3. UPDATE: Delete the line from carts/{userId}
+ * 4. RESPONSE: Return success
+ */
+exports.removeCartItem = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "DELETE" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use DELETE or POST method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const { productId, variantId = null } = request.body;
+    if (!productId) {
+      return response.status(400).json({ error: "Missing required field: productId" });
+    }
+
+    const lineKey = cartLineKey(productId, variantId);
+    const cartRef = getCartRef(userId);
+    const cartDoc = await cartRef.get();
+    const items = cartDoc.exists ? (cartDoc.data().items || {}) : {};
+
+    if (!items[lineKey]) {
+      return response.status(404).json({ error: "Item not found in cart" });
+    }
+
+    await cartRef.update(
+      new FieldPath("items", lineKey), FieldValue.delete(),
+      "updatedAt", FieldValue.serverTimestamp()
+    );
+
+    logger.info(`Product ${lineKey} removed from cart of ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Item removed from cart",
+      productId,
+      variantId,
+    });
+  } catch (error) {
+    logger.error("Error removing cart item:", error);
+    return response.status(500).json({
+      error: "Failed to remove cart item",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,105 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getCartRef, cartLineKey, cartLineStockSource, MAX_ITEM_QUANTITY } = require("./cartStore");
+
+/**
+ * UPDATE CART ITEM
+ * Sets the quantity of a product (or variant) already in the user's cart.
+ * A quantity of 0 removes the line.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, productId, variantId (for variant lines), quantity (0..MAX_ITEM_QUANTITY),
+ *    user authentication
+ * 2. TRANSACTION: Verify the line exists, check product (or variant) stock, then update or remove it
+ * 3. RESPONSE: Return the new quantity
+ */
+exports.updateCartItem = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "PATCH" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use PATCH or POST method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const { productId, variantId = null, quantity } = request.body;
+
+    if (!productId || quantity === undefined) {
+      return response.status(400).json({ error: "Missing required fields: productId and quantity" });
+    }
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_ITEM_QUANTITY) {
+      return response.status(400).json({
+        error: `Invalid quantity: must be a whole number between 0 and ${MAX_ITEM_QUANTITY}`,
+      });
+    }
+
+    const firestore = admin.firestore();
+    const cartRef = getCartRef(userId);
+    const productRef = firestore.collection("products").doc(productId);
+    const lineKey = cartLineKey(productId, variantId);
+    const itemPath = new FieldPath("items", lineKey);
+
+    await firestore.runTransaction(async (transaction) => {
+      const [cartDoc, productDoc] = await Promise.all([
+        transaction.get(cartRef),
+        transaction.get(productRef),
+      ]);
+
+      const items = cartDoc.exists ? (cartDoc.data().items || {}) : {};
+      if (!items[lineKey]) {
+        throw new Error("Item not found in cart");
+      }
+
+      // Quantity 0 → remove the line
+      if (quantity === 0) {
+        transaction.update(cartRef, itemPath, FieldValue.delete(), "updatedAt", FieldValue.serverTimestamp());
+        return;
+      }
+
+      if (!productDoc.exists) {
+        throw new Error("Product not found");
+      }
+      const productData = productDoc.data();
+      const stockSource = cartLineStockSource(productId, productData, variantId);
+      if (stockSource.stock < quantity) {
+        throw new Error(
+          `Insufficient stock for ${productData.name}. Available: ${stockSource.stock}, Requested: ${quantity}`
+        );
+      }
+
+      transaction.update(
+        cartRef,
+        new FieldPath("items", lineKey, "quantity"), quantity,
+        new FieldPath("items", lineKey, "updatedAt"), FieldValue.serverTimestamp(),
+        "updatedAt", FieldValue.serverTimestamp()
+      );
+    });
+
+    logger.info(`Cart item ${lineKey} set to quantity ${quantity} for ${userId}`);
+
+    return response.json({
+      success: true,
+      message: quantity === 0 ? "Item removed from cart" : "Cart item updated",
+      productId,
+      variantId,
+      quantity,
+    });
+  } catch (error) {
+    logger.error("Error updating cart item:", error);
+
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("Insufficient stock") || error.message.includes("variant")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to update cart item",
+      details: error.message,
+    });
+  }
+});
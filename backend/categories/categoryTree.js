@@ -0,0 +1,186 @@
+const admin = require("firebase-admin");
+
+const { normalizeText } = require("../search/tokenizer");
+
+/**
+ * CATEGORY TREE
+ * Admin-managed product categories (replaces free-text product categories).
+ *
+ * Category Schema (categories/{categoryId}):
+ * {
+ *   categoryId: string,
+ *   parentId: string | null,          // null for top-level categories
+ *   path: string[],                   // ancestor ids from the root, then categoryId
+ *   depth: number,                    // 0 for top-level categories
+ *   names: { my: string, en: string, zh: string | null },
+ *   sortOrder: number,                // order among siblings (then English name)
+ *   active: boolean,                  // inactive: hidden and not assignable to products
+ *   createdBy, createdAt, updatedAt
+ * }
+ *
+ * Products reference a category by id and store (see resolveProductCategory):
+ * { categoryId, categoryPath: path, category: names.en }
+ * `category` keeps the English name for commission rates, search and older
+ * clients; `categoryPath` lets listings include subcategories (array-contains).
+ *
+ * Categories cannot be moved to another parent (products store their path);
+ * create a new category and reassign products instead.
+ */
+
+const CATEGORY_LANGUAGES = ["my", "en", "zh"];
+const REQUIRED_LANGUAGES = ["my", "en"];
+const MAX_NAME_LENGTH = 80;
+const MAX_DEPTH = 4;
+
+function getCategoriesRef() {
+  return admin.firestore().collection("categories");
+}
+
+/**
+ * Validate category names: { my, en, zh? }
+ *
+ * @param {Object} names - Requested names
+ * @param {boolean} partial - Update: only the given languages are checked
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCategoryNames(names, partial = false) {
+  if (!names || typeof names !== "object" || Array.isArray(names)) {
+    return `Invalid names: must be an object with ${CATEGORY_LANGUAGES.join(", ")} names`;
+  }
+  const unknown = Object.keys(names).filter(language => !CATEGORY_LANGUAGES.includes(language));
+  if (unknown.length > 0) {
+    return `Invalid names: unsupported language ${unknown.join(", ")}`;
+  }
+  for (const language of CATEGORY_LANGUAGES) {
+    const name = names[language];
+    const required = REQUIRED_LANGUAGES.includes(language) && !partial;
+    if (name === undefined || (name === null && !REQUIRED_LANGUAGES.includes(language))) {
+      if (required) return `Invalid names: ${language} name is required`;
+      continue;
+    }
+    if (typeof name !== "string" || name.trim() === "" || name.length > MAX_NAME_LENGTH) {
+      return `Invalid names: ${language} name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Stored form of names (trimmed, zh null when not given)
+ */
+function storedNames(names, current = {}) {
+  const stored = {};
+  for (const language of CATEGORY_LANGUAGES) {
+    const name = names[language] !== undefined ? names[language] : current[language];
+    stored[language] = typeof name === "string" ? name.trim() : null;
+  }
+  return stored;
+}
+
+/**
+ * Names of a sibling clashing with `names` (same English or Burmese name,
+ * compared case-insensitively and across Zawgyi/Unicode), or null
+ *
+ * @param {Array} siblings - Category data of the other children of the same parent
+ */
+function findNameClash(siblings, names) {
+  const english = normalizeText(names.en);
+  const burmese = normalizeText(names.my);
+  const clash = siblings.find(sibling =>
+    normalizeText(sibling.names.en) === english || normalizeText(sibling.names.my) === burmese
+  );
+  return clash ? clash.names : null;
+}
+
+/**
+ * Category data of a parent's children
+ *
+ * @param {string|null} parentId - null for top-level categories
+ */
+async function getChildCategories(parentId) {
+  const snapshot = await getCategoriesRef().where("parentId", "==", parentId).get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+/**
+ * Product fields for a category id (validated: exists, and neither it nor an
+ * ancestor is inactive)
+ *
+ * @returns {Promise<{ fields: Object } | { error: string }>}
+ *   fields: { categoryId, categoryPath, category }
+ */
+async function resolveProductCategory(categoryId) {
+  if (typeof categoryId !== "string" || categoryId.trim() === "") {
+    return { error: "Invalid categoryId: must be a category id" };
+  }
+  const categoryDoc = await getCategoriesRef().doc(categoryId).get();
+  if (!categoryDoc.exists) {
+    return { error: `Invalid categoryId: category ${categoryId} not found` };
+  }
+  const category = categoryDoc.data();
+  const ancestorIds = category.path.slice(0, -1);
+  const ancestorDocs = ancestorIds.length > 0
+    ? await admin.firestore().getAll(...ancestorIds.map(id => getCategoriesRef().doc(id)))
+    : [];
+  if (!category.active || ancestorDocs.some(doc => !doc.exists || !doc.data().active)) {
+    return { error: `Invalid categoryId: category ${categoryId} is inactive` };
+  }
+  return {
+    fields: {
+      categoryId,
+      categoryPath: category.path,
+      category: category.names.en,
+    },
+  };
+}
+
+function compareSiblings(a, b) {
+  return (a.sortOrder - b.sortOrder) || a.names.en.localeCompare(b.names.en);
+}
+
+/**
+ * Nest a flat list of categories into a tree
+ *
+ * @param {Array} categories - Category data
+ * @param {Object} productCounts - { [categoryId]: active products in the subtree }
+ * @returns {Array} Top-level nodes: { categoryId, names, sortOrder, active,
+ *   productCount, children: [...] }, siblings ordered by sortOrder then English name
+ */
+function buildCategoryTree(categories, productCounts = {}) {
+  const nodes = {};
+  for (const category of categories) {
+    nodes[category.categoryId] = {
+      categoryId: category.categoryId,
+      parentId: category.parentId,
+      names: category.names,
+      sortOrder: category.sortOrder,
+      active: category.active,
+      productCount: productCounts[category.categoryId] || 0,
+      children: [],
+    };
+  }
+
+  const roots = [];
+  for (const category of [...categories].sort(compareSiblings)) {
+    const node = nodes[category.categoryId];
+    if (category.parentId === null) {
+      roots.push(node);
+    } else if (nodes[category.parentId]) {
+      nodes[category.parentId].children.push(node);
+    }
+    // else: the parent is filtered out (inactive), so is its subtree
+  }
+  return roots;
+}
+
+module.exports = {
+  CATEGORY_LANGUAGES,
+  MAX_DEPTH,
+  getCategoriesRef,
+  validateCategoryNames,
+  storedNames,
+  findNameClash,
+  getChildCategories,
+  resolveProductCategory,
+  buildCategoryTree,
+};
@@ -0,0 +1,115 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const {
+  MAX_DEPTH,
+  getCategoriesRef,
+  validateCategoryNames,
+  storedNames,
+  findNameClash,
+  getChildCategories,
+} = require("./categoryTree");
+
+/**
+ * CREATE CATEGORY (Admin)
+ * Adds a category to the tree, at the top level or under an existing category.
+ *
+ * Body: { names: { my, en, zh? }, parentId?: string, sortOrder?: number }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, names (Burmese and English required), sortOrder
+ * 2. AUTHORIZATION: Admin only
+ * 3. PARENT: Must exist and be active; depth is limited to MAX_DEPTH levels
+ * 4. UNIQUENESS: No sibling with the same English or Burmese name
+ * 5. CREATE: categories/{categoryId} with its path from the root
+ */
+exports.createCategory = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { names, parentId = null, sortOrder = 0 } = request.body;
+
+    const namesError = validateCategoryNames(names);
+    if (namesError) {
+      return response.status(400).json({ error: namesError });
+    }
+    if (!Number.isInteger(sortOrder)) {
+      return response.status(400).json({ error: "Invalid sortOrder: must be a whole number" });
+    }
+    if (parentId !== null && (typeof parentId !== "string" || parentId === "")) {
+      return response.status(400).json({ error: "Invalid parentId: must be a category id" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can manage categories" });
+    }
+
+    // Parent and depth
+    let parentPath = [];
+    if (parentId !== null) {
+      const parentDoc = await getCategoriesRef().doc(parentId).get();
+      if (!parentDoc.exists) {
+        return response.status(404).json({ error: "Parent category not found" });
+      }
+      const parent = parentDoc.data();
+      if (!parent.active) {
+        return response.status(400).json({ error: "Cannot add a category under an inactive category" });
+      }
+      if (parent.depth + 1 >= MAX_DEPTH) {
+        return response.status(400).json({ error: `Cannot add a category: the tree is limited to ${MAX_DEPTH} levels` });
+      }
+      parentPath = parent.path;
+    }
+
+    const category = storedNames(names);
+    const clash = findNameClash(await getChildCategories(parentId), category);
+    if (clash) {
+      return response.status(409).json({
+        error: `A category named ${clash.en} / ${clash.my} already exists here`,
+      });
+    }
+
+    const categoryRef = getCategoriesRef().doc();
+    const categoryData = {
+      categoryId: categoryRef.id,
+      parentId,
+      path: [...parentPath, categoryRef.id],
+      depth: parentPath.length,
+      names: category,
+      sortOrder,
+      active: true,
+      createdBy: adminId,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    await categoryRef.set(categoryData);
+
+    logger.info(`Category ${categoryRef.id} (${category.en}) created by admin ${adminId}`);
+
+    return response.json({
+      success: true,
+      message: "Category created",
+      categoryId: categoryRef.id,
+      parentId,
+      path: categoryData.path,
+      names: category,
+    });
+  } catch (error) {
+    logger.error("Error creating category:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to create category",
+      details: error.message,
+    });
+  }
+});
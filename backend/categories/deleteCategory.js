@@ -0,0 +1,82 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getCategoriesRef } = require("./categoryTree");
+
+/**
+ * DELETE CATEGORY (Admin)
+ * Removes a category created by mistake.
+ *
+ * Body: { categoryId }
+ *
+ * Only empty categories can be deleted: no subcategories and no products
+ * (of any status). Categories in use are deactivated instead
+ * (updateCategory with active: false).
+ */
+exports.deleteCategory = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "DELETE" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use DELETE or POST method" });
+    }
+
+    const { categoryId } = request.body;
+    if (!categoryId) {
+      return response.status(400).json({ error: "Missing required field: categoryId" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can manage categories" });
+    }
+
+    const categoryRef = getCategoriesRef().doc(categoryId);
+    const categoryDoc = await categoryRef.get();
+    if (!categoryDoc.exists) {
+      return response.status(404).json({ error: "Category not found" });
+    }
+
+    const children = await getCategoriesRef()
+      .where("parentId", "==", categoryId)
+      .limit(1)
+      .get();
+    if (!children.empty) {
+      return response.status(400).json({
+        error: "Cannot delete a category with subcategories: deactivate it instead",
+      });
+    }
+
+    const products = await admin.firestore().collection("products")
+      .where("categoryPath", "array-contains", categoryId)
+      .limit(1)
+      .get();
+    if (!products.empty) {
+      return response.status(400).json({
+        error: "Cannot delete a category with products: deactivate it instead",
+      });
+    }
+
+    await categoryRef.delete();
+
+    logger.info(`Category ${categoryId} (${categoryDoc.data().names.en}) deleted by admin ${adminId}`);
+
+    return response.json({
+      success: true,
+      message: "Category deleted",
+      categoryId,
+    });
+  } catch (error) {
+    logger.error("Error deleting category:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to delete category",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,77 @@
+/**
+ * GET CATEGORY TREE
+ * Returns the active category tree with Burmese, English and Mandarin names.
+ *
+ * Each node: { categoryId, parentId, names, sortOrder, active, productCount, children }
+ * productCount counts active products in the category and its subcategories.
+ *
+ * Query: includeInactive=true (admins only) also returns inactive categories,
+ * for the category management screen.
+ *
+ * Note: No authentication required unless includeInactive is requested.
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getCategoriesRef, buildCategoryTree } = require("./categoryTree");
+
+/**
+ * Active products per category (subcategories included), by aggregate count
+ */
+async function countProducts(categoryIds) {
+  const products = admin.firestore().collection("products");
+  const counts = await Promise.all(categoryIds.map(async categoryId => {
+    const snapshot = await products
+      .where("status", "==", "active")
+      .where("categoryPath", "array-contains", categoryId)
+      .count()
+      .get();
+    return [categoryId, snapshot.data().count];
+  }));
+  return Object.fromEntries(counts);
+}
+
+exports.getCategoryTree = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const includeInactive = request.query.includeInactive === "true";
+    if (includeInactive) {
+      const { user: userData } = await verifyUser(request);
+      if (userData.role !== "admin") {
+        return response.status(403).json({ error: "Unauthorized: only admins can view inactive categories" });
+      }
+    }
+
+    let query = getCategoriesRef();
+    if (!includeInactive) {
+      query = query.where("active", "==", true);
+    }
+    const snapshot = await query.get();
+    const categories = snapshot.docs.map(doc => doc.data());
+
+    const productCounts = await countProducts(categories.map(category => category.categoryId));
+
+    return response.json({
+      success: true,
+      count: categories.length,
+      categories: buildCategoryTree(categories, productCounts),
+    });
+  } catch (error) {
+    logger.error("Error fetching category tree:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to fetch categories",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,11 @@
+/**
+ * CATEGORIES MODULE
+ * Exports the admin-managed category tree functions.
+ */
+
+module.exports = {
+  ...require("./createCategory"),
+  ...require("./updateCategory"),
+  ...require("./deleteCategory"),
+  ...require("./getCategoryTree"),
+};
@@ -0,0 +1,165 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { searchIndexFields } = require("../search/tokenizer");
+const {
+  getCategoriesRef,
+  validateCategoryNames,
+  storedNames,
+  findNameClash,
+  getChildCategories,
+} = require("./categoryTree");
+
+// Firestore batches take at most 500 writes
+const PRODUCT_BATCH_SIZE = 400;
+
+/**
+ * Give the category's products its new English name (product `category` and
+ * search tokens), page by page
+ *
+ * @returns {Promise<number>} Products updated
+ */
+async function renameCategoryProducts(categoryId, englishName) {
+  const firestore = admin.firestore();
+  let updated = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = firestore.collection("products")
+      .where("categoryId", "==", categoryId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PRODUCT_BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      return updated;
+    }
+
+    const batch = firestore.batch();
+    for (const productDoc of snapshot.docs) {
+      const productData = { ...productDoc.data(), category: englishName };
+      batch.update(productDoc.ref, {
+        category: englishName,
+        ...searchIndexFields(productData),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+    await batch.commit();
+
+    updated += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * UPDATE CATEGORY (Admin)
+ * Renames, reorders, deactivates or reactivates a category.
+ *
+ * Body: { categoryId, names?: { my?, en?, zh? }, sortOrder?: number, active?: boolean }
+ *
+ * - Renaming the English name updates the `category` name stored on its products
+ * - Inactive categories (and everything under them) are hidden from the tree and
+ *   cannot be assigned to products; products already in them keep their category
+ * - The parent cannot be changed (see categoryTree.js)
+ */
+exports.updateCategory = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "PATCH" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use PATCH or POST method" });
+    }
+
+    const { categoryId, names, sortOrder, active, parentId } = request.body;
+
+    if (!categoryId) {
+      return response.status(400).json({ error: "Missing required field: categoryId" });
+    }
+    if (parentId !== undefined) {
+      return response.status(400).json({
+        error: "Cannot move a category: create a new category and reassign its products",
+      });
+    }
+    if (names !== undefined) {
+      const namesError = validateCategoryNames(names, true);
+      if (namesError) {
+        return response.status(400).json({ error: namesError });
+      }
+    }
+    if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+      return response.status(400).json({ error: "Invalid sortOrder: must be a whole number" });
+    }
+    if (active !== undefined && typeof active !== "boolean") {
+      return response.status(400).json({ error: "Invalid active: must be true or false" });
+    }
+    if (names === undefined && sortOrder === undefined && active === undefined) {
+      return response.status(400).json({ error: "No category changes provided" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can manage categories" });
+    }
+
+    const categoryRef = getCategoriesRef().doc(categoryId);
+    const categoryDoc = await categoryRef.get();
+    if (!categoryDoc.exists) {
+      return response.status(404).json({ error: "Category not found" });
+    }
+    const category = categoryDoc.data();
+
+    const updateData = { updatedAt: FieldValue.serverTimestamp() };
+    if (names !== undefined) {
+      updateData.names = storedNames(names, category.names);
+      const siblings = (await getChildCategories(category.parentId))
+        .filter(sibling => sibling.categoryId !== categoryId);
+      const clash = findNameClash(siblings, updateData.names);
+      if (clash) {
+        return response.status(409).json({
+          error: `A category named ${clash.en} / ${clash.my} already exists here`,
+        });
+      }
+    }
+    if (sortOrder !== undefined) updateData.sortOrder = sortOrder;
+    if (active !== undefined) updateData.active = active;
+
+    await categoryRef.update(updateData);
+
+    let productsRenamed = 0;
+    if (updateData.names && updateData.names.en !== category.names.en) {
+      productsRenamed = await renameCategoryProducts(categoryId, updateData.names.en);
+    }
+
+    logger.info(`Category ${categoryId} updated by admin ${adminId}`, {
+      names: updateData.names,
+      sortOrder,
+      active,
+      productsRenamed,
+    });
+
+    return response.json({
+      success: true,
+      message: "Category updated",
+      categoryId,
+      names: updateData.names || category.names,
+      sortOrder: updateData.sortOrder !== undefined ? updateData.sortOrder : category.sortOrder,
+      active: updateData.active !== undefined ? updateData.active : category.active,
+      productsRenamed,
+    });
+  } catch (error) {
+    logger.error("Error updating category:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to update category",
+      details: error.message,
+    });
+  }
+});
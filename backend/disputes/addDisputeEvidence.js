@@ -0,0 +1,142 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { MAX_CHAT_EXCERPTS, validatePhotoURLs, disputeErrorStatus } = require("./disputeRules");
+
+/**
+ * Copy chat messages into the dispute. Messages must come from the order's chat
+ * so a party cannot quote unrelated conversations.
+ */
+async function loadChatExcerpts(disputeData, messageIds) {
+  if (messageIds.length === 0) return [];
+  if (!disputeData.chatId) {
+    throw new Error("Invalid messageIds: there is no chat between the buyer and seller of this order");
+  }
+
+  const firestore = admin.firestore();
+  const messageDocs = await firestore.getAll(
+    ...messageIds.map(messageId => firestore.collection("messages").doc(messageId))
+  );
+
+  return messageDocs.map((messageDoc, i) => {
+    if (!messageDoc.exists || messageDoc.data().chatId !== disputeData.chatId) {
+      throw new Error(`Invalid messageIds: message ${messageIds[i]} is not part of this order's chat`);
+    }
+    const message = messageDoc.data();
+    return {
+      messageId: messageDoc.id,
+      senderRole: message.senderRole,
+      text: message.text || null,
+      imageURL: message.imageURL || null,
+      timestamp: message.timestamp ? message.timestamp.toDate() : null,
+    };
+  });
+}
+
+/**
+ * ADD DISPUTE EVIDENCE
+ * Buyer, seller or admin adds a statement, photos and/or quoted chat messages
+ * to an open dispute.
+ *
+ * Request Body:
+ * { disputeId, statement?: string, photoURLs?: [string], messageIds?: [string] (up to 20) }
+ */
+exports.addDisputeEvidence = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { disputeId, statement, photoURLs = [], messageIds = [] } = request.body;
+
+    if (!disputeId) {
+      return response.status(400).json({ error: "Missing required field: disputeId" });
+    }
+    const photoError = validatePhotoURLs(photoURLs);
+    if (photoError) {
+      return response.status(400).json({ error: photoError });
+    }
+    if (!Array.isArray(messageIds) || messageIds.length > MAX_CHAT_EXCERPTS ||
+        !messageIds.every(id => typeof id === "string" && id.length > 0)) {
+      return response.status(400).json({ error: `Invalid messageIds: must be an array of up to ${MAX_CHAT_EXCERPTS} message IDs` });
+    }
+    const hasStatement = typeof statement === "string" && statement.trim().length > 0;
+    if (!hasStatement && photoURLs.length === 0 && messageIds.length === 0) {
+      return response.status(400).json({ error: "Provide a statement, photoURLs or messageIds" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const disputeRef = firestore.collection("disputes").doc(disputeId);
+
+    const disputeDoc = await disputeRef.get();
+    if (!disputeDoc.exists) {
+      return response.status(404).json({ error: "Dispute not found" });
+    }
+    const role = resolveActorRole(disputeDoc.data(), userId, userData);
+    if (!role) {
+      return response.status(403).json({ error: "Unauthorized: you are not a party to this dispute" });
+    }
+
+    const chatExcerpts = await loadChatExcerpts(disputeDoc.data(), messageIds);
+    const evidenceId = `${disputeId}_${Date.now()}`;
+
+    const orderId = await firestore.runTransaction(async (transaction) => {
+      const currentDoc = await transaction.get(disputeRef);
+      const disputeData = currentDoc.data();
+      if (disputeData.status !== "open") {
+        throw new Error(`Cannot add evidence: dispute is ${disputeData.status}`);
+      }
+
+      transaction.update(disputeRef, {
+        evidence: FieldValue.arrayUnion({
+          evidenceId,
+          submittedBy: userId,
+          role,
+          statement: hasStatement ? statement.trim() : null,
+          photoURLs: photoURLs.map(url => url.trim()),
+          chatExcerpts,
+          at: new Date(),
+        }),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return disputeData.orderId;
+    });
+
+    await logOrderEvent(orderId, "dispute_evidence_added", userId, {
+      disputeId,
+      evidenceId,
+      role,
+      photoCount: photoURLs.length,
+      chatExcerptCount: chatExcerpts.length,
+    });
+
+    logger.info(`Evidence ${evidenceId} added to dispute ${disputeId} by ${role} ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Evidence added",
+      disputeId,
+      evidenceId,
+    });
+  } catch (error) {
+    logger.error("Error adding dispute evidence:", error);
+
+    const statusCode = disputeErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to add dispute evidence",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,123 @@
+const { isTerminalStatus } = require("../orders/orderLifecycle");
+
+/**
+ * DISPUTE RULES
+ * Who can open a dispute on which orders, what evidence is accepted and which
+ * rulings an admin can make.
+ *
+ * A dispute freezes escrow release (orders/{orderId}.escrowHolds.dispute) from
+ * the moment it is opened until an admin resolves it. Escrow already released
+ * is not frozen; a refund ruling then takes the money back from the seller
+ * wallet (wallet/ledger.js recordRefund).
+ *
+ * Dispute Schema (disputes/{disputeId}):
+ * {
+ *   disputeId, orderId, buyerId, sellerId, chatId,
+ *   openedBy, openedByRole: "buyer" | "seller",
+ *   reason, description,
+ *   status: "open" | "resolved",
+ *   escrowHeld: boolean,
+ *   orderSnapshot: { status, paymentStatus, paymentMethod, totalAmount, refundedAmount,
+ *                    trackingNumber, proofOfDelivery },
+ *   evidence: [{ evidenceId, submittedBy, role, statement, photoURLs,
+ *                chatExcerpts: [{ messageId, senderRole, text, imageURL, timestamp }], at }],
+ *   resolution: { outcome, refundAmount, note, resolvedBy, resolvedAt } | null,
+ *   createdAt, updatedAt
+ * }
+ */
+
+const DISPUTE_REASONS = [
+  "item_not_received",
+  "item_not_as_described",
+  "damaged_item",
+  "return_rejected",
+  "payment_issue",
+  "buyer_unresponsive",
+  "other",
+];
+
+const DISPUTE_STATUSES = ["open", "resolved"];
+
+// Admin rulings
+const DISPUTE_OUTCOMES = {
+  REFUND_FULL: "refund_full", // everything not yet refunded goes back to the buyer
+  REFUND_PARTIAL: "refund_partial", // part to the buyer, the rest released to the seller
+  RELEASE_TO_SELLER: "release_to_seller", // escrow released to the seller, no refund
+  CANCEL_ORDER: "cancel_order", // unpaid orders only: order cancelled, its stock back on sale
+};
+
+const MAX_EVIDENCE_PHOTOS = 5;
+const MAX_CHAT_EXCERPTS = 20;
+
+// Order statuses a dispute can be opened on (after the seller accepted the order)
+const DISPUTABLE_STATUSES = ["confirmed", "shipped", "delivered"];
+
+/**
+ * Throws if this party cannot open a dispute on the order
+ * @param {string|null} role - resolveActorRole() result
+ */
+function assertCanOpenDispute(orderData, role) {
+  if (role !== "buyer" && role !== "seller") {
+    throw new Error("Unauthorized: only the buyer or seller of the order can open a dispute");
+  }
+  if (isTerminalStatus(orderData.status)) {
+    throw new Error(`Cannot open dispute: order is already ${orderData.status}`);
+  }
+  if (!DISPUTABLE_STATUSES.includes(orderData.status)) {
+    throw new Error(`Cannot open dispute: order is ${orderData.status}; cancel it instead`);
+  }
+  if (orderData.activeDisputeId) {
+    throw new Error(`Cannot open dispute: dispute ${orderData.activeDisputeId} is already open for this order`);
+  }
+}
+
+/**
+ * Validate the photo list of a submission
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePhotoURLs(photoURLs) {
+  if (!Array.isArray(photoURLs) || photoURLs.length > MAX_EVIDENCE_PHOTOS ||
+      !photoURLs.every(url => typeof url === "string" && url.trim().length > 0)) {
+    return `Invalid photoURLs: must be an array of up to ${MAX_EVIDENCE_PHOTOS} URLs`;
+  }
+  return null;
+}
+
+/**
+ * Snapshot of the order facts relevant to the ruling, taken when the dispute opens
+ */
+function buildOrderSnapshot(orderData) {
+  return {
+    status: orderData.status,
+    paymentStatus: orderData.paymentStatus,
+    paymentMethod: orderData.paymentMethod,
+    totalAmount: orderData.totalAmount,
+    refundedAmount: orderData.refundedAmount || 0,
+    trackingNumber: orderData.trackingNumber || null,
+    proofOfDelivery: orderData.proofOfDelivery || null,
+  };
+}
+
+/**
+ * Map dispute errors to HTTP status codes
+ */
+function disputeErrorStatus(message) {
+  if (message.includes("Authentication failed")) return 401;
+  if (message.includes("not found")) return 404;
+  if (message.startsWith("Unauthorized")) return 403;
+  if (message.startsWith("Cannot") || message.startsWith("Invalid")) return 400;
+  return 500;
+}
+
+module.exports = {
+  DISPUTE_REASONS,
+  DISPUTE_STATUSES,
+  DISPUTE_OUTCOMES,
+  MAX_EVIDENCE_PHOTOS,
+  MAX_CHAT_EXCERPTS,
+  DISPUTABLE_STATUSES,
+  assertCanOpenDispute,
+  validatePhotoURLs,
+  buildOrderSnapshot,
+  disputeErrorStatus,
+};
@@ -0,0 +1,108 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { disputeErrorStatus } = require("./disputeRules");
+
+// Most recent chat messages included in the admin case file
+const CASE_FILE_MESSAGE_LIMIT = 100;
+
+/**
+ * Everything an admin needs to rule: current order, delivery proof,
+ * the order's audit trail and the buyer/seller chat.
+ */
+async function buildCaseFile(disputeData) {
+  const firestore = admin.firestore();
+
+  const orderDoc = await firestore.collection("orders").doc(disputeData.orderId).get();
+  const order = orderDoc.exists ? orderDoc.data() : null;
+
+  const logsSnapshot = await firestore.collection("orderLogs")
+    .where("orderId", "==", disputeData.orderId)
+    .get();
+  const orderLogs = logsSnapshot.docs
+    .map(doc => ({ logId: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.timestamp ? a.timestamp.toMillis() : 0) - (b.timestamp ? b.timestamp.toMillis() : 0));
+
+  let chatMessages = [];
+  if (disputeData.chatId) {
+    const messagesSnapshot = await firestore.collection("messages")
+      .where("chatId", "==", disputeData.chatId)
+      .orderBy("timestamp", "desc")
+      .limit(CASE_FILE_MESSAGE_LIMIT)
+      .get();
+    chatMessages = messagesSnapshot.docs
+      .map(doc => ({ messageId: doc.id, ...doc.data() }))
+      .reverse(); // oldest first
+  }
+
+  return {
+    order,
+    proofOfDelivery: order ? order.proofOfDelivery || null : null,
+    trackingNumber: order ? order.trackingNumber || null : null,
+    orderLogs,
+    chatMessages,
+  };
+}
+
+/**
+ * GET DISPUTE
+ * GET /getDispute?disputeId=...
+ * Buyer and seller see the dispute with all submitted evidence. Admins also get
+ * a case file (order, delivery proof, audit logs, chat messages); each admin
+ * review is written to orderLogs.
+ */
+exports.getDispute = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { disputeId } = request.query;
+    if (!disputeId) {
+      return response.status(400).json({ error: "Missing required parameter: disputeId" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const disputeDoc = await admin.firestore().collection("disputes").doc(disputeId).get();
+    if (!disputeDoc.exists) {
+      return response.status(404).json({ error: "Dispute not found" });
+    }
+    const dispute = disputeDoc.data();
+
+    const role = resolveActorRole(dispute, userId, userData);
+    if (!role) {
+      return response.status(403).json({ error: "Unauthorized: you are not a party to this dispute" });
+    }
+
+    if (role !== "admin") {
+      return response.json({ success: true, dispute });
+    }
+
+    const caseFile = await buildCaseFile(dispute);
+
+    await logOrderEvent(dispute.orderId, "dispute_case_viewed", userId, {
+      disputeId,
+      orderLogCount: caseFile.orderLogs.length,
+      chatMessageCount: caseFile.chatMessages.length,
+    });
+
+    return response.json({ success: true, dispute, caseFile });
+  } catch (error) {
+    logger.error("Error getting dispute:", error);
+
+    const statusCode = disputeErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get dispute",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,56 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { DISPUTE_STATUSES, disputeErrorStatus } = require("./disputeRules");
+
+/**
+ * GET DISPUTES
+ * GET /getDisputes?status=open (default)
+ * - admin: mediation queue, oldest first so disputes are handled in order
+ * - buyer/seller: their own disputes, newest first
+ */
+exports.getDisputes = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const status = request.query.status || "open";
+    if (!DISPUTE_STATUSES.includes(status)) {
+      return response.status(400).json({ error: `Invalid status: must be one of ${DISPUTE_STATUSES.join(", ")}` });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    let query = admin.firestore().collection("disputes").where("status", "==", status);
+    if (userData.role === "admin") {
+      query = query.orderBy("createdAt", "asc");
+    } else {
+      const partyField = userData.role === "seller" ? "sellerId" : "buyerId";
+      query = query.where(partyField, "==", userId).orderBy("createdAt", "desc");
+    }
+
+    const snapshot = await query.get();
+    const disputes = snapshot.docs.map(doc => doc.data());
+
+    return response.json({
+      success: true,
+      count: disputes.length,
+      disputes,
+    });
+  } catch (error) {
+    logger.error("Error getting disputes:", error);
+
+    const statusCode = disputeErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get disputes",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,13 @@
+/**
+ * DISPUTES MODULE
+ * Exports admin-mediated dispute functions
+ * (eligibility and outcomes live in disputeRules.js, money movement in orders/escrowSettlement.js).
+ */
+
+module.exports = {
+  ...require("./openDispute"),
+  ...require("./addDisputeEvidence"),
+  ...require("./getDispute"),
+  ...require("./getDisputes"),
+  ...require("./resolveDispute"),
+};
@@ -0,0 +1,156 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole, escrowHoldFields } = require("../orders/orderLifecycle");
+const {
+  DISPUTE_REASONS,
+  assertCanOpenDispute,
+  validatePhotoURLs,
+  buildOrderSnapshot,
+  disputeErrorStatus,
+} = require("./disputeRules");
+
+/**
+ * Chat between the order's buyer and seller (one chat per pair, see chats/startChat)
+ */
+async function findOrderChatId(orderData) {
+  if (orderData.chatId) return orderData.chatId;
+  const snapshot = await admin.firestore().collection("chats")
+    .where("buyerId", "==", orderData.buyerId)
+    .where("sellerId", "==", orderData.sellerId)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0].id;
+}
+
+/**
+ * OPEN DISPUTE
+ * Buyer or seller asks an admin to mediate an order. Escrow that is still held
+ * is frozen until the dispute is resolved (resolveDispute).
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, orderId, reason, description, photos
+ * 2. AUTHORIZATION: Buyer or seller of the order
+ * 3. TRANSACTION: Check eligibility (confirmed/shipped/delivered, no open dispute),
+ *    create disputes/{disputeId} with an order snapshot and the opening statement,
+ *    place escrowHolds.dispute on the order
+ * 4. AUDIT LOGGING: dispute_opened
+ * 5. RESPONSE: Dispute ID
+ *
+ * Request Body:
+ * { orderId, reason, description, photoURLs?: [string] }
+ */
+exports.openDispute = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { orderId, reason, description, photoURLs = [] } = request.body;
+
+    if (!orderId) {
+      return response.status(400).json({ error: "Missing required field: orderId" });
+    }
+    if (!DISPUTE_REASONS.includes(reason)) {
+      return response.status(400).json({ error: `Invalid reason: must be one of ${DISPUTE_REASONS.join(", ")}` });
+    }
+    if (typeof description !== "string" || description.trim().length === 0) {
+      return response.status(400).json({ error: "Missing required field: description" });
+    }
+    const photoError = validatePhotoURLs(photoURLs);
+    if (photoError) {
+      return response.status(400).json({ error: photoError });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+    const disputeRef = firestore.collection("disputes").doc();
+
+    // Chat lookup is a query, so it runs before the transaction
+    const orderPreview = await orderRef.get();
+    if (!orderPreview.exists) {
+      return response.status(404).json({ error: "Order not found" });
+    }
+    const chatId = await findOrderChatId(orderPreview.data());
+
+    const opened = await firestore.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      const orderData = orderDoc.data();
+
+      const role = resolveActorRole(orderData, userId, userData);
+      assertCanOpenDispute(orderData, role);
+
+      const escrowHeld = !orderData.escrowReleased;
+
+      transaction.set(disputeRef, {
+        disputeId: disputeRef.id,
+        orderId,
+        buyerId: orderData.buyerId,
+        sellerId: orderData.sellerId,
+        chatId,
+        openedBy: userId,
+        openedByRole: role,
+        reason,
+        description: description.trim(),
+        status: "open",
+        escrowHeld,
+        orderSnapshot: buildOrderSnapshot(orderData),
+        evidence: [{
+          evidenceId: `${disputeRef.id}_0`,
+          submittedBy: userId,
+          role,
+          statement: description.trim(),
+          photoURLs: photoURLs.map(url => url.trim()),
+          chatExcerpts: [],
+          at: new Date(),
+        }],
+        resolution: null,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      transaction.update(orderRef, {
+        activeDisputeId: disputeRef.id,
+        ...(escrowHeld ? escrowHoldFields("dispute", { disputeId: disputeRef.id }) : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return { role, escrowHeld };
+    });
+
+    await logOrderEvent(orderId, "dispute_opened", userId, {
+      disputeId: disputeRef.id,
+      openedByRole: opened.role,
+      reason,
+      escrowHeld: opened.escrowHeld,
+    });
+
+    logger.info(`Dispute ${disputeRef.id} opened on order ${orderId} by ${opened.role} ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Dispute opened. An admin will review it.",
+      disputeId: disputeRef.id,
+      status: "open",
+      escrowHeld: opened.escrowHeld,
+    });
+  } catch (error) {
+    logger.error("Error opening dispute:", error);
+
+    const statusCode = disputeErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to open dispute",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,210 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { settleEscrowHold } = require("../orders/escrowSettlement");
+const { restoreOrderStock } = require("../orders/orderLifecycle");
+const { DISPUTE_OUTCOMES, disputeErrorStatus } = require("./disputeRules");
+
+/**
+ * RESOLVE DISPUTE (Admin)
+ * Admin rules on an open dispute and the money moves accordingly.
+ *
+ * Outcomes:
+ * - refund_full:       everything not yet refunded goes back to the buyer (order → refunded)
+ * - refund_partial:    `amount` goes back to the buyer, the rest is released to the seller
+ * - release_to_seller: escrow is released to the seller, no refund
+ * - cancel_order:      unpaid orders (e.g. COD not yet delivered) are cancelled, since
+ *                      there is nothing to refund or release and the open dispute blocks
+ *                      a normal cancellation
+ *
+ * Refunds come out of escrow while it is held, otherwise out of the seller wallet
+ * (see wallet/ledger.js recordRefund). The dispute's escrow hold is cleared either way.
+ * A cancelled order, or a fully refunded one that was not shipped yet, puts its stock
+ * back on sale like a normal cancellation.
+ *
+ * Request Body:
+ * { disputeId, outcome, amount?: number (refund_partial only), note: string }
+ */
+exports.resolveDispute = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { disputeId, outcome, amount, note } = request.body;
+
+    if (!disputeId) {
+      return response.status(400).json({ error: "Missing required field: disputeId" });
+    }
+    if (!Object.values(DISPUTE_OUTCOMES).includes(outcome)) {
+      return response.status(400).json({
+        error: `Invalid outcome: must be one of ${Object.values(DISPUTE_OUTCOMES).join(", ")}`,
+      });
+    }
+    if (outcome === DISPUTE_OUTCOMES.REFUND_PARTIAL &&
+        (typeof amount !== "number" || !Number.isInteger(amount) || amount <= 0)) {
+      return response.status(400).json({ error: "Invalid amount: must be a positive whole number of MMK" });
+    }
+    if (typeof note !== "string" || note.trim().length === 0) {
+      return response.status(400).json({ error: "A note explaining the ruling is required" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can resolve disputes" });
+    }
+
+    const firestore = admin.firestore();
+    const disputeRef = firestore.collection("disputes").doc(disputeId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const disputeDoc = await transaction.get(disputeRef);
+      if (!disputeDoc.exists) {
+        throw new Error("Dispute not found");
+      }
+      const disputeData = disputeDoc.data();
+      if (disputeData.status !== "open") {
+        throw new Error(`Cannot resolve dispute: dispute is already ${disputeData.status}`);
+      }
+
+      const orderRef = firestore.collection("orders").doc(disputeData.orderId);
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      const refundable = orderData.totalAmount - (orderData.refundedAmount || 0);
+      let refundAmount = 0;
+      if (outcome === DISPUTE_OUTCOMES.REFUND_FULL) {
+        refundAmount = refundable;
+      } else if (outcome === DISPUTE_OUTCOMES.REFUND_PARTIAL) {
+        if (amount >= refundable) {
+          throw new Error(`Invalid amount: a partial refund must be less than ${refundable} MMK (use refund_full)`);
+        }
+        refundAmount = amount;
+      }
+      if (refundAmount > 0 && orderData.paymentStatus !== "paid") {
+        throw new Error(`Cannot refund: order payment is ${orderData.paymentStatus} (use cancel_order)`);
+      }
+
+      const cancelOrder = outcome === DISPUTE_OUTCOMES.CANCEL_ORDER;
+      if (cancelOrder && orderData.paymentStatus === "paid") {
+        throw new Error("Cannot cancel order: it is paid (use refund_full)");
+      }
+
+      // The goods never left the seller: stock goes back on sale (reads before any write)
+      const stockRestored = cancelOrder ||
+        (outcome === DISPUTE_OUTCOMES.REFUND_FULL && orderData.status === "confirmed");
+      if (stockRestored) {
+        await restoreOrderStock(transaction, firestore, orderData.products, orderData.stockReservation);
+      }
+
+      const orderFields = { activeDisputeId: null };
+      if (cancelOrder) {
+        Object.assign(orderFields, {
+          status: "cancelled",
+          cancelledAt: FieldValue.serverTimestamp(),
+          cancelledBy: userId,
+          cancellationReason: "dispute_resolution",
+        });
+      }
+
+      const settlement = settleEscrowHold(transaction, orderRef, orderData, {
+        holdType: "dispute",
+        orderFields,
+        refundAmount,
+        releaseToSeller: outcome !== DISPUTE_OUTCOMES.REFUND_FULL && !cancelOrder,
+        stockRestored,
+        actorId: userId,
+      });
+
+      transaction.update(disputeRef, {
+        status: "resolved",
+        resolution: {
+          outcome,
+          refundAmount,
+          note: note.trim(),
+          resolvedBy: userId,
+          resolvedAt: new Date(),
+        },
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return {
+        orderId: disputeData.orderId,
+        sellerId: disputeData.sellerId,
+        oldStatus: orderData.status,
+        paymentMethod: orderData.paymentMethod,
+        refundAmount,
+        settlement,
+      };
+    });
+
+    const { orderId, refundAmount, settlement } = result;
+
+    await logOrderEvent(orderId, "dispute_resolved", userId, {
+      disputeId,
+      outcome,
+      refundAmount,
+      note: note.trim(),
+    });
+
+    if (refundAmount > 0) {
+      await logOrderEvent(orderId, "order_refunded", userId, {
+        refundedBy: userId,
+        refundedAmount: refundAmount,
+        paymentMethod: result.paymentMethod,
+        triggeredBy: "dispute_resolution",
+        orderFullyRefunded: settlement.fullyRefunded,
+      });
+    }
+
+    if (outcome === DISPUTE_OUTCOMES.CANCEL_ORDER) {
+      await logOrderEvent(orderId, "status_updated", userId, {
+        oldStatus: result.oldStatus,
+        newStatus: "cancelled",
+        notes: "Cancelled by dispute resolution",
+      });
+    }
+
+    if (settlement.release) {
+      await logOrderEvent(orderId, "escrow_released", userId, {
+        sellerId: result.sellerId,
+        ...settlement.release,
+        manual: true,
+        triggeredBy: "dispute_resolution",
+      });
+    }
+
+    logger.info(`Dispute ${disputeId} resolved (${outcome}) on order ${orderId} by admin ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Dispute resolved",
+      disputeId,
+      orderId,
+      outcome,
+      refundAmount,
+      escrowReleased: !!settlement.release,
+      sellerAmount: settlement.release ? settlement.release.sellerAmount : 0,
+    });
+  } catch (error) {
+    logger.error("Error resolving dispute:", error);
+
+    const statusCode = disputeErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to resolve dispute",
+      details: error.message,
+    });
+  }
+});
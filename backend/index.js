@@ -16,6 +16,19 @@ const auth = require("./auth");
 const products = require("./products");
 const orders = require("./orders");
 const chats = require("./chats");
+const cart = require("./cart");
+const payments = require("./payments");
+const wallet = require("./wallet");
+const shipping = require("./shipping");
+const returns = require("./returns");
+const disputes = require("./disputes");
+const notifications = require("./notifications");
+const search = require("./search");
+const categories = require("./categories");
+const reviews = require("./reviews");
+const reputation = require("./reputation");
+const sellers = require("./sellers");
+const kyc = require("./kyc");
 
 // For cost control, you can set the maximum number of containers that can be
 // running at the same time. This helps mitigate the impact of unexpected
@@ -63,6 +76,18 @@ exports.updateProduct = products.updateProduct;
 exports.deleteProduct = products.deleteProduct;
 exports.getSellerProducts = products.getSellerProducts;
 exports.getPublicProducts = products.getPublicProducts;
+exports.createProductImageUpload = products.createProductImageUpload;
+exports.processProductImage = products.processProductImage;
+exports.updateProductImages = products.updateProductImages;
+exports.importProducts = products.importProducts;
+exports.exportProducts = products.exportProducts;
+//search functions (full-text product search, English/Myanmar/Zawgyi)
+exports.searchProducts = search.searchProducts;
+//category functions (admin-managed category tree, my/en/zh names)
+exports.createCategory = categories.createCategory;
+exports.updateCategory = categories.updateCategory;
+exports.deleteCategory = categories.deleteCategory;
+exports.getCategoryTree = categories.getCategoryTree;
 
 
 //when a user signs up via phone auth, automatically create their firestore profile
@@ -74,15 +99,74 @@ exports.registerUser = auth.registerUser;
 exports.updateUserProfile = auth.updateUserProfile;
 exports.verifySellerKYC = auth.verifySellerKYC;
 exports.createAdmin = auth.createAdmin;
+exports.syncUserClaims = auth.syncUserClaims; // Firestore trigger (users/{uid} → custom claims)
+exports.demoteUser = auth.demoteUser;
 
 //order & payment management functions
 exports.createOrder = orders.createOrder;
 exports.updateOrderStatus = orders.updateOrderStatus;
+exports.cancelOrderItem = orders.cancelOrderItem;
 exports.getUserOrders = orders.getUserOrders;
 exports.getOrderById = orders.getOrderById;
 exports.getOrderLogs = orders.getOrderLogs;
 exports.simulatePayment = orders.simulatePayment;
 exports.releaseEscrow = orders.releaseEscrow;
+exports.expireUnpaidOrders = orders.expireUnpaidOrders; // scheduled
+exports.confirmOrderReceipt = orders.confirmOrderReceipt;
+exports.releaseAcceptedEscrow = orders.releaseAcceptedEscrow; // scheduled
+//cart functions (multi-seller cart, split checkout)
+exports.addToCart = cart.addToCart;
+exports.updateCartItem = cart.updateCartItem;
+exports.removeCartItem = cart.removeCartItem;
+exports.getCart = cart.getCart;
+exports.checkoutCart = cart.checkoutCart;
+//payment functions (mobile-money intents and provider webhooks)
+exports.createPaymentIntent = payments.createPaymentIntent;
+exports.paymentWebhook = payments.paymentWebhook;
+//wallet functions (escrow ledger balances, seller payouts, platform commission)
+exports.getWalletBalance = wallet.getWalletBalance;
+exports.requestPayout = wallet.requestPayout;
+exports.reviewPayout = wallet.reviewPayout;
+exports.getPayoutRequests = wallet.getPayoutRequests;
+exports.getCommissionRules = wallet.getCommissionRules;
+exports.updateCommissionRules = wallet.updateCommissionRules;
+//shipping functions (Myanmar locations, seller shipping rates, delivery quotes)
+exports.getMyanmarLocations = shipping.getMyanmarLocations;
+exports.setShippingRates = shipping.setShippingRates;
+exports.getShippingRates = shipping.getShippingRates;
+exports.getDeliveryQuote = shipping.getDeliveryQuote;
+//return functions (buyer returns / RMA, partial and full refunds)
+exports.requestReturn = returns.requestReturn;
+exports.respondToReturn = returns.respondToReturn;
+exports.updateReturnShipment = returns.updateReturnShipment;
+exports.confirmReturnReceived = returns.confirmReturnReceived;
+exports.issueReturnRefund = returns.issueReturnRefund;
+exports.getReturns = returns.getReturns;
+//dispute functions (buyer/seller disputes, evidence, admin rulings)
+exports.openDispute = disputes.openDispute;
+exports.addDisputeEvidence = disputes.addDisputeEvidence;
+exports.getDispute = disputes.getDispute;
+exports.getDisputes = disputes.getDisputes;
+exports.resolveDispute = disputes.resolveDispute;
+//review functions (verified-purchase reviews, seller replies, admin moderation)
+exports.createReview = reviews.createReview;
+exports.replyToReview = reviews.replyToReview;
+exports.moderateReview = reviews.moderateReview;
+exports.getReviews = reviews.getReviews;
+//reputation functions (seller trust score and badge tier, recomputed nightly)
+exports.recomputeSellerReputation = reputation.recomputeSellerReputation; // scheduled
+exports.getSellerReputation = reputation.getSellerReputation;
+//seller functions (public shop profiles and storefronts)
+exports.updateSellerProfile = sellers.updateSellerProfile;
+exports.getSellerStorefront = sellers.getSellerStorefront;
+//kyc functions (seller document submission, admin review queue)
+exports.createKycUpload = kyc.createKycUpload;
+exports.submitKyc = kyc.submitKyc;
+exports.getKycStatus = kyc.getKycStatus;
+exports.getKycQueue = kyc.getKycQueue;
+exports.reviewKyc = kyc.reviewKyc;
+//notification functions (in-app notifications, e.g. expired orders)
+exports.getNotifications = notifications.getNotifications;
 //chat functions
 exports.startChat = chats.startChat;
 exports.sendMessage = chats.sendMessage;
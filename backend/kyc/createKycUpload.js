@@ -0,0 +1,83 @@
+/**
+ * CREATE KYC UPLOAD
+ * Gives a seller a short-lived upload for one identity document
+ * (NRC front, NRC back or selfie; see kycRules.js).
+ *
+ * Body: { contentType: "image/jpeg" | "image/png" | "image/webp", size: bytes }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, content type, size (MAX_IMAGE_BYTES)
+ * 2. AUTHORIZATION: Sellers only (not yet verified is fine)
+ * 3. RESPONSE: { documentId, uploadURL, method, headers, expiresAt }
+ *
+ * The seller sends the file to uploadURL with the given method and headers
+ * (emulator: the "Firebase <ID_TOKEN>" Authorization header takes their ID
+ * token), then passes the documentId to submitKyc. The file is private:
+ * storage.rules let no client read it back.
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+const crypto = require("crypto");
+
+const { verifyUser } = require("../auth");
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  UPLOAD_TTL_MS,
+  createUploadTarget,
+} = require("../products/productImages");
+const { documentPath, kycErrorStatus } = require("./kycRules");
+
+exports.createKycUpload = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { contentType, size } = request.body;
+
+    if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+      return response.status(400).json({
+        error: `Invalid contentType: must be one of ${ALLOWED_IMAGE_TYPES.join(", ")}`,
+      });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_IMAGE_BYTES) {
+      return response.status(400).json({
+        error: `Invalid size: documents must be 1-${MAX_IMAGE_BYTES} bytes`,
+      });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "seller") {
+      return response.status(403).json({ error: "Unauthorized: only sellers can upload KYC documents" });
+    }
+
+    const documentId = crypto.randomUUID();
+    const path = documentPath(userId, documentId);
+    const target = await createUploadTarget(path, contentType);
+
+    logger.info(`KYC document upload ${documentId} issued to seller ${userId}`);
+
+    return response.json({
+      success: true,
+      documentId,
+      path,
+      ...target,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_MS).toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error creating KYC upload:", error);
+
+    const statusCode = kycErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to create KYC upload",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,72 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { fetchPage, parseLimit, parseEnumParam } = require("../utils/pagination");
+const { SUBMISSION_STATUSES, KYC_DOCUMENT_TYPES, documentViewURL, kycErrorStatus } = require("./kycRules");
+
+const QUEUE_SORT = { name: "oldest", field: "createdAt", direction: "asc" };
+
+/**
+ * GET KYC QUEUE (Admin)
+ * KYC review queue: GET /getKycQueue?status=pending (default), oldest first so
+ * submissions are reviewed in order; limit and cursor page through it
+ * (see utils/pagination.js).
+ *
+ * Each submission comes with documentURLs: { nrcFront, nrcBack, selfie },
+ * short-lived URLs to view the private documents (see kycRules.js documentViewURL).
+ */
+exports.getKycQueue = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const status = parseEnumParam(request.query.status, "status", SUBMISSION_STATUSES) || "pending";
+    const limit = parseLimit(request.query.limit);
+
+    const { user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can view the KYC queue" });
+    }
+
+    const query = admin.firestore().collection("kycSubmissions")
+      .where("status", "==", status);
+    const { docs, nextCursor } = await fetchPage(query, {
+      sort: QUEUE_SORT,
+      limit,
+      cursor: request.query.cursor || undefined,
+    });
+
+    const submissions = await Promise.all(docs.map(async (doc) => {
+      const submission = doc.data();
+      const documentURLs = {};
+      for (const type of KYC_DOCUMENT_TYPES) {
+        documentURLs[type] = await documentViewURL(submission.documents[type]);
+      }
+      return { ...submission, documentURLs };
+    }));
+
+    return response.json({
+      success: true,
+      count: submissions.length,
+      submissions,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
+  } catch (error) {
+    logger.error("Error getting KYC queue:", error);
+
+    const statusCode = kycErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get KYC queue",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,60 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { kycErrorStatus } = require("./kycRules");
+
+/**
+ * GET KYC STATUS
+ * Seller's own verification status and their latest submission: what was
+ * submitted (document paths are not returned) and the admin's decision and
+ * reason, so they know what to fix before submitting again.
+ */
+exports.getKycStatus = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { user: userData } = await verifyUser(request);
+
+    if (userData.role !== "seller") {
+      return response.status(403).json({ error: "Unauthorized: only sellers have a KYC status" });
+    }
+
+    let submission = null;
+    if (userData.kycSubmissionId) {
+      const submissionDoc = await admin.firestore().collection("kycSubmissions").doc(userData.kycSubmissionId).get();
+      if (submissionDoc.exists) {
+        const data = submissionDoc.data();
+        submission = {
+          submissionId: data.submissionId,
+          nrcNumber: data.nrcNumber,
+          mobileMoney: data.mobileMoney,
+          status: data.status,
+          decision: data.decision && { decision: data.decision.decision, reason: data.decision.reason },
+          createdAt: data.createdAt,
+        };
+      }
+    }
+
+    return response.json({
+      success: true,
+      verificationStatus: userData.verificationStatus || "unverified",
+      submission,
+    });
+  } catch (error) {
+    logger.error("Error getting KYC status:", error);
+
+    const statusCode = kycErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get KYC status",
+      details: error.message,
+    });
+  }
+});
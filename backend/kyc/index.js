@@ -0,0 +1,14 @@
+/**
+ * KYC MODULE
+ * Exports seller identity verification functions: document uploads,
+ * submissions and the admin review queue
+ * (statuses, NRC format and decisions live in kycRules.js).
+ */
+
+module.exports = {
+  ...require("./createKycUpload"),
+  ...require("./submitKyc"),
+  ...require("./getKycStatus"),
+  ...require("./getKycQueue"),
+  ...require("./reviewKyc"),
+};
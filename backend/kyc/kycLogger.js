@@ -0,0 +1,35 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+/**
+ * HELPER FUNCTION: Log KYC events
+ * Audit trail of seller verification: submissions, admin decisions and
+ * status changes (kycLogs/{logId}).
+ *
+ * Log Schema:
+ * {
+ *   sellerId, submissionId: string | null,
+ *   eventType: "kyc_submitted" | "kyc_approved" | "kyc_rejected" | "kyc_info_requested" | "kyc_status_set",
+ *   actorId,
+ *   metadata: { oldStatus, newStatus, reason, ... },
+ *   timestamp
+ * }
+ */
+async function logKycEvent(sellerId, submissionId, eventType, actorId, metadata = {}) {
+  try {
+    await admin.firestore().collection("kycLogs").add({
+      sellerId,
+      submissionId,
+      eventType,
+      actorId,
+      metadata,
+      timestamp: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    // Log error but don't fail the main operation
+    logger.error("Error logging KYC event:", error);
+  }
+}
+
+module.exports = { logKycEvent };
@@ -0,0 +1,181 @@
+const admin = require("firebase-admin");
+
+const { MAX_IMAGE_BYTES, ALLOWED_IMAGE_TYPES, storageEmulatorHost } = require("../products/productImages");
+
+/**
+ * KYC RULES
+ * Seller identity verification: what a seller submits, how the documents are
+ * stored and which decisions an admin can make.
+ *
+ * Flow:
+ * 1. The seller uploads each document (NRC front, NRC back, selfie) through
+ *    createKycUpload; files land at kyc/{sellerId}/{documentId}, which
+ *    storage.rules never let anyone read (admins get short-lived URLs)
+ * 2. submitKyc creates the submission (status "pending") with the NRC number
+ *    and the mobile-money account
+ * 3. An admin reviews the queue (getKycQueue) and approves, rejects or asks for
+ *    more information (reviewKyc); a reason is required unless approving
+ * 4. After a rejection or a request for information the seller submits again
+ *
+ * The seller's users/{uid}.verificationStatus follows their latest submission.
+ * Every submission and decision is logged to kycLogs (kycLogger.js).
+ *
+ * Submission Schema (kycSubmissions/{submissionId}):
+ * {
+ *   submissionId, sellerId,
+ *   nrcNumber: string,                 // normalized, e.g. "12/KAMAYA(N)123456"
+ *   documents: { nrcFront, nrcBack, selfie },   // Storage object paths
+ *   mobileMoney: { provider: "KBZPay" | "WavePay", accountNumber, accountName },
+ *   status: "pending" | "verified" | "rejected" | "info_requested",
+ *   decision: { decision, reason, reviewedBy, reviewedAt } | null,
+ *   createdAt, updatedAt
+ * }
+ */
+
+// users/{uid}.verificationStatus
+const VERIFICATION_STATUSES = ["unverified", "pending", "verified", "rejected", "info_requested"];
+
+// kycSubmissions/{submissionId}.status
+const SUBMISSION_STATUSES = ["pending", "verified", "rejected", "info_requested"];
+
+// Statuses from which a seller may (re)submit
+const SUBMITTABLE_STATUSES = ["unverified", "rejected", "info_requested"];
+
+// Admin decisions and the status each one leads to
+const KYC_DECISIONS = {
+  approve: "verified",
+  reject: "rejected",
+  request_info: "info_requested",
+};
+
+const KYC_DOCUMENT_TYPES = ["nrcFront", "nrcBack", "selfie"];
+
+// Same providers and account format as seller payouts (wallet/requestPayout.js)
+const MOBILE_MONEY_PROVIDERS = ["KBZPay", "WavePay"];
+const MOBILE_MONEY_ACCOUNT_PATTERN = /^(\+959|09)\d{7,9}$/;
+
+const MAX_ACCOUNT_NAME_LENGTH = 100;
+const MAX_REASON_LENGTH = 1000;
+const DOCUMENT_URL_TTL_MS = 15 * 60 * 1000;
+
+// NRC: state/region number 1-14, township code, citizenship type, six digits
+// e.g. "12/KAMAYA(N)123456"
+const NRC_PATTERN = /^(1[0-4]|[1-9])\/[A-Z]{3,9}\((N|E|P|T|Y|S)\)\d{6}$/;
+
+function documentPath(sellerId, documentId) {
+  return `kyc/${sellerId}/${documentId}`;
+}
+
+/**
+ * NRC number in its stored form (upper case, no spaces), or null if malformed
+ */
+function normalizeNrcNumber(value) {
+  if (typeof value !== "string") return null;
+  const nrcNumber = value.replace(/\s+/g, "").toUpperCase();
+  return NRC_PATTERN.test(nrcNumber) ? nrcNumber : null;
+}
+
+/**
+ * Validate the mobile-money account of a submission
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateMobileMoney(mobileMoney) {
+  if (!mobileMoney || typeof mobileMoney !== "object") {
+    return "Missing required field: mobileMoney";
+  }
+  const { provider, accountNumber, accountName } = mobileMoney;
+  if (!MOBILE_MONEY_PROVIDERS.includes(provider)) {
+    return `Invalid mobileMoney.provider: must be one of ${MOBILE_MONEY_PROVIDERS.join(", ")}`;
+  }
+  if (typeof accountNumber !== "string" || !MOBILE_MONEY_ACCOUNT_PATTERN.test(accountNumber.trim())) {
+    return "Invalid mobileMoney.accountNumber: must be a Myanmar mobile number";
+  }
+  if (typeof accountName !== "string" || accountName.trim() === "" ||
+      accountName.trim().length > MAX_ACCOUNT_NAME_LENGTH) {
+    return `Invalid mobileMoney.accountName: must be 1-${MAX_ACCOUNT_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Check that each uploaded document exists, belongs to the seller and is an
+ * image within the size limit
+ *
+ * @param {Object} documents - { nrcFront, nrcBack, selfie } document ids
+ * @returns {Promise<Object>} { nrcFront, nrcBack, selfie } object paths
+ */
+async function resolveDocuments(sellerId, documents) {
+  if (!documents || typeof documents !== "object") {
+    throw new Error(`Missing required field: documents (${KYC_DOCUMENT_TYPES.join(", ")})`);
+  }
+
+  const bucket = admin.storage().bucket();
+  const paths = {};
+  for (const type of KYC_DOCUMENT_TYPES) {
+    const documentId = documents[type];
+    if (typeof documentId !== "string" || documentId === "" || documentId.includes("/")) {
+      throw new Error(`Invalid documents.${type}: must be the documentId of an upload`);
+    }
+    const path = documentPath(sellerId, documentId);
+    const [exists] = await bucket.file(path).exists();
+    if (!exists) {
+      throw new Error(`Invalid documents.${type}: document ${documentId} was not uploaded`);
+    }
+    const [metadata] = await bucket.file(path).getMetadata();
+    if (!ALLOWED_IMAGE_TYPES.includes(metadata.contentType) || Number(metadata.size) > MAX_IMAGE_BYTES) {
+      throw new Error(`Invalid documents.${type}: must be a JPEG, PNG or WebP image up to 10 MB`);
+    }
+    paths[type] = path;
+  }
+
+  if (new Set(Object.values(paths)).size !== KYC_DOCUMENT_TYPES.length) {
+    throw new Error("Invalid documents: each document must be a different upload");
+  }
+  return paths;
+}
+
+/**
+ * Short-lived URL for an admin to view a private document.
+ * Storage emulator (cannot sign URLs): the emulator download URL, readable
+ * with the "Authorization: Bearer owner" header.
+ */
+async function documentViewURL(path) {
+  const bucket = admin.storage().bucket();
+  const emulatorHost = storageEmulatorHost();
+  if (emulatorHost) {
+    return `http://${emulatorHost}/v0/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media`;
+  }
+
+  const [url] = await bucket.file(path).getSignedUrl({
+    version: "v4",
+    action: "read",
+    expires: Date.now() + DOCUMENT_URL_TTL_MS,
+  });
+  return url;
+}
+
+/**
+ * Map KYC errors to HTTP status codes
+ */
+function kycErrorStatus(message) {
+  if (message.includes("Authentication failed")) return 401;
+  if (message.includes("not found")) return 404;
+  if (message.startsWith("Unauthorized")) return 403;
+  if (message.startsWith("Cannot") || message.startsWith("Invalid") || message.startsWith("Missing")) return 400;
+  return 500;
+}
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  SUBMISSION_STATUSES,
+  SUBMITTABLE_STATUSES,
+  KYC_DECISIONS,
+  KYC_DOCUMENT_TYPES,
+  MAX_REASON_LENGTH,
+  documentPath,
+  normalizeNrcNumber,
+  validateMobileMoney,
+  resolveDocuments,
+  documentViewURL,
+  kycErrorStatus,
+};
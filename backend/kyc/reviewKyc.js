@@ -0,0 +1,150 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { notifyUsers } = require("../notifications/notify");
+const { logKycEvent } = require("./kycLogger");
+const { KYC_DECISIONS, MAX_REASON_LENGTH, kycErrorStatus } = require("./kycRules");
+
+// Log event of each decision (kycLogger.js)
+const DECISION_EVENTS = {
+  approve: "kyc_approved",
+  reject: "kyc_rejected",
+  request_info: "kyc_info_requested",
+};
+
+// What the seller is told for each decision
+const DECISION_MESSAGES = {
+  approve: "Your seller verification was approved.",
+  reject: "Your seller verification was rejected",
+  request_info: "More information is needed for your seller verification",
+};
+
+/**
+ * REVIEW KYC (Admin)
+ * Approve, reject or ask for more information on a pending KYC submission.
+ *
+ * Request Body:
+ * { submissionId, decision: "approve" | "reject" | "request_info", reason?: string }
+ * (reason required for reject and request_info; it is shown to the seller)
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, submissionId, decision, reason
+ * 2. AUTHORIZATION: Admin only
+ * 3. TRANSACTION: Submission must be pending; submission and seller status →
+ *    verified | rejected | info_requested
+ * 4. LOG + NOTIFY: kyc_approved | kyc_rejected | kyc_info_requested; seller (kyc_decision)
+ * 5. RESPONSE: Updated status
+ */
+exports.reviewKyc = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { submissionId, decision, reason } = request.body;
+
+    if (!submissionId) {
+      return response.status(400).json({ error: "Missing required field: submissionId" });
+    }
+    if (!Object.prototype.hasOwnProperty.call(KYC_DECISIONS, decision)) {
+      return response.status(400).json({
+        error: `Invalid decision: must be one of ${Object.keys(KYC_DECISIONS).join(", ")}`,
+      });
+    }
+    if (reason !== undefined && reason !== null &&
+        (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH)) {
+      return response.status(400).json({ error: `Invalid reason: must be text of up to ${MAX_REASON_LENGTH} characters` });
+    }
+    const reasonText = typeof reason === "string" ? reason.trim() : "";
+    if (decision !== "approve" && reasonText === "") {
+      return response.status(400).json({ error: "A reason is required when rejecting or requesting more information" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can review KYC submissions" });
+    }
+
+    const newStatus = KYC_DECISIONS[decision];
+    const firestore = admin.firestore();
+    const submissionRef = firestore.collection("kycSubmissions").doc(submissionId);
+
+    const { sellerId, oldStatus } = await firestore.runTransaction(async (transaction) => {
+      const submissionDoc = await transaction.get(submissionRef);
+      if (!submissionDoc.exists) {
+        throw new Error("KYC submission not found");
+      }
+      const submission = submissionDoc.data();
+      if (submission.status !== "pending") {
+        throw new Error(`Cannot review KYC submission: it is already ${submission.status}`);
+      }
+
+      const userRef = firestore.collection("users").doc(submission.sellerId);
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new Error("Seller not found");
+      }
+
+      transaction.update(submissionRef, {
+        status: newStatus,
+        decision: {
+          decision,
+          reason: reasonText || null,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+        },
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      // A newer submission would have replaced this one (only one can be pending)
+      if (userDoc.data().kycSubmissionId === submissionId) {
+        transaction.update(userRef, {
+          verificationStatus: newStatus,
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      }
+
+      return { sellerId: submission.sellerId, oldStatus: userDoc.data().verificationStatus };
+    });
+
+    await logKycEvent(sellerId, submissionId, DECISION_EVENTS[decision], adminId, {
+      oldStatus,
+      newStatus,
+      reason: reasonText || null,
+    });
+
+    await notifyUsers([sellerId], {
+      type: "kyc_decision",
+      title: "Seller verification",
+      body: reasonText && decision !== "approve"
+        ? `${DECISION_MESSAGES[decision]}: ${reasonText}`
+        : DECISION_MESSAGES[decision],
+    });
+
+    logger.info(`KYC submission ${submissionId} of seller ${sellerId}: ${decision} by admin ${adminId}`);
+
+    return response.json({
+      success: true,
+      message: "KYC submission reviewed",
+      submissionId,
+      sellerId,
+      decision,
+      verificationStatus: newStatus,
+    });
+  } catch (error) {
+    logger.error("Error reviewing KYC submission:", error);
+
+    const statusCode = kycErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to review KYC submission",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,124 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logKycEvent } = require("./kycLogger");
+const {
+  SUBMITTABLE_STATUSES,
+  normalizeNrcNumber,
+  validateMobileMoney,
+  resolveDocuments,
+  kycErrorStatus,
+} = require("./kycRules");
+
+/**
+ * SUBMIT KYC
+ * Seller submits their identity documents for verification (see kycRules.js).
+ *
+ * Request Body:
+ * {
+ *   nrcNumber: string,                         // e.g. "12/KAMAYA(N)123456"
+ *   documents: { nrcFront, nrcBack, selfie },  // documentIds from createKycUpload
+ *   mobileMoney: { provider: "KBZPay" | "WavePay", accountNumber, accountName }
+ * }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, NRC number format, mobile-money account
+ * 2. AUTHORIZATION: Sellers only
+ * 3. DOCUMENTS: Each one uploaded by this seller, an image within the size limit
+ * 4. TRANSACTION: Seller is unverified, rejected or asked for more information;
+ *    create kycSubmissions/{submissionId} (pending), seller status → pending
+ * 5. LOG: kyc_submitted
+ * 6. RESPONSE: submissionId and status
+ */
+exports.submitKyc = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { documents, mobileMoney } = request.body;
+
+    const nrcNumber = normalizeNrcNumber(request.body.nrcNumber);
+    if (!nrcNumber) {
+      return response.status(400).json({
+        error: "Invalid nrcNumber: must look like 12/KAMAYA(N)123456 (state/township(type)number)",
+      });
+    }
+    const mobileMoneyError = validateMobileMoney(mobileMoney);
+    if (mobileMoneyError) {
+      return response.status(400).json({ error: mobileMoneyError });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "seller") {
+      return response.status(403).json({ error: "Unauthorized: only sellers can submit KYC" });
+    }
+
+    const documentPaths = await resolveDocuments(userId, documents);
+
+    const firestore = admin.firestore();
+    const userRef = firestore.collection("users").doc(userId);
+    const submissionRef = firestore.collection("kycSubmissions").doc();
+
+    const oldStatus = await firestore.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const status = userDoc.data().verificationStatus || "unverified";
+      if (!SUBMITTABLE_STATUSES.includes(status)) {
+        throw new Error(`Cannot submit KYC: verification is ${status}`);
+      }
+
+      transaction.create(submissionRef, {
+        submissionId: submissionRef.id,
+        sellerId: userId,
+        nrcNumber,
+        documents: documentPaths,
+        mobileMoney: {
+          provider: mobileMoney.provider,
+          accountNumber: mobileMoney.accountNumber.trim(),
+          accountName: mobileMoney.accountName.trim(),
+        },
+        status: "pending",
+        decision: null,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      transaction.update(userRef, {
+        verificationStatus: "pending",
+        kycSubmissionId: submissionRef.id,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return status;
+    });
+
+    await logKycEvent(userId, submissionRef.id, "kyc_submitted", userId, {
+      oldStatus,
+      newStatus: "pending",
+    });
+
+    logger.info(`KYC submission ${submissionRef.id} by seller ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "KYC submitted for review",
+      submissionId: submissionRef.id,
+      verificationStatus: "pending",
+    });
+  } catch (error) {
+    logger.error("Error submitting KYC:", error);
+
+    const statusCode = kycErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to submit KYC",
+      details: error.message,
+    });
+  }
+});
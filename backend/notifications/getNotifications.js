@@ -0,0 +1,48 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+
+// Most recent notifications returned
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * GET NOTIFICATIONS
+ * GET /getNotifications
+ * Returns the caller's most recent in-app notifications, newest first.
+ */
+exports.getNotifications = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const snapshot = await admin.firestore().collection("notifications")
+      .where("userId", "==", userId)
+      .orderBy("createdAt", "desc")
+      .limit(NOTIFICATION_LIMIT)
+      .get();
+    const notifications = snapshot.docs.map(doc => doc.data());
+
+    return response.json({
+      success: true,
+      count: notifications.length,
+      unreadCount: notifications.filter(notification => !notification.read).length,
+      notifications,
+    });
+  } catch (error) {
+    logger.error("Error getting notifications:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get notifications",
+      details: error.message,
+    });
+  }
+});
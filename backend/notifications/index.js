@@ -0,0 +1,9 @@
+/**
+ * NOTIFICATIONS MODULE
+ * Exports in-app notification functions
+ * (other modules write notifications through notify.js).
+ */
+
+module.exports = {
+  ...require("./getNotifications"),
+};
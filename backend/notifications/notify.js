@@ -0,0 +1,50 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+/**
+ * HELPER FUNCTION: In-app notifications
+ * Writes one notifications/{notificationId} document per recipient; clients
+ * read them through getNotifications.
+ *
+ * Notification Schema:
+ * {
+ *   notificationId, userId,
+ *   type: string,            // e.g. "order_expired"
+ *   title, body,
+ *   orderId: string|null,
+ *   read: boolean,
+ *   createdAt
+ * }
+ *
+ * Like logOrderEvent, failures are logged and never fail the main operation.
+ *
+ * @param {string[]} userIds - Recipients
+ * @param {{ type: string, title: string, body: string, orderId?: string }} notification
+ */
+async function notifyUsers(userIds, notification) {
+  try {
+    const firestore = admin.firestore();
+    const batch = firestore.batch();
+
+    for (const userId of userIds) {
+      const notificationRef = firestore.collection("notifications").doc();
+      batch.set(notificationRef, {
+        notificationId: notificationRef.id,
+        userId,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        orderId: notification.orderId || null,
+        read: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    await batch.commit();
+  } catch (error) {
+    logger.error("Error sending notifications:", error);
+  }
+}
+
+module.exports = { notifyUsers };
@@ -0,0 +1,110 @@
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { logOrderEvent } = require("./auditLogger");
+const { shouldAutoReleaseEscrow, escrowReleaseFields } = require("./orderLifecycle");
+const { recordEscrowMovements, escrowReleaseSplit } = require("../wallet/ledger");
+
+/**
+ * BUYER ACCEPTANCE WINDOW
+ * Delivered orders keep their escrow until the buyer confirms receipt or the
+ * acceptanceDeadline set on delivery passes (orderLifecycle.js). This job
+ * releases the escrow of every order whose window passed without a complaint:
+ * orders with an escrow hold (open return or dispute) and unpaid orders are
+ * skipped and picked up again on a later run.
+ *
+ * Only "delivered" orders are read: once the escrow is released
+ * (escrowReleased) or the order is refunded (status "refunded") it leaves the
+ * query, so each run only pages through orders that can still be released.
+ */
+
+// Orders read per query page
+const ACCEPTANCE_PAGE_SIZE = 100;
+
+/**
+ * Release one order's escrow if it still qualifies (re-checked in the transaction)
+ *
+ * @returns {Promise<Object|null>} The order data before the release, or null if skipped
+ */
+async function releaseAcceptedOrder(orderRef, now) {
+  const firestore = admin.firestore();
+
+  return firestore.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    const orderData = orderDoc.data();
+
+    if (!orderData || !shouldAutoReleaseEscrow(orderData, now.toMillis())) {
+      return null;
+    }
+
+    const updateData = {
+      ...escrowReleaseFields("system"),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    transaction.update(orderRef, updateData);
+    recordEscrowMovements(transaction, orderRef.id, orderData, updateData, "system");
+
+    return orderData;
+  });
+}
+
+/**
+ * Release escrow for every delivered order whose acceptance window has passed.
+ *
+ * @param {Object} options
+ * @param {Timestamp} options.now - Reference time (default: current time)
+ * @returns {Promise<{ released: string[], skipped: number, failed: string[] }>}
+ */
+async function releaseAcceptedOrders({ now = Timestamp.now() } = {}) {
+  const released = [];
+  const failed = [];
+  let skipped = 0;
+
+  let query = admin.firestore().collection("orders")
+    .where("escrowReleased", "==", false)
+    .where("status", "==", "delivered")
+    .where("acceptanceDeadline", "<=", now)
+    .orderBy("acceptanceDeadline", "asc")
+    .limit(ACCEPTANCE_PAGE_SIZE);
+
+  // Held/unpaid orders stay in the result set, so page through all of it
+  for (;;) {
+    const snapshot = await query.get();
+
+    for (const orderDoc of snapshot.docs) {
+      const orderId = orderDoc.id;
+      let orderData;
+      try {
+        orderData = await releaseAcceptedOrder(orderDoc.ref, now);
+      } catch (error) {
+        logger.error(`Failed to release escrow for order ${orderId}:`, error);
+        failed.push(orderId);
+        continue;
+      }
+
+      if (!orderData) {
+        skipped++;
+        continue;
+      }
+      released.push(orderId);
+
+      await logOrderEvent(orderId, "escrow_released", "system", {
+        sellerId: orderData.sellerId,
+        ...escrowReleaseSplit(orderData),
+        automatic: true,
+        triggeredBy: "acceptance_window_elapsed",
+        acceptanceDeadline: orderData.acceptanceDeadline.toDate(),
+      });
+    }
+
+    if (snapshot.docs.length < ACCEPTANCE_PAGE_SIZE) break;
+    query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+  }
+
+  return { released, skipped, failed };
+}
+
+module.exports = {
+  releaseAcceptedOrders,
+};
@@ -0,0 +1,192 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("./auditLogger");
+const {
+  resolveActorRole,
+  assertCanCancelLineItem,
+  restoreOrderStock,
+} = require("./orderLifecycle");
+const { findOrderLine } = require("./orderBuilder");
+const { recordRefund } = require("../wallet/ledger");
+const { recalculateFeeBreakdown } = require("../wallet/commission");
+
+/**
+ * CANCEL ORDER ITEM
+ * Cancel one line item (or part of its quantity) of a pending/confirmed order,
+ * e.g. when the seller runs out of one product after confirming.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, required fields, quantity, user authentication
+ * 2. RULES: Same statuses/roles as cancelling the whole order (orderLifecycle.js
+ *    assertCanCancelLineItem); the last remaining item cannot be cancelled this way
+ * 3. TRANSACTION (atomic):
+ *    - Restore stock for the cancelled quantity only
+ *    - Reduce the line's quantity (the line is removed once it reaches 0)
+ *    - Recompute subtotal, totalAmount and feeBreakdown with the order's own rates
+ *      (the delivery fee stays as quoted)
+ *    - Paid orders: refund the cancelled amount out of escrow (escrow_refunded)
+ * 4. AUDIT LOGGING: order_item_cancelled (+ order_refunded for paid orders)
+ *
+ * Unpaid mobile-money orders: a payment intent created before the cancellation
+ * no longer matches totalAmount and is rejected by the webhook; the buyer pays
+ * through a new intent.
+ *
+ * Order fields written:
+ * - products, subtotal, totalAmount, feeBreakdown
+ * - cancelledAmount: total of all cancelled lines
+ * - cancelledItems: [{ productId, variantId, name, price, quantity, amount, refundAmount,
+ *                      reason, cancelledBy, cancelledAt }]
+ *
+ * Request Body:
+ * { orderId, productId, variantId?: string (required for products with variants),
+ *   quantity?: number (default: the whole line), reason?: string }
+ */
+exports.cancelOrderItem = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { orderId, productId, variantId = null, quantity, reason } = request.body;
+
+    if (!orderId || !productId) {
+      return response.status(400).json({ error: "Missing required fields: orderId and productId" });
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity <= 0)) {
+      return response.status(400).json({ error: "Invalid quantity: must be a positive whole number" });
+    }
+    if (reason !== undefined && typeof reason !== "string") {
+      return response.status(400).json({ error: "Invalid reason: must be a string" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      const role = resolveActorRole(orderData, userId, userData);
+      const requestedLine = findOrderLine(orderData, productId, variantId);
+      const cancelQuantity = quantity !== undefined ? quantity : (requestedLine ? requestedLine.quantity : 0);
+      const line = assertCanCancelLineItem(orderData, productId, cancelQuantity, role, variantId);
+
+      // Reads (product) happen inside restoreOrderStock before any write
+      // (the line carries its variantId, so the right variant's stock is restored)
+      await restoreOrderStock(
+        transaction, firestore, [{ ...line, quantity: cancelQuantity }], orderData.stockReservation
+      );
+
+      const products = orderData.products
+        .map(product => product === line
+          ? { ...product, quantity: product.quantity - cancelQuantity }
+          : product)
+        .filter(product => product.quantity > 0);
+
+      const feeBreakdown = recalculateFeeBreakdown(orderData.feeBreakdown, products, orderData.paymentMethod);
+      const amount = line.price * cancelQuantity;
+      const isPaid = orderData.paymentStatus === "paid";
+
+      if (isPaid) {
+        recordRefund(transaction, orderId, orderData, amount, userId);
+      }
+
+      transaction.update(orderRef, {
+        products,
+        subtotal: feeBreakdown.subtotal,
+        totalAmount: feeBreakdown.totalAmount,
+        feeBreakdown,
+        cancelledAmount: FieldValue.increment(amount),
+        cancelledItems: FieldValue.arrayUnion({
+          productId,
+          variantId: line.variantId || null,
+          name: line.name,
+          price: line.price,
+          quantity: cancelQuantity,
+          amount,
+          refundAmount: isPaid ? amount : 0,
+          reason: reason ? reason.trim() : null,
+          cancelledBy: userId,
+          cancelledAt: new Date(),
+        }),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return {
+        role,
+        line,
+        cancelQuantity,
+        amount,
+        isPaid,
+        paymentMethod: orderData.paymentMethod,
+        totalAmount: feeBreakdown.totalAmount,
+        remainingQuantity: line.quantity - cancelQuantity,
+      };
+    });
+
+    await logOrderEvent(orderId, "order_item_cancelled", userId, {
+      role: result.role,
+      productId,
+      variantId: result.line.variantId || null,
+      productName: result.line.name,
+      quantity: result.cancelQuantity,
+      remainingQuantity: result.remainingQuantity,
+      amount: result.amount,
+      newTotalAmount: result.totalAmount,
+      reason: reason ? reason.trim() : null,
+    });
+
+    if (result.isPaid) {
+      await logOrderEvent(orderId, "order_refunded", userId, {
+        refundedBy: userId,
+        refundedAmount: result.amount,
+        paymentMethod: result.paymentMethod,
+        triggeredBy: "item_cancellation",
+        orderFullyRefunded: false,
+      });
+    }
+
+    logger.info(`Cancelled ${result.cancelQuantity} x ${productId} on order ${orderId} by ${result.role} ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Order item cancelled",
+      orderId,
+      productId,
+      variantId: result.line.variantId || null,
+      quantity: result.cancelQuantity,
+      amount: result.amount,
+      refundAmount: result.isPaid ? result.amount : 0,
+      totalAmount: result.totalAmount,
+    });
+  } catch (error) {
+    logger.error("Error cancelling order item:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Unauthorized")) {
+      return response.status(403).json({ error: error.message });
+    }
+    if (error.message.startsWith("Cannot")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to cancel order item",
+      details: error.message,
+    });
+  }
+});
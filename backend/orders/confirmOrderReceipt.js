@@ -0,0 +1,119 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("./auditLogger");
+const {
+  resolveActorRole,
+  assertCanConfirmReceipt,
+  shouldAutoReleaseEscrow,
+  escrowReleaseFields,
+} = require("./orderLifecycle");
+const { recordEscrowMovements, escrowReleaseSplit } = require("../wallet/ledger");
+
+/**
+ * CONFIRM ORDER RECEIPT (Buyer)
+ * The buyer confirms a delivered order arrived as expected, which ends the
+ * acceptance window early and releases escrow to the seller.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, required fields (orderId), user authentication
+ * 2. AUTHORIZATION: Only the order's buyer (orderLifecycle.js assertCanConfirmReceipt)
+ * 3. TRANSACTION: Set buyerConfirmedAt and, when the order is paid and has no
+ *    escrow hold (open return/dispute), release escrow with the ledger entries
+ * 4. AUDIT LOGGING: receipt_confirmed (+ escrow_released)
+ *
+ * Unpaid or held orders keep buyerConfirmedAt and are released as soon as
+ * payment arrives or the hold is cleared.
+ *
+ * Request Body:
+ * { orderId }
+ */
+exports.confirmOrderReceipt = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { orderId } = request.body;
+    if (!orderId) {
+      return response.status(400).json({ error: "Missing required field: orderId" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      assertCanConfirmReceipt(orderData, resolveActorRole(orderData, userId, userData));
+
+      const updateData = {
+        buyerConfirmedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      const nextState = { ...orderData, buyerConfirmedAt: Timestamp.now() };
+      const released = shouldAutoReleaseEscrow(nextState);
+      if (released) {
+        Object.assign(updateData, escrowReleaseFields(userId));
+      }
+
+      transaction.update(orderRef, updateData);
+      recordEscrowMovements(transaction, orderId, orderData, updateData, userId);
+
+      return { orderData, released };
+    });
+
+    const { orderData, released } = result;
+
+    await logOrderEvent(orderId, "receipt_confirmed", userId, {
+      escrowReleased: released,
+    });
+
+    if (released) {
+      await logOrderEvent(orderId, "escrow_released", userId, {
+        sellerId: orderData.sellerId,
+        ...escrowReleaseSplit(orderData),
+        automatic: true,
+        triggeredBy: "buyer_confirmation",
+      });
+      logger.info(`Escrow released for order ${orderId} after buyer confirmed receipt`);
+    }
+
+    return response.json({
+      success: true,
+      message: "Receipt confirmed",
+      orderId,
+      escrowReleased: released,
+    });
+  } catch (error) {
+    logger.error("Error confirming order receipt:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Unauthorized")) {
+      return response.status(403).json({ error: error.message });
+    }
+    if (error.message.startsWith("Cannot")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to confirm order receipt",
+      details: error.message,
+    });
+  }
+});
@@ -4,7 +4,19 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth"); // Auth function verifying Firebase ID token
+const { withIdempotency } = require("./idempotency"); // Replays retried requests (Idempotency-Key header)
 const { logOrderEvent } = require("./auditLogger"); // Utility to log order events
+const {
+  VALID_PAYMENT_METHODS,
+  normalizeDeliveryAddress,
+  readOrderProducts,
+  buildOrderLines,
+  buildOrderDocument,
+  orderErrorStatus,
+} = require("./orderBuilder"); // Shared order building (also used by checkoutCart)
+const { reserveStock } = require("../products/inventory");
+const { loadCommissionRules, calculateFeeBreakdown } = require("../wallet/commission");
+const { loadShippingRates, quoteDeliveryFee } = require("../shipping/shippingRates");
 
 /**
  * CREATE ORDER
@@ -12,22 +24,27 @@ const { logOrderEvent } = require("./auditLogger"); // Utility to log order even
  * 
  * Pre-Transaction Validation:
  * - Request validation (method, fields, payment method)
+ * - Delivery address validation (region/township against the Myanmar dataset)
  * - Seller verification (exists, is seller)
  * - Product structure validation
  * 
  * Transaction (Atomic):
  * - Validates chat (if chatId provided)
  * - Validates products (stock, seller, status)
- * - Reduces stock
- * - Creates order document
+ * - Holds stock (reserved until payment / seller confirmation, see products/inventory.js)
+ * - Computes delivery fee from the seller's shipping rates (added to totalAmount)
+ * - Creates order document (with platform fee breakdown)
  * - Updates chat document (if chatId provided)
  * 
  * Post-Transaction:
  * - Logs order creation event
  * - Returns order details to client
+ * 
+ * Retries: an Idempotency-Key header replays the first response instead of
+ * creating a second order (see idempotency.js)
  */
 
-exports.createOrder = onRequest(async (request, response) => {
+exports.createOrder = onRequest(withIdempotency("createOrder", async (request, response) => {
     
   try {
     // Enforce HTTP method (security & clarity)
@@ -54,13 +71,13 @@ exports.createOrder = onRequest(async (request, response) => {
     if (!paymentMethod) {
       return response.status(400).json({ error: "Missing payment method" });
     }
-    if (!deliveryAddress || !deliveryAddress.street || !deliveryAddress.city || !deliveryAddress.phone) {
-      return response.status(400).json({ error: "Missing or invalid delivery address" });
+    const { address: normalizedAddress, error: addressError } = normalizeDeliveryAddress(deliveryAddress);
+    if (addressError) {
+      return response.status(400).json({ error: addressError });
     }
 
     // Validate payment method
-    const validPaymentMethods = ["COD", "KBZPay", "WavePay"];
-    if (!validPaymentMethods.includes(paymentMethod)) {
+    if (!VALID_PAYMENT_METHODS.includes(paymentMethod)) {
       return response.status(400).json({ error: "Invalid payment method" });
     }
 
@@ -91,8 +108,15 @@ exports.createOrder = onRequest(async (request, response) => {
     const firestore = admin.firestore();
     let orderId;
     let totalAmount = 0;
+    let deliveryFee = 0;
+    let paymentDueAt = null;
     let validatedProducts = [];
 
+    // Commission rules and the seller's shipping rates are read once, outside the
+    // transaction (configuration, rarely changes)
+    const commissionRules = await loadCommissionRules();
+    const shippingRates = await loadShippingRates(sellerId);
+
     try {
       await firestore.runTransaction(async (transaction) => {
         // CHAT INTEGRATION: Validate chat if chatId is provided (atomic validation)
@@ -118,83 +142,39 @@ exports.createOrder = onRequest(async (request, response) => {
           }
         }
 
-        // Read and validate products
-        const productRefs = products.map(item => 
-          firestore.collection("products").doc(item.productId)
-        );
-        const productDocs = await Promise.all(
-          productRefs.map(ref => transaction.get(ref))
-        );
-
-        validatedProducts = [];
-        totalAmount = 0;
-
-        for (let i = 0; i < products.length; i++) {
-          const item = products[i];
-          const productDoc = productDocs[i];
-
-          if (!productDoc.exists) {
-            throw new Error(`Product ${item.productId} not found`);
-          }
-          const productData = productDoc.data();
+        // Read and validate products (stock, seller, status)
+        const { productRefs, productDocs } = await readOrderProducts(transaction, firestore, products);
+        let subtotal;
+        ({ lineItems: validatedProducts, subtotal } = buildOrderLines(products, productDocs, sellerId));
 
-          // Validate product belongs to seller (atomic validation)
-          if (productData.sellerId !== sellerId) {
-            throw new Error(`Product ${item.productId} does not belong to seller`);
-          }
+        // Delivery fee (throws if the seller does not deliver to this township)
+        const deliveryQuote = quoteDeliveryFee(shippingRates, normalizedAddress, validatedProducts);
 
-          if (productData.status !== "active") {
-            throw new Error(`Product ${item.productId} is not available`);
-          }
-
-          if (productData.stock < item.quantity) {
-            throw new Error(
-              `Insufficient stock for ${productData.name}. Available: ${productData.stock}, Requested: ${item.quantity}`
-            );
-          }
-
-          const itemTotal = productData.price * item.quantity;
-          totalAmount += itemTotal;
-
-          validatedProducts.push({
-            productId: item.productId,
-            name: productData.name,
-            price: productData.price,
-            quantity: item.quantity,
-            imageURL: productData.imageURL || null,
-          });
-
-          transaction.update(productRefs[i], {
-            stock: FieldValue.increment(-item.quantity),
-            updatedAt: FieldValue.serverTimestamp(),
-          });
-        }
+        // Hold stock (all reads are done at this point)
+        reserveStock(transaction, productRefs, products);
 
         // Create order document atomically
         const orderRef = firestore.collection("orders").doc();
         orderId = orderRef.id;
-        const orderData = {
+        const orderData = buildOrderDocument({
+          orderId,
           buyerId,
           sellerId,
-          products: validatedProducts,
-          totalAmount,
+          lineItems: validatedProducts,
+          subtotal,
+          deliveryQuote,
           paymentMethod,
-          paymentStatus: "pending",
-          status: "pending",
+          deliveryAddress: normalizedAddress,
           orderSource,
-          chatId: chatId || null,
-          deliveryAddress: {
-            street: deliveryAddress.street,
-            city: deliveryAddress.city,
-            phone: deliveryAddress.phone,
-            notes: deliveryAddress.notes || "",
-          },
-          paymentConfirmation: null,
-          createdAt: FieldValue.serverTimestamp(),
-          updatedAt: FieldValue.serverTimestamp(),
-          orderId,
-        };
+          feeBreakdown: calculateFeeBreakdown(
+            validatedProducts, paymentMethod, commissionRules, deliveryQuote.deliveryFee
+          ),
+          chatId,
+        });
         transaction.set(orderRef, orderData);
+        totalAmount = orderData.totalAmount;
+        deliveryFee = orderData.deliveryFee;
+        paymentDueAt = orderData.paymentDueAt;
 
         // CHAT INTEGRATION: Update chat document with orderId (atomic with order creation)
         // This links the order to the chat bidirectionally
@@ -223,14 +203,9 @@ exports.createOrder = onRequest(async (request, response) => {
       });
 
       // Map error messages to appropriate HTTP status codes
-      if (err.message.includes("not found")) {
-        return response.status(404).json({ error: err.message });
-      }
-      if (err.message.includes("does not belong")) {
-        return response.status(403).json({ error: err.message });
-      }
-      if (err.message.includes("not available") || err.message.includes("Insufficient stock")) {
-        return response.status(400).json({ error: err.message });
+      const statusCode = orderErrorStatus(err.message);
+      if (statusCode !== 500) {
+        return response.status(statusCode).json({ error: err.message });
       }
 
       // Generic transaction error
@@ -244,6 +219,7 @@ exports.createOrder = onRequest(async (request, response) => {
     await logOrderEvent(orderId, "order_created", buyerId, {
       sellerId,
       totalAmount,
+      deliveryFee,
       paymentMethod,
       productCount: products.length,
       orderSource,
@@ -261,6 +237,8 @@ exports.createOrder = onRequest(async (request, response) => {
       message: "Order created successfully",
       orderId,
       totalAmount,
+      deliveryFee,
+      paymentDueAt, // unpaid KBZPay/WavePay orders are cancelled after this (null for COD)
     });
   } catch (error) {
     // Catch-all error handling
@@ -270,5 +248,5 @@ exports.createOrder = onRequest(async (request, response) => {
       details: error.message,
     });
   }
-});
+}));
 
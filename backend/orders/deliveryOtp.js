@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+const { isEmulator } = require("../payments/paymentConfig");
+
+/**
+ * DELIVERY OTP
+ * One-time code the buyer hands to the seller/courier at the door. Generated
+ * when the order is shipped, shown only to the buyer (getOrderById) and checked
+ * when the order is marked delivered with proofOfDelivery.otpCode. COD orders
+ * cannot be marked delivered without it, except by an admin override
+ * (updateOrderStatus, proofOfDelivery.otpOverrideReason).
+ *
+ * The code itself is never stored: it is derived from a server secret and a
+ * random nonce (HMAC), so the buyer can be shown it again, and only a salted
+ * hash is kept for verification.
+ *
+ * Delivery OTP Schema (deliveryOtps/{orderId}, server-only):
+ * {
+ *   orderId, buyerId,
+ *   nonce: string,        // random, derives the code together with the secret
+ *   codeHash: string,     // sha256(nonce:code)
+ *   attempts: number,     // failed verifications so far
+ *   maxAttempts: number,
+ *   expiresAt, issuedAt,
+ *   verifiedAt, verifiedBy
+ * }
+ *
+ * Variables:
+ * - DELIVERY_OTP_SECRET: HMAC secret (local fallback in the emulator only)
+ * - DELIVERY_OTP_TTL_HOURS: how long a code stays valid after shipping (default 168)
+ */
+
+const OTP_LENGTH = 6;
+const MAX_OTP_ATTEMPTS = 5;
+const LOCAL_OTP_SECRET = "local-delivery-otp-secret";
+
+function getOtpSecret() {
+  return process.env.DELIVERY_OTP_SECRET || (isEmulator() ? LOCAL_OTP_SECRET : null);
+}
+
+function getOtpTtlHours() {
+  return Number(process.env.DELIVERY_OTP_TTL_HOURS) || 168;
+}
+
+function getDeliveryOtpRef(orderId) {
+  return admin.firestore().collection("deliveryOtps").doc(orderId);
+}
+
+/**
+ * Derive the code for a nonce (HMAC-SHA256 → 6 digits)
+ */
+function deriveCode(orderId, nonce) {
+  const secret = getOtpSecret();
+  if (!secret) {
+    throw new Error("Delivery OTP secret not configured");
+  }
+  const digest = crypto.createHmac("sha256", secret).update(`${orderId}:${nonce}`).digest();
+  return String(digest.readUInt32BE(0) % 10 ** OTP_LENGTH).padStart(OTP_LENGTH, "0");
+}
+
+function hashCode(nonce, code) {
+  return crypto.createHash("sha256").update(`${nonce}:${code}`).digest("hex");
+}
+
+/**
+ * Queue a new delivery OTP for the order (replaces any previous one).
+ * Call next to the "shipped" order update, in the same batch or transaction.
+ */
+function issueDeliveryOtp(writer, orderId, buyerId) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const code = deriveCode(orderId, nonce);
+
+  writer.set(getDeliveryOtpRef(orderId), {
+    orderId,
+    buyerId,
+    nonce,
+    codeHash: hashCode(nonce, code),
+    attempts: 0,
+    maxAttempts: MAX_OTP_ATTEMPTS,
+    expiresAt: Timestamp.fromMillis(Date.now() + getOtpTtlHours() * 60 * 60 * 1000),
+    issuedAt: FieldValue.serverTimestamp(),
+    verifiedAt: null,
+    verifiedBy: null,
+  });
+}
+
+/**
+ * The buyer's view of the delivery OTP (null if none is pending)
+ *
+ * @returns {Promise<{ code: string, expiresAt, attemptsLeft: number }|null>}
+ */
+async function getDeliveryOtpForBuyer(orderId) {
+  const otpDoc = await getDeliveryOtpRef(orderId).get();
+  if (!otpDoc.exists) return null;
+
+  const otp = otpDoc.data();
+  if (otp.verifiedAt) return null;
+
+  return {
+    code: deriveCode(orderId, otp.nonce),
+    expiresAt: otp.expiresAt,
+    attemptsLeft: Math.max(otp.maxAttempts - otp.attempts, 0),
+  };
+}
+
+/**
+ * Check a submitted code inside the caller's transaction (the one that marks the
+ * order delivered). Reads the OTP record, so call it before any transaction
+ * write. Queues the record update: a matching code is marked used together with
+ * the delivered status, a wrong one counts an attempt - the caller then commits
+ * the transaction without the order update, so failed attempts are kept.
+ *
+ * @returns {Promise<{ verified: true } | { verified: false, reason: string, attemptsLeft: number }>}
+ *   reason: "not_issued" | "already_used" | "expired" | "locked" | "mismatch"
+ */
+async function verifyDeliveryOtp(transaction, orderId, code, actorId) {
+  const otpRef = getDeliveryOtpRef(orderId);
+  const otpDoc = await transaction.get(otpRef);
+  if (!otpDoc.exists) {
+    return { verified: false, reason: "not_issued", attemptsLeft: 0 };
+  }
+
+  const otp = otpDoc.data();
+  const attemptsLeft = Math.max(otp.maxAttempts - otp.attempts, 0);
+  if (otp.verifiedAt) {
+    return { verified: false, reason: "already_used", attemptsLeft };
+  }
+  if (otp.expiresAt.toMillis() < Date.now()) {
+    return { verified: false, reason: "expired", attemptsLeft };
+  }
+  if (attemptsLeft === 0) {
+    return { verified: false, reason: "locked", attemptsLeft };
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const received = Buffer.from(hashCode(otp.nonce, String(code).trim()), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) {
+    transaction.update(otpRef, { attempts: FieldValue.increment(1) });
+    return { verified: false, reason: "mismatch", attemptsLeft: attemptsLeft - 1 };
+  }
+
+  transaction.update(otpRef, {
+    verifiedAt: FieldValue.serverTimestamp(),
+    verifiedBy: actorId,
+  });
+  return { verified: true };
+}
+
+// Error messages for rejected codes (API responses). COD deliveries cannot fall
+// back to photo or signature proof: only an admin can confirm them without the code
+const OTP_FAILURE_MESSAGES = {
+  not_issued: "No delivery code was issued for this order",
+  already_used: "Delivery code was already used",
+  expired: "Delivery code has expired; ask an admin to confirm the delivery",
+  locked: "Too many incorrect delivery codes; ask an admin to confirm the delivery",
+  mismatch: "Incorrect delivery code",
+};
+
+module.exports = {
+  OTP_LENGTH,
+  MAX_OTP_ATTEMPTS,
+  OTP_FAILURE_MESSAGES,
+  getDeliveryOtpRef,
+  issueDeliveryOtp,
+  getDeliveryOtpForBuyer,
+  verifyDeliveryOtp,
+};
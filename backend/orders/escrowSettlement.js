@@ -0,0 +1,109 @@
+const { FieldValue } = require("firebase-admin/firestore");
+
+const {
+  clearEscrowHoldFields,
+  escrowReleaseFields,
+  shouldAutoReleaseEscrow,
+  isTerminalStatus,
+} = require("./orderLifecycle");
+const { orderLineKey } = require("./orderBuilder");
+const { STOCK_RESERVATION } = require("../products/inventory");
+const { recordEscrowMovements, recordRefund, escrowReleaseSplit } = require("../wallet/ledger");
+
+/**
+ * ESCROW SETTLEMENT
+ * Closes whatever placed an escrow hold on an order (a return, a dispute)
+ * inside the caller's transaction: refunds the buyer through the ledger,
+ * clears the hold and releases the remaining escrow when the order qualifies.
+ *
+ * Order fields written:
+ * - escrowHolds.{holdType} deleted (+ the caller's orderFields, e.g. activeReturnId: null)
+ * - refundedAmount, returnedQuantities.{orderLineKey}   (refunds only)
+ * - status/paymentStatus "refunded", refundedAt/By   (once fully refunded)
+ * - escrowReleased + escrowReleasedAt/By             (remaining escrow released)
+ * - stockReservation "released"                      (stock restored by the caller)
+ *
+ * @param {Object} writer - Firestore transaction (order already read)
+ * @param {Object} orderRef - Order document reference
+ * @param {Object} orderData - Order data read in the transaction
+ * @param {Object} options
+ * @param {string} options.holdType - Hold being cleared ("return", "dispute")
+ * @param {Object} options.orderFields - Extra order fields written with the settlement
+ * @param {number} options.refundAmount - Amount refunded to the buyer (0 for none)
+ * @param {Array} options.items - Returned items ({ productId, variantId, quantity }) being refunded
+ * @param {boolean} options.releaseToSeller - Release the remaining escrow even if the
+ *   order is not delivered yet (admin ruling); otherwise the usual automatic rule applies
+ * @param {boolean} options.stockRestored - The caller put the order's stock back on sale
+ *   (orderLifecycle.restoreOrderStock, read before any write), as a cancellation does
+ * @param {string} options.actorId - Who settled
+ * @returns {{ fullyRefunded: boolean, refund: Object|null, release: Object|null }}
+ */
+function settleEscrowHold(writer, orderRef, orderData, {
+  holdType,
+  orderFields = {},
+  refundAmount = 0,
+  items = [],
+  releaseToSeller = false,
+  stockRestored = false,
+  actorId,
+}) {
+  const updateData = {
+    ...orderFields,
+    ...clearEscrowHoldFields(holdType),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  const remainingHolds = { ...(orderData.escrowHolds || {}) };
+  delete remainingHolds[holdType];
+  const nextState = { ...orderData, ...orderFields, escrowHolds: remainingHolds };
+
+  if (stockRestored && orderData.stockReservation) {
+    updateData.stockReservation = STOCK_RESERVATION.RELEASED;
+  }
+
+  let refund = null;
+  if (refundAmount > 0) {
+    refund = recordRefund(writer, orderRef.id, orderData, refundAmount, actorId);
+
+    nextState.refundedAmount = (orderData.refundedAmount || 0) + refundAmount;
+    updateData.refundedAmount = nextState.refundedAmount;
+    for (const item of items) {
+      updateData[`returnedQuantities.${orderLineKey(item)}`] = FieldValue.increment(item.quantity);
+    }
+
+    if (nextState.refundedAmount >= orderData.totalAmount) {
+      nextState.status = "refunded";
+      nextState.paymentStatus = "refunded";
+      Object.assign(updateData, {
+        status: "refunded",
+        paymentStatus: "refunded",
+        refundedAt: FieldValue.serverTimestamp(),
+        refundedBy: actorId,
+      });
+    }
+  }
+
+  const canRelease = releaseToSeller
+    ? nextState.paymentStatus === "paid" && !nextState.escrowReleased &&
+      !isTerminalStatus(nextState.status) && Object.keys(remainingHolds).length === 0
+    : shouldAutoReleaseEscrow(nextState);
+
+  let release = null;
+  if (canRelease) {
+    const releasedBy = releaseToSeller ? actorId : "system";
+    const releaseFields = escrowReleaseFields(releasedBy);
+    Object.assign(updateData, releaseFields);
+    recordEscrowMovements(writer, orderRef.id, nextState, releaseFields, releasedBy);
+    release = escrowReleaseSplit(nextState);
+  }
+
+  writer.update(orderRef, updateData);
+
+  return {
+    fullyRefunded: nextState.status === "refunded",
+    refund,
+    release,
+  };
+}
+
+module.exports = { settleEscrowHold };
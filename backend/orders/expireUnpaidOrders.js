@@ -0,0 +1,22 @@
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+
+const { expireUnpaidOrders } = require("./orderExpiry");
+
+/**
+ * EXPIRE UNPAID ORDERS (Scheduled)
+ * Every 10 minutes, cancels orders whose stock hold expired (KBZPay/WavePay
+ * orders not paid before their paymentDueAt, COD orders the seller never
+ * confirmed) and releases their stock (see orderExpiry.js).
+ */
+exports.expireUnpaidOrders = onSchedule({
+  schedule: "every 10 minutes",
+  timeZone: "Asia/Yangon",
+}, async () => {
+  const { expired, failed } = await expireUnpaidOrders();
+
+  logger.info(`Unpaid order expiry: ${expired.length} cancelled, ${failed.length} failed`, {
+    expired,
+    failed,
+  });
+});
@@ -3,6 +3,7 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth");
+const { getDeliveryOtpForBuyer } = require("./deliveryOtp");
 
 /**
  * GET ORDER BY ID
@@ -11,6 +12,9 @@ const { verifyUser } = require("../auth");
  *  - the buyer (who placed the order),
  *  - the seller (who owns the order’s products),
  *  - or an admin (for moderation/disputes).
+ *
+ * The buyer of a shipped order also gets `deliveryOtp` ({ code, expiresAt, attemptsLeft }),
+ * the code to hand over at delivery (see deliveryOtp.js). Nobody else sees it.
  */
 exports.getOrderById = onRequest(async (request, response) => {
   try {
@@ -46,12 +50,19 @@ exports.getOrderById = onRequest(async (request, response) => {
       return response.status(403).json({ error: "Unauthorized: you can only view your own orders" });
     }
 
+    // Delivery OTP: buyer only, while the order is on its way
+    const buyerView = {};
+    if (isBuyer && orderData.status === "shipped") {
+      buyerView.deliveryOtp = await getDeliveryOtpForBuyer(orderId);
+    }
+
     // Success — return the full order details
     return response.json({
       success: true,
       order: {
         orderId: orderDoc.id,
         ...orderData,   // include all order data// spread rest of Firestore data (timestamps, products, etc.)
+        ...buyerView,
       },
     });
   } catch (error) {
@@ -3,14 +3,35 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth");
+const { ORDER_STATUSES } = require("./orderLifecycle");
+const {
+  parseLimit,
+  parseSort,
+  parseDateParam,
+  parseEnumParam,
+  fetchPage,
+} = require("../utils/pagination");
+
+const ORDER_SORTS = {
+  newest: { field: "createdAt", direction: "desc" },
+  oldest: { field: "createdAt", direction: "asc" },
+};
 
 /**
  * GET USER ORDERS
- * Returns all orders for a user based on their role (buyer or seller)
+ * Returns a user's orders based on their role (buyer or seller), one page at a time
  * 
  * Note: Users can only be either buyer OR seller, not both.
  * The function automatically determines which orders to fetch based on the user's role.
- * Status filtering should be handled on the frontend.
+ *
+ * Query parameters (all optional):
+ * - status: one order status
+ * - dateFrom / dateTo: createdAt range (ISO 8601 or epoch milliseconds, inclusive)
+ * - sort: newest (default) | oldest
+ * - limit, cursor: see utils/pagination.js (response: nextCursor, null on the last page)
+ *
+ * Orders placed together through checkoutCart share a checkoutId; they are also
+ * summarized in `checkouts` so the client can show one multi-seller purchase together.
  */
 exports.getUserOrders = onRequest(async (request, response) => {
   try {
@@ -19,44 +40,41 @@ exports.getUserOrders = onRequest(async (request, response) => {
       return response.status(405).json({ error: "Use GET method" });
     }
 
+    // Filters, sort and paging
+    const status = parseEnumParam(request.query.status, "status", ORDER_STATUSES);
+    const dateFrom = parseDateParam(request.query.dateFrom, "dateFrom");
+    const dateTo = parseDateParam(request.query.dateTo, "dateTo");
+    if (dateFrom && dateTo && dateFrom.toMillis() > dateTo.toMillis()) {
+      return response.status(400).json({ error: "Invalid date range: dateFrom is after dateTo" });
+    }
+    const sort = parseSort(request.query.sort, ORDER_SORTS, "newest");
+    const limit = parseLimit(request.query.limit);
+
     // Verify user authentication
     const { uid: userId, user: userData } = await verifyUser(request);
 
     // Determine which orders to fetch based on user's role
-    let orders = [];
-
-    if (userData.role === "buyer") {
-      // User is a buyer - fetch orders where they are the buyer
-      const buyerQuery = admin.firestore().collection("orders")
-        .where("buyerId", "==", userId)
-        .orderBy("createdAt", "desc");
-      
-      const snapshot = await buyerQuery.get();
-      orders = snapshot.docs.map(doc => ({
-        orderId: doc.id,
-        ...doc.data(),
-        userRole: "buyer",
-      }));
-
-    } else if (userData.role === "seller") {
-      // User is a seller - fetch orders where they are the seller
-      const sellerQuery = admin.firestore().collection("orders")
-        .where("sellerId", "==", userId)
-        .orderBy("createdAt", "desc");
-      
-      const snapshot = await sellerQuery.get();
-      orders = snapshot.docs.map(doc => ({
-        orderId: doc.id,
-        ...doc.data(),
-        userRole: "seller",
-      }));
-
-    } else {
+    // (buyer: orders where they are the buyer, seller: where they are the seller)
+    if (userData.role !== "buyer" && userData.role !== "seller") {
       // User has no role or invalid role
       return response.status(400).json({ 
         error: "User must have a valid role (buyer or seller)" 
       });
     }
+    const userRole = userData.role;
+
+    let query = admin.firestore().collection("orders")
+      .where(userRole === "buyer" ? "buyerId" : "sellerId", "==", userId);
+    if (status) query = query.where("status", "==", status);
+    if (dateFrom) query = query.where("createdAt", ">=", dateFrom);
+    if (dateTo) query = query.where("createdAt", "<=", dateTo);
+
+    const { docs, nextCursor } = await fetchPage(query, { sort, limit, cursor: request.query.cursor });
+    const orders = docs.map(doc => ({
+      orderId: doc.id,
+      ...doc.data(),
+      userRole,
+    }));
 
     // Return results
     if (orders.length === 0) {
@@ -64,7 +82,10 @@ exports.getUserOrders = onRequest(async (request, response) => {
         success: true,
         message: "No orders found",
         orders: [],
+        checkouts: [],
         count: 0,
+        nextCursor: null,
+        hasMore: false,
       });
     }
 
@@ -72,9 +93,17 @@ exports.getUserOrders = onRequest(async (request, response) => {
       success: true,
       count: orders.length,
       orders,
+      checkouts: groupOrdersByCheckout(orders),
+      nextCursor,
+      hasMore: nextCursor !== null,
     });
   } catch (error) {
     logger.error("Error fetching user orders:", error);
+
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
     return response.status(500).json({
       error: "Failed to fetch orders",
       details: error.message,
@@ -82,3 +111,36 @@ exports.getUserOrders = onRequest(async (request, response) => {
   }
 });
 
+
+/**
+ * HELPER FUNCTION: Group orders created by the same cart checkout
+ * Returns one summary per checkoutId, in the order of the page (a checkout can
+ * span two pages; each page then summarizes the orders it contains)
+ */
+function groupOrdersByCheckout(orders) {
+  const checkouts = {};
+
+  for (const order of orders) {
+    if (!order.checkoutId) continue;
+
+    if (!checkouts[order.checkoutId]) {
+      checkouts[order.checkoutId] = {
+        checkoutId: order.checkoutId,
+        orderIds: [],
+        sellerIds: [],
+        totalAmount: 0,
+        createdAt: order.createdAt,
+      };
+    }
+
+    const checkout = checkouts[order.checkoutId];
+    checkout.orderIds.push(order.orderId);
+    checkout.sellerIds.push(order.sellerId);
+    checkout.totalAmount += order.totalAmount;
+  }
+
+  return Object.values(checkouts).map(checkout => ({
+    ...checkout,
+    orderCount: checkout.orderIds.length,
+  }));
+}
@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+
+/**
+ * IDEMPOTENCY KEYS
+ * Lets clients on flaky mobile connections retry state-changing requests
+ * (createOrder, simulatePayment, updateOrderStatus, releaseEscrow) without
+ * creating duplicate orders, payments or stock decrements.
+ *
+ * The client sends an `Idempotency-Key` header (any unique string, e.g. a UUID,
+ * reused for every retry of the same action). The first response per key, user
+ * and endpoint is stored and replayed on retries with an
+ * `Idempotent-Replayed: true` header. Requests without the header run as before.
+ *
+ * - Same key, different request body → 422 (keys must not be reused for other actions)
+ * - Same key while the first request is still running → 409 (retry later)
+ * - 5xx responses are not stored, so the retry runs the request again
+ * - Same key after the first request stopped without storing its result (crash,
+ *   timeout) → 409 for as long as the key lives: the request may have committed,
+ *   so it is never run again; the client checks the state and uses a new key
+ *
+ * Idempotency Key Schema (idempotencyKeys/{sha256(userId:endpoint:key)}, server-only):
+ * {
+ *   userId, endpoint,
+ *   requestHash: string,     // sha256 of the canonical JSON request body
+ *   status: "in_progress" | "completed",
+ *   statusCode: number,      // completed only
+ *   responseBody: string,    // JSON, completed only
+ *   lockedAt, completedAt,
+ *   expiresAt                // keys can be reused after this (Firestore TTL field)
+ * }
+ */
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = 24;
+// A request still "in_progress" after this is assumed to have stopped (crashed or
+// its result could not be stored); it is not run again under the same key
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+// Attempts to store the result before giving up (the key then stays "in_progress")
+const STORE_ATTEMPTS = 3;
+
+/**
+ * JSON with sorted object keys, so equal bodies hash equally
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Reserve the key for this request (transaction), or report how to answer instead
+ *
+ * @returns {Promise<{ state: "new" } | { state: "replay", record: Object } | { state: "conflict" } |
+ *   { state: "in_progress" } | { state: "abandoned" }>}
+ */
+async function claimKey(keyRef, { userId, endpoint, requestHash }) {
+  const firestore = admin.firestore();
+  const now = Date.now();
+
+  return firestore.runTransaction(async (transaction) => {
+    const keyDoc = await transaction.get(keyRef);
+    const record = keyDoc.exists ? keyDoc.data() : null;
+
+    if (record && record.expiresAt.toMillis() > now) {
+      if (record.requestHash !== requestHash) {
+        return { state: "conflict" };
+      }
+      if (record.status === "completed") {
+        return { state: "replay", record };
+      }
+      // The first request may still commit, or may have committed without its
+      // result being stored: never run it a second time
+      if (record.lockedAt && record.lockedAt.toMillis() > now - LOCK_TIMEOUT_MS) {
+        return { state: "in_progress" };
+      }
+      return { state: "abandoned" };
+    }
+
+    transaction.set(keyRef, {
+      userId,
+      endpoint,
+      requestHash,
+      status: "in_progress",
+      statusCode: null,
+      responseBody: null,
+      lockedAt: Timestamp.fromMillis(now),
+      completedAt: null,
+      expiresAt: Timestamp.fromMillis(now + KEY_TTL_HOURS * 60 * 60 * 1000),
+    });
+    return { state: "new" };
+  });
+}
+
+/**
+ * Run a key write, retrying transient failures (100 ms, 200 ms, ... apart)
+ */
+async function retryWrite(write) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (error) {
+      if (attempt >= STORE_ATTEMPTS) throw error;
+      await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Wrap an onRequest handler so it honours the Idempotency-Key header.
+ *
+ * The handler must answer with response.json() (all endpoints here do); the
+ * JSON is held back until the result is stored, so a replay always matches
+ * what the first client received.
+ *
+ * @param {string} endpoint - Endpoint name (keys are scoped per endpoint)
+ * @param {Function} handler - async (request, response) handler
+ * @returns {Function} async (request, response) handler
+ */
+function withIdempotency(endpoint, handler) {
+  return async (request, response) => {
+    const key = request.headers[IDEMPOTENCY_HEADER];
+    if (key === undefined) {
+      return handler(request, response);
+    }
+    if (typeof key !== "string" || key.trim() === "" || key.length > MAX_KEY_LENGTH) {
+      return response.status(400).json({
+        error: `Invalid Idempotency-Key header: must be 1-${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    // Keys are scoped per user; unauthenticated requests are left to the handler (401)
+    let userId;
+    try {
+      ({ uid: userId } = await verifyUser(request));
+    } catch (error) {
+      return handler(request, response);
+    }
+
+    const keyRef = admin.firestore().collection("idempotencyKeys")
+      .doc(sha256(`${userId}:${endpoint}:${key}`));
+    const requestHash = sha256(canonicalJson({ method: request.method, body: request.body || {} }));
+
+    let claim;
+    try {
+      claim = await claimKey(keyRef, { userId, endpoint, requestHash });
+    } catch (error) {
+      logger.error(`Failed to check Idempotency-Key for ${endpoint}:`, error);
+      return response.status(500).json({
+        error: "Failed to check Idempotency-Key",
+        details: error.message,
+      });
+    }
+
+    if (claim.state === "conflict") {
+      return response.status(422).json({
+        error: "Idempotency-Key was already used with a different request",
+      });
+    }
+    if (claim.state === "in_progress") {
+      return response.status(409).json({
+        error: "A request with this Idempotency-Key is still being processed; retry later",
+      });
+    }
+    if (claim.state === "abandoned") {
+      return response.status(409).json({
+        error: "The request with this Idempotency-Key did not finish and may have been applied; " +
+          "check its result before retrying with a new key",
+      });
+    }
+    if (claim.state === "replay") {
+      logger.info(`Replaying ${endpoint} response for user ${userId} (Idempotency-Key)`);
+      response.set("Idempotent-Replayed", "true");
+      return response.status(claim.record.statusCode).json(JSON.parse(claim.record.responseBody));
+    }
+
+    // Run the handler, holding back its JSON response until it is stored
+    const sendJson = response.json.bind(response);
+    let captured = null;
+    response.json = (body) => {
+      captured = { statusCode: response.statusCode, body };
+      return response;
+    };
+
+    try {
+      await handler(request, response);
+    } catch (error) {
+      await keyRef.delete().catch(() => {});
+      throw error;
+    } finally {
+      response.json = sendJson;
+    }
+
+    if (!captured) {
+      // Answered some other way (not replayable); free the key
+      await keyRef.delete().catch(() => {});
+      return;
+    }
+
+    try {
+      await retryWrite(() => captured.statusCode < 500
+        ? keyRef.update({
+          status: "completed",
+          statusCode: captured.statusCode,
+          responseBody: JSON.stringify(captured.body),
+          completedAt: FieldValue.serverTimestamp(),
+        })
+        : keyRef.delete());
+    } catch (error) {
+      // The request itself went through; the key stays "in_progress", so retries
+      // get 409 and never run it again (see claimKey)
+      logger.error(`Failed to store Idempotency-Key result for ${endpoint}:`, error);
+    }
+
+    return sendJson(captured.body);
+  };
+}
+
+module.exports = {
+  withIdempotency,
+};
@@ -1,10 +1,14 @@
 module.exports = {
   ...require("./createOrder"),
   ...require("./updateOrderStatus"),
+  ...require("./cancelOrderItem"),
   ...require("./getUserOrders"),
   ...require("./getOrderById"),
   ...require("./getOrderLogs"),
   ...require("./simulatePayment"),
   ...require("./releaseEscrow"),
+  ...require("./expireUnpaidOrders"),
+  ...require("./confirmOrderReceipt"),
+  ...require("./releaseAcceptedEscrow"),
 };
 
@@ -0,0 +1,258 @@
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+const { resolveLocation } = require("../shipping/myanmarLocations");
+const { getUnpaidOrderTimeoutMinutes } = require("../payments/paymentConfig");
+const { stockHoldFields } = require("../products/inventory");
+
+/**
+ * ORDER BUILDER
+ * Shared helpers for turning requested line items into order documents.
+ * Used by createOrder (single seller) and checkoutCart (one order per seller).
+ *
+ * Firestore transactions require all reads before all writes, so the helpers are
+ * split into read (readOrderProducts), validate (buildOrderLines) and write
+ * (products/inventory.reserveStock, buildOrderDocument) steps that callers sequence themselves.
+ */
+
+const VALID_PAYMENT_METHODS = ["COD", "KBZPay", "WavePay"];
+
+/**
+ * Validate delivery address structure (street, city, region, township, phone required)
+ */
+function isValidDeliveryAddress(deliveryAddress) {
+  return !!(deliveryAddress && deliveryAddress.street && deliveryAddress.city &&
+    deliveryAddress.region && deliveryAddress.township && deliveryAddress.phone);
+}
+
+/**
+ * Validate a delivery address against the Myanmar region/township dataset
+ * and return it in the stored form (canonical names + ids).
+ *
+ * @returns {{ address: Object } | { error: string }}
+ */
+function normalizeDeliveryAddress(deliveryAddress) {
+  if (!isValidDeliveryAddress(deliveryAddress)) {
+    return { error: "Missing or invalid delivery address" };
+  }
+
+  const location = resolveLocation(deliveryAddress.region, deliveryAddress.township);
+  if (location.error) {
+    return { error: `Missing or invalid delivery address: ${location.error}` };
+  }
+
+  return {
+    address: {
+      street: deliveryAddress.street,
+      township: location.township.name,
+      townshipId: location.township.id,
+      city: deliveryAddress.city,
+      region: location.region.name,
+      regionId: location.region.id,
+      phone: deliveryAddress.phone,
+      notes: deliveryAddress.notes || "",
+    },
+  };
+}
+
+/**
+ * Validate requested line items: [{ productId, variantId?, quantity }]
+ */
+function isValidOrderItems(items) {
+  if (!items || !Array.isArray(items) || items.length === 0) return false;
+  return items.every(item => item.productId && item.quantity && item.quantity > 0);
+}
+
+/**
+ * Read product documents for the requested items inside a transaction
+ *
+ * @returns {Promise<{ productRefs: Array, productDocs: Array }>}
+ */
+async function readOrderProducts(transaction, firestore, items) {
+  const productRefs = items.map(item =>
+    firestore.collection("products").doc(item.productId)
+  );
+  const productDocs = await Promise.all(
+    productRefs.map(ref => transaction.get(ref))
+  );
+  return { productRefs, productDocs };
+}
+
+/**
+ * Validate products (exists, seller, status, stock) and snapshot them as order lines.
+ * Products with variants (products/variants.js) need a variantId; the line then
+ * snapshots the variant's sku, attributes and price, and its stock is checked.
+ * Throws Error with messages mapped to HTTP codes by the callers.
+ *
+ * @returns {{ lineItems: Array, subtotal: number }}
+ */
+function buildOrderLines(items, productDocs, sellerId) {
+  const lineItems = [];
+  let subtotal = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const productDoc = productDocs[i];
+
+    if (!productDoc.exists) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+    const productData = productDoc.data();
+
+    // Validate product belongs to seller (atomic validation)
+    if (productData.sellerId !== sellerId) {
+      throw new Error(`Product ${item.productId} does not belong to seller`);
+    }
+
+    if (productData.status !== "active") {
+      throw new Error(`Product ${item.productId} is not available`);
+    }
+
+    // Variant: price and stock of the chosen variant
+    let variant = null;
+    if (productData.variants) {
+      if (!item.variantId) {
+        throw new Error(`Product ${item.productId} requires a variantId`);
+      }
+      variant = productData.variants[item.variantId];
+      if (!variant) {
+        throw new Error(`Variant ${item.variantId} of product ${item.productId} not found`);
+      }
+    } else if (item.variantId) {
+      throw new Error(`Product ${item.productId} has no variants`);
+    }
+    const stockSource = variant || productData;
+    const displayName = variant
+      ? `${productData.name} (${Object.values(variant.attributes).join(", ")})`
+      : productData.name;
+
+    if (stockSource.stock < item.quantity) {
+      throw new Error(
+        `Insufficient stock for ${displayName}. Available: ${stockSource.stock}, Requested: ${item.quantity}`
+      );
+    }
+
+    const price = variant ? variant.price : productData.price;
+    subtotal += price * item.quantity;
+
+    const line = {
+      productId: item.productId,
+      name: productData.name,
+      price,
+      quantity: item.quantity,
+      category: productData.category || "Uncategorized", // commission is per category
+      weightKg: productData.weightKg || 0, // delivery fee weight tiers
+      imageURL: productData.imageURL || null,
+    };
+    if (variant) {
+      // Snapshot of the variant as ordered
+      line.variantId = variant.variantId;
+      line.sku = variant.sku;
+      line.attributes = variant.attributes;
+    }
+    lineItems.push(line);
+  }
+
+  return { lineItems, subtotal };
+}
+
+/**
+ * Key identifying an order line: the productId, or productId:variantId for
+ * variant lines (one product can be ordered in several variants)
+ */
+function orderLineKey(line) {
+  return line.variantId ? `${line.productId}:${line.variantId}` : line.productId;
+}
+
+/**
+ * Find the order line of a product (and variant, for products with variants)
+ */
+function findOrderLine(orderData, productId, variantId = null) {
+  return orderData.products.find(line =>
+    line.productId === productId && (line.variantId || null) === (variantId || null)
+  );
+}
+
+/**
+ * Build the order document stored in orders/{orderId}
+ * totalAmount = subtotal (items) + deliveryQuote.deliveryFee
+ * paymentDueAt = when an unpaid KBZPay/WavePay order is cancelled automatically
+ *   (null for COD, which is paid on delivery; see orderExpiry.js)
+ * stockReservation/stockHoldExpiresAt = the stock hold placed by reserveStock
+ *   (products/inventory.js)
+ *
+ * @param {Object} deliveryAddress - Normalized address (normalizeDeliveryAddress)
+ * @param {Object} deliveryQuote - Result of quoteDeliveryFee (shipping/shippingRates.js)
+ */
+function buildOrderDocument({
+  orderId,
+  buyerId,
+  sellerId,
+  lineItems,
+  subtotal,
+  deliveryQuote,
+  paymentMethod,
+  deliveryAddress,
+  orderSource,
+  feeBreakdown,
+  chatId = null,
+  checkoutId = null,
+}) {
+  const paymentDueAt = paymentMethod === "COD"
+    ? null
+    : Timestamp.fromMillis(Date.now() + getUnpaidOrderTimeoutMinutes() * 60 * 1000);
+
+  return {
+    buyerId,
+    sellerId,
+    products: lineItems,
+    subtotal,
+    deliveryFee: deliveryQuote.deliveryFee,
+    deliveryQuote: {
+      zoneId: deliveryQuote.zoneId,
+      zoneName: deliveryQuote.zoneName,
+      weightKg: deliveryQuote.weightKg,
+      freeShippingApplied: deliveryQuote.freeShippingApplied,
+    },
+    totalAmount: subtotal + deliveryQuote.deliveryFee,
+    feeBreakdown, // platform commission/fees withheld from the seller (wallet/commission.js)
+    paymentMethod,
+    paymentStatus: "pending",
+    paymentDueAt,
+    ...stockHoldFields(paymentMethod, paymentDueAt),
+    status: "pending",
+    orderSource,
+    chatId: chatId || null,
+    checkoutId: checkoutId || null,
+    deliveryAddress,
+    paymentConfirmation: null,
+    escrowReleased: false, // queried by the acceptance window job (acceptanceWindow.js)
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    orderId,
+  };
+}
+
+/**
+ * Map order-building errors to HTTP status codes
+ */
+function orderErrorStatus(message) {
+  if (message.includes("not found")) return 404;
+  if (message.includes("does not belong")) return 403;
+  if (message.includes("requires a variantId") || message.includes("has no variants")) return 400;
+  if (message.includes("not available") || message.includes("Insufficient stock")) return 400;
+  if (message.includes("does not deliver") || message.includes("exceeds the seller's maximum")) return 400;
+  return 500;
+}
+
+module.exports = {
+  VALID_PAYMENT_METHODS,
+  isValidDeliveryAddress,
+  normalizeDeliveryAddress,
+  isValidOrderItems,
+  readOrderProducts,
+  buildOrderLines,
+  orderLineKey,
+  findOrderLine,
+  buildOrderDocument,
+  orderErrorStatus,
+};
@@ -0,0 +1,148 @@
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { logOrderEvent } = require("./auditLogger");
+const {
+  assertTransition,
+  buildEffectUpdates,
+  restoreOrderStock,
+} = require("./orderLifecycle");
+const { recordEscrowMovements } = require("../wallet/ledger");
+const { STOCK_RESERVATION } = require("../products/inventory");
+const { notifyUsers } = require("../notifications/notify");
+
+/**
+ * ORDER EXPIRY
+ * Orders hold stock when they are created (products/inventory.js). If the hold
+ * is not committed before stockHoldExpiresAt, the order is cancelled so the
+ * stock goes back on sale:
+ * - KBZPay/WavePay: the buyer never paid (the hold ends at paymentDueAt, set by
+ *   orderBuilder.buildOrderDocument from UNPAID_ORDER_TIMEOUT_MINUTES)
+ * - COD: the seller never confirmed the order (COD_STOCK_HOLD_HOURS)
+ *
+ * Each order is cancelled the same way as through updateOrderStatus: the
+ * "system" role's cancel transition, stock release and the order update in
+ * one transaction. Both parties are notified and the cancellation is logged
+ * as order_expired by "system".
+ *
+ * An order that cannot be cancelled (e.g. a product was deleted) gets
+ * expiryFailedAt and drops out of the query, so it cannot hold up the rest;
+ * an admin has to resolve it.
+ */
+
+// Orders processed per run; the rest are picked up by the next run
+const EXPIRY_BATCH_SIZE = 100;
+
+// Why an order's hold ran out
+function expiryReason(orderData) {
+  return orderData.paymentMethod === "COD" ? "stock_hold_expired" : "payment_timeout";
+}
+
+/**
+ * Cancel one expired order. Re-checks everything inside the transaction so a
+ * payment or seller confirmation after the query still wins.
+ *
+ * @returns {Promise<boolean>} true if the order was cancelled
+ */
+async function expireOrder(orderRef, now) {
+  const firestore = admin.firestore();
+
+  return firestore.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    const orderData = orderDoc.data();
+
+    if (!orderData || orderData.stockReservation !== STOCK_RESERVATION.HELD ||
+        orderData.paymentStatus !== "pending" ||
+        orderData.stockHoldExpiresAt.toMillis() > now.toMillis()) {
+      return false;
+    }
+
+    const transition = assertTransition(orderData, "cancelled", "system");
+
+    await restoreOrderStock(transaction, firestore, orderData.products, orderData.stockReservation);
+
+    const updateData = {
+      status: transition.finalStatus,
+      cancelledAt: FieldValue.serverTimestamp(),
+      cancelledBy: "system",
+      cancellationReason: expiryReason(orderData),
+      updatedAt: FieldValue.serverTimestamp(),
+      ...buildEffectUpdates(transition, orderData, "system"),
+    };
+    transaction.update(orderRef, updateData);
+    recordEscrowMovements(transaction, orderRef.id, orderData, updateData, "system");
+
+    return true;
+  });
+}
+
+/**
+ * Cancel every order whose stock hold has expired.
+ *
+ * @param {Object} options
+ * @param {Timestamp} options.now - Reference time (default: current time)
+ * @param {number} options.limit - Maximum orders handled in this run
+ * @returns {Promise<{ expired: string[], failed: string[] }>}
+ */
+async function expireUnpaidOrders({ now = Timestamp.now(), limit = EXPIRY_BATCH_SIZE } = {}) {
+  const snapshot = await admin.firestore().collection("orders")
+    .where("stockReservation", "==", STOCK_RESERVATION.HELD)
+    .where("expiryFailedAt", "==", null)
+    .where("stockHoldExpiresAt", "<=", now)
+    .orderBy("stockHoldExpiresAt", "asc")
+    .limit(limit)
+    .get();
+
+  const expired = [];
+  const failed = [];
+
+  for (const orderDoc of snapshot.docs) {
+    const orderId = orderDoc.id;
+    try {
+      const cancelled = await expireOrder(orderDoc.ref, now);
+      if (!cancelled) continue;
+      expired.push(orderId);
+    } catch (error) {
+      // e.g. a product was deleted: keep the order for an admin to look at,
+      // out of later runs so it does not keep the oldest slots of every batch
+      logger.error(`Failed to expire order ${orderId}:`, error);
+      failed.push(orderId);
+      await orderDoc.ref.update({
+        expiryFailedAt: FieldValue.serverTimestamp(),
+        expiryError: error.message,
+      });
+      await logOrderEvent(orderId, "order_expiry_failed", "system", {
+        error: error.message,
+      });
+      continue;
+    }
+
+    const orderData = orderDoc.data();
+    const reason = expiryReason(orderData);
+
+    await logOrderEvent(orderId, "order_expired", "system", {
+      oldStatus: orderData.status,
+      newStatus: "cancelled",
+      paymentMethod: orderData.paymentMethod,
+      stockHoldExpiresAt: orderData.stockHoldExpiresAt.toDate(),
+      triggeredBy: reason,
+    });
+
+    await notifyUsers([orderData.buyerId, orderData.sellerId], {
+      type: "order_expired",
+      title: "Order cancelled",
+      body: reason === "payment_timeout"
+        ? `Order ${orderId} was cancelled because the ${orderData.paymentMethod} payment was not received in time.`
+        : `Order ${orderId} was cancelled because the seller did not confirm it in time.`,
+      orderId,
+    });
+  }
+
+  return { expired, failed };
+}
+
+module.exports = {
+  EXPIRY_BATCH_SIZE,
+  expireUnpaidOrders,
+};
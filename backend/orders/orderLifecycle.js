@@ -0,0 +1,458 @@
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+const { STOCK_RESERVATION, releaseStock } = require("../products/inventory");
+const { findOrderLine } = require("./orderBuilder");
+
+/**
+ * ORDER LIFECYCLE (State Machine)
+ * Single source of truth for order statuses, which role may move an order
+ * between them, and which side effects each transition triggers.
+ *
+ * Every order endpoint (updateOrderStatus, simulatePayment, releaseEscrow)
+ * consults this module instead of re-implementing its own status checks.
+ *
+ * Lifecycle:
+ *   pending → confirmed → shipped → delivered
+ *   pending | confirmed → cancelled (unpaid) or refunded (paid)
+ *   pending | confirmed: single line items can be cancelled (orders/cancelOrderItem)
+ *
+ * Notes:
+ * - "refunded" is never requested directly: it is the final status of a
+ *   cancellation when the order was already paid, or of a delivered order
+ *   whose return was refunded in full (returns/issueReturnRefund).
+ * - cancelled and refunded are terminal states.
+ * - The "system" role is the scheduled expiry of stock holds (orderExpiry.js):
+ *   unpaid KBZPay/WavePay orders and COD orders the seller never confirmed.
+ * - Stock placed on hold at checkout is committed when the order is paid or the
+ *   seller confirms a COD order (products/inventory.js).
+ * - Escrow holds (orders/{orderId}.escrowHolds.{type}) freeze escrow release
+ *   while e.g. a return is open; release resumes once every hold is cleared.
+ * - Delivery starts the buyer acceptance window (acceptanceDeadline). Escrow is
+ *   released when the buyer confirms receipt (confirmOrderReceipt) or, without
+ *   a complaint, once the window has passed (acceptanceWindow.js, scheduled).
+ */
+
+// Hours the buyer has after delivery to confirm receipt or complain
+// (BUYER_ACCEPTANCE_WINDOW_HOURS, default 72; 0 releases escrow on delivery)
+function getAcceptanceWindowHours() {
+  const configured = process.env.BUYER_ACCEPTANCE_WINDOW_HOURS;
+  return configured !== undefined && configured !== "" && !isNaN(Number(configured))
+    ? Number(configured)
+    : 72;
+}
+
+const ORDER_STATUSES = ["pending", "confirmed", "shipped", "delivered", "cancelled", "refunded"];
+const TERMINAL_STATUSES = ["cancelled", "refunded"];
+
+// Side effects a transition can trigger (applied by the endpoint performing it)
+const EFFECTS = {
+  RESTORE_STOCK: "restore_stock", // give held/sold stock back to products
+  COMMIT_STOCK: "commit_stock", // COD: the seller's confirmation turns held stock into sold stock
+  REFUND_PAYMENT: "refund_payment", // mark a paid order as refunded
+  CONFIRM_COD_PAYMENT: "confirm_cod_payment", // cash collected on delivery
+  START_ACCEPTANCE_WINDOW: "start_acceptance_window", // buyer may confirm/complain until acceptanceDeadline
+  RELEASE_ESCROW: "release_escrow", // pay out to the seller once delivered, paid and accepted by the buyer
+};
+
+const CANCEL_EFFECTS = [EFFECTS.RESTORE_STOCK, EFFECTS.REFUND_PAYMENT];
+
+/**
+ * Allowed transitions: TRANSITIONS[currentStatus][requestedStatus]
+ * - roles: who may perform the transition
+ * - effects: side effects applied atomically with the status change
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ["seller", "admin"], effects: [EFFECTS.COMMIT_STOCK] },
+    cancelled: { roles: ["buyer", "seller", "admin", "system"], effects: CANCEL_EFFECTS },
+  },
+  confirmed: {
+    confirmed: { roles: ["seller", "admin"], effects: [] }, // re-confirming is a no-op
+    shipped: { roles: ["seller", "admin"], effects: [] },
+    cancelled: { roles: ["buyer", "seller", "admin", "system"], effects: CANCEL_EFFECTS },
+  },
+  shipped: {
+    delivered: {
+      roles: ["seller", "admin"],
+      effects: [EFFECTS.CONFIRM_COD_PAYMENT, EFFECTS.START_ACCEPTANCE_WINDOW, EFFECTS.RELEASE_ESCROW],
+    },
+  },
+  delivered: {},
+  cancelled: {},
+  refunded: {},
+};
+
+// Role-specific wording for rejected requests (kept stable for API clients)
+const ROLE_DENIED_MESSAGES = {
+  buyer: "Unauthorized: buyers can only cancel orders, not update other statuses",
+};
+
+/**
+ * Determine the caller's role relative to an order.
+ * Returns "admin", "seller", "buyer" or null (not a party to the order).
+ */
+function resolveActorRole(orderData, userId, userData) {
+  if (userData && userData.role === "admin") return "admin";
+  if (userData && userData.role === "seller" && orderData.sellerId === userId) return "seller";
+  if (orderData.buyerId === userId) return "buyer";
+  return null;
+}
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Statuses that can reach the requested status (used for error messages)
+ */
+function sourceStatusesFor(requestedStatus) {
+  return Object.keys(TRANSITIONS).filter(
+    from => from !== requestedStatus && TRANSITIONS[from][requestedStatus]
+  );
+}
+
+/**
+ * Statuses a role is allowed to request from any state
+ */
+function targetStatusesForRole(role) {
+  const targets = new Set();
+  for (const from of Object.keys(TRANSITIONS)) {
+    for (const [to, rule] of Object.entries(TRANSITIONS[from])) {
+      if (rule.roles.includes(role)) targets.add(to);
+    }
+  }
+  return targets;
+}
+
+/**
+ * Resolve the status actually stored for a requested status.
+ * Cancelling a paid order results in "refunded".
+ */
+function resolveFinalStatus(requestedStatus, orderData) {
+  if (requestedStatus === "cancelled" && orderData.paymentStatus === "paid") {
+    return "refunded";
+  }
+  return requestedStatus;
+}
+
+/**
+ * Validate a requested status change.
+ * Throws an Error whose message starts with "Unauthorized" for permission
+ * problems (→ 403) and a descriptive message for invalid transitions (→ 400).
+ *
+ * @returns {{ from: string, to: string, finalStatus: string, effects: string[] }}
+ */
+function assertTransition(orderData, requestedStatus, role) {
+  const from = orderData.status;
+
+  if (!role) {
+    throw new Error("Unauthorized: you can only update your own orders");
+  }
+
+  // Orders are created as "pending" and never move back to it
+  if (!ORDER_STATUSES.includes(requestedStatus) || requestedStatus === ORDER_STATUSES[0]) {
+    throw new Error(`Invalid status transition: cannot move order from '${from}' to '${requestedStatus}'`);
+  }
+
+  if (!targetStatusesForRole(role).has(requestedStatus) && requestedStatus !== "refunded") {
+    throw new Error(
+      ROLE_DENIED_MESSAGES[role] || `Unauthorized: ${role} cannot set order status to '${requestedStatus}'`
+    );
+  }
+
+  if (requestedStatus === "refunded") {
+    throw new Error(
+      "Cannot set refunded status directly. Refunded status is automatically set when cancelling an order with paid payment."
+    );
+  }
+
+  if (isTerminalStatus(from)) {
+    if (requestedStatus === "cancelled") {
+      throw new Error("Order is already cancelled or refunded");
+    }
+    throw new Error(`Cannot update order: order is already ${from}`);
+  }
+
+  const rule = (TRANSITIONS[from] || {})[requestedStatus];
+  if (!rule) {
+    if (requestedStatus === "cancelled") {
+      const allowed = sourceStatusesFor("cancelled").map(s => `'${s}'`).join(" or ");
+      throw new Error(`Cannot cancel order: order must be in ${allowed} status to cancel`);
+    }
+    throw new Error(`Invalid status transition: cannot move order from '${from}' to '${requestedStatus}'`);
+  }
+
+  if (!rule.roles.includes(role)) {
+    throw new Error(
+      ROLE_DENIED_MESSAGES[role] || `Unauthorized: ${role} cannot move order from '${from}' to '${requestedStatus}'`
+    );
+  }
+
+  // An open dispute decides where the money goes (disputes/resolveDispute)
+  if (requestedStatus === "cancelled" && orderData.activeDisputeId) {
+    throw new Error("Cannot cancel order: a dispute is open for this order");
+  }
+
+  return {
+    from,
+    to: requestedStatus,
+    finalStatus: resolveFinalStatus(requestedStatus, orderData),
+    effects: rule.effects,
+  };
+}
+
+function hasEffect(transition, effect) {
+  return transition.effects.includes(effect);
+}
+
+/**
+ * LINE ITEM RULES
+ * Cancelling part of an order follows the whole-order cancellation rule
+ * (same statuses and roles) and must leave at least one item on the order.
+ * Throws "Unauthorized..." (→ 403) or "Cannot..." (→ 400).
+ *
+ * @param {string|null} variantId - Variant of the line (products with variants)
+ * @returns {Object} The order line being cancelled
+ */
+function assertCanCancelLineItem(orderData, productId, quantity, role, variantId = null) {
+  if (!role) {
+    throw new Error("Unauthorized: you can only update your own orders");
+  }
+
+  const rule = (TRANSITIONS[orderData.status] || {}).cancelled;
+  if (!rule) {
+    const allowed = sourceStatusesFor("cancelled").map(s => `'${s}'`).join(" or ");
+    throw new Error(`Cannot cancel item: order must be in ${allowed} status`);
+  }
+  if (!rule.roles.includes(role)) {
+    throw new Error(`Unauthorized: ${role} cannot cancel items of this order`);
+  }
+  if (orderData.activeDisputeId) {
+    throw new Error("Cannot cancel item: a dispute is open for this order");
+  }
+
+  const line = findOrderLine(orderData, productId, variantId);
+  if (!line) {
+    const variantText = variantId ? ` (variant ${variantId})` : "";
+    throw new Error(`Cannot cancel item: product ${productId}${variantText} is not part of this order`);
+  }
+  if (quantity > line.quantity) {
+    throw new Error(`Cannot cancel item: only ${line.quantity} of ${line.name} left on this order`);
+  }
+  const remainingQuantity = orderData.products.reduce((sum, product) => sum + product.quantity, 0);
+  if (remainingQuantity - quantity === 0) {
+    throw new Error("Cannot cancel item: it is the last item on the order, cancel the order instead");
+  }
+
+  return line;
+}
+
+/**
+ * PAYMENT RULES
+ * Throws if payment cannot be confirmed for this order.
+ */
+function assertCanConfirmPayment(orderData) {
+  if (isTerminalStatus(orderData.status)) {
+    throw new Error(
+      `Cannot confirm payment: Order is ${orderData.status}. Payment cannot be confirmed for ${orderData.status} orders.`
+    );
+  }
+  if (orderData.paymentStatus === "paid") {
+    throw new Error("Order is already paid");
+  }
+  if (orderData.paymentStatus === "refunded") {
+    throw new Error("Cannot confirm payment for a refunded order");
+  }
+  if (orderData.paymentMethod === "COD") {
+    throw new Error("COD payment is confirmed on delivery, not through this endpoint");
+  }
+}
+
+/**
+ * Types of the escrow holds currently placed on an order ("return", ...)
+ */
+function activeEscrowHolds(orderData) {
+  return Object.keys(orderData.escrowHolds || {});
+}
+
+/**
+ * Order fields placing a hold of `type` (merge into an update)
+ */
+function escrowHoldFields(type, details) {
+  return {
+    [`escrowHolds.${type}`]: { ...details, heldAt: FieldValue.serverTimestamp() },
+  };
+}
+
+/**
+ * Order fields clearing the hold of `type`
+ */
+function clearEscrowHoldFields(type) {
+  return {
+    [`escrowHolds.${type}`]: FieldValue.delete(),
+  };
+}
+
+/**
+ * ESCROW RULES
+ * Throws if escrow cannot be released for this order.
+ */
+function assertCanReleaseEscrow(orderData) {
+  if (isTerminalStatus(orderData.status)) {
+    throw new Error(
+      `Cannot release escrow: Order is ${orderData.status}. Escrow cannot be released for ${orderData.status} orders.`
+    );
+  }
+  if (orderData.escrowReleased) {
+    throw new Error("Escrow already released for this order");
+  }
+  const holds = activeEscrowHolds(orderData);
+  if (holds.length > 0) {
+    throw new Error(`Cannot release escrow: escrow is on hold (${holds.join(", ")})`);
+  }
+}
+
+/**
+ * The buyer has accepted the delivery: confirmed receipt, or let the acceptance
+ * window pass. Orders delivered before acceptance windows existed have no
+ * acceptanceDeadline and count as accepted.
+ */
+function isDeliveryAccepted(orderState, nowMillis = Date.now()) {
+  if (orderState.buyerConfirmedAt) return true;
+  if (!orderState.acceptanceDeadline) return true;
+  return orderState.acceptanceDeadline.toMillis() <= nowMillis;
+}
+
+/**
+ * Automatic escrow release condition: delivered AND paid AND not yet released
+ * AND no escrow hold AND accepted by the buyer. `orderState` should reflect the
+ * order after the pending update is applied.
+ */
+function shouldAutoReleaseEscrow(orderState, nowMillis = Date.now()) {
+  return orderState.status === "delivered" &&
+    orderState.paymentStatus === "paid" &&
+    !orderState.escrowReleased &&
+    activeEscrowHolds(orderState).length === 0 &&
+    isDeliveryAccepted(orderState, nowMillis);
+}
+
+/**
+ * BUYER ACCEPTANCE RULES
+ * Throws if the caller cannot confirm receipt of the order.
+ */
+function assertCanConfirmReceipt(orderData, role) {
+  if (role !== "buyer") {
+    throw new Error("Unauthorized: only the buyer can confirm receipt of an order");
+  }
+  if (orderData.status !== "delivered") {
+    throw new Error(`Cannot confirm receipt: order is ${orderData.status}, not delivered`);
+  }
+  if (orderData.buyerConfirmedAt) {
+    throw new Error("Cannot confirm receipt: receipt already confirmed");
+  }
+}
+
+function escrowReleaseFields(releasedBy) {
+  return {
+    escrowReleased: true,
+    escrowReleasedAt: FieldValue.serverTimestamp(),
+    escrowReleasedBy: releasedBy,
+  };
+}
+
+/**
+ * Build the order fields written by the side effects of a transition.
+ * Product documents are not touched here: stock restoration needs transactional
+ * reads (restoreOrderStock()) and the COD stock commit is written by the caller
+ * (products/inventory.commitReservedStock).
+ */
+function buildEffectUpdates(transition, orderData, actorId) {
+  const updates = {};
+
+  if (hasEffect(transition, EFFECTS.RESTORE_STOCK) && orderData.stockReservation) {
+    updates.stockReservation = STOCK_RESERVATION.RELEASED;
+  }
+
+  if (hasEffect(transition, EFFECTS.REFUND_PAYMENT) && transition.finalStatus === "refunded") {
+    updates.paymentStatus = "refunded";
+    updates.refundedAt = FieldValue.serverTimestamp();
+    updates.refundedBy = actorId;
+  }
+
+  if (hasEffect(transition, EFFECTS.CONFIRM_COD_PAYMENT) &&
+      orderData.paymentMethod === "COD" && orderData.paymentStatus === "pending") {
+    updates.paymentStatus = "paid";
+  }
+
+  if (hasEffect(transition, EFFECTS.START_ACCEPTANCE_WINDOW)) {
+    updates.acceptanceDeadline = Timestamp.fromMillis(
+      Date.now() + getAcceptanceWindowHours() * 60 * 60 * 1000
+    );
+  }
+
+  if (hasEffect(transition, EFFECTS.RELEASE_ESCROW)) {
+    const nextState = {
+      ...orderData,
+      status: transition.finalStatus,
+      paymentStatus: updates.paymentStatus || orderData.paymentStatus,
+      acceptanceDeadline: updates.acceptanceDeadline || orderData.acceptanceDeadline,
+    };
+    if (shouldAutoReleaseEscrow(nextState)) {
+      Object.assign(updates, escrowReleaseFields("system"));
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Restore stock for every line of an order inside a transaction.
+ * Performs all reads before writes (Firestore transaction requirement), so call
+ * it before any other transaction.update/set in the same transaction.
+ *
+ * @param {string|undefined} stockReservation - The order's stockReservation ("held"
+ *   stock leaves reservedStock, "committed" stock leaves soldCount)
+ */
+async function restoreOrderStock(transaction, firestore, products, stockReservation) {
+  const productRefs = products.map(product =>
+    firestore.collection("products").doc(product.productId)
+  );
+  const productDocs = await Promise.all(
+    productRefs.map(ref => transaction.get(ref))
+  );
+
+  for (let i = 0; i < products.length; i++) {
+    if (!productDocs[i].exists) {
+      throw new Error(
+        `Cannot restore stock: Product ${products[i].productId} not found. Order status update aborted.`
+      );
+    }
+  }
+
+  releaseStock(transaction, productRefs, products, stockReservation);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  EFFECTS,
+  TRANSITIONS,
+  resolveActorRole,
+  isTerminalStatus,
+  resolveFinalStatus,
+  assertTransition,
+  hasEffect,
+  assertCanCancelLineItem,
+  assertCanConfirmPayment,
+  activeEscrowHolds,
+  escrowHoldFields,
+  clearEscrowHoldFields,
+  assertCanReleaseEscrow,
+  getAcceptanceWindowHours,
+  isDeliveryAccepted,
+  shouldAutoReleaseEscrow,
+  assertCanConfirmReceipt,
+  escrowReleaseFields,
+  buildEffectUpdates,
+  restoreOrderStock,
+};
@@ -0,0 +1,21 @@
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+
+const { releaseAcceptedOrders } = require("./acceptanceWindow");
+
+/**
+ * RELEASE ACCEPTED ESCROW (Scheduled)
+ * Every hour, releases escrow for delivered orders whose buyer acceptance
+ * window passed without a confirmation or complaint (see acceptanceWindow.js).
+ */
+exports.releaseAcceptedEscrow = onSchedule({
+  schedule: "every 60 minutes",
+  timeZone: "Asia/Yangon",
+}, async () => {
+  const { released, skipped, failed } = await releaseAcceptedOrders();
+
+  logger.info(`Acceptance window: ${released.length} released, ${skipped} skipped, ${failed.length} failed`, {
+    released,
+    failed,
+  });
+});
@@ -4,7 +4,10 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth");
+const { withIdempotency } = require("./idempotency");
 const { logOrderEvent } = require("./auditLogger");
+const { assertCanReleaseEscrow, escrowReleaseFields } = require("./orderLifecycle");
+const { recordEscrowMovements, escrowReleaseSplit } = require("../wallet/ledger");
 
 /**
  * RELEASE ESCROW (Manual Override)
@@ -15,18 +18,24 @@ const { logOrderEvent } = require("./auditLogger");
  * 2. AUTHORIZATION: Verify user is admin (only admins can manually release escrow)
  * 3. SAFETY VALIDATION: Reject cancelled/refunded orders (defensive safety)
  * 4. ESCROW STATUS VALIDATION: Check if escrow already released (prevent duplicates)
- * 5. TRANSACTION: Atomically release escrow (prevents race conditions)
+ * 5. TRANSACTION: Atomically release escrow and credit the seller wallet (prevents race conditions)
  * 6. AUDIT LOGGING: Log escrow release event
  * 7. RESPONSE: Return success with escrow release details
  * 
+ * Accepts an Idempotency-Key header: retries replay the first response (idempotency.js)
+ * 
  * Note: Escrow is automatically released when order status becomes "delivered"
  * and payment is confirmed. This function is only needed for manual override
  * in special cases (e.g., if automatic release failed).
+ *
+ * The seller wallet is credited the net amount (totalAmount less any refunds and the
+ * platform fee);
+ * the platform share is recorded as a separate platform_fee ledger entry.
  * 
  * Assumption: Admin only calls this function when order is delivered and paid.
  * Minimal validation is kept for safety (cancelled/refunded orders, already released).
  */
-exports.releaseEscrow = onRequest(async (request, response) => {
+exports.releaseEscrow = onRequest(withIdempotency("releaseEscrow", async (request, response) => {
   try {
     // Only allow POST requests
     if (request.method !== "POST") {
@@ -60,42 +69,37 @@ exports.releaseEscrow = onRequest(async (request, response) => {
       }
 
       const orderData = orderDoc.data();
-      const currentStatus = orderData.status;
 
-      // SAFETY VALIDATION: Reject cancelled or refunded orders (defensive safety)
-      // This protects against edge cases (race conditions, admin mistakes, bugs)
-      // Escrow should never be released for cancelled or refunded orders
-      if (currentStatus === "cancelled" || currentStatus === "refunded") {
-        throw new Error(`Cannot release escrow: Order is ${currentStatus}. Escrow cannot be released for ${currentStatus} orders.`);
-      }
-
-      // ESCROW STATUS VALIDATION: Check if escrow already released (prevent duplicates)
-      // Critical check to prevent duplicate escrow releases (race condition protection)
-      if (orderData.escrowReleased) {
-        throw new Error("Escrow already released for this order");
-      }
+      // SAFETY VALIDATION: Reject cancelled/refunded orders and already released escrow
+      // (race condition protection) - rules live in orderLifecycle.js
+      assertCanReleaseEscrow(orderData);
 
       // Note: We assume admin only calls this when order is delivered and paid.
       // No explicit validation for "delivered" or "paid" status to avoid redundancy.
       // The cancelled/refunded check above provides defensive safety.
 
       // All conditions met — mark escrow as released within transaction
-      transaction.update(orderRef, {
-        escrowReleased: true,
-        escrowReleasedAt: FieldValue.serverTimestamp(),
-        escrowReleasedBy: userId,
+      const updateData = {
+        ...escrowReleaseFields(userId),
         updatedAt: FieldValue.serverTimestamp(),
-      });
+      };
+      transaction.update(orderRef, updateData);
+
+      // Ledger: move the funds from escrow to the seller wallet
+      recordEscrowMovements(transaction, orderId, orderData, updateData, userId);
     });
 
     // After transaction succeeds, fetch order data for logging and response
     const orderDoc = await orderRef.get();
     const orderData = orderDoc.data();
+    const { amount, platformFee, sellerAmount } = escrowReleaseSplit(orderData);
 
-    // Log escrow release
+    // Log escrow release (net seller amount + platform share)
     await logOrderEvent(orderId, "escrow_released", userId, {
       sellerId: orderData.sellerId,
-      amount: orderData.totalAmount,
+      amount,
+      sellerAmount,
+      platformFee,
       manual: true,
       triggeredBy: "admin_override",
     });
@@ -106,7 +110,9 @@ exports.releaseEscrow = onRequest(async (request, response) => {
       success: true,
       message: "Escrow released successfully",
       orderId,
-      amount: orderData.totalAmount,
+      amount,
+      sellerAmount,
+      platformFee,
       sellerId: orderData.sellerId,
     });
   } catch (error) {
@@ -126,5 +132,5 @@ exports.releaseEscrow = onRequest(async (request, response) => {
       details: error.message,
     });
   }
-});
+}));
 
@@ -1,35 +1,53 @@
 const { onRequest } = require("firebase-functions/v2/https");
-const { FieldValue } = require("firebase-admin/firestore");
 const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth");
-const { logOrderEvent } = require("./auditLogger");
+const { withIdempotency } = require("./idempotency");
+const { isEmulator } = require("../payments/paymentConfig");
+const {
+  buildPaymentConfirmationUpdate,
+  logPaymentConfirmed,
+} = require("../payments/paymentConfirmation");
+const { recordEscrowMovements } = require("../wallet/ledger");
+const { commitReservedStock } = require("../products/inventory");
 
 /**
- * SIMULATE PAYMENT
+ * SIMULATE PAYMENT (Emulator-only shim)
  * This function mocks payment confirmation for mobile money transactions.
  * - COD (Cash on Delivery) is confirmed automatically after delivery, so this endpoint rejects COD.
+ * - Only available when running in the Functions emulator. In production the buyer
+ *   cannot self-declare a transactionId: payments are confirmed by the signed provider
+ *   webhook (see payments/createPaymentIntent.js and payments/paymentWebhook.js).
  * 
  * FUNCTION FLOW:
+ * 0. ENVIRONMENT: Reject outside the emulator
  * 1. VALIDATION: HTTP method, required fields (orderId, transactionId), user authentication
  * 2. AUTHORIZATION: Verify buyer owns the order
  * 3. ORDER STATUS VALIDATION: Reject cancelled/refunded orders
  * 4. PAYMENT STATUS VALIDATION: Reject already paid or refunded orders
  * 5. PAYMENT METHOD VALIDATION: Reject COD (confirmed on delivery)
- * 6. TRANSACTION: Atomically confirm payment and release escrow (if delivered)
+ * 6. TRANSACTION: Atomically confirm payment, commit the held stock, post escrow ledger entries
+ *    and release escrow (if delivered)
  * 7. AUDIT LOGGING: Log payment confirmation and escrow release (if applicable)
  * 8. RESPONSE: Return success with payment confirmation details
  * 
- * Future: Can be replaced by real KBZPay / WaveMoney API webhooks.
+ * Accepts an Idempotency-Key header: retries replay the first response (idempotency.js)
  */
-exports.simulatePayment = onRequest(async (request, response) => {
+exports.simulatePayment = onRequest(withIdempotency("simulatePayment", async (request, response) => {
   try {
     // Only allow POST requests
     if (request.method !== "POST") {
       return response.status(405).json({ error: "Use POST method" });
     }
 
+    // Emulator-only: buyers must never be able to self-confirm payments in production
+    if (!isEmulator()) {
+      return response.status(403).json({
+        error: "simulatePayment is only available in the emulator. Use createPaymentIntent instead.",
+      });
+    }
+
     // Verify user authentication
     const { uid: userId } = await verifyUser(request);
 
@@ -60,83 +78,40 @@ exports.simulatePayment = onRequest(async (request, response) => {
       }
 
       const orderData = orderDoc.data();
-      const currentStatus = orderData.status;
-      const currentPaymentStatus = orderData.paymentStatus;
 
       // AUTHORIZATION: Ensure only the buyer who placed this order can simulate payment
       if (orderData.buyerId !== userId) {
         throw new Error("Unauthorized: you can only confirm payment for your own orders");
       }
 
-      // ORDER STATUS VALIDATION: Reject cancelled or refunded orders
-      // Payment cannot be confirmed for orders that are cancelled or refunded
-      if (currentStatus === "cancelled" || currentStatus === "refunded") {
-        throw new Error(`Cannot confirm payment: Order is ${currentStatus}. Payment cannot be confirmed for ${currentStatus} orders.`);
-      }
-
-      // PAYMENT STATUS VALIDATION: Reject already paid or refunded orders
-      if (currentPaymentStatus === "paid") {
-        throw new Error("Order is already paid");
-      }
-      if (currentPaymentStatus === "refunded") {
-        throw new Error("Cannot confirm payment for a refunded order");
-      }
-
-      // PAYMENT METHOD VALIDATION: COD payments are confirmed after delivery, not here
-      if (orderData.paymentMethod === "COD") {
-        throw new Error("COD payment is confirmed on delivery, not through this endpoint");
-      }
+      // ORDER/PAYMENT VALIDATION + update data (shared with paymentWebhook):
+      // rejects cancelled/refunded orders, already paid or refunded payments, and COD
+      const updateData = buildPaymentConfirmationUpdate(orderId, orderData, {
+        transactionId, // Required - validated above
+        receiptId,
+        source: "simulated",
+      });
 
-      // Prepare payment confirmation data
-      const paymentConfirmation = {
-        receiptId: receiptId || `RECEIPT_${orderId}_${Date.now()}`,
-        paidAt: FieldValue.serverTimestamp(),
-        transactionId: transactionId, // Required - validated above
-      };
-
-      // Prepare update data
-      const updateData = {
-        paymentStatus: "paid",
-        paymentConfirmation,
-        updatedAt: FieldValue.serverTimestamp(),
-      };
-
-      // AUTOMATIC ESCROW RELEASE: Release escrow when order is delivered and payment is confirmed
-      // This handles the case where payment is confirmed after delivery
-      // Escrow is released automatically when: status = "delivered" AND paymentStatus = "paid"
-      const finalPaymentStatus = "paid"; // Payment will be confirmed in this transaction
-      if (currentStatus === "delivered" && finalPaymentStatus === "paid" && !orderData.escrowReleased) {
-        updateData.escrowReleased = true;
-        updateData.escrowReleasedAt = FieldValue.serverTimestamp();
-        updateData.escrowReleasedBy = "system"; // Automated release
-      }
+      // Held stock is sold once the order is paid (products/inventory.js)
+      Object.assign(updateData, commitReservedStock(transaction, orderData));
 
       // Update order within transaction (atomic with validation checks)
       transaction.update(orderRef, updateData);
+
+      // Ledger: funds held in escrow (and released, if the order was already delivered)
+      recordEscrowMovements(transaction, orderId, orderData, updateData, userId);
     });
 
     // After transaction succeeds, fetch order data for logging and response
     const orderDoc = await orderRef.get();
     const orderData = orderDoc.data();
 
-    // Log payment event
-    await logOrderEvent(orderId, "payment_confirmed", userId, {
-      paymentMethod: orderData.paymentMethod,
-      transactionId: transactionId,
-      amount: orderData.totalAmount,
+    // Log payment event (and automatic escrow release, if any)
+    await logPaymentConfirmed(orderId, userId, orderData, {
+      transactionId,
+      source: "simulated",
     });
 
-    // Log escrow release if it was automatically released
-    if (orderData.status === "delivered" && orderData.escrowReleased) {
-      await logOrderEvent(orderId, "escrow_released", "system", {
-        sellerId: orderData.sellerId,
-        amount: orderData.totalAmount,
-        automatic: true,
-        triggeredBy: "payment_confirmation_after_delivery",
-      });
-      logger.info(`Escrow automatically released for order ${orderId} after payment confirmation (order already delivered)`);
-    }
-
     logger.info(`Payment confirmed for order ${orderId} by buyer ${userId}`);
 
     return response.json({
@@ -171,5 +146,5 @@ exports.simulatePayment = onRequest(async (request, response) => {
       details: error.message,
     });
   }
-});
+}));
 
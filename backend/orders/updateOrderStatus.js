@@ -4,7 +4,20 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifyUser } = require("../auth");
+const { withIdempotency } = require("./idempotency");
 const { logOrderEvent } = require("./auditLogger");
+const {
+  ORDER_STATUSES,
+  EFFECTS,
+  resolveActorRole,
+  assertTransition,
+  hasEffect,
+  buildEffectUpdates,
+  restoreOrderStock,
+} = require("./orderLifecycle");
+const { recordEscrowMovements, escrowReleaseSplit } = require("../wallet/ledger");
+const { issueDeliveryOtp, verifyDeliveryOtp, OTP_FAILURE_MESSAGES } = require("./deliveryOtp");
+const { commitReservedStock } = require("../products/inventory");
 
 /**
  * UPDATE ORDER STATUS
@@ -13,27 +26,39 @@ const { logOrderEvent } = require("./auditLogger");
  * 
  * FUNCTION FLOW:
  * 1. VALIDATION: HTTP method, required fields, valid statuses, user authentication
- * 2. AUTHORIZATION: Check user role (buyer/seller/admin) and permissions
- * 3. STATUS VALIDATION: Validate status transitions (prevent invalid changes)
+ * 2. AUTHORIZATION: Resolve caller role (buyer/seller/admin) relative to the order
+ * 3. STATUS VALIDATION: Validate the transition against the order lifecycle (orderLifecycle.js)
  * 4. FINAL STATUS: Determine final status
  * 5. UPDATE DATA: Prepare update data with status-specific fields:
- *    - Shipped: tracking number (required)
- *    - Delivered: proof of delivery (required), COD payment confirmation, escrow release
+ *    - Shipped: tracking number (required), delivery OTP issued to the buyer (deliveryOtp.js)
+ *    - Delivered: proof of delivery (required; an otpCode must match the buyer's
+ *      delivery OTP, failed attempts are logged and limited; COD orders need the
+ *      verified OTP, photo/signature are extra proof, and only an admin can
+ *      confirm without it via otpOverrideReason), COD payment confirmation, buyer
+ *      acceptance window (acceptanceDeadline; escrow is released when the buyer
+ *      confirms receipt or the window passes, see confirmOrderReceipt / acceptanceWindow.js)
  *    - Cancelled: cancelledAt timestamp (set when cancellation is requested)
  *    - Refunded: refundedAt, refundedBy, paymentStatus (set when paid order is cancelled)
  *      Note: Refunded orders also have cancelledAt (cancellation was requested)
- * 6. STOCK RESTORATION: Restore stock atomically if cancelling pending/confirmed orders
- * 7. UPDATE ORDER: Update order status (with or without transaction)
+ * 6. SIDE EFFECTS: Apply the transition's declared effects (refund, COD payment,
+ *    acceptance window, escrow release, stock restoration, COD stock commit on
+ *    confirmation - atomically with the status change)
+ * 7. UPDATE ORDER: Read the order, validate the transition and write the status
+ *    together with stock and escrow ledger entries (refund, COD payment held and
+ *    released) in one transaction, so concurrent requests cannot apply it twice
  * 8. AUDIT LOGGING: Log all status changes, refunds, tracking, delivery proof, escrow releases
  * 9. RESPONSE: Return success with final status
  * 
- * Status Rules:
+ * Accepts an Idempotency-Key header: retries replay the first response (idempotency.js)
+ * 
+ * Status Rules (declared in orderLifecycle.js):
+ * - pending → confirmed → shipped → delivered, no skipping steps
  * - Cancelled: Can only be set if order is pending or confirmed (before shipping)
  *   - If payment was paid → Status becomes "refunded" (payment refunded)
  *   - If payment was not paid → Status becomes "cancelled" (payment stays pending)
  * - Stock restoration: Always occurs for cancelled/refunded orders (pending/confirmed only)
  */
-exports.updateOrderStatus = onRequest(async (request, response) => {
+exports.updateOrderStatus = onRequest(withIdempotency("updateOrderStatus", async (request, response) => {
   try {
     // Only allow PATCH or POST requests for safety and clarity
     if (request.method !== "PATCH" && request.method !== "POST") {
@@ -48,94 +73,15 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
       return response.status(400).json({ error: "Missing required fields: orderId and status" });
     }
 
-    // Define valid statuses to prevent invalid transitions
-    const validStatuses = ["pending", "confirmed", "shipped", "delivered", "cancelled", "refunded"];
-    if (!validStatuses.includes(status)) {
+    // Reject unknown statuses before touching Firestore
+    if (!ORDER_STATUSES.includes(status)) {
       return response.status(400).json({ error: "Invalid order status" });
     }
 
     // Verify user
     const { uid: userId, user: userData } = await verifyUser(request);
 
-    // Get order document from Firestore
-    const orderRef = admin.firestore().collection("orders").doc(orderId);
-    const orderDoc = await orderRef.get();
-
-    // Check if order document exists
-    if (!orderDoc.exists) {
-      return response.status(404).json({ error: "Order not found" });
-    }
-
-    // Get order data and current status
-    const orderData = orderDoc.data();
-    const currentStatus = orderData.status;
-
-    // Authorization check: seller can update their own orders, admin can update any
-    const isAdmin = userData.role === "admin";
-    const isSeller = userData.role === "seller" && orderData.sellerId === userId;
-    const isBuyer = orderData.buyerId === userId;
-
-    // Buyers can ONLY cancel orders (and only if order is pending or confirmed)
-    if (isBuyer) {
-      if (status !== "cancelled") {
-        return response.status(403).json({ 
-          error: "Unauthorized: buyers can only cancel orders, not update other statuses" 
-        });
-      }
-      // Check if already cancelled or refunded FIRST (before checking pending/confirmed)
-      if (currentStatus === "cancelled" || currentStatus === "refunded") {
-        return response.status(400).json({ error: "Order is already cancelled or refunded" });
-      }
-      // Buyers can only cancel orders that are pending or confirmed
-      if (currentStatus !== "pending" && currentStatus !== "confirmed") {
-        return response.status(400).json({ 
-          error: "Cannot cancel order: order must be in 'pending' or 'confirmed' status to cancel" 
-        });
-      }
-    }
-
-    if (!isAdmin && !isSeller && !isBuyer) {
-      return response.status(403).json({ error: "Unauthorized: you can only update your own orders" });
-    }
-
-    // Status transition validation
-    // Prevent cancelling an already delivered order (logical constraint)
-    if (status === "cancelled" && currentStatus === "delivered") {
-      return response.status(400).json({ error: "Cannot cancel a delivered order" });
-    }
-    // Prevent cancelling an already shipped order (logical constraint)
-    if (status === "cancelled" && currentStatus === "shipped") {
-      return response.status(400).json({ error: "Cannot cancel a shipped order" });
-    }
-    // Prevent setting "refunded" status directly (it's automatically set when cancelling paid orders)
-    if (status === "refunded") {
-      return response.status(400).json({ 
-        error: "Cannot set refunded status directly. Refunded status is automatically set when cancelling an order with paid payment." 
-      });
-    }
-
-    // Determine final status for cancellation
-    // If cancelling a paid order, status becomes "refunded" (payment refunded)
-    // If cancelling an unpaid order, status stays "cancelled" (payment stays pending)
-    let finalStatus = status;
-    if (status === "cancelled") {
-      if (orderData.paymentStatus === "paid") {
-        // Payment was paid → status becomes "refunded"
-        finalStatus = "refunded";
-      } else {
-        // Payment was not paid → status stays "cancelled"
-        finalStatus = "cancelled";
-      }
-    }
-
-    // Prepare update data
-    // Note: Status may change from "cancelled" to "refunded" if payment was paid
-    const updateData = {
-      status: finalStatus, // final status (may be "refunded" if payment was paid)
-      updatedAt: FieldValue.serverTimestamp(), // always update last modified time
-    };
-
-    // Add timestamp and tracking info for specific status changes
+    // Request-only checks (no order data needed) before the transaction
     // When shipped: Add tracking number (MANDATORY)
     if (status === "shipped") {
       // DELIVERY TRACKING: Tracking number is required when order is shipped
@@ -153,17 +99,18 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
           details: "Tracking number must be a non-empty string"
         });
       }
-
-      updateData.shippedAt = FieldValue.serverTimestamp();
-      updateData.trackingNumber = trackingNumber.trim();
-      updateData.trackingProvider = trackingProvider || "local_courier"; // Default to local_courier
     }
 
-    // Add timestamp for specific status changes (delivered, cancelled, refunded)
-    // When delivered:
+    // Validate proof of delivery structure
+    const proofTypes = proofOfDelivery ? {
+      photoURL: proofOfDelivery.photoURL,
+      otpCode: proofOfDelivery.otpCode,
+      signatureURL: proofOfDelivery.signatureURL,
+      deliveryNotes: proofOfDelivery.deliveryNotes,
+      otpOverrideReason: proofOfDelivery.otpOverrideReason,
+    } : {};
+
     if (status === "delivered") {
-      updateData.deliveredAt = FieldValue.serverTimestamp();
-      
       // PROOF OF DELIVERY: Required for delivery confirmation (anti-fraud measure)
       // Design requirement: "Courier proof-of-delivery or OTP confirmation for COD transactions"
       if (!proofOfDelivery) {
@@ -173,16 +120,9 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
         });
       }
 
-      // Validate proof of delivery structure
-      const proofTypes = {
-        photoURL: proofOfDelivery.photoURL,
-        otpCode: proofOfDelivery.otpCode,
-        signatureURL: proofOfDelivery.signatureURL,
-        deliveryNotes: proofOfDelivery.deliveryNotes,
-      };
-
       // At least one proof type must be provided
-      const hasProof = proofTypes.photoURL || proofTypes.otpCode || proofTypes.signatureURL || proofTypes.deliveryNotes;
+      const hasProof = proofTypes.photoURL || proofTypes.otpCode || proofTypes.signatureURL ||
+        proofTypes.deliveryNotes || proofTypes.otpOverrideReason;
       if (!hasProof) {
         return response.status(400).json({ 
           error: "Invalid proof of delivery",
@@ -190,128 +130,172 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
         });
       }
 
-      // For COD transactions, OTP confirmation is strongly recommended (but not strictly required if photo/signature provided)
-      if (orderData.paymentMethod === "COD" && !proofTypes.otpCode && !proofTypes.photoURL && !proofTypes.signatureURL) {
-        return response.status(400).json({ 
-          error: "COD orders require stronger proof of delivery",
-          details: "For COD transactions, please provide otpCode, photoURL, or signatureURL as proof of delivery"
+      // Admin override of the delivery OTP needs a reason for the audit trail
+      if (proofTypes.otpOverrideReason !== undefined &&
+          (typeof proofTypes.otpOverrideReason !== "string" || proofTypes.otpOverrideReason.trim() === "")) {
+        return response.status(400).json({
+          error: "Invalid otpOverrideReason",
+          details: "otpOverrideReason must be a non-empty string",
         });
       }
-
-      // Store proof of delivery in order document
-      updateData.proofOfDelivery = {
-        photoURL: proofTypes.photoURL || null,
-        otpCode: proofTypes.otpCode || null,
-        signatureURL: proofTypes.signatureURL || null,
-        deliveryNotes: proofTypes.deliveryNotes || null,
-        confirmedBy: userId, // Who confirmed the delivery (seller/admin)
-        confirmedAt: FieldValue.serverTimestamp(),
-      };
-
-      // Auto-update payment status for COD on delivery
-      if (orderData.paymentMethod === "COD" && orderData.paymentStatus === "pending") {
-        updateData.paymentStatus = "paid";
-      }
-      
-      // Automatic escrow release: Release escrow when order is delivered and paid
-      // This happens automatically after delivery proof (status = "delivered")
-      // and payment confirmation (paymentStatus = "paid")
-      const finalPaymentStatus = updateData.paymentStatus || orderData.paymentStatus;
-      if (finalPaymentStatus === "paid" && !orderData.escrowReleased) {
-        updateData.escrowReleased = true;
-        updateData.escrowReleasedAt = FieldValue.serverTimestamp();
-        updateData.escrowReleasedBy = "system"; // Automated release
-      }
     }
 
-    // Set timestamps and payment status based on final status
-    // Do this BEFORE transaction/no-transaction branch to avoid duplication
-    if (status === "cancelled") {
-      // Set cancelledAt when cancellation is requested (regardless of final status)
-      // This applies to both unpaid (stays "cancelled") and paid (becomes "refunded") orders
-      updateData.cancelledAt = FieldValue.serverTimestamp();
-    }
-    
-    if (finalStatus === "refunded") {
-      // Refunded status: payment was paid, so refund it
-      updateData.paymentStatus = "refunded";
-      updateData.refundedAt = FieldValue.serverTimestamp();
-      updateData.refundedBy = userId;
-    }
+    // Read the order, validate the transition and write the status change, stock
+    // and ledger entries in one transaction: concurrent requests re-run against
+    // the fresh order, so a cancel or delivery is never applied (and posted) twice
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
 
-    // Check if stock restoration is needed (for cancelled/refunded orders)
-    // Stock is always restored when cancelling (regardless of payment status)
-    // Only restore stock if order is pending or confirmed (before shipping)
-    const needsStockRestoration = 
-      status === "cancelled" && 
-      (currentStatus === "pending" || currentStatus === "confirmed");
-
-    // Use transaction to ensure atomicity: stock restoration and order update happen together
-    // If stock restoration fails, order status won't be updated (prevents inconsistent state)
-    if (needsStockRestoration) {
-      const firestore = admin.firestore();
-      
-      try {
-        await firestore.runTransaction(async (transaction) => {
-          // Step 1: Read all products to verify they exist and restore stock atomically
-          const productRefs = orderData.products.map(product =>
-            firestore.collection("products").doc(product.productId)
-          );
-          const productDocs = await Promise.all(
-            productRefs.map(ref => transaction.get(ref))
-          );
-
-          // Step 2: Verify products exist and restore stock
-          for (let i = 0; i < orderData.products.length; i++) {
-            const product = orderData.products[i];
-            const productDoc = productDocs[i];
-
-            if (!productDoc.exists) {
-              throw new Error(
-                `Cannot restore stock: Product ${product.productId} not found. Order status update aborted.`
-              );
-            }
-
-            // Restore stock within transaction (atomic with order update)
-            transaction.update(productRefs[i], {
-              stock: FieldValue.increment(product.quantity),
-              updatedAt: FieldValue.serverTimestamp(),
-            });
+    let result;
+    try {
+      result = await firestore.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+
+        // Check if order document exists
+        if (!orderDoc.exists) {
+          return { rejected: { statusCode: 404, body: { error: "Order not found" } } };
+        }
+        const orderData = orderDoc.data();
+
+        // Authorization + transition validation (see orderLifecycle.js for the rules)
+        // Admin can update any order, seller their own orders, buyer can only cancel
+        const actorRole = resolveActorRole(orderData, userId, userData);
+        let transition;
+        try {
+          transition = assertTransition(orderData, status, actorRole);
+        } catch (transitionError) {
+          const statusCode = transitionError.message.startsWith("Unauthorized") ? 403 : 400;
+          return { rejected: { statusCode, body: { error: transitionError.message } } };
+        }
+
+        const otpOverride = status === "delivered" && proofTypes.otpOverrideReason
+          ? { reason: proofTypes.otpOverrideReason.trim(), overriddenBy: userId }
+          : null;
+
+        // Only an admin can confirm a delivery without the buyer's code
+        if (otpOverride && actorRole !== "admin") {
+          return { rejected: { statusCode: 403, body: {
+            error: "Unauthorized: only admins can confirm a delivery without the delivery code",
+          } } };
+        }
+
+        // COD transactions: the buyer's delivery code is required (photo/signature are extra proof, not a replacement)
+        if (status === "delivered" && orderData.paymentMethod === "COD" && !proofTypes.otpCode && !otpOverride) {
+          return { rejected: { statusCode: 400, body: {
+            error: "COD orders require the buyer's delivery code",
+            details: "Please provide proofOfDelivery.otpCode; photoURL or signatureURL can be added as extra proof"
+          } } };
+        }
+
+        // DELIVERY OTP: the code the buyer received when the order shipped (hashed, attempt-limited)
+        // Checked and marked used in this transaction, so it is only consumed if the order is delivered
+        if (status === "delivered" && proofTypes.otpCode) {
+          const otpResult = await verifyDeliveryOtp(transaction, orderId, proofTypes.otpCode, userId);
+          if (!otpResult.verified) {
+            // The failed attempt is still committed (without the order update)
+            return {
+              otpFailure: otpResult,
+              rejected: { statusCode: 400, body: {
+                error: OTP_FAILURE_MESSAGES[otpResult.reason],
+                attemptsLeft: otpResult.attemptsLeft,
+              } },
+            };
           }
+        }
 
-          // Step 3: Update order status within same transaction
-          // Note: Timestamps and payment status are already set in updateData above
-          transaction.update(orderRef, updateData);
-        });
-      } catch (transactionError) {
-        // If transaction fails (e.g., product deleted), don't update order status
-        logger.error("Failed to restore stock and update order status:", {
-          orderId,
-          finalStatus, // Use finalStatus for accuracy (may be "refunded" if payment was paid)
-          error: transactionError.message,
-          stack: transactionError.stack,
-        });
+        // Prepare update data
+        // Note: Status may change from "cancelled" to "refunded" if payment was paid
+        const updateData = {
+          status: transition.finalStatus, // final status (may be "refunded" if payment was paid)
+          updatedAt: FieldValue.serverTimestamp(), // always update last modified time
+        };
+
+        if (status === "shipped") {
+          updateData.shippedAt = FieldValue.serverTimestamp();
+          updateData.trackingNumber = trackingNumber.trim();
+          updateData.trackingProvider = trackingProvider || "local_courier"; // Default to local_courier
+        }
+
+        if (status === "delivered") {
+          updateData.deliveredAt = FieldValue.serverTimestamp();
+
+          // Store proof of delivery in order document (the OTP itself is never stored)
+          updateData.proofOfDelivery = {
+            photoURL: proofTypes.photoURL || null,
+            otpVerified: !!proofTypes.otpCode,
+            otpOverride, // { reason, overriddenBy } when an admin confirmed without the code
+            signatureURL: proofTypes.signatureURL || null,
+            deliveryNotes: proofTypes.deliveryNotes || null,
+            confirmedBy: userId, // Who confirmed the delivery (seller/admin)
+            confirmedAt: FieldValue.serverTimestamp(),
+          };
+        }
 
-        // Check if error is due to product not found
-        if (transactionError.message.includes("not found")) {
-          return response.status(404).json({
-            error: "Cannot update order status",
-            details: transactionError.message,
-          });
+        // Set cancelledAt when cancellation is requested (regardless of final status)
+        // This applies to both unpaid (stays "cancelled") and paid (becomes "refunded") orders
+        if (status === "cancelled") {
+          updateData.cancelledAt = FieldValue.serverTimestamp();
         }
 
-        // Other transaction errors (network, permissions, etc.)
-        return response.status(500).json({
-          error: "Failed to update order status",
-          details: "Stock restoration failed. Order status was not updated to maintain data consistency.",
+        // Transition side effects: refund, COD payment on delivery, acceptance window, automatic escrow release
+        Object.assign(updateData, buildEffectUpdates(transition, orderData, userId));
+
+        // Stock restoration is a declared side effect of cancellation (pending/confirmed only)
+        // Reads products before any write; a missing product aborts the whole update
+        if (hasEffect(transition, EFFECTS.RESTORE_STOCK)) {
+          await restoreOrderStock(transaction, firestore, orderData.products, orderData.stockReservation);
+        }
+
+        // COD orders sell their held stock once the seller confirms (prepaid orders on payment)
+        if (hasEffect(transition, EFFECTS.COMMIT_STOCK) && orderData.paymentMethod === "COD") {
+          Object.assign(updateData, commitReservedStock(transaction, orderData));
+        }
+
+        transaction.update(orderRef, updateData);
+
+        // Ledger entries (escrow refunded for paid orders, COD payment held or released)
+        recordEscrowMovements(transaction, orderId, orderData, updateData, userId);
+
+        if (status === "shipped") {
+          issueDeliveryOtp(transaction, orderId, orderData.buyerId);
+        }
+
+        return { orderData, updateData, finalStatus: transition.finalStatus };
+      });
+    } catch (transactionError) {
+      // If the transaction fails (e.g., product deleted), the order status is not updated
+      logger.error("Failed to update order status:", {
+        orderId,
+        status,
+        error: transactionError.message,
+        stack: transactionError.stack,
+      });
+
+      // Check if error is due to product not found
+      if (transactionError.message.includes("not found")) {
+        return response.status(404).json({
+          error: "Cannot update order status",
+          details: transactionError.message,
         });
       }
-    } else {
-      // No stock restoration needed, just update order status
-      // Note: Timestamps and payment status are already set in updateData above
-      await orderRef.update(updateData);
+      throw transactionError;
+    }
+
+    if (result.otpFailure) {
+      await logOrderEvent(orderId, "delivery_otp_failed", userId, {
+        reason: result.otpFailure.reason,
+        attemptsLeft: result.otpFailure.attemptsLeft,
+      });
+      logger.warn(`Delivery OTP rejected for order ${orderId} (${result.otpFailure.reason}) by ${userId}`);
     }
 
+    if (result.rejected) {
+      return response.status(result.rejected.statusCode).json(result.rejected.body);
+    }
+
+    const { orderData, updateData, finalStatus } = result;
+    const currentStatus = orderData.status;
+
     // Log status change (useful for dispute resolution and analytics)
     await logOrderEvent(orderId, "status_updated", userId, {
       oldStatus: currentStatus,
@@ -337,13 +321,17 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
         trackingProvider: updateData.trackingProvider,
       });
       logger.info(`Tracking number ${updateData.trackingNumber} added to order ${orderId} by ${userId}`);
+
+      await logOrderEvent(orderId, "delivery_otp_issued", "system", {
+        buyerId: orderData.buyerId,
+      });
     }
 
-    // Log escrow release if it was automatically released
+    // Log escrow release if it was automatically released (acceptance window of 0 hours)
     if (status === "delivered" && updateData.escrowReleased) {
       await logOrderEvent(orderId, "escrow_released", "system", {
         sellerId: orderData.sellerId,
-        amount: orderData.totalAmount,
+        ...escrowReleaseSplit(orderData),
         automatic: true,
         triggeredBy: "delivery_confirmation",
       });
@@ -353,15 +341,24 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
     // Log proof of delivery for audit trail (anti-fraud measure)
     if (status === "delivered" && updateData.proofOfDelivery) {
       await logOrderEvent(orderId, "delivery_proof_submitted", userId, {
-        proofType: updateData.proofOfDelivery.otpCode ? "otp" : 
+        proofType: updateData.proofOfDelivery.otpVerified ? "otp" :
+                   updateData.proofOfDelivery.otpOverride ? "admin_override" :
                    updateData.proofOfDelivery.photoURL ? "photo" :
                    updateData.proofOfDelivery.signatureURL ? "signature" : "notes",
-        hasOTP: !!updateData.proofOfDelivery.otpCode,
+        hasOTP: updateData.proofOfDelivery.otpVerified,
         hasPhoto: !!updateData.proofOfDelivery.photoURL,
         hasSignature: !!updateData.proofOfDelivery.signatureURL,
         paymentMethod: orderData.paymentMethod,
       });
       logger.info(`Proof of delivery submitted for order ${orderId} by ${userId}`);
+
+      if (updateData.proofOfDelivery.otpOverride) {
+        await logOrderEvent(orderId, "delivery_otp_overridden", userId, {
+          reason: updateData.proofOfDelivery.otpOverride.reason,
+          paymentMethod: orderData.paymentMethod,
+        });
+        logger.warn(`Delivery OTP overridden by admin ${userId} for order ${orderId}`);
+      }
     }
 
     // Helpful info log for emulator or production monitoring
@@ -373,6 +370,7 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
       message: "Order status updated successfully",
       orderId,
       status: finalStatus, // Return final status (may be "refunded" if payment was paid)
+      ...(updateData.acceptanceDeadline ? { acceptanceDeadline: updateData.acceptanceDeadline } : {}),
     });
   } catch (error) {
     logger.error("Error updating order status:", error);
@@ -381,4 +379,4 @@ exports.updateOrderStatus = onRequest(async (request, response) => {
       details: error.message,
     });
   }
-});
\ No newline at end of file
+}));
\ No newline at end of file
@@ -0,0 +1,164 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { assertCanConfirmPayment } = require("../orders/orderLifecycle");
+const { getPaymentProvider } = require("./providers");
+const { getProviderConfig, getWebhookUrl, getIntentTtlMinutes } = require("./paymentConfig");
+
+/**
+ * CREATE PAYMENT INTENT
+ * Starts a KBZPay / WavePay payment for an order. The buyer pays in the provider
+ * app; the order only becomes "paid" when the provider calls paymentWebhook with
+ * a valid signature and matching amount.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, required fields (orderId), user authentication
+ * 2. AUTHORIZATION: Verify buyer owns the order
+ * 3. PAYMENT VALIDATION: Order must be payable (not COD, not paid, not cancelled/refunded)
+ * 4. PROVIDER: Create the payment with the provider (amount = order.totalAmount)
+ * 5. PERSIST: Store paymentIntents/{intentId} and link it on the order
+ * 6. AUDIT LOGGING: Log payment_intent_created
+ * 7. RESPONSE: Return intentId and the provider payment URL/QR
+ *
+ * Payment Intent Schema (paymentIntents/{intentId}):
+ * {
+ *   intentId, orderId, buyerId, sellerId,
+ *   provider: "KBZPay" | "WavePay",
+ *   amount: number, currency: "MMK",
+ *   status: "pending" | "succeeded" | "failed" | "amount_mismatch" | "rejected" | "expired",
+ *   providerReference, paymentUrl, transactionId,
+ *   expiresAt,                          // webhooks after this are not settled (status "expired")
+ *   createdAt, updatedAt
+ * }
+ */
+exports.createPaymentIntent = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const { orderId } = request.body;
+    if (!orderId) {
+      return response.status(400).json({ error: "Missing required field: orderId" });
+    }
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+    const orderDoc = await orderRef.get();
+
+    if (!orderDoc.exists) {
+      return response.status(404).json({ error: "Order not found" });
+    }
+
+    const orderData = orderDoc.data();
+
+    // AUTHORIZATION: Only the buyer who placed the order can pay for it
+    if (orderData.buyerId !== userId) {
+      return response.status(403).json({ error: "Unauthorized: you can only pay for your own orders" });
+    }
+
+    // PAYMENT VALIDATION: same rules as every payment confirmation (see orderLifecycle.js)
+    try {
+      assertCanConfirmPayment(orderData);
+    } catch (validationError) {
+      return response.status(400).json({ error: validationError.message });
+    }
+
+    const provider = getPaymentProvider(orderData.paymentMethod);
+    const config = getProviderConfig(orderData.paymentMethod);
+    if (!provider || !config || !config.apiUrl) {
+      logger.error(`Payment provider not configured for ${orderData.paymentMethod}`);
+      return response.status(500).json({ error: "Payment provider not configured" });
+    }
+
+    const intentRef = firestore.collection("paymentIntents").doc();
+    const intentId = intentRef.id;
+    const amount = orderData.totalAmount;
+    const currency = "MMK";
+
+    // PROVIDER: create the payment on the provider side
+    let providerResult;
+    try {
+      providerResult = await provider.createIntent({
+        intentId,
+        amount,
+        currency,
+        notifyUrl: getWebhookUrl(provider.name),
+      }, config);
+    } catch (providerError) {
+      logger.error("Payment provider error:", {
+        orderId,
+        provider: provider.name,
+        error: providerError.message,
+      });
+      return response.status(502).json({
+        error: "Failed to create payment with provider",
+        details: providerError.message,
+      });
+    }
+
+    // Never payable after the order itself expires (orders/orderExpiry.js)
+    let expiresAt = Timestamp.fromMillis(Date.now() + getIntentTtlMinutes() * 60 * 1000);
+    if (orderData.paymentDueAt && orderData.paymentDueAt.toMillis() < expiresAt.toMillis()) {
+      expiresAt = orderData.paymentDueAt;
+    }
+
+    const batch = firestore.batch();
+    batch.set(intentRef, {
+      intentId,
+      orderId,
+      buyerId: orderData.buyerId,
+      sellerId: orderData.sellerId,
+      provider: provider.name,
+      amount,
+      currency,
+      status: "pending",
+      providerReference: providerResult.providerReference,
+      paymentUrl: providerResult.paymentUrl,
+      transactionId: null,
+      expiresAt,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    batch.update(orderRef, {
+      paymentIntentId: intentId,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    await logOrderEvent(orderId, "payment_intent_created", userId, {
+      paymentIntentId: intentId,
+      provider: provider.name,
+      amount,
+      providerReference: providerResult.providerReference,
+    });
+
+    logger.info(`Payment intent ${intentId} created for order ${orderId} via ${provider.name}`);
+
+    return response.json({
+      success: true,
+      message: "Payment intent created",
+      orderId,
+      paymentIntent: {
+        intentId,
+        provider: provider.name,
+        amount,
+        currency,
+        paymentUrl: providerResult.paymentUrl,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error("Error creating payment intent:", error);
+    return response.status(500).json({
+      error: "Failed to create payment intent",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,9 @@
+/**
+ * PAYMENTS MODULE
+ * Exports mobile-money payment functions (KBZPay, WavePay).
+ */
+
+module.exports = {
+  ...require("./createPaymentIntent"),
+  ...require("./paymentWebhook"),
+};
@@ -0,0 +1,80 @@
+/**
+ * PAYMENT CONFIGURATION
+ * Provider endpoints, merchant ids and webhook secrets, read from environment
+ * variables (backend/.env.<project> when deployed).
+ *
+ * In the emulator every value falls back to the local mock provider
+ * (scripts/mockPaymentProvider.js) so no real credentials are needed.
+ *
+ * Variables:
+ * - KBZPAY_API_URL, KBZPAY_MERCHANT_ID, KBZPAY_WEBHOOK_SECRET
+ * - WAVEPAY_API_URL, WAVEPAY_MERCHANT_ID, WAVEPAY_WEBHOOK_SECRET
+ * - PAYMENT_WEBHOOK_URL: public URL of the paymentWebhook function
+ * - PAYMENT_INTENT_TTL_MINUTES: how long a payment intent stays payable (default 30)
+ * - UNPAID_ORDER_TIMEOUT_MINUTES: how long a KBZPay/WavePay order waits for payment
+ *   before it is cancelled automatically (default 60, see orders/orderExpiry.js)
+ */
+
+const MOCK_PROVIDER_URL = "http://localhost:9300";
+
+// Shared with scripts/mockPaymentProvider.js (emulator only, never used in production)
+const LOCAL_WEBHOOK_SECRETS = {
+  KBZPay: "local-kbzpay-webhook-secret",
+  WavePay: "local-wavepay-webhook-secret",
+};
+
+function isEmulator() {
+  return !!process.env.FUNCTIONS_EMULATOR;
+}
+
+/**
+ * Get configuration for a provider ("KBZPay" or "WavePay")
+ */
+function getProviderConfig(providerName) {
+  const emulator = isEmulator();
+
+  if (providerName === "KBZPay") {
+    return {
+      apiUrl: process.env.KBZPAY_API_URL || (emulator ? `${MOCK_PROVIDER_URL}/kbzpay` : null),
+      merchantId: process.env.KBZPAY_MERCHANT_ID || (emulator ? "LOCAL_KBZ_MERCHANT" : null),
+      webhookSecret: process.env.KBZPAY_WEBHOOK_SECRET || (emulator ? LOCAL_WEBHOOK_SECRETS.KBZPay : null),
+    };
+  }
+
+  if (providerName === "WavePay") {
+    return {
+      apiUrl: process.env.WAVEPAY_API_URL || (emulator ? `${MOCK_PROVIDER_URL}/wavepay` : null),
+      merchantId: process.env.WAVEPAY_MERCHANT_ID || (emulator ? "LOCAL_WAVE_MERCHANT" : null),
+      webhookSecret: process.env.WAVEPAY_WEBHOOK_SECRET || (emulator ? LOCAL_WEBHOOK_SECRETS.WavePay : null),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * URL providers call back with payment results
+ */
+function getWebhookUrl(providerName) {
+  const baseUrl = process.env.PAYMENT_WEBHOOK_URL ||
+    `http://127.0.0.1:5001/${process.env.GCLOUD_PROJECT}/us-central1/paymentWebhook`;
+  return `${baseUrl}?provider=${encodeURIComponent(providerName)}`;
+}
+
+function getIntentTtlMinutes() {
+  return Number(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30;
+}
+
+function getUnpaidOrderTimeoutMinutes() {
+  return Number(process.env.UNPAID_ORDER_TIMEOUT_MINUTES) || 60;
+}
+
+module.exports = {
+  MOCK_PROVIDER_URL,
+  LOCAL_WEBHOOK_SECRETS,
+  isEmulator,
+  getProviderConfig,
+  getWebhookUrl,
+  getIntentTtlMinutes,
+  getUnpaidOrderTimeoutMinutes,
+};
@@ -0,0 +1,78 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+const { logOrderEvent } = require("../orders/auditLogger");
+const { escrowReleaseSplit } = require("../wallet/ledger");
+const {
+  assertCanConfirmPayment,
+  shouldAutoReleaseEscrow,
+  escrowReleaseFields,
+} = require("../orders/orderLifecycle");
+
+/**
+ * PAYMENT CONFIRMATION
+ * Shared by paymentWebhook (verified provider callback) and simulatePayment
+ * (emulator-only shim) so both flip paymentStatus the same way.
+ */
+
+/**
+ * Build the order update for a confirmed payment.
+ * Throws if the order cannot be paid (cancelled/refunded, already paid, COD).
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} orderData - Current order data (read inside the caller's transaction)
+ * @param {Object} payment - { transactionId, receiptId, provider, intentId, source }
+ *   source: "provider_webhook" (verified) or "simulated" (emulator shim)
+ */
+function buildPaymentConfirmationUpdate(orderId, orderData, payment) {
+  assertCanConfirmPayment(orderData);
+
+  const paymentConfirmation = {
+    receiptId: payment.receiptId || `RECEIPT_${orderId}_${Date.now()}`,
+    paidAt: FieldValue.serverTimestamp(),
+    transactionId: payment.transactionId,
+    provider: payment.provider || orderData.paymentMethod,
+    paymentIntentId: payment.intentId || null,
+    source: payment.source,
+  };
+
+  const updateData = {
+    paymentStatus: "paid",
+    paymentConfirmation,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  // AUTOMATIC ESCROW RELEASE: payment confirmed after the order was already delivered
+  if (shouldAutoReleaseEscrow({ ...orderData, paymentStatus: "paid" })) {
+    Object.assign(updateData, escrowReleaseFields("system"));
+  }
+
+  return updateData;
+}
+
+/**
+ * Audit log a confirmed payment (and the escrow release it may have triggered)
+ *
+ * @param {Object} orderData - Order data AFTER the confirmation was written
+ */
+async function logPaymentConfirmed(orderId, actorId, orderData, payment) {
+  await logOrderEvent(orderId, "payment_confirmed", actorId, {
+    paymentMethod: orderData.paymentMethod,
+    transactionId: payment.transactionId,
+    amount: orderData.totalAmount,
+    source: payment.source,
+    paymentIntentId: payment.intentId || null,
+  });
+
+  if (orderData.status === "delivered" && orderData.escrowReleased) {
+    await logOrderEvent(orderId, "escrow_released", "system", {
+      sellerId: orderData.sellerId,
+      ...escrowReleaseSplit(orderData),
+      automatic: true,
+      triggeredBy: "payment_confirmation_after_delivery",
+    });
+    logger.info(`Escrow automatically released for order ${orderId} after payment confirmation (order already delivered)`);
+  }
+}
+
+module.exports = { buildPaymentConfirmationUpdate, logPaymentConfirmed };
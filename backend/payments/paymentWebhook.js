@@ -0,0 +1,205 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { logOrderEvent } = require("../orders/auditLogger");
+const { getPaymentProvider } = require("./providers");
+const { getProviderConfig } = require("./paymentConfig");
+const { verifySignature } = require("./signature");
+const { buildPaymentConfirmationUpdate, logPaymentConfirmed } = require("./paymentConfirmation");
+const { recordEscrowMovements } = require("../wallet/ledger");
+const { commitReservedStock } = require("../products/inventory");
+
+/**
+ * PAYMENT WEBHOOK
+ * Receives payment results from KBZPay / WavePay: POST /paymentWebhook?provider=KBZPay
+ * This is the ONLY production path that marks a mobile-money order as paid.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, known provider
+ * 2. SIGNATURE: Verify HMAC-SHA256 of the raw body with the provider's webhook secret
+ * 3. PAYLOAD: Normalize the provider payload (intentId, transactionId, amount, status)
+ * 4. TRANSACTION: Read intent + order, then:
+ *    - duplicate notification → acknowledge, no changes
+ *    - failed payment → intent "failed"
+ *    - intent past its expiresAt → intent "expired" (money taken late, flagged for refund)
+ *    - amount/currency differs from intent or order total → intent "amount_mismatch"
+ *    - order no longer payable (e.g. cancelled meanwhile) → intent "rejected"
+ *    - otherwise → order paid (same update as simulatePayment), held stock
+ *      committed, escrow ledger entries posted, intent "succeeded"
+ * 5. AUDIT LOGGING: payment_confirmed / payment_failed / payment_rejected (also for expired)
+ * 6. RESPONSE: 200 once processed so the provider stops retrying
+ *
+ * Note: No Firebase auth here - the provider authenticates with the signature.
+ */
+exports.paymentWebhook = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const provider = getPaymentProvider(request.query.provider);
+    if (!provider) {
+      return response.status(400).json({ error: "Unknown payment provider" });
+    }
+
+    const config = getProviderConfig(provider.name);
+    if (!config || !config.webhookSecret) {
+      logger.error(`Webhook secret not configured for ${provider.name}`);
+      return response.status(500).json({ error: "Payment provider not configured" });
+    }
+
+    // SIGNATURE: computed over the exact bytes received, not the parsed JSON
+    const signature = request.get(provider.signatureHeader);
+    if (!verifySignature(request.rawBody, signature, config.webhookSecret)) {
+      logger.warn(`Rejected ${provider.name} webhook with invalid signature`);
+      return response.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    const event = provider.parseWebhook(request.body);
+    if (!event || !event.intentId) {
+      return response.status(400).json({ error: "Invalid webhook payload" });
+    }
+
+    const firestore = admin.firestore();
+    const intentRef = firestore.collection("paymentIntents").doc(event.intentId);
+    let outcome;
+    let orderId;
+    let rejectionReason = null;
+
+    await firestore.runTransaction(async (transaction) => {
+      const intentDoc = await transaction.get(intentRef);
+      if (!intentDoc.exists) {
+        throw new Error("Payment intent not found");
+      }
+      const intentData = intentDoc.data();
+      orderId = intentData.orderId;
+
+      if (intentData.provider !== provider.name) {
+        throw new Error("Payment intent belongs to a different provider");
+      }
+
+      const orderRef = firestore.collection("orders").doc(orderId);
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      // Providers retry notifications: process each intent only once
+      if (intentData.status !== "pending") {
+        outcome = "duplicate";
+        return;
+      }
+
+      const intentUpdate = {
+        transactionId: event.transactionId,
+        providerStatus: event.providerStatus,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      if (!event.succeeded) {
+        outcome = "failed";
+        transaction.update(intentRef, { ...intentUpdate, status: "failed" });
+        return;
+      }
+
+      // EXPIRY: the order may already be cancelled and its stock released, so a
+      // late payment never settles it; like "rejected" it is flagged for manual refund
+      if (intentData.expiresAt && intentData.expiresAt.toMillis() < Date.now()) {
+        outcome = "expired";
+        rejectionReason = `Payment received after the intent expired at ${intentData.expiresAt.toDate().toISOString()}`;
+        transaction.update(intentRef, { ...intentUpdate, status: "expired", rejectionReason });
+        return;
+      }
+
+      // AMOUNT VALIDATION: what was paid must equal what we asked for and what is owed
+      if (event.amount !== intentData.amount ||
+          event.currency !== intentData.currency ||
+          intentData.amount !== orderData.totalAmount) {
+        outcome = "amount_mismatch";
+        rejectionReason = `Paid ${event.amount} ${event.currency}, expected ${orderData.totalAmount} ${intentData.currency}`;
+        transaction.update(intentRef, { ...intentUpdate, status: "amount_mismatch", rejectionReason });
+        return;
+      }
+
+      let updateData;
+      try {
+        updateData = buildPaymentConfirmationUpdate(orderId, orderData, {
+          transactionId: event.transactionId,
+          provider: provider.name,
+          intentId: event.intentId,
+          source: "provider_webhook",
+        });
+      } catch (validationError) {
+        // Money was taken for an order that can no longer be paid: flag for manual refund
+        outcome = "rejected";
+        rejectionReason = validationError.message;
+        transaction.update(intentRef, { ...intentUpdate, status: "rejected", rejectionReason });
+        return;
+      }
+
+      outcome = "succeeded";
+      Object.assign(updateData, commitReservedStock(transaction, orderData));
+      transaction.update(orderRef, updateData);
+      recordEscrowMovements(transaction, orderId, orderData, updateData);
+      transaction.update(intentRef, {
+        ...intentUpdate,
+        status: "succeeded",
+        confirmedAt: FieldValue.serverTimestamp(),
+      });
+    });
+
+    // AUDIT LOGGING (after the transaction committed)
+    if (outcome === "succeeded") {
+      const orderDoc = await firestore.collection("orders").doc(orderId).get();
+      await logPaymentConfirmed(orderId, "system", orderDoc.data(), {
+        transactionId: event.transactionId,
+        intentId: event.intentId,
+        source: "provider_webhook",
+      });
+      logger.info(`Payment confirmed by ${provider.name} webhook for order ${orderId}`);
+    } else if (outcome === "failed") {
+      await logOrderEvent(orderId, "payment_failed", "system", {
+        provider: provider.name,
+        paymentIntentId: event.intentId,
+        providerStatus: event.providerStatus,
+      });
+    } else if (outcome === "amount_mismatch" || outcome === "rejected" || outcome === "expired") {
+      await logOrderEvent(orderId, "payment_rejected", "system", {
+        provider: provider.name,
+        paymentIntentId: event.intentId,
+        transactionId: event.transactionId,
+        paidAmount: event.amount,
+        reason: outcome,
+        details: rejectionReason,
+      });
+      logger.warn(`Payment for order ${orderId} rejected (${outcome}): ${rejectionReason}`);
+    }
+
+    if (outcome === "amount_mismatch") {
+      return response.status(400).json({ error: "Payment amount does not match order total" });
+    }
+
+    return response.json({
+      success: true,
+      received: true,
+      outcome,
+    });
+  } catch (error) {
+    logger.error("Error processing payment webhook:", error);
+
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("different provider")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to process payment webhook",
+      details: error.message,
+    });
+  }
+});
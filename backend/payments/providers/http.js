@@ -0,0 +1,20 @@
+/**
+ * HELPER FUNCTION: POST JSON to a provider API
+ * Throws on network errors, timeouts and non-2xx responses.
+ */
+async function postJson(url, body, timeoutMs = 10000) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Payment provider request failed with HTTP ${res.status}`);
+  }
+
+  return res.json();
+}
+
+module.exports = { postJson };
@@ -0,0 +1,24 @@
+/**
+ * PAYMENT PROVIDERS
+ * Registry of mobile-money providers keyed by order paymentMethod.
+ *
+ * Every provider exposes:
+ * - name: paymentMethod value ("KBZPay", "WavePay")
+ * - signatureHeader: header carrying the webhook HMAC signature
+ * - createIntent({ intentId, amount, currency, notifyUrl }, config) → { providerReference, paymentUrl }
+ * - parseWebhook(body) → { intentId, transactionId, amount, currency, succeeded, providerStatus } | null
+ */
+
+const kbzpay = require("./kbzpay");
+const wavepay = require("./wavepay");
+
+const PROVIDERS = {
+  [kbzpay.name]: kbzpay,
+  [wavepay.name]: wavepay,
+};
+
+function getPaymentProvider(paymentMethod) {
+  return PROVIDERS[paymentMethod] || null;
+}
+
+module.exports = { PROVIDERS, getPaymentProvider };
@@ -0,0 +1,58 @@
+const { postJson } = require("./http");
+
+/**
+ * KBZPAY PROVIDER
+ * - Payment creation: "precreate" call returning a prepay id and QR/deeplink
+ * - Webhook: { Request: { merch_order_id, mm_order_id, total_amount, trans_currency, trade_status } }
+ *   signed in the "x-kbzpay-signature" header
+ *
+ * merch_order_id is our paymentIntentId, which maps the callback back to the intent.
+ */
+
+const name = "KBZPay";
+const signatureHeader = "x-kbzpay-signature";
+
+async function createIntent({ intentId, amount, currency, notifyUrl }, config) {
+  const result = await postJson(`${config.apiUrl}/precreate`, {
+    Request: {
+      method: "kbz.payment.precreate",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      biz_content: {
+        merch_order_id: intentId,
+        merch_code: config.merchantId,
+        total_amount: String(amount),
+        trans_currency: currency,
+        notify_url: notifyUrl,
+      },
+    },
+  });
+
+  const res = result.Response || {};
+  if (res.result !== "SUCCESS") {
+    throw new Error(`KBZPay precreate failed: ${res.msg || "unknown error"}`);
+  }
+
+  return {
+    providerReference: res.prepay_id,
+    paymentUrl: res.qrCode || null,
+  };
+}
+
+/**
+ * Normalize a webhook body, or return null if it is not a KBZPay notification
+ */
+function parseWebhook(body) {
+  const req = body && body.Request;
+  if (!req || !req.merch_order_id) return null;
+
+  return {
+    intentId: req.merch_order_id,
+    transactionId: req.mm_order_id || null,
+    amount: Number(req.total_amount),
+    currency: req.trans_currency,
+    succeeded: req.trade_status === "PAY_SUCCESS",
+    providerStatus: req.trade_status || null,
+  };
+}
+
+module.exports = { name, signatureHeader, createIntent, parseWebhook };
@@ -0,0 +1,50 @@
+const { postJson } = require("./http");
+
+/**
+ * WAVEPAY PROVIDER
+ * - Payment creation: "payment" call returning a transaction id and authenticated URL
+ * - Webhook: { merchantReferenceId, transactionId, amount, currency, status }
+ *   signed in the "x-wavepay-signature" header
+ *
+ * merchantReferenceId is our paymentIntentId, which maps the callback back to the intent.
+ */
+
+const name = "WavePay";
+const signatureHeader = "x-wavepay-signature";
+
+async function createIntent({ intentId, amount, currency, notifyUrl }, config) {
+  const result = await postJson(`${config.apiUrl}/payment`, {
+    merchant_id: config.merchantId,
+    merchant_reference_id: intentId,
+    amount,
+    currency,
+    callback_url: notifyUrl,
+  });
+
+  if (!result.transaction_id) {
+    throw new Error(`WavePay payment creation failed: ${result.message || "unknown error"}`);
+  }
+
+  return {
+    providerReference: result.transaction_id,
+    paymentUrl: result.authenticated_url || null,
+  };
+}
+
+/**
+ * Normalize a webhook body, or return null if it is not a WavePay notification
+ */
+function parseWebhook(body) {
+  if (!body || !body.merchantReferenceId) return null;
+
+  return {
+    intentId: body.merchantReferenceId,
+    transactionId: body.transactionId || null,
+    amount: Number(body.amount),
+    currency: body.currency,
+    succeeded: body.status === "PAYMENT_CONFIRMED",
+    providerStatus: body.status || null,
+  };
+}
+
+module.exports = { name, signatureHeader, createIntent, parseWebhook };
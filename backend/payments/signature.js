@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+/**
+ * WEBHOOK SIGNATURES
+ * HMAC-SHA256 over the raw request body, hex encoded.
+ * Providers send the signature in a provider-specific header.
+ */
+
+function signPayload(rawBody, secret) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+/**
+ * Constant-time comparison of the received signature against the expected one
+ */
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), "hex");
+  const received = Buffer.from(String(signature), "hex");
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { signPayload, verifySignature };
@@ -3,54 +3,74 @@
  * Allows a seller to create a new product listing.
  * 
  * FUNCTION FLOW:
- * 1. VALIDATION: Required fields (name, price), price/stock validation
- * 2. AUTHORIZATION: Verify seller role
- * 3. CREATE: Add product to Firestore with sellerId, status "active"
- * 4. RESPONSE: Return productId
+ * 1. VALIDATION: Required fields (name, price), price/stock/weight validation,
+ *    variants (optional: variantOptions + variants, see variants.js; price and
+ *    stock are then derived from the variants), seller sku (see productRules.js)
+ * 2. AUTHORIZATION: Verify seller role; the sku must be new for this seller
+ * 3. CATEGORY: categoryId must be an active category (see categories/categoryTree.js);
+ *    the free-text `category` is still accepted from older clients (legacy)
+ * 4. CREATE: Add product to Firestore with sellerId, status "active" and its
+ *    searchTokens (searchProducts index, see search/tokenizer.js)
+ *    Images are uploaded afterwards (createProductImageUpload, productImages.js);
+ *    a hosted imageURL is still accepted from older clients
+ * 5. RESPONSE: Return productId
  */
 
 const { onRequest } = require("firebase-functions/v2/https");
-const { FieldValue } = require("firebase-admin/firestore");
 const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifySellerRole } = require("../auth");
+const { buildProductVariants } = require("./variants");
+const { validateProductFields, findProductBySku, buildNewProduct } = require("./productRules");
+const { resolveProductCategory } = require("../categories/categoryTree");
 
 exports.createProduct = onRequest(async (request, response) => {
   try {
-    const { name, description, price, stock, category, imageURL } = request.body;
+    const { price, stock, category, categoryId, sku, variantOptions, variants } = request.body;
+    const hasVariants = variants !== undefined || variantOptions !== undefined;
 
-    // Required field check
-    if (!name || price === undefined) {
-      return response.status(400).json({ error: "Missing required fields" });
+    // Variant validation: price and stock come from the variants
+    let variantFields = null;
+    if (hasVariants) {
+      if (price !== undefined || stock !== undefined) {
+        return response.status(400).json({
+          error: "Invalid product: set price and stock per variant for products with variants",
+        });
+      }
+      const built = buildProductVariants(variantOptions, variants);
+      if (built.error) {
+        return response.status(400).json({ error: built.error });
+      }
+      variantFields = built.fields;
     }
 
-    // Price validation
-    if (typeof price !== "number" || price < 0) {
-      return response.status(400).json({ error: "Invalid price: must be a positive number" });
-    }
-
-    // Stock validation
-    if (stock !== undefined && (typeof stock !== "number" || stock < 0)) {
-      return response.status(400).json({ error: "Invalid stock: must be a positive number" });
+    // Required fields, price/stock/weight, category, sku (productRules.js)
+    const fieldsError = validateProductFields(request.body, { hasVariants });
+    if (fieldsError) {
+      return response.status(400).json({ error: fieldsError });
     }
 
     // Verify seller role
     const { uid: userId, user } = await verifySellerRole(request);
 
+    // Seller SKUs are unique among the seller's products
+    if (sku && await findProductBySku(userId, sku.trim())) {
+      return response.status(409).json({ error: `Product with sku ${sku.trim()} already exists` });
+    }
+
+    // Category from the category tree (sets category, categoryId, categoryPath)
+    let categoryFields = { category: category || "Uncategorized" };
+    if (categoryId !== undefined) {
+      const resolved = await resolveProductCategory(categoryId);
+      if (resolved.error) {
+        return response.status(400).json({ error: resolved.error });
+      }
+      categoryFields = resolved.fields;
+    }
+
     // Construct product data
-    const productData = {
-      sellerId: userId,
-      name,
-      description: description || "",
-      price: Number(price),
-      stock: Number(stock) || 0,
-      category: category || "Uncategorized",
-      imageURL: imageURL || null,
-      status: "active",
-      createdAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
-    };
+    const productData = buildNewProduct(userId, request.body, categoryFields, variantFields);
 
     // Add to Firestore
     const productRef = await admin.firestore().collection("products").add(productData);
@@ -62,6 +82,7 @@ exports.createProduct = onRequest(async (request, response) => {
       success: true,
       message: "Product created successfully",
       productId: productRef.id,
+      variants: variantFields ? variantFields.variants : undefined, // variantIds for ordering
     });
   } catch (error) {
     logger.error("Error creating product:", error);
@@ -0,0 +1,118 @@
+/**
+ * CREATE PRODUCT IMAGE UPLOAD
+ * Gives a seller a short-lived upload for one image of their product.
+ *
+ * Body: { productId, contentType: "image/jpeg" | "image/png" | "image/webp", size: bytes }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, productId, content type, size (MAX_IMAGE_BYTES)
+ * 2. AUTHORIZATION: Verify seller role and product ownership
+ * 3. LIMIT: The product has room for another image (MAX_PRODUCT_IMAGES)
+ * 4. TICKET: productImageUploads/{imageId} (pending, expires after UPLOAD_TTL_MS)
+ * 5. RESPONSE: { imageId, uploadURL, method, headers, expiresAt }
+ *
+ * The seller then sends the file to uploadURL with the given method and headers
+ * (emulator: the "Firebase <ID_TOKEN>" Authorization header takes their ID token).
+ * processProductImage adds it to the product; the ticket's status becomes
+ * "ready" or "rejected" (see productImages.js).
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  UPLOAD_TTL_MS,
+  uploadPath,
+  createUploadTarget,
+} = require("./productImages");
+
+exports.createProductImageUpload = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { productId, contentType, size } = request.body;
+
+    if (!productId) {
+      return response.status(400).json({ error: "Missing productId" });
+    }
+    if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+      return response.status(400).json({
+        error: `Invalid contentType: must be one of ${ALLOWED_IMAGE_TYPES.join(", ")}`,
+      });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_IMAGE_BYTES) {
+      return response.status(400).json({
+        error: `Invalid size: images must be 1-${MAX_IMAGE_BYTES} bytes`,
+      });
+    }
+
+    // Verify seller role
+    const { uid: userId } = await verifySellerRole(request);
+
+    const firestore = admin.firestore();
+    const productDoc = await firestore.collection("products").doc(productId).get();
+
+    if (!productDoc.exists) {
+      return response.status(404).json({ error: "Product not found" });
+    }
+    const productData = productDoc.data();
+    if (productData.sellerId !== userId) {
+      return response.status(403).json({ error: "Unauthorized: not your product" });
+    }
+    if ((productData.images || []).length >= MAX_PRODUCT_IMAGES) {
+      return response.status(400).json({
+        error: `Cannot add an image: products have at most ${MAX_PRODUCT_IMAGES} images`,
+      });
+    }
+
+    const ticketRef = firestore.collection("productImageUploads").doc();
+    const imageId = ticketRef.id;
+    const path = uploadPath(userId, productId, imageId);
+    const expiresAt = Timestamp.fromMillis(Date.now() + UPLOAD_TTL_MS);
+
+    await ticketRef.set({
+      imageId,
+      productId,
+      sellerId: userId,
+      path,
+      contentType,
+      size,
+      status: "pending",
+      reason: null,
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt,
+      processedAt: null,
+    });
+
+    const target = await createUploadTarget(path, contentType);
+
+    logger.info(`Image upload ${imageId} issued for product ${productId} by seller ${userId}`);
+
+    return response.json({
+      success: true,
+      imageId,
+      path,
+      ...target,
+      expiresAt: expiresAt.toDate().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error creating product image upload:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to create image upload",
+      details: error.message,
+    });
+  }
+});
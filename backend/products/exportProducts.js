@@ -0,0 +1,92 @@
+/**
+ * EXPORT PRODUCTS
+ * Returns the seller's whole catalog (active and inactive products) in the
+ * import format (see productCatalog.js), to edit and send back to importProducts.
+ *
+ * Query: format=csv (default, a .csv download) | json
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (GET only), format
+ * 2. AUTHORIZATION: Verify seller role
+ * 3. FETCH: The seller's products, page by page
+ * 4. RESPONSE: CSV file, or { count, products: [row, ...] }
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const { toCsv } = require("../utils/csv");
+const { CATALOG_COLUMNS, productToRow } = require("./productCatalog");
+
+const EXPORT_FORMATS = ["csv", "json"];
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Catalog rows of all the seller's products, oldest first
+ */
+async function loadCatalogRows(sellerId) {
+  const rows = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let query = admin.firestore().collection("products")
+      .where("sellerId", "==", sellerId)
+      .orderBy("createdAt", "asc")
+      .limit(EXPORT_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    rows.push(...snapshot.docs.map(productToRow));
+    if (snapshot.size < EXPORT_PAGE_SIZE) {
+      return rows;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+exports.exportProducts = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const format = request.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return response.status(400).json({ error: `Invalid format: must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    // Verify seller role
+    const { uid: userId } = await verifySellerRole(request);
+
+    const rows = await loadCatalogRows(userId);
+
+    logger.info(`Product export (${format}, ${rows.length} products) by seller ${userId}`);
+
+    if (format === "json") {
+      return response.json({
+        success: true,
+        count: rows.length,
+        products: rows,
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    response.set("Content-Type", "text/csv; charset=utf-8");
+    response.set("Content-Disposition", `attachment; filename="products-${date}.csv"`);
+    return response.send(toCsv(CATALOG_COLUMNS, rows));
+  } catch (error) {
+    logger.error("Error exporting products:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to export products",
+      details: error.message,
+    });
+  }
+});
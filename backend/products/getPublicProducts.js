@@ -1,12 +1,16 @@
 /**
  * GET PUBLIC PRODUCTS
- * Fetches all active products for buyers to browse.
- * 
+ * Fetches active products for buyers to browse, one page at a time.
+ *
  * FUNCTION FLOW:
- * 1. VALIDATION: HTTP method (GET only)
- * 2. FETCH: Get all products where status is "active"
- * 3. RESPONSE: Return products array (empty if none found)
- * 
+ * 1. VALIDATION: HTTP method (GET only), filters, sort and paging
+ *    (categoryId, category, sellerId, minPrice, maxPrice, sort, limit, cursor; see productListing.js)
+ * 2. FETCH: One page of products where status is "active", filtered and sorted
+ * 3. SELLERS: Each product's seller trust score and tier
+ *    (seller: { sellerId, trustScore, trustTier }, see reputation/reputationRules.js)
+ * 4. RESPONSE: Return products array (empty if none found) and nextCursor
+ *    (null on the last page)
+ *
  * Note: No authentication required - this is a public endpoint for buyers.
  */
 
@@ -14,37 +18,46 @@ const { onRequest } = require("firebase-functions/v2/https");
 const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
+const { fetchPage } = require("../utils/pagination");
+const { attachSellerReputation } = require("../reputation/sellerReputation");
+const { parseProductListParams, applyProductFilters, toProductListing } = require("./productListing");
+
 exports.getPublicProducts = onRequest(async (request, response) => {
   try {
     if (request.method !== "GET") {
       return response.status(405).json({ error: "Use GET method" });
     }
 
-    const productsRef = admin.firestore().collection("products");
-    const snapshot = await productsRef
-      .where("status", "==", "active")
-      .get();
+    const params = parseProductListParams(request.query);
+    const { sellerId } = request.query;
 
-    if (snapshot.empty) {
-      return response.json({ success: true, count: 0, products: [] });
+    let query = admin.firestore().collection("products")
+      .where("status", "==", "active");
+    if (sellerId) {
+      query = query.where("sellerId", "==", sellerId);
     }
+    query = applyProductFilters(query, params);
 
-    const products = snapshot.docs.map(doc => ({
-      productId: doc.id,
-      ...doc.data(),
-    }));
+    const { docs, nextCursor } = await fetchPage(query, params);
+    const products = await attachSellerReputation(docs.map(toProductListing));
 
     return response.json({
       success: true,
       count: products.length,
       products,
+      nextCursor,
+      hasMore: nextCursor !== null,
     });
   } catch (error) {
     logger.error("Error fetching public products:", error);
+
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
     return response.status(500).json({
       error: "Failed to fetch products",
       details: error.message,
     });
   }
 });
-
@@ -1,12 +1,14 @@
 /**
  * GET SELLER PRODUCTS
- * Fetches all products listed by the authenticated seller.
+ * Fetches the products listed by the authenticated seller, one page at a time.
  * 
  * FUNCTION FLOW:
- * 1. VALIDATION: HTTP method (GET only)
+ * 1. VALIDATION: HTTP method (GET only), filters, sort and paging
+ *    (categoryId, category, status, minPrice, maxPrice, sort, limit, cursor; see productListing.js)
  * 2. AUTHORIZATION: Verify seller role
- * 3. FETCH: Get all products where sellerId matches authenticated seller
- * 4. RESPONSE: Return products array (empty if none found)
+ * 3. FETCH: One page of products where sellerId matches authenticated seller
+ * 4. RESPONSE: Return products array (empty if none found), each with
+ *    inventory: { available, reserved, sold } (see inventory.js), and nextCursor
  */
 
 const { onRequest } = require("firebase-functions/v2/https");
@@ -14,6 +16,9 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifySellerRole } = require("../auth");
+const { inventorySummary } = require("./inventory");
+const { fetchPage, parseEnumParam } = require("../utils/pagination");
+const { parseProductListParams, applyProductFilters, toProductListing } = require("./productListing");
 
 exports.getSellerProducts = onRequest(async (request, response) => {
   try {
@@ -21,35 +26,52 @@ exports.getSellerProducts = onRequest(async (request, response) => {
       return response.status(405).json({ error: "Use GET method" });
     }
 
+    const params = parseProductListParams(request.query);
+    const status = parseEnumParam(request.query.status, "status", ["active", "inactive"]);
+
     // Verify seller role
     const { uid: userId, user } = await verifySellerRole(request);
 
-    const productsSnapshot = await admin
+    let query = admin
       .firestore()
       .collection("products")
-      .where("sellerId", "==", userId)
-      .get();
+      .where("sellerId", "==", userId);
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+    query = applyProductFilters(query, params);
+
+    const { docs, nextCursor } = await fetchPage(query, params);
 
-    if (productsSnapshot.empty) {
+    if (docs.length === 0) {
       return response.json({
         success: true,
         message: "No products found for this seller",
         products: [],
+        nextCursor: null,
+        hasMore: false,
       });
     }
 
-    const products = productsSnapshot.docs.map(doc => ({
-      productId: doc.id,
-      ...doc.data(),
+    const products = docs.map(doc => ({
+      ...toProductListing(doc),
+      inventory: inventorySummary(doc.data()), // held by unpaid/unconfirmed orders vs. sold
     }));
 
     return response.json({
       success: true,
       count: products.length,
       products,
+      nextCursor,
+      hasMore: nextCursor !== null,
     });
   } catch (error) {
     logger.error("Error fetching seller products:", error);
+
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
     return response.status(500).json({
       error: "Failed to fetch seller products",
       details: error.message,
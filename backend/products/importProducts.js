@@ -0,0 +1,291 @@
+/**
+ * IMPORT PRODUCTS
+ * Allows a seller to create and update many products at once from CSV or JSON
+ * (the format of exportProducts, see productCatalog.js).
+ *
+ * Body: { csv: string } or { products: [row, ...] }, dryRun?: boolean
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, CSV (header columns) or JSON rows, up to MAX_IMPORT_ROWS
+ * 2. AUTHORIZATION: Verify seller role
+ * 3. MATCH: Each row upserts the seller's product with its productId or sku
+ * 4. ROWS: Same rules as createProduct/updateProduct (productRules.js), active
+ *    categoryId, no duplicate sku/productId in the file, imageURL only changed on
+ *    products without uploaded images; each failing row is reported and skipped,
+ *    the others are applied
+ * 5. WRITE: Batched creates/updates (nothing is written with dryRun)
+ * 6. RESPONSE: { dryRun, summary: { total, created, updated, failed },
+ *    rows: [{ row, sku, productId, action: "create" | "update" | "error", error }] }
+ *
+ * Row numbers count products from 1 (the CSV header is not a row).
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const { parseCsv } = require("../utils/csv");
+const { searchIndexFields } = require("../search/tokenizer");
+const { resolveProductCategory } = require("../categories/categoryTree");
+const { validateProductFields, buildNewProduct, buildProductUpdate } = require("./productRules");
+const {
+  MAX_IMPORT_ROWS,
+  unknownColumns,
+  csvRecordToFields,
+  jsonRowToFields,
+} = require("./productCatalog");
+
+// Firestore batches take at most 500 writes; "in" queries at most 30 values
+const WRITE_BATCH_SIZE = 400;
+const IN_QUERY_SIZE = 30;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Product fields of each row of the request (throws "Invalid ..." errors)
+ */
+function parseImportRows(body) {
+  const { csv, products } = body;
+  if ((csv === undefined) === (products === undefined)) {
+    throw new Error("Invalid import: send csv or products");
+  }
+
+  let rows;
+  if (csv !== undefined) {
+    if (typeof csv !== "string") {
+      throw new Error("Invalid import: csv must be a string");
+    }
+    const { headers, records } = parseCsv(csv);
+    const unknown = unknownColumns(headers);
+    if (unknown.length > 0) {
+      throw new Error(`Invalid CSV: unknown column ${unknown.join(", ")}`);
+    }
+    rows = records.map(csvRecordToFields);
+  } else {
+    if (!Array.isArray(products) ||
+        !products.every(row => row && typeof row === "object" && !Array.isArray(row))) {
+      throw new Error("Invalid import: products must be an array of objects");
+    }
+    const unknown = unknownColumns([...new Set(products.flatMap(Object.keys))]);
+    if (unknown.length > 0) {
+      throw new Error(`Invalid import: unknown field ${unknown.join(", ")}`);
+    }
+    rows = products.map(jsonRowToFields);
+  }
+
+  if (rows.length === 0) {
+    throw new Error("Invalid import: no products");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Invalid import: at most ${MAX_IMPORT_ROWS} products per import`);
+  }
+  return rows;
+}
+
+/**
+ * The seller's products referenced by the rows, by id and by sku
+ */
+async function loadExistingProducts(sellerId, rows) {
+  const firestore = admin.firestore();
+  const products = firestore.collection("products");
+  const byId = {};
+  const bySku = {};
+
+  const productIds = [...new Set(rows.map(row => row.productId).filter(id => typeof id === "string"))];
+  if (productIds.length > 0) {
+    const docs = await firestore.getAll(...productIds.map(id => products.doc(id)));
+    for (const doc of docs) {
+      if (doc.exists && doc.data().sellerId === sellerId) byId[doc.id] = doc;
+    }
+  }
+
+  const skus = [...new Set(rows.map(row => row.sku).filter(sku => typeof sku === "string"))];
+  for (const skuChunk of chunk(skus, IN_QUERY_SIZE)) {
+    const snapshot = await products
+      .where("sellerId", "==", sellerId)
+      .where("sku", "in", skuChunk)
+      .get();
+    for (const doc of snapshot.docs) {
+      bySku[doc.data().sku] = doc;
+    }
+  }
+
+  return { byId, bySku };
+}
+
+/**
+ * Plan one row: the product it creates or updates, or why it fails
+ *
+ * @returns {Promise<{ action: string, productId?: string, data?: Object, error?: string }>}
+ */
+async function planRow(fields, { sellerId, existing, seen, resolveCategory }) {
+  const { productId, sku, categoryId, category, imageURL } = fields;
+
+  if (productId === undefined && sku === undefined) {
+    return { action: "error", error: "Missing sku: new products need a sku" };
+  }
+  const fileKeys = [productId && `productId ${productId}`, sku && `sku ${sku}`].filter(Boolean);
+  const repeated = fileKeys.find(key => seen.has(key));
+  if (repeated) {
+    return { action: "error", error: `Duplicate ${repeated} in this import` };
+  }
+  fileKeys.forEach(key => seen.add(key));
+
+  let target = null;
+  if (productId !== undefined) {
+    target = existing.byId[productId];
+    if (!target) {
+      return { action: "error", error: `Product ${productId} not found` };
+    }
+  } else {
+    target = existing.bySku[sku] || null;
+  }
+  if (target && sku !== undefined && existing.bySku[sku] && existing.bySku[sku].id !== target.id) {
+    return { action: "error", error: `Product with sku ${sku} already exists` };
+  }
+
+  // Same rules as createProduct/updateProduct
+  const fieldsError = validateProductFields(fields, { partial: Boolean(target) });
+  if (fieldsError) {
+    return { action: "error", error: fieldsError };
+  }
+  if (target && target.data().variants && (fields.price !== undefined || fields.stock !== undefined)) {
+    return {
+      action: "error",
+      error: "Invalid product: set price and stock per variant for products with variants",
+    };
+  }
+  if (imageURL !== undefined && typeof imageURL !== "string") {
+    return { action: "error", error: "Invalid imageURL: must be a URL" };
+  }
+
+  let categoryFields = null;
+  if (categoryId !== undefined) {
+    const resolved = await resolveCategory(categoryId);
+    if (resolved.error) {
+      return { action: "error", error: resolved.error };
+    }
+    categoryFields = resolved.fields;
+  }
+
+  if (!target) {
+    const data = buildNewProduct(sellerId, fields, categoryFields || { category: category || "Uncategorized" });
+    if (fields.status !== undefined) data.status = fields.status;
+    return { action: "create", data };
+  }
+
+  const data = { ...buildProductUpdate(fields), ...categoryFields };
+
+  // The cover of products with uploaded images is their first image (productImages.js);
+  // a hosted imageURL only replaces a legacy one. Re-importing an export leaves it as is.
+  const targetData = target.data();
+  if (imageURL !== undefined && imageURL !== (targetData.imageURL || null)) {
+    if ((targetData.images || []).length > 0) {
+      return {
+        action: "error",
+        error: "Invalid imageURL: this product's cover is its first uploaded image (reorder them with updateProductImages)",
+      };
+    }
+    data.imageURL = imageURL;
+  }
+  Object.assign(data, searchIndexFields({ ...targetData, ...data }));
+  data.updatedAt = FieldValue.serverTimestamp();
+  return { action: "update", productId: target.id, data };
+}
+
+exports.importProducts = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const dryRun = request.body.dryRun === true || request.query.dryRun === "true";
+    const rows = parseImportRows(request.body);
+
+    // Verify seller role
+    const { uid: userId } = await verifySellerRole(request);
+
+    const firestore = admin.firestore();
+    const existing = await loadExistingProducts(userId, rows);
+
+    // Each category is resolved once per import
+    const categories = {};
+    const resolveCategory = (categoryId) => {
+      if (!categories[categoryId]) categories[categoryId] = resolveProductCategory(categoryId);
+      return categories[categoryId];
+    };
+
+    const context = { sellerId: userId, existing, seen: new Set(), resolveCategory };
+    const results = [];
+    const writes = [];
+    for (const [index, fields] of rows.entries()) {
+      const plan = await planRow(fields, context);
+      if (plan.action === "create") {
+        const productRef = firestore.collection("products").doc();
+        if (!dryRun) plan.productId = productRef.id; // ids are only reserved when written
+        writes.push({ ref: productRef, create: true, data: { ...plan.data, productId: productRef.id } });
+      } else if (plan.action === "update") {
+        writes.push({ ref: firestore.collection("products").doc(plan.productId), create: false, data: plan.data });
+      }
+      results.push({
+        row: index + 1,
+        sku: fields.sku !== undefined ? fields.sku : null,
+        productId: plan.productId || null,
+        action: plan.action,
+        error: plan.error || null,
+      });
+    }
+
+    if (!dryRun) {
+      for (const writeChunk of chunk(writes, WRITE_BATCH_SIZE)) {
+        const batch = firestore.batch();
+        for (const write of writeChunk) {
+          if (write.create) {
+            batch.create(write.ref, write.data);
+          } else {
+            batch.update(write.ref, write.data);
+          }
+        }
+        await batch.commit();
+      }
+    }
+
+    const summary = {
+      total: results.length,
+      created: results.filter(result => result.action === "create").length,
+      updated: results.filter(result => result.action === "update").length,
+      failed: results.filter(result => result.action === "error").length,
+    };
+
+    logger.info(`Product import by seller ${userId}${dryRun ? " (dry run)" : ""}`, summary);
+
+    return response.json({
+      success: true,
+      dryRun,
+      summary,
+      rows: results,
+    });
+  } catch (error) {
+    logger.error("Error importing products:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to import products",
+      details: error.message,
+    });
+  }
+});
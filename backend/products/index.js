@@ -9,5 +9,10 @@ module.exports = {
   ...require("./deleteProduct"),
   ...require("./getSellerProducts"),
   ...require("./getPublicProducts"),
+  ...require("./createProductImageUpload"),
+  ...require("./processProductImage"),
+  ...require("./updateProductImages"),
+  ...require("./importProducts"),
+  ...require("./exportProducts"),
 };
 
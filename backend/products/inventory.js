@@ -0,0 +1,171 @@
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+/**
+ * INVENTORY (Stock reservations)
+ * Placing an order does not sell stock outright, it holds it:
+ *
+ *   placed     stock -q, reservedStock +q   (order.stockReservation = "held")
+ *   committed  reservedStock -q, soldCount +q  ("committed": payment confirmed,
+ *              or the seller confirmed a COD order)
+ *   released   stock +q and reservedStock -q (held) or soldCount -q (committed)
+ *              ("released": cancelled, or the hold expired, see orders/orderExpiry.js)
+ *
+ * `stock` therefore stays the quantity available for sale, which is what
+ * createOrder, checkoutCart and the cart check against.
+ *
+ * Product fields:
+ * { stock: number, reservedStock: number, soldCount: number }
+ *
+ * Order fields:
+ * {
+ *   stockReservation: "held" | "committed" | "released",
+ *   stockHoldExpiresAt: Timestamp,   // held stock is released (order cancelled) after this
+ *   stockCommittedAt: Timestamp | null,
+ *   expiryFailedAt: Timestamp | null // the expiry job could not cancel it (orders/orderExpiry.js)
+ * }
+ * Orders placed before reservations existed have no stockReservation: their
+ * stock was decremented directly and only `stock` is given back.
+ *
+ * Lines with a variantId move the variant's counters (variants.{variantId}.*)
+ * together with the product's, so product-level counts stay the variant totals.
+ *
+ * Variables:
+ * - COD_STOCK_HOLD_HOURS: how long a COD order holds stock until the seller
+ *   confirms it (default 48). KBZPay/WavePay orders hold it until paymentDueAt.
+ */
+
+const STOCK_RESERVATION = {
+  HELD: "held",
+  COMMITTED: "committed",
+  RELEASED: "released",
+};
+
+function getCodStockHoldHours() {
+  return Number(process.env.COD_STOCK_HOLD_HOURS) || 48;
+}
+
+function productRef(productId) {
+  return admin.firestore().collection("products").doc(productId);
+}
+
+/**
+ * Product update moving the counters of one order line by `deltas`
+ * ({ stock: -2, reservedStock: 2 }), on the variant too if the line has one
+ */
+function counterUpdate(line, deltas) {
+  const update = {};
+  for (const [field, delta] of Object.entries(deltas)) {
+    update[field] = FieldValue.increment(delta);
+    if (line.variantId) {
+      update[`variants.${line.variantId}.${field}`] = FieldValue.increment(delta);
+    }
+  }
+  update.updatedAt = FieldValue.serverTimestamp();
+  return update;
+}
+
+/**
+ * Order fields for a new order's stock hold
+ *
+ * @param {string} paymentMethod - COD, KBZPay or WavePay
+ * @param {Timestamp|null} paymentDueAt - Payment deadline of mobile-money orders
+ */
+function stockHoldFields(paymentMethod, paymentDueAt) {
+  return {
+    stockReservation: STOCK_RESERVATION.HELD,
+    stockHoldExpiresAt: paymentMethod === "COD" || !paymentDueAt
+      ? Timestamp.fromMillis(Date.now() + getCodStockHoldHours() * 60 * 60 * 1000)
+      : paymentDueAt,
+    stockCommittedAt: null,
+    expiryFailedAt: null,
+  };
+}
+
+/**
+ * Hold stock for validated order lines (write step, after buildOrderLines checked availability)
+ */
+function reserveStock(transaction, productRefs, items) {
+  for (let i = 0; i < items.length; i++) {
+    transaction.update(productRefs[i], counterUpdate(items[i], {
+      stock: -items[i].quantity,
+      reservedStock: items[i].quantity,
+    }));
+  }
+}
+
+/**
+ * Turn an order's held stock into sold stock (write step, no reads).
+ * Does nothing unless the stock is currently held.
+ *
+ * @param {Object} writer - Firestore transaction or batch
+ * @param {Object} orderData - Current order data
+ * @returns {Object} Order fields to merge into the caller's order update
+ */
+function commitReservedStock(writer, orderData) {
+  if (orderData.stockReservation !== STOCK_RESERVATION.HELD) {
+    return {};
+  }
+
+  for (const line of orderData.products) {
+    writer.update(productRef(line.productId), counterUpdate(line, {
+      reservedStock: -line.quantity,
+      soldCount: line.quantity,
+    }));
+  }
+
+  return {
+    stockReservation: STOCK_RESERVATION.COMMITTED,
+    stockCommittedAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Put stock of the given lines back on sale (write step).
+ *
+ * @param {string|undefined} stockReservation - The order's reservation state before the release
+ */
+function releaseStock(writer, productRefs, items, stockReservation) {
+  for (let i = 0; i < items.length; i++) {
+    const deltas = { stock: items[i].quantity };
+    if (stockReservation === STOCK_RESERVATION.HELD) {
+      deltas.reservedStock = -items[i].quantity;
+    } else if (stockReservation === STOCK_RESERVATION.COMMITTED) {
+      deltas.soldCount = -items[i].quantity;
+    }
+    writer.update(productRefs[i], counterUpdate(items[i], deltas));
+  }
+}
+
+function countsOf(stockFields) {
+  return {
+    available: stockFields.stock || 0,
+    reserved: stockFields.reservedStock || 0,
+    sold: stockFields.soldCount || 0,
+  };
+}
+
+/**
+ * Available, reserved and sold counts of a product (0 for fields legacy products
+ * lack), plus the same per variant for products with variants
+ */
+function inventorySummary(productData) {
+  const summary = countsOf(productData);
+  if (productData.variants) {
+    summary.variants = {};
+    for (const [variantId, variant] of Object.entries(productData.variants)) {
+      summary.variants[variantId] = countsOf(variant);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  STOCK_RESERVATION,
+  getCodStockHoldHours,
+  stockHoldFields,
+  reserveStock,
+  commitReservedStock,
+  releaseStock,
+  inventorySummary,
+};
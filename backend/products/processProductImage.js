@@ -0,0 +1,197 @@
+const { onObjectFinalized } = require("firebase-functions/v2/storage");
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  parseUploadPath,
+  imageFolder,
+  downloadURL,
+  renderImageVariants,
+  newDownloadToken,
+} = require("./productImages");
+
+/**
+ * Reject an upload: delete the file and record why on the ticket
+ */
+async function rejectUpload(file, ticketRef, reason) {
+  await file.delete({ ignoreNotFound: true });
+  if (ticketRef) {
+    await ticketRef.set({
+      status: "rejected",
+      reason,
+      processedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  logger.warn(`Product image upload ${file.name} rejected: ${reason}`);
+}
+
+/**
+ * Duplicate delivery of an upload whose image was already added: only the
+ * original upload (if still there) is deleted, the ticket stays "ready"
+ */
+async function ignoreDuplicate(file, imageId) {
+  await file.delete({ ignoreNotFound: true });
+  logger.info(`Image ${imageId} was already processed; duplicate event ignored`);
+}
+
+/**
+ * Check the upload against its ticket and the declared limits
+ *
+ * @returns {string|null} Rejection reason, or null if the upload may be processed
+ */
+function uploadRejection(ticketDoc, upload, object) {
+  if (!ticketDoc.exists) {
+    return "No upload ticket for this image";
+  }
+  const ticket = ticketDoc.data();
+  if (ticket.status !== "pending") {
+    return `Upload ticket is already ${ticket.status}`;
+  }
+  if (ticket.sellerId !== upload.sellerId || ticket.productId !== upload.productId) {
+    return "Upload path does not match the upload ticket";
+  }
+  if (ticket.expiresAt.toMillis() < Date.now()) {
+    return "Upload ticket expired";
+  }
+  if (!ALLOWED_IMAGE_TYPES.includes(object.contentType)) {
+    return `Invalid contentType: ${object.contentType}`;
+  }
+  if (Number(object.size) > MAX_IMAGE_BYTES) {
+    return `Invalid size: images must be at most ${MAX_IMAGE_BYTES} bytes`;
+  }
+  return null;
+}
+
+/**
+ * PROCESS PRODUCT IMAGE (Storage trigger)
+ * Runs when a file lands under products/{sellerId}/{productId}/uploads/{imageId}.
+ *
+ * FUNCTION FLOW:
+ * 1. FILTER: Ignore every other object (including the variants written here)
+ * 2. VALIDATION: Pending, unexpired upload ticket for this seller and product;
+ *    content type and size; the file must decode as JPEG, PNG or WebP
+ * 3. VARIANTS: Large and thumbnail sizes as JPEG and WebP (productImages.js),
+ *    written under products/{sellerId}/{productId}/images/{imageId}/
+ * 4. PRODUCT: Append the image to `images` (transaction that re-reads the ticket:
+ *    it must still be pending; MAX_PRODUCT_IMAGES); the first image also becomes `imageURL`
+ * 5. CLEANUP: Delete the original upload, mark the ticket "ready"
+ *
+ * Rejected uploads are deleted and their ticket marked "rejected" with a reason.
+ * Storage events are delivered at least once: a delivery that finds the ticket
+ * already "ready" (a duplicate finished first) does nothing.
+ */
+exports.processProductImage = onObjectFinalized({ memory: "1GiB" }, async (event) => {
+  const object = event.data;
+  const upload = parseUploadPath(object.name);
+  if (!upload) {
+    return;
+  }
+
+  const firestore = admin.firestore();
+  const bucket = admin.storage().bucket(object.bucket);
+  const file = bucket.file(object.name);
+  const ticketRef = firestore.collection("productImageUploads").doc(upload.imageId);
+
+  const ticketDoc = await ticketRef.get();
+  if (ticketDoc.exists && ticketDoc.data().status === "ready") {
+    return ignoreDuplicate(file, upload.imageId);
+  }
+  const rejection = uploadRejection(ticketDoc, upload, object);
+  if (rejection) {
+    return rejectUpload(file, ticketDoc.exists ? ticketRef : null, rejection);
+  }
+
+  const [buffer] = await file.download();
+  const rendered = await renderImageVariants(buffer);
+  if (rendered.error) {
+    return rejectUpload(file, ticketRef, rendered.error);
+  }
+
+  // Write the variants, each with a download token for its public URL
+  const folder = imageFolder(upload.sellerId, upload.productId, upload.imageId);
+  const urls = {};
+  for (const variant of rendered.variants) {
+    const token = newDownloadToken();
+    const path = folder + variant.file;
+    await bucket.file(path).save(variant.buffer, {
+      resumable: false,
+      metadata: {
+        contentType: variant.contentType,
+        cacheControl: "public, max-age=31536000",
+        metadata: { firebaseStorageDownloadTokens: token },
+      },
+    });
+    urls[variant.key] = downloadURL(bucket.name, path, token);
+  }
+
+  const image = {
+    imageId: upload.imageId,
+    ...urls,
+    width: rendered.width,
+    height: rendered.height,
+    createdAt: Timestamp.now(),
+  };
+
+  const productRef = firestore.collection("products").doc(upload.productId);
+  let productError = null;
+  let alreadyProcessed = false;
+  await firestore.runTransaction(async (transaction) => {
+    productError = null;
+    alreadyProcessed = false;
+    const [currentTicket, productDoc] = await Promise.all([
+      transaction.get(ticketRef),
+      transaction.get(productRef),
+    ]);
+    // A duplicate delivery of this event may have finished (or failed) meanwhile
+    const ticketStatus = currentTicket.data().status;
+    if (ticketStatus === "ready") {
+      alreadyProcessed = true;
+      return;
+    }
+    if (ticketStatus !== "pending") {
+      productError = `Upload ticket is already ${ticketStatus}`;
+      return;
+    }
+    if (!productDoc.exists || productDoc.data().sellerId !== upload.sellerId) {
+      productError = "Product not found";
+      return;
+    }
+    const images = productDoc.data().images || [];
+    if (images.length >= MAX_PRODUCT_IMAGES) {
+      productError = `Products have at most ${MAX_PRODUCT_IMAGES} images`;
+      return;
+    }
+
+    const updateData = {
+      images: [...images, image],
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (images.length === 0) {
+      updateData.imageURL = image.url; // cover image
+    }
+    transaction.update(productRef, updateData);
+    transaction.update(ticketRef, {
+      status: "ready",
+      processedAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  if (alreadyProcessed) {
+    // The variants now belong to the image the other delivery added: keep them
+    return ignoreDuplicate(file, upload.imageId);
+  }
+  if (productError) {
+    await bucket.deleteFiles({ prefix: folder });
+    return rejectUpload(file, ticketRef, productError);
+  }
+
+  await file.delete({ ignoreNotFound: true });
+  logger.info(`Image ${upload.imageId} added to product ${upload.productId}`, {
+    width: rendered.width,
+    height: rendered.height,
+  });
+});
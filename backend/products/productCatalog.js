@@ -0,0 +1,103 @@
+/**
+ * PRODUCT CATALOG FORMAT
+ * Rows shared by importProducts and exportProducts (CSV columns or JSON keys).
+ *
+ * Columns: sku, productId, name, description, price, stock, weightKg,
+ *          categoryId, category, status, imageURL
+ *
+ * - A row updates the seller's product with its productId or sku, otherwise
+ *   creates one (sku required for new products)
+ * - Empty CSV fields (null in JSON) leave the product's value unchanged
+ * - `category` is the legacy free-text category; exported only for products
+ *   without a categoryId
+ * - Products with variants are exported without price and stock (those are set
+ *   per variant with updateProduct); their other fields can be imported
+ * - `imageURL` is the cover image: for products with uploaded images it is the
+ *   first image and can only be changed by reordering them (updateProductImages)
+ */
+
+const CATALOG_COLUMNS = [
+  "sku",
+  "productId",
+  "name",
+  "description",
+  "price",
+  "stock",
+  "weightKg",
+  "categoryId",
+  "category",
+  "status",
+  "imageURL",
+];
+const NUMBER_COLUMNS = ["price", "stock", "weightKg"];
+
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Unknown columns of a CSV header or JSON row
+ */
+function unknownColumns(columns) {
+  return columns.filter(column => !CATALOG_COLUMNS.includes(column));
+}
+
+/**
+ * Product fields of a CSV record: empty fields are left out, number columns
+ * converted (values that are not numbers are kept so validation reports them)
+ */
+function csvRecordToFields(record) {
+  const fields = {};
+  for (const column of CATALOG_COLUMNS) {
+    const value = record[column] !== undefined ? record[column].trim() : "";
+    if (value === "") continue;
+    if (NUMBER_COLUMNS.includes(column)) {
+      const number = Number(value);
+      fields[column] = Number.isFinite(number) ? number : value;
+    } else {
+      fields[column] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Product fields of a JSON row (null values left out, as in exports)
+ */
+function jsonRowToFields(row) {
+  const fields = {};
+  for (const column of CATALOG_COLUMNS) {
+    if (row[column] !== undefined && row[column] !== null) {
+      fields[column] = row[column];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Catalog row of a product document
+ */
+function productToRow(doc) {
+  const product = doc.data();
+  const hasVariants = Boolean(product.variants);
+  return {
+    sku: product.sku || null,
+    productId: doc.id,
+    name: product.name,
+    description: product.description || null,
+    price: hasVariants ? null : product.price,
+    stock: hasVariants ? null : product.stock,
+    weightKg: product.weightKg !== undefined ? product.weightKg : null,
+    categoryId: product.categoryId || null,
+    category: product.categoryId ? null : product.category || null,
+    status: product.status,
+    imageURL: product.imageURL || null,
+  };
+}
+
+module.exports = {
+  CATALOG_COLUMNS,
+  MAX_IMPORT_ROWS,
+  unknownColumns,
+  csvRecordToFields,
+  jsonRowToFields,
+  productToRow,
+};
@@ -0,0 +1,179 @@
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+
+/**
+ * PRODUCT IMAGES
+ * Upload paths, limits and image variants shared by createProductImageUpload,
+ * processProductImage and updateProductImages.
+ *
+ * Upload flow:
+ * 1. The seller asks createProductImageUpload for an upload: an upload ticket
+ *    (productImageUploads/{imageId}) and a URL to PUT/POST the file to
+ * 2. The file lands at products/{sellerId}/{productId}/uploads/{imageId}
+ *    (storage.rules: only that seller, with a pending ticket, image types, size limit)
+ * 3. processProductImage (Storage trigger) decodes it, writes the variants under
+ *    products/{sellerId}/{productId}/images/{imageId}/ and appends the image to
+ *    the product's `images`; the original upload is deleted
+ *
+ * Product images (products/{productId}.images, in display order):
+ * [{ imageId, url, webpURL, thumbnailURL, thumbnailWebpURL, width, height, createdAt }]
+ * `imageURL` stays the first image's url (cover image for orders, carts, chats).
+ *
+ * Upload Ticket Schema (productImageUploads/{imageId}):
+ * {
+ *   imageId, productId, sellerId,
+ *   path: string,                      // upload object path
+ *   contentType: string, size: number, // as declared by the seller
+ *   status: "pending" | "ready" | "rejected",
+ *   reason: string | null,             // why the upload was rejected
+ *   createdAt, expiresAt, processedAt
+ * }
+ */
+
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+// Formats sharp must decode the file as (the declared type is not trusted)
+const ALLOWED_IMAGE_FORMATS = ["jpeg", "png", "webp"];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_PRODUCT_IMAGES = 10;
+const UPLOAD_TTL_MS = 15 * 60 * 1000;
+
+// Low-bandwidth variants: JPEG for older phones, WebP where supported
+const IMAGE_VARIANTS = {
+  url: { file: "large.jpg", width: 1200, format: "jpeg", quality: 80 },
+  webpURL: { file: "large.webp", width: 1200, format: "webp", quality: 75 },
+  thumbnailURL: { file: "thumb.jpg", width: 320, format: "jpeg", quality: 70 },
+  thumbnailWebpURL: { file: "thumb.webp", width: 320, format: "webp", quality: 60 },
+};
+
+const UPLOAD_PATH_PATTERN = /^products\/([^/]+)\/([^/]+)\/uploads\/([^/]+)$/;
+
+function uploadPath(sellerId, productId, imageId) {
+  return `products/${sellerId}/${productId}/uploads/${imageId}`;
+}
+
+function imageFolder(sellerId, productId, imageId) {
+  return `products/${sellerId}/${productId}/images/${imageId}/`;
+}
+
+/**
+ * { sellerId, productId, imageId } of an upload object path, or null for any
+ * other object (including the generated variants)
+ */
+function parseUploadPath(path) {
+  const match = UPLOAD_PATH_PATTERN.exec(path || "");
+  return match ? { sellerId: match[1], productId: match[2], imageId: match[3] } : null;
+}
+
+/**
+ * Storage emulator host (host:port) when running against the emulators
+ */
+function storageEmulatorHost() {
+  const host = process.env.FIREBASE_STORAGE_EMULATOR_HOST || process.env.STORAGE_EMULATOR_HOST;
+  return host ? host.replace(/^https?:\/\//, "") : null;
+}
+
+/**
+ * Firebase download URL of a Storage object (public with its download token)
+ */
+function downloadURL(bucketName, path, token) {
+  const emulatorHost = storageEmulatorHost();
+  const origin = emulatorHost ? `http://${emulatorHost}` : "https://firebasestorage.googleapis.com";
+  return `${origin}/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+/**
+ * Where and how the seller uploads the file.
+ * Production: V4 signed PUT URL bound to the content type and size limit.
+ * Storage emulator (cannot sign URLs): Firebase Storage upload endpoint; the
+ * seller sends their ID token and storage.rules check the upload.
+ *
+ * @returns {Promise<{ uploadURL: string, method: string, headers: Object }>}
+ */
+async function createUploadTarget(path, contentType) {
+  const bucket = admin.storage().bucket();
+  const emulatorHost = storageEmulatorHost();
+
+  if (emulatorHost) {
+    return {
+      uploadURL: `http://${emulatorHost}/v0/b/${bucket.name}/o?name=${encodeURIComponent(path)}`,
+      method: "POST",
+      headers: {
+        "Content-Type": contentType,
+        "Authorization": "Firebase <ID_TOKEN>",
+      },
+    };
+  }
+
+  const lengthRange = `0,${MAX_IMAGE_BYTES}`;
+  const [uploadURL] = await bucket.file(path).getSignedUrl({
+    version: "v4",
+    action: "write",
+    expires: Date.now() + UPLOAD_TTL_MS,
+    contentType,
+    extensionHeaders: { "x-goog-content-length-range": lengthRange },
+  });
+  return {
+    uploadURL,
+    method: "PUT",
+    headers: {
+      "Content-Type": contentType,
+      "x-goog-content-length-range": lengthRange,
+    },
+  };
+}
+
+/**
+ * Encode the variants of an uploaded image (auto-rotated, metadata stripped,
+ * never enlarged)
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{ error: string } | { width: number, height: number,
+ *   variants: Array<{ key: string, file: string, contentType: string, buffer: Buffer }> }>}
+ */
+async function renderImageVariants(buffer) {
+  // Loaded on first use: only the Storage trigger needs the native module
+  const sharp = require("sharp");
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: "Invalid image: the file could not be decoded" };
+  }
+  if (!ALLOWED_IMAGE_FORMATS.includes(metadata.format)) {
+    return { error: `Invalid image: ${metadata.format} is not supported (use JPEG, PNG or WebP)` };
+  }
+
+  const variants = [];
+  let largest = null;
+  for (const [key, variant] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: variant.width, height: variant.width, fit: "inside", withoutEnlargement: true })
+      .toFormat(variant.format, { quality: variant.quality })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ key, file: variant.file, contentType: `image/${variant.format}`, buffer: data });
+    if (key === "url") largest = info;
+  }
+
+  return { width: largest.width, height: largest.height, variants };
+}
+
+function newDownloadToken() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PRODUCT_IMAGES,
+  UPLOAD_TTL_MS,
+  uploadPath,
+  imageFolder,
+  parseUploadPath,
+  storageEmulatorHost,
+  downloadURL,
+  createUploadTarget,
+  renderImageVariants,
+  newDownloadToken,
+};
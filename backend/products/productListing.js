@@ -0,0 +1,86 @@
+const {
+  parseLimit,
+  parseSort,
+  parseNumberParam,
+  assertRangeMatchesSort,
+} = require("../utils/pagination");
+
+/**
+ * PRODUCT LISTING
+ * Filters and sorts shared by getPublicProducts and getSellerProducts
+ * (paging itself: utils/pagination.js).
+ *
+ * Query parameters:
+ * - categoryId: category from the category tree, subcategories included
+ * - category: exact category name (legacy free-text categories)
+ * - minPrice / maxPrice: price range (requires sort price_asc or price_desc,
+ *   which is the default when a range is given)
+ * - sort: newest (default) | oldest | price_asc | price_desc
+ * - limit, cursor: see utils/pagination.js
+ */
+
+const PRODUCT_SORTS = {
+  newest: { field: "createdAt", direction: "desc" },
+  oldest: { field: "createdAt", direction: "asc" },
+  price_asc: { field: "price", direction: "asc" },
+  price_desc: { field: "price", direction: "desc" },
+};
+
+/**
+ * Parse the listing query parameters (throws "Invalid ..." errors)
+ *
+ * @returns {{ categoryId: string|null, category: string|null, minPrice: number|null, maxPrice: number|null,
+ *   sort: Object, limit: number, cursor: string|undefined }}
+ */
+function parseProductListParams(params) {
+  if (params.categoryId && params.category) {
+    throw new Error("Invalid category filter: use categoryId or category, not both");
+  }
+  const minPrice = parseNumberParam(params.minPrice, "minPrice");
+  const maxPrice = parseNumberParam(params.maxPrice, "maxPrice");
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new Error("Invalid price range: minPrice is greater than maxPrice");
+  }
+  const hasPriceRange = minPrice !== null || maxPrice !== null;
+
+  const sort = parseSort(params.sort, PRODUCT_SORTS, hasPriceRange ? "price_asc" : "newest");
+  assertRangeMatchesSort(sort, "price", hasPriceRange, ["price_asc", "price_desc"]);
+
+  return {
+    categoryId: params.categoryId || null,
+    category: params.category || null,
+    minPrice,
+    maxPrice,
+    sort,
+    limit: parseLimit(params.limit),
+    cursor: params.cursor || undefined,
+  };
+}
+
+/**
+ * Apply category and price filters to a products query
+ */
+function applyProductFilters(query, { categoryId, category, minPrice, maxPrice }) {
+  let filtered = query;
+  if (categoryId) filtered = filtered.where("categoryPath", "array-contains", categoryId);
+  if (category) filtered = filtered.where("category", "==", category);
+  if (minPrice !== null) filtered = filtered.where("price", ">=", minPrice);
+  if (maxPrice !== null) filtered = filtered.where("price", "<=", maxPrice);
+  return filtered;
+}
+
+/**
+ * Product as listed (without the search index field)
+ */
+function toProductListing(doc) {
+  const productData = doc.data();
+  delete productData.searchTokens;
+  return { productId: doc.id, ...productData };
+}
+
+module.exports = {
+  PRODUCT_SORTS,
+  parseProductListParams,
+  applyProductFilters,
+  toProductListing,
+};
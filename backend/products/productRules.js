@@ -0,0 +1,138 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+const { searchIndexFields } = require("../search/tokenizer");
+
+/**
+ * PRODUCT RULES
+ * Field validation and the new-product document shared by createProduct,
+ * updateProduct and importProducts, so bulk imports follow the same rules.
+ *
+ * Seller SKU (products/{productId}.sku, optional): the seller's own code for
+ * a product, unique among their products; importProducts upserts by it.
+ */
+
+const MAX_SKU_LENGTH = 64;
+const PRODUCT_STATUSES = ["active", "inactive"];
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate product fields
+ *
+ * @param {Object} fields - { name, price, stock, weightKg, status, category, categoryId, sku }
+ * @param {Object} options
+ * @param {boolean} options.partial - Update: only the given fields are checked
+ * @param {boolean} options.hasVariants - Priced per variant: no product price required
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProductFields(fields, { partial = false, hasVariants = false } = {}) {
+  const { name, price, stock, weightKg, status, category, categoryId, sku } = fields;
+
+  // Required fields (products with variants are priced per variant)
+  if (!partial && (!name || (price === undefined && !hasVariants))) {
+    return "Missing required fields";
+  }
+  if (partial && name !== undefined && (typeof name !== "string" || name.trim() === "")) {
+    return "Invalid name: must not be empty";
+  }
+  if (price !== undefined && !isNonNegativeNumber(price)) {
+    return "Invalid price: must be a positive number";
+  }
+  if (stock !== undefined && !isNonNegativeNumber(stock)) {
+    return "Invalid stock: must be a positive number";
+  }
+  // Optional, used for delivery fee weight tiers (updates may clear it)
+  if (weightKg !== undefined && !(partial && weightKg === null) && !isNonNegativeNumber(weightKg)) {
+    return "Invalid weightKg: must be a positive number";
+  }
+  if (status !== undefined && !PRODUCT_STATUSES.includes(status)) {
+    return "Invalid status: must be 'active' or 'inactive'";
+  }
+  if (categoryId !== undefined && category !== undefined) {
+    return "Invalid category: send categoryId or category, not both";
+  }
+  if (sku !== undefined && sku !== null &&
+      (typeof sku !== "string" || sku.trim() === "" || sku.length > MAX_SKU_LENGTH)) {
+    return `Invalid sku: must be 1-${MAX_SKU_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Seller's product with this SKU (or null)
+ *
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findProductBySku(sellerId, sku) {
+  const snapshot = await admin.firestore().collection("products")
+    .where("sellerId", "==", sellerId)
+    .where("sku", "==", sku)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * New product document (status "active", with its search index fields)
+ *
+ * @param {string} sellerId - Owning seller
+ * @param {Object} fields - Validated request fields
+ * @param {Object} categoryFields - { category } or resolveProductCategory fields
+ * @param {Object|null} variantFields - buildProductVariants fields
+ */
+function buildNewProduct(sellerId, fields, categoryFields, variantFields = null) {
+  const { name, description, price, stock, imageURL, weightKg, sku } = fields;
+  const productData = {
+    sellerId,
+    name,
+    description: description || "",
+    price: Number(price),
+    stock: Number(stock) || 0, // available for sale (see inventory.js)
+    reservedStock: 0,
+    soldCount: 0,
+    sku: typeof sku === "string" ? sku.trim() : null,
+    ...categoryFields,
+    imageURL: imageURL || null,
+    images: [], // uploaded images in display order (see productImages.js)
+    weightKg: weightKg !== undefined && weightKg !== null ? Number(weightKg) : null,
+    status: "active",
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    ...variantFields, // variantOptions, variants, price, stock
+  };
+  Object.assign(productData, searchIndexFields(productData)); // searchProducts index
+  return productData;
+}
+
+/**
+ * Update data for the given product fields (validated; categoryId is resolved
+ * by the caller, see resolveProductCategory). A legacy free-text `category`
+ * clears the product's categoryId.
+ */
+function buildProductUpdate(fields) {
+  const { name, price, stock, category, description, weightKg, status, sku } = fields;
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (price !== undefined) updateData.price = price;
+  if (stock !== undefined) updateData.stock = stock;
+  if (category !== undefined) {
+    Object.assign(updateData, { category, categoryId: null, categoryPath: [] });
+  }
+  if (description !== undefined) updateData.description = description;
+  if (weightKg !== undefined) updateData.weightKg = weightKg;
+  if (status !== undefined) updateData.status = status;
+  if (sku !== undefined) updateData.sku = typeof sku === "string" ? sku.trim() : null;
+  return updateData;
+}
+
+module.exports = {
+  MAX_SKU_LENGTH,
+  PRODUCT_STATUSES,
+  validateProductFields,
+  findProductBySku,
+  buildNewProduct,
+  buildProductUpdate,
+};
@@ -13,6 +13,7 @@
  *   stock: number,
  *   category: string,
  *   imageURL: string,
+ *   weightKg: number | null (used for delivery fee weight tiers),
  *   status: "active" | "inactive",
  *   createdAt: timestamp,
  *   updatedAt: timestamp
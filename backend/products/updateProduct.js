@@ -3,10 +3,16 @@
  * Allows a seller to update their product listing.
  * 
  * FUNCTION FLOW:
- * 1. VALIDATION: HTTP method, productId, field validation
+ * 1. VALIDATION: HTTP method, productId, field validation (productRules.js)
  * 2. AUTHORIZATION: Verify seller role and product ownership
  * 3. VALIDATION: Check product exists and seller owns it
- * 4. UPDATE: Update allowed fields (name, price, stock, category, description, status)
+ * 4. UPDATE: Update allowed fields (name, price, stock, categoryId, description, weightKg, status, sku)
+ *    categoryId must be an active category (categories/categoryTree.js); the
+ *    legacy free-text `category` is still accepted and clears categoryId
+ *    Products with variants: price/stock are set per variant through `variants`
+ *    (update by variantId or add new ones, see variants.js), applied in a
+ *    transaction so concurrent orders' stock changes are not lost.
+ *    searchTokens are rebuilt from the updated fields (search/tokenizer.js)
  * 5. RESPONSE: Return success with updated fields
  */
 
@@ -16,6 +22,10 @@ const admin = require("firebase-admin");
 const logger = require("firebase-functions/logger");
 
 const { verifySellerRole } = require("../auth");
+const { applyVariantChanges } = require("./variants");
+const { searchIndexFields } = require("../search/tokenizer");
+const { resolveProductCategory } = require("../categories/categoryTree");
+const { validateProductFields, findProductBySku, buildProductUpdate } = require("./productRules");
 
 exports.updateProduct = onRequest(async (request, response) => {
   try {
@@ -23,11 +33,17 @@ exports.updateProduct = onRequest(async (request, response) => {
       return response.status(405).json({ error: "Use PATCH or POST method" });
     }
 
-    const { productId, name, price, stock, category, description, status } = request.body;
+    const { productId, price, stock, categoryId, sku, variants } = request.body;
     if (!productId) {
       return response.status(400).json({ error: "Missing productId" });
     }
 
+    // Same field rules as createProduct (productRules.js)
+    const fieldsError = validateProductFields(request.body, { partial: true });
+    if (fieldsError) {
+      return response.status(400).json({ error: fieldsError });
+    }
+
     // Verify seller role
     const { uid: userId, user } = await verifySellerRole(request);
 
@@ -45,25 +61,53 @@ exports.updateProduct = onRequest(async (request, response) => {
       return response.status(403).json({ error: "Unauthorized: not your product" });
     }
 
+    // Variants: price and stock live on the variants
+    if (productData.variants && (price !== undefined || stock !== undefined)) {
+      return response.status(400).json({
+        error: "Invalid product: set price and stock per variant for products with variants",
+      });
+    }
+    if (variants !== undefined && !productData.variants) {
+      return response.status(400).json({
+        error: "Invalid variants: this product was created without variants",
+      });
+    }
+
+    // Seller SKUs are unique among the seller's products
+    if (sku) {
+      const existing = await findProductBySku(userId, sku.trim());
+      if (existing && existing.id !== productId) {
+        return response.status(409).json({ error: `Product with sku ${sku.trim()} already exists` });
+      }
+    }
+
     // Only update allowed fields
-    const updateData = {};
-    if (name !== undefined) updateData.name = name;
-    if (price !== undefined) updateData.price = price;
-    if (stock !== undefined) updateData.stock = stock;
-    if (category !== undefined) updateData.category = category;
-    if (description !== undefined) updateData.description = description;
-    
-    // Validate status if provided (must be "active" or "inactive")
-    if (status !== undefined) {
-      if (status !== "active" && status !== "inactive") {
-        return response.status(400).json({ error: "Invalid status: must be 'active' or 'inactive'" });
+    const updateData = buildProductUpdate(request.body);
+    if (categoryId !== undefined) {
+      const resolved = await resolveProductCategory(categoryId);
+      if (resolved.error) {
+        return response.status(400).json({ error: resolved.error });
       }
-      updateData.status = status;
+      Object.assign(updateData, resolved.fields);
     }
-    
     updateData.updatedAt = FieldValue.serverTimestamp();
 
-    await productRef.update(updateData);
+    if (variants !== undefined) {
+      await admin.firestore().runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(productRef);
+        const changed = applyVariantChanges(currentDoc.data(), variants);
+        if (changed.error) {
+          throw new Error(changed.error);
+        }
+        Object.assign(updateData, changed.fields);
+        Object.assign(updateData, searchIndexFields({ ...currentDoc.data(), ...updateData }));
+        transaction.update(productRef, updateData);
+      });
+    } else {
+      // Keep the search index entry in line with name/category/description
+      Object.assign(updateData, searchIndexFields({ ...productData, ...updateData }));
+      await productRef.update(updateData);
+    }
 
     logger.info(`Product ${productId} updated by ${userId}`);
     return response.json({
@@ -73,6 +117,9 @@ exports.updateProduct = onRequest(async (request, response) => {
     });
   } catch (error) {
     logger.error("Error updating product:", error);
+    if (error.message.startsWith("Invalid variants")) {
+      return response.status(400).json({ error: error.message });
+    }
     return response.status(500).json({
       error: "Failed to update product",
       details: error.message,
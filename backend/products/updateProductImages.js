@@ -0,0 +1,118 @@
+/**
+ * UPDATE PRODUCT IMAGES
+ * Allows a seller to reorder or remove their product's images.
+ *
+ * Body: { productId, imageIds: [imageId, ...] }
+ * imageIds is the new display order; images left out are removed (and their
+ * files deleted from Storage). New images are added through
+ * createProductImageUpload.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, productId, imageIds (no duplicates)
+ * 2. AUTHORIZATION: Verify seller role and product ownership
+ * 3. UPDATE: Reorder `images` in a transaction (an image processed meanwhile is
+ *    kept at the end); `imageURL` follows the first image
+ * 4. CLEANUP: Delete the removed images' files
+ * 5. RESPONSE: Return the product's images
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const { imageFolder } = require("./productImages");
+
+exports.updateProductImages = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "PATCH" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use PATCH or POST method" });
+    }
+
+    const { productId, imageIds } = request.body;
+    if (!productId) {
+      return response.status(400).json({ error: "Missing productId" });
+    }
+    if (!Array.isArray(imageIds) || !imageIds.every(id => typeof id === "string" && id.length > 0) ||
+        new Set(imageIds).size !== imageIds.length) {
+      return response.status(400).json({ error: "Invalid imageIds: must be an array of distinct image IDs" });
+    }
+
+    // Verify seller role
+    const { uid: userId } = await verifySellerRole(request);
+
+    const productRef = admin.firestore().collection("products").doc(productId);
+
+    const { images, removed } = await admin.firestore().runTransaction(async (transaction) => {
+      const productDoc = await transaction.get(productRef);
+      if (!productDoc.exists) {
+        throw new Error("Product not found");
+      }
+      const productData = productDoc.data();
+      if (productData.sellerId !== userId) {
+        throw new Error("Unauthorized: not your product");
+      }
+
+      const current = productData.images || [];
+      const byId = Object.fromEntries(current.map(image => [image.imageId, image]));
+      const unknown = imageIds.filter(id => !byId[id]);
+      if (unknown.length > 0) {
+        throw new Error(`Invalid imageIds: ${unknown.join(", ")} not on this product`);
+      }
+
+      const ordered = imageIds.map(id => byId[id]);
+      const updateData = {
+        images: ordered,
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      // Keep a legacy imageURL if the product never had uploaded images
+      if (current.length > 0) {
+        updateData.imageURL = ordered.length > 0 ? ordered[0].url : null;
+      }
+      transaction.update(productRef, updateData);
+
+      return {
+        images: ordered,
+        removed: current.filter(image => !imageIds.includes(image.imageId)),
+      };
+    });
+
+    const bucket = admin.storage().bucket();
+    for (const image of removed) {
+      await bucket.deleteFiles({ prefix: imageFolder(userId, productId, image.imageId) });
+    }
+
+    logger.info(`Product ${productId} images updated by ${userId}`, {
+      order: imageIds,
+      removed: removed.map(image => image.imageId),
+    });
+
+    return response.json({
+      success: true,
+      message: "Product images updated",
+      productId,
+      images,
+    });
+  } catch (error) {
+    logger.error("Error updating product images:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.includes("not found")) {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Unauthorized")) {
+      return response.status(403).json({ error: error.message });
+    }
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to update product images",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+
+/**
+ * PRODUCT VARIANTS
+ * A product can be sold in variants (e.g. a shirt in sizes S-XL and two
+ * colours) instead of being listed once per variant. Each variant has its own
+ * SKU, price and stock; orders reference it by variantId and snapshot its
+ * attributes (orders/orderBuilder.buildOrderLines).
+ *
+ * Product fields (products with variants only):
+ * {
+ *   variantOptions: string[],          // attribute names, e.g. ["size", "colour"]
+ *   variants: {
+ *     [variantId]: {
+ *       variantId: string,
+ *       sku: string,                   // unique within the product
+ *       attributes: { [option]: string }, // one value per option, e.g. { size: "M", colour: "Red" }
+ *       price: number,
+ *       stock: number,                 // available (inventory.js keeps reservedStock/soldCount too)
+ *       reservedStock: number,
+ *       soldCount: number
+ *     }
+ *   },
+ *   price: number,                     // lowest variant price (listing display)
+ *   stock: number                      // sum of the variants' stock
+ * }
+ *
+ * Stock counters are updated per variant and on the product in the same write
+ * (inventory.js), so product-level stock stays the total across variants.
+ */
+
+const MAX_VARIANT_OPTIONS = 3;
+const MAX_VARIANTS = 100;
+
+function newVariantId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Validate option names: ["size", "colour"]
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateVariantOptions(variantOptions) {
+  if (!Array.isArray(variantOptions) || variantOptions.length === 0 ||
+      variantOptions.length > MAX_VARIANT_OPTIONS) {
+    return `Invalid variantOptions: must be an array of 1-${MAX_VARIANT_OPTIONS} option names`;
+  }
+  if (variantOptions.some(option => typeof option !== "string" || !/^[A-Za-z][A-Za-z0-9_]*$/.test(option))) {
+    return "Invalid variantOptions: option names must be letters, digits or underscores";
+  }
+  if (new Set(variantOptions).size !== variantOptions.length) {
+    return "Invalid variantOptions: option names must be unique";
+  }
+  return null;
+}
+
+/**
+ * Validate one requested variant's sku/attributes/price/stock
+ */
+function validateVariantFields(variant, variantOptions) {
+  if (!variant || typeof variant !== "object") {
+    return "Invalid variants: each variant must be an object";
+  }
+  if (typeof variant.sku !== "string" || variant.sku.trim() === "") {
+    return "Invalid variants: sku is required";
+  }
+  const attributes = variant.attributes || {};
+  const keys = Object.keys(attributes);
+  if (keys.length !== variantOptions.length || !variantOptions.every(option =>
+    typeof attributes[option] === "string" && attributes[option].trim() !== "")) {
+    return `Invalid variants: attributes must have a value for each of ${variantOptions.join(", ")}`;
+  }
+  if (typeof variant.price !== "number" || variant.price < 0) {
+    return "Invalid variants: price must be a positive number";
+  }
+  if (variant.stock !== undefined && (!Number.isInteger(variant.stock) || variant.stock < 0)) {
+    return "Invalid variants: stock must be a positive whole number";
+  }
+  return null;
+}
+
+/**
+ * SKUs and attribute combinations must be unique within a product
+ */
+function validateVariantUniqueness(variants, variantOptions) {
+  const skus = new Set();
+  const combinations = new Set();
+  for (const variant of Object.values(variants)) {
+    if (skus.has(variant.sku)) {
+      return `Invalid variants: duplicate sku ${variant.sku}`;
+    }
+    skus.add(variant.sku);
+
+    const combination = variantOptions.map(option => variant.attributes[option]).join("/");
+    if (combinations.has(combination)) {
+      return `Invalid variants: duplicate attributes ${combination}`;
+    }
+    combinations.add(combination);
+  }
+  return null;
+}
+
+/**
+ * Product-level price (lowest) and stock (total) of a variants map
+ */
+function variantTotals(variants) {
+  const list = Object.values(variants);
+  return {
+    price: Math.min(...list.map(variant => variant.price)),
+    stock: list.reduce((sum, variant) => sum + variant.stock, 0),
+  };
+}
+
+function storedAttributes(attributes, variantOptions) {
+  const stored = {};
+  for (const option of variantOptions) {
+    stored[option] = attributes[option].trim();
+  }
+  return stored;
+}
+
+/**
+ * Build the variant fields of a new product.
+ *
+ * @param {string[]} variantOptions - Option names
+ * @param {Array} variants - [{ sku, attributes, price, stock }]
+ * @returns {{ fields: Object } | { error: string }} fields: variantOptions, variants, price, stock
+ */
+function buildProductVariants(variantOptions, variants) {
+  const optionsError = validateVariantOptions(variantOptions);
+  if (optionsError) return { error: optionsError };
+
+  if (!Array.isArray(variants) || variants.length === 0 || variants.length > MAX_VARIANTS) {
+    return { error: `Invalid variants: must be an array of 1-${MAX_VARIANTS} variants` };
+  }
+
+  const stored = {};
+  for (const variant of variants) {
+    const fieldError = validateVariantFields(variant, variantOptions);
+    if (fieldError) return { error: fieldError };
+
+    const variantId = newVariantId();
+    stored[variantId] = {
+      variantId,
+      sku: variant.sku.trim(),
+      attributes: storedAttributes(variant.attributes, variantOptions),
+      price: variant.price,
+      stock: variant.stock || 0,
+      reservedStock: 0,
+      soldCount: 0,
+    };
+  }
+
+  const uniquenessError = validateVariantUniqueness(stored, variantOptions);
+  if (uniquenessError) return { error: uniquenessError };
+
+  return { fields: { variantOptions, variants: stored, ...variantTotals(stored) } };
+}
+
+/**
+ * Apply a seller's variant changes to an existing product: entries with a
+ * known variantId update that variant's sku/attributes/price/stock (reserved
+ * and sold counts are kept), entries without one are added. Variants cannot
+ * be removed (orders reference them); set their stock to 0 instead.
+ *
+ * @param {Object} productData - Current product data (read in the caller's transaction)
+ * @param {Array} changes - [{ variantId?, sku, attributes, price, stock }]
+ * @returns {{ fields: Object } | { error: string }} fields: variants, price, stock
+ */
+function applyVariantChanges(productData, changes) {
+  const variantOptions = productData.variantOptions;
+
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return { error: "Invalid variants: must be a non-empty array" };
+  }
+
+  const updated = { ...productData.variants };
+  for (const change of changes) {
+    if (change && change.variantId !== undefined && !updated[change.variantId]) {
+      return { error: `Invalid variants: variant ${change.variantId} not found on this product` };
+    }
+    const fieldError = validateVariantFields(change, variantOptions);
+    if (fieldError) return { error: fieldError };
+
+    const existing = change.variantId !== undefined ? updated[change.variantId] : null;
+    const variantId = existing ? existing.variantId : newVariantId();
+    updated[variantId] = {
+      variantId,
+      sku: change.sku.trim(),
+      attributes: storedAttributes(change.attributes, variantOptions),
+      price: change.price,
+      stock: change.stock !== undefined ? change.stock : (existing ? existing.stock : 0),
+      reservedStock: existing ? existing.reservedStock || 0 : 0,
+      soldCount: existing ? existing.soldCount || 0 : 0,
+    };
+  }
+
+  if (Object.keys(updated).length > MAX_VARIANTS) {
+    return { error: `Invalid variants: a product can have at most ${MAX_VARIANTS} variants` };
+  }
+  const uniquenessError = validateVariantUniqueness(updated, variantOptions);
+  if (uniquenessError) return { error: uniquenessError };
+
+  return { fields: { variants: updated, ...variantTotals(updated) } };
+}
+
+module.exports = {
+  MAX_VARIANT_OPTIONS,
+  MAX_VARIANTS,
+  buildProductVariants,
+  applyVariantChanges,
+};
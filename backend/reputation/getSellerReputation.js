@@ -0,0 +1,67 @@
+/**
+ * GET SELLER REPUTATION
+ * Public trust score, badge tier and the metrics behind them for one seller
+ * (recomputed nightly, see reputationRules.js).
+ *
+ * Query: sellerId
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (GET only), sellerId
+ * 2. FETCH: sellerReputation/{sellerId}; sellers not scored yet are "new"
+ * 3. RESPONSE: { sellerId, trustScore, trustTier, metrics, computedAt }
+ *
+ * Note: No authentication required - this is a public endpoint for buyers.
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+exports.getSellerReputation = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { sellerId } = request.query;
+    if (!sellerId) {
+      return response.status(400).json({ error: "Missing required query parameter: sellerId" });
+    }
+
+    const firestore = admin.firestore();
+    const [sellerDoc, reputationDoc] = await firestore.getAll(
+      firestore.collection("users").doc(sellerId),
+      firestore.collection("sellerReputation").doc(sellerId),
+    );
+    if (!sellerDoc.exists || sellerDoc.data().role !== "seller") {
+      return response.status(404).json({ error: "Seller not found" });
+    }
+
+    if (!reputationDoc.exists) {
+      return response.json({
+        success: true,
+        sellerId,
+        trustScore: null,
+        trustTier: "new",
+        metrics: null,
+        computedAt: null,
+      });
+    }
+
+    const reputation = reputationDoc.data();
+    return response.json({
+      success: true,
+      sellerId,
+      trustScore: reputation.trustScore,
+      trustTier: reputation.trustTier,
+      metrics: reputation.metrics,
+      computedAt: reputation.computedAt,
+    });
+  } catch (error) {
+    logger.error("Error fetching seller reputation:", error);
+    return response.status(500).json({
+      error: "Failed to fetch seller reputation",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,10 @@
+/**
+ * REPUTATION MODULE
+ * Exports seller trust score functions
+ * (metrics, score and tiers live in reputationRules.js).
+ */
+
+module.exports = {
+  ...require("./recomputeSellerReputation"),
+  ...require("./getSellerReputation"),
+};
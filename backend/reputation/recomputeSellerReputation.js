@@ -0,0 +1,18 @@
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+
+const { recomputeSellerReputations } = require("./sellerReputation");
+
+/**
+ * RECOMPUTE SELLER REPUTATION (Scheduled)
+ * Every night, recomputes every seller's trust score and badge tier from the
+ * last 90 days of orders, order logs and disputes (see reputationRules.js).
+ */
+exports.recomputeSellerReputation = onSchedule({
+  schedule: "every day 03:00",
+  timeZone: "Asia/Yangon",
+}, async () => {
+  const { sellers, tiers } = await recomputeSellerReputations();
+
+  logger.info(`Seller reputation: ${sellers} sellers recomputed`, { tiers });
+});
@@ -0,0 +1,207 @@
+/**
+ * REPUTATION RULES
+ * How a seller's trust score and badge tier follow from their recent orders.
+ *
+ * Metrics cover orders placed in the last REPUTATION_WINDOW_DAYS days:
+ * - fulfilmentRate:   delivered / finished orders (delivered, cancelled or refunded)
+ * - cancellationRate: seller-caused cancellations / counted orders
+ * - avgShipHours:     average shippedAt - createdAt of shipped orders
+ * - disputeLossRate:  disputes ruled for the buyer (refund_full, refund_partial) / counted orders
+ * - rating:           review average (users/{sellerId}.sellerRating, all time)
+ *
+ * Seller-caused cancellations are cancellations (or refunds of cancelled paid
+ * orders) made by the seller, and COD orders that expired unconfirmed.
+ * Orders the buyer cancelled or never paid are not counted at all.
+ *
+ * The score (0-100) is the weighted average of the components that have data;
+ * null when none has. Sellers with fewer than MIN_TIERED_ORDERS finished
+ * orders are in the "new" tier whatever their score.
+ *
+ * Reputation Schema (sellerReputation/{sellerId}):
+ * {
+ *   sellerId,
+ *   trustScore: number | null,       // 0-100
+ *   trustTier: "new" | "standard" | "bronze" | "silver" | "gold",
+ *   metrics: { windowDays, orderCount, finishedCount, deliveredCount, sellerCancelledCount,
+ *              shippedCount, fulfilmentRate, cancellationRate, avgShipHours,
+ *              disputesResolved, disputesLost, disputeLossRate, ratingAverage, ratingCount },
+ *   computedAt
+ * }
+ */
+
+const REPUTATION_WINDOW_DAYS = 90;
+const MIN_TIERED_ORDERS = 5;
+
+// Component weights of the score (renormalized over the components with data)
+const SCORE_WEIGHTS = {
+  fulfilment: 30,
+  cancellation: 20,
+  shipTime: 15,
+  disputes: 15,
+  rating: 20,
+};
+
+// Full marks at or below the first value, none at or above the second
+const SHIP_HOURS_RANGE = [24, 120];
+const MAX_CANCELLATION_RATE = 0.2;
+const MAX_DISPUTE_LOSS_RATE = 0.05;
+
+// Lowest score of each tier, best first
+const TRUST_TIERS = [
+  { tier: "gold", minScore: 85 },
+  { tier: "silver", minScore: 70 },
+  { tier: "bronze", minScore: 50 },
+  { tier: "standard", minScore: 0 },
+];
+
+const FINISHED_STATUSES = ["delivered", "cancelled", "refunded"];
+const LOST_DISPUTE_OUTCOMES = ["refund_full", "refund_partial"];
+
+function toMillis(value) {
+  if (!value) return null;
+  return typeof value.toMillis === "function" ? value.toMillis() : new Date(value).getTime();
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Who caused an order's cancellation, from its status_updated / order_expired logs
+ *
+ * @returns {"seller"|"buyer"|"system"|null} null if the order was not cancelled
+ */
+function cancellationCause(orderData, logs) {
+  for (const log of logs) {
+    if (log.eventType === "order_expired") {
+      // Unconfirmed COD orders are the seller's; unpaid orders the buyer's
+      return log.metadata && log.metadata.triggeredBy === "stock_hold_expired" ? "seller" : "buyer";
+    }
+    if (log.eventType === "status_updated" && log.metadata &&
+        ["cancelled", "refunded"].includes(log.metadata.newStatus) && log.metadata.oldStatus !== "delivered") {
+      if (log.actorId === orderData.sellerId) return "seller";
+      if (log.actorId === orderData.buyerId) return "buyer";
+      return "system";
+    }
+  }
+  return null;
+}
+
+/**
+ * Reputation metrics of one seller
+ *
+ * @param {Array<{ order: Object, logs: Array }>} orders - orders in the window with their logs
+ * @param {Array<Object>} disputes - resolved disputes on those orders
+ * @param {Object|undefined} sellerRating - users/{sellerId}.sellerRating
+ */
+function computeMetrics(orders, disputes, sellerRating) {
+  let orderCount = 0;
+  let finishedCount = 0;
+  let deliveredCount = 0;
+  let sellerCancelledCount = 0;
+  let shippedCount = 0;
+  let shipMillis = 0;
+
+  for (const { order, logs } of orders) {
+    const cause = cancellationCause(order, logs);
+    if (cause === "buyer") continue;
+    orderCount++;
+
+    if (cause === "seller") sellerCancelledCount++;
+    if (order.deliveredAt) deliveredCount++;
+    if (order.deliveredAt || FINISHED_STATUSES.includes(order.status)) finishedCount++;
+
+    const shippedAt = toMillis(order.shippedAt);
+    const createdAt = toMillis(order.createdAt);
+    if (shippedAt !== null && createdAt !== null) {
+      shippedCount++;
+      shipMillis += Math.max(0, shippedAt - createdAt);
+    }
+  }
+
+  const disputesLost = disputes
+    .filter(dispute => dispute.resolution && LOST_DISPUTE_OUTCOMES.includes(dispute.resolution.outcome))
+    .length;
+  const rating = sellerRating && sellerRating.count > 0 ? sellerRating : null;
+
+  return {
+    windowDays: REPUTATION_WINDOW_DAYS,
+    orderCount,
+    finishedCount,
+    deliveredCount,
+    sellerCancelledCount,
+    shippedCount,
+    fulfilmentRate: finishedCount > 0 ? round(deliveredCount / finishedCount, 4) : null,
+    cancellationRate: orderCount > 0 ? round(sellerCancelledCount / orderCount, 4) : null,
+    avgShipHours: shippedCount > 0 ? round(shipMillis / shippedCount / 3600000, 1) : null,
+    disputesResolved: disputes.length,
+    disputesLost,
+    disputeLossRate: orderCount > 0 ? round(disputesLost / orderCount, 4) : null,
+    ratingAverage: rating ? rating.average : null,
+    ratingCount: rating ? rating.count : 0,
+  };
+}
+
+/**
+ * Each score component from 0 (worst) to 1 (best), null without data
+ */
+function scoreComponents(metrics) {
+  const [fastHours, slowHours] = SHIP_HOURS_RANGE;
+  return {
+    fulfilment: metrics.fulfilmentRate,
+    cancellation: metrics.cancellationRate === null
+      ? null
+      : 1 - Math.min(1, metrics.cancellationRate / MAX_CANCELLATION_RATE),
+    shipTime: metrics.avgShipHours === null
+      ? null
+      : 1 - Math.min(1, Math.max(0, metrics.avgShipHours - fastHours) / (slowHours - fastHours)),
+    disputes: metrics.disputeLossRate === null
+      ? null
+      : 1 - Math.min(1, metrics.disputeLossRate / MAX_DISPUTE_LOSS_RATE),
+    rating: metrics.ratingAverage === null ? null : (metrics.ratingAverage - 1) / 4,
+  };
+}
+
+/**
+ * Trust score (0-100) and badge tier of a seller's metrics
+ *
+ * @returns {{ trustScore: number|null, trustTier: string }}
+ */
+function computeTrustScore(metrics) {
+  const components = scoreComponents(metrics);
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [name, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (components[name] === null) continue;
+    weighted += weight * components[name];
+    totalWeight += weight;
+  }
+
+  const trustScore = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null;
+  if (trustScore === null || metrics.finishedCount < MIN_TIERED_ORDERS) {
+    return { trustScore, trustTier: "new" };
+  }
+  return { trustScore, trustTier: TRUST_TIERS.find(({ minScore }) => trustScore >= minScore).tier };
+}
+
+/**
+ * Public part of a reputation document, as shown on listings
+ */
+function publicReputation(reputation) {
+  if (!reputation) {
+    return { trustScore: null, trustTier: "new" };
+  }
+  return { trustScore: reputation.trustScore, trustTier: reputation.trustTier };
+}
+
+module.exports = {
+  REPUTATION_WINDOW_DAYS,
+  MIN_TIERED_ORDERS,
+  SCORE_WEIGHTS,
+  TRUST_TIERS,
+  cancellationCause,
+  computeMetrics,
+  computeTrustScore,
+  publicReputation,
+};
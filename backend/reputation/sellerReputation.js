@@ -0,0 +1,155 @@
+const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+const {
+  REPUTATION_WINDOW_DAYS,
+  computeMetrics,
+  computeTrustScore,
+  publicReputation,
+} = require("./reputationRules");
+
+/**
+ * SELLER REPUTATION
+ * Recomputes every seller's reputation (sellerReputation/{sellerId}, see
+ * reputationRules.js) from the orders, orderLogs and disputes of the window,
+ * and attaches it to public product listings.
+ */
+
+const READ_PAGE_SIZE = 500;
+const WRITE_BATCH_SIZE = 400;
+
+// Log events that tell who cancelled an order
+const CANCELLATION_EVENTS = ["status_updated", "order_expired"];
+
+/**
+ * All documents of a query, page by page in `orderField` order (a field name or FieldPath)
+ */
+async function readAll(query, orderField) {
+  const docs = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let page = query.orderBy(orderField, "asc").limit(READ_PAGE_SIZE);
+    if (lastDoc) {
+      page = page.startAfter(lastDoc);
+    }
+    const snapshot = await page.get();
+    docs.push(...snapshot.docs);
+    if (snapshot.size < READ_PAGE_SIZE) {
+      return docs;
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+}
+
+/**
+ * Orders placed since `since` with their cancellation logs, and their resolved
+ * disputes, grouped by seller
+ */
+async function loadWindow(since) {
+  const firestore = admin.firestore();
+  const bySeller = {};
+  const ordersById = {};
+
+  const orderDocs = await readAll(firestore.collection("orders").where("createdAt", ">=", since), "createdAt");
+  for (const doc of orderDocs) {
+    const entry = { order: doc.data(), logs: [] };
+    ordersById[doc.id] = entry;
+    if (!bySeller[entry.order.sellerId]) {
+      bySeller[entry.order.sellerId] = { orders: [], disputes: [] };
+    }
+    bySeller[entry.order.sellerId].orders.push(entry);
+  }
+
+  // Logs of these orders are all newer than the orders themselves
+  const logDocs = await readAll(
+    firestore.collection("orderLogs")
+      .where("eventType", "in", CANCELLATION_EVENTS)
+      .where("timestamp", ">=", since),
+    "timestamp",
+  );
+  for (const doc of logDocs) {
+    const log = doc.data();
+    if (ordersById[log.orderId]) ordersById[log.orderId].logs.push(log);
+  }
+
+  const disputeDocs = await readAll(firestore.collection("disputes").where("createdAt", ">=", since), "createdAt");
+  for (const doc of disputeDocs) {
+    const dispute = doc.data();
+    if (dispute.status === "resolved" && ordersById[dispute.orderId]) {
+      bySeller[dispute.sellerId].disputes.push(dispute);
+    }
+  }
+
+  return bySeller;
+}
+
+/**
+ * Recompute and store the reputation of every seller
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ sellers: number, tiers: Object }>} Sellers updated and how many per tier
+ */
+async function recomputeSellerReputations(now = new Date()) {
+  const firestore = admin.firestore();
+  const since = new Date(now.getTime() - REPUTATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const bySeller = await loadWindow(since);
+  const sellerDocs = await readAll(firestore.collection("users").where("role", "==", "seller"), FieldPath.documentId());
+
+  const tiers = {};
+  let batch = firestore.batch();
+  let batchSize = 0;
+  for (const sellerDoc of sellerDocs) {
+    const window = bySeller[sellerDoc.id] || { orders: [], disputes: [] };
+    const metrics = computeMetrics(window.orders, window.disputes, sellerDoc.data().sellerRating);
+    const { trustScore, trustTier } = computeTrustScore(metrics);
+    tiers[trustTier] = (tiers[trustTier] || 0) + 1;
+
+    batch.set(firestore.collection("sellerReputation").doc(sellerDoc.id), {
+      sellerId: sellerDoc.id,
+      trustScore,
+      trustTier,
+      metrics,
+      computedAt: FieldValue.serverTimestamp(),
+    });
+    batchSize++;
+    if (batchSize === WRITE_BATCH_SIZE) {
+      await batch.commit();
+      batch = firestore.batch();
+      batchSize = 0;
+    }
+  }
+  if (batchSize > 0) {
+    await batch.commit();
+  }
+
+  return { sellers: sellerDocs.length, tiers };
+}
+
+/**
+ * Add each product's seller trust score and tier ({ seller: { sellerId, trustScore, trustTier } })
+ */
+async function attachSellerReputation(products) {
+  const sellerIds = [...new Set(products.map(product => product.sellerId).filter(Boolean))];
+  if (sellerIds.length === 0) {
+    return products;
+  }
+
+  const firestore = admin.firestore();
+  const docs = await firestore.getAll(...sellerIds.map(id => firestore.collection("sellerReputation").doc(id)));
+  const reputations = {};
+  for (const doc of docs) {
+    reputations[doc.id] = publicReputation(doc.exists ? doc.data() : null);
+  }
+
+  return products.map(product => ({
+    ...product,
+    seller: { sellerId: product.sellerId, ...reputations[product.sellerId] },
+  }));
+}
+
+module.exports = {
+  recomputeSellerReputations,
+  attachSellerReputation,
+};
@@ -0,0 +1,82 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { assertReturnTransition, returnHistoryEntry, returnErrorStatus } = require("./returnLifecycle");
+
+/**
+ * CONFIRM RETURN RECEIVED
+ * Seller (or admin) confirms the returned item arrived. The refund is issued
+ * separately (issueReturnRefund) so a partial refund can reflect its condition.
+ *
+ * Request Body:
+ * { returnId, note?: string (condition of the item) }
+ */
+exports.confirmReturnReceived = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { returnId, note } = request.body;
+
+    if (!returnId) {
+      return response.status(400).json({ error: "Missing required field: returnId" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const returnRef = firestore.collection("returns").doc(returnId);
+
+    const orderId = await firestore.runTransaction(async (transaction) => {
+      const returnDoc = await transaction.get(returnRef);
+      if (!returnDoc.exists) {
+        throw new Error("Return not found");
+      }
+      const returnData = returnDoc.data();
+
+      assertReturnTransition(returnData, "item_received", resolveActorRole(returnData, userId, userData));
+
+      transaction.update(returnRef, {
+        status: "item_received",
+        receivedNote: note || null,
+        receivedAt: FieldValue.serverTimestamp(),
+        history: returnHistoryEntry("item_received", userId, note || null),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return returnData.orderId;
+    });
+
+    await logOrderEvent(orderId, "return_item_received", userId, {
+      returnId,
+      note: note || null,
+    });
+
+    logger.info(`Return ${returnId} item received, confirmed by ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Returned item received",
+      returnId,
+      status: "item_received",
+    });
+  } catch (error) {
+    logger.error("Error confirming return received:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to confirm return received",
+      details: error.message,
+    });
+  }
+});
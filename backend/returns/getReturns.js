@@ -0,0 +1,74 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { RETURN_STATUSES, returnErrorStatus } = require("./returnLifecycle");
+
+/**
+ * GET RETURNS
+ * GET /getReturns?orderId=...   → returns of one order (buyer, seller or admin)
+ * GET /getReturns?status=...    → buyer: own returns, seller: returns to them,
+ *                                 admin: every return with that status (default "requested")
+ * Newest first.
+ */
+exports.getReturns = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { orderId, status } = request.query;
+    if (status !== undefined && !RETURN_STATUSES.includes(status)) {
+      return response.status(400).json({ error: `Invalid status: must be one of ${RETURN_STATUSES.join(", ")}` });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+    const firestore = admin.firestore();
+
+    let query = firestore.collection("returns");
+
+    if (orderId) {
+      const orderDoc = await firestore.collection("orders").doc(orderId).get();
+      if (!orderDoc.exists) {
+        return response.status(404).json({ error: "Order not found" });
+      }
+      if (!resolveActorRole(orderDoc.data(), userId, userData)) {
+        return response.status(403).json({ error: "Unauthorized: you can only view returns of your own orders" });
+      }
+      query = query.where("orderId", "==", orderId);
+    } else if (userData.role === "admin") {
+      query = query.where("status", "==", status || "requested");
+    } else if (userData.role === "seller") {
+      query = query.where("sellerId", "==", userId);
+    } else {
+      query = query.where("buyerId", "==", userId);
+    }
+
+    if (status && (orderId || userData.role !== "admin")) {
+      query = query.where("status", "==", status);
+    }
+
+    const snapshot = await query.orderBy("createdAt", "desc").get();
+    const returns = snapshot.docs.map(doc => doc.data());
+
+    return response.json({
+      success: true,
+      count: returns.length,
+      returns,
+    });
+  } catch (error) {
+    logger.error("Error getting returns:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get returns",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,14 @@
+/**
+ * RETURNS MODULE
+ * Exports buyer return / refund (RMA) functions
+ * (status rules live in returnLifecycle.js, order + ledger settlement in orders/escrowSettlement.js).
+ */
+
+module.exports = {
+  ...require("./requestReturn"),
+  ...require("./respondToReturn"),
+  ...require("./updateReturnShipment"),
+  ...require("./confirmReturnReceived"),
+  ...require("./issueReturnRefund"),
+  ...require("./getReturns"),
+};
@@ -0,0 +1,154 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { assertReturnTransition, returnHistoryEntry, returnErrorStatus } = require("./returnLifecycle");
+const { settleEscrowHold } = require("../orders/escrowSettlement");
+
+/**
+ * ISSUE RETURN REFUND
+ * Seller (or admin) refunds an accepted return, in full or in part, and closes it.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, returnId, amount
+ * 2. AUTHORIZATION: Seller of the order or admin (return lifecycle)
+ * 3. TRANSACTION:
+ *    - Return must be item_received (or accepted without item return)
+ *    - Order must be paid; amount ≤ the return's requestedAmount and ≤ amount not yet refunded on the order
+ *    - Ledger: refund from escrow if still held, otherwise from the seller
+ *      wallet (+ the platform's fee share), see wallet/ledger.js recordRefund
+ *    - Clear the escrow hold and release the remaining escrow when eligible
+ *    - Whole order refunded → order status/paymentStatus "refunded"
+ * 4. AUDIT LOGGING: return_refunded (+ escrow_released)
+ * 5. RESPONSE: Refund details
+ *
+ * Request Body:
+ * { returnId, amount?: number (whole MMK, up to and by default the return's requestedAmount), note?: string }
+ */
+exports.issueReturnRefund = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { returnId, amount, note } = request.body;
+
+    if (!returnId) {
+      return response.status(400).json({ error: "Missing required field: returnId" });
+    }
+    if (amount !== undefined && (typeof amount !== "number" || !Number.isInteger(amount) || amount <= 0)) {
+      return response.status(400).json({ error: "Invalid amount: must be a positive whole number of MMK" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const returnRef = firestore.collection("returns").doc(returnId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const returnDoc = await transaction.get(returnRef);
+      if (!returnDoc.exists) {
+        throw new Error("Return not found");
+      }
+      const returnData = returnDoc.data();
+
+      const orderRef = firestore.collection("orders").doc(returnData.orderId);
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      assertReturnTransition(returnData, "refunded", resolveActorRole(returnData, userId, userData));
+
+      if (orderData.paymentStatus !== "paid") {
+        throw new Error(`Cannot refund return: order payment is ${orderData.paymentStatus}`);
+      }
+
+      const refundAmount = amount !== undefined ? amount : returnData.requestedAmount;
+      // A return only refunds its own items, never more than they were worth
+      if (refundAmount > returnData.requestedAmount) {
+        throw new Error(`Invalid amount: at most ${returnData.requestedAmount} MMK can be refunded for this return`);
+      }
+      const refundable = orderData.totalAmount - (orderData.refundedAmount || 0);
+      if (refundAmount > refundable) {
+        throw new Error(`Invalid amount: at most ${refundable} MMK can still be refunded on this order`);
+      }
+
+      const settlement = settleEscrowHold(transaction, orderRef, orderData, {
+        holdType: "return",
+        orderFields: { activeReturnId: null },
+        refundAmount,
+        items: returnData.items,
+        actorId: userId,
+      });
+
+      transaction.update(returnRef, {
+        status: "refunded",
+        refundAmount,
+        refundedAt: FieldValue.serverTimestamp(),
+        history: returnHistoryEntry("refunded", userId, note || null),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return {
+        orderId: returnData.orderId,
+        sellerId: returnData.sellerId,
+        paymentMethod: orderData.paymentMethod,
+        fromEscrow: !orderData.escrowReleased,
+        refundAmount,
+        settlement,
+      };
+    });
+
+    const { orderId, refundAmount, settlement } = result;
+
+    await logOrderEvent(orderId, "return_refunded", userId, {
+      returnId,
+      refundedAmount: refundAmount,
+      paymentMethod: result.paymentMethod,
+      fromEscrow: result.fromEscrow,
+      sellerShare: settlement.refund.sellerShare,
+      platformFeeShare: settlement.refund.platformFeeShare,
+      orderFullyRefunded: settlement.fullyRefunded,
+    });
+
+    if (settlement.release) {
+      await logOrderEvent(orderId, "escrow_released", "system", {
+        sellerId: result.sellerId,
+        ...settlement.release,
+        automatic: true,
+        triggeredBy: "return_refunded",
+      });
+    }
+
+    logger.info(`Return ${returnId} refunded (${refundAmount} MMK) on order ${orderId} by ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Refund issued",
+      returnId,
+      orderId,
+      status: "refunded",
+      refundAmount,
+      orderStatus: settlement.fullyRefunded ? "refunded" : "delivered",
+      escrowReleased: !!settlement.release,
+    });
+  } catch (error) {
+    logger.error("Error issuing return refund:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to issue refund",
+      details: error.message,
+    });
+  }
+});
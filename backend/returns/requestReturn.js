@@ -0,0 +1,163 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { escrowHoldFields } = require("../orders/orderLifecycle");
+const {
+  RETURN_REASONS,
+  MAX_RETURN_PHOTOS,
+  assertCanRequestReturn,
+  buildReturnItems,
+  returnHistoryEntry,
+  returnErrorStatus,
+} = require("./returnLifecycle");
+
+/**
+ * REQUEST RETURN
+ * Buyer opens a return (RMA) on a delivered order within the return window.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, orderId, reason, photos
+ * 2. AUTHORIZATION: Buyer of the order only
+ * 3. TRANSACTION: Check eligibility (delivered, window, no open return), price the
+ *    returned items, create returns/{returnId}, hold unreleased escrow
+ * 4. AUDIT LOGGING: return_requested
+ * 5. RESPONSE: Return request
+ *
+ * Request Body:
+ * {
+ *   orderId,
+ *   reason: "damaged" | "defective" | "wrong_item" | "not_as_described" | "missing_parts" | "changed_mind",
+ *   description: string (optional),
+ *   photoURLs: [string] (1-5, required except for "changed_mind"),
+ *   items: [{ productId, quantity }] (optional, default: the whole order)
+ * }
+ *
+ * Return Schema (returns/{returnId}):
+ * {
+ *   returnId, orderId, buyerId, sellerId,
+ *   items: [{ productId, name, price, quantity, amount }],
+ *   requestedAmount, refundAmount,
+ *   reason, description, photoURLs,
+ *   status: "requested" | "accepted" | "rejected" | "item_shipped" | "item_received" | "refunded",
+ *   itemReturnRequired, escrowHeld,
+ *   sellerNote, returnShipment: { trackingNumber, trackingProvider, shippedAt },
+ *   receivedNote, history: [{ status, actorId, note, at }],
+ *   createdAt, updatedAt, respondedAt, receivedAt, refundedAt
+ * }
+ */
+exports.requestReturn = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { orderId, reason, description, photoURLs = [], items } = request.body;
+
+    if (!orderId) {
+      return response.status(400).json({ error: "Missing required field: orderId" });
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+      return response.status(400).json({ error: `Invalid reason: must be one of ${RETURN_REASONS.join(", ")}` });
+    }
+    if (!Array.isArray(photoURLs) || photoURLs.length > MAX_RETURN_PHOTOS ||
+        !photoURLs.every(url => typeof url === "string" && url.trim().length > 0)) {
+      return response.status(400).json({ error: `Invalid photoURLs: must be an array of up to ${MAX_RETURN_PHOTOS} URLs` });
+    }
+    if (reason !== "changed_mind" && photoURLs.length === 0) {
+      return response.status(400).json({ error: "Invalid photoURLs: at least one photo is required for this reason" });
+    }
+    if (items !== undefined && !Array.isArray(items)) {
+      return response.status(400).json({ error: "Invalid items: must be an array of { productId, quantity }" });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+    const returnRef = firestore.collection("returns").doc();
+
+    const created = await firestore.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      if (orderData.buyerId !== userId) {
+        throw new Error("Unauthorized: only the buyer can request a return");
+      }
+
+      assertCanRequestReturn(orderData);
+      const { items: returnItems, requestedAmount } = buildReturnItems(orderData, items);
+
+      // Funds still in escrow stay there until the return is settled
+      const escrowHeld = !orderData.escrowReleased;
+
+      const returnData = {
+        returnId: returnRef.id,
+        orderId,
+        buyerId: orderData.buyerId,
+        sellerId: orderData.sellerId,
+        items: returnItems,
+        requestedAmount,
+        refundAmount: null,
+        reason,
+        description: description || "",
+        photoURLs: photoURLs.map(url => url.trim()),
+        status: "requested",
+        itemReturnRequired: null,
+        escrowHeld,
+        sellerNote: null,
+        returnShipment: null,
+        receivedNote: null,
+        history: returnHistoryEntry("requested", userId, description || null),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      transaction.set(returnRef, returnData);
+
+      transaction.update(orderRef, {
+        activeReturnId: returnRef.id,
+        ...(escrowHeld ? escrowHoldFields("return", { returnId: returnRef.id }) : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return { requestedAmount, escrowHeld, items: returnItems };
+    });
+
+    await logOrderEvent(orderId, "return_requested", userId, {
+      returnId: returnRef.id,
+      reason,
+      requestedAmount: created.requestedAmount,
+      escrowHeld: created.escrowHeld,
+    });
+
+    logger.info(`Return ${returnRef.id} requested for order ${orderId} by buyer ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Return requested. The seller will review it.",
+      returnId: returnRef.id,
+      status: "requested",
+      requestedAmount: created.requestedAmount,
+      items: created.items,
+      escrowHeld: created.escrowHeld,
+    });
+  } catch (error) {
+    logger.error("Error requesting return:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to request return",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,129 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { assertReturnTransition, returnHistoryEntry, returnErrorStatus } = require("./returnLifecycle");
+const { settleEscrowHold } = require("../orders/escrowSettlement");
+
+const DECISIONS = { accept: "accepted", reject: "rejected" };
+
+/**
+ * RESPOND TO RETURN
+ * Seller (or admin) accepts or rejects a requested return.
+ *
+ * - accept: itemReturnRequired (default true) decides whether the buyer must
+ *   ship the item back before the refund; escrow stays on hold.
+ * - reject: a reason is required; the escrow hold is cleared and any escrow
+ *   still held is released to the seller.
+ *
+ * Request Body:
+ * { returnId, decision: "accept" | "reject", itemReturnRequired?: boolean, note?: string }
+ */
+exports.respondToReturn = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { returnId, decision, itemReturnRequired = true, note } = request.body;
+
+    if (!returnId) {
+      return response.status(400).json({ error: "Missing required field: returnId" });
+    }
+    if (!DECISIONS[decision]) {
+      return response.status(400).json({ error: "Invalid decision: must be 'accept' or 'reject'" });
+    }
+    if (decision === "reject" && (typeof note !== "string" || note.trim().length === 0)) {
+      return response.status(400).json({ error: "A note explaining the rejection is required" });
+    }
+    if (typeof itemReturnRequired !== "boolean") {
+      return response.status(400).json({ error: "Invalid itemReturnRequired: must be a boolean" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+    const nextStatus = DECISIONS[decision];
+
+    const firestore = admin.firestore();
+    const returnRef = firestore.collection("returns").doc(returnId);
+
+    const result = await firestore.runTransaction(async (transaction) => {
+      const returnDoc = await transaction.get(returnRef);
+      if (!returnDoc.exists) {
+        throw new Error("Return not found");
+      }
+      const returnData = returnDoc.data();
+
+      const orderRef = firestore.collection("orders").doc(returnData.orderId);
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+
+      assertReturnTransition(returnData, nextStatus, resolveActorRole(returnData, userId, userData));
+
+      const returnUpdate = {
+        status: nextStatus,
+        sellerNote: note ? note.trim() : null,
+        respondedAt: FieldValue.serverTimestamp(),
+        history: returnHistoryEntry(nextStatus, userId, note || null),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      let settlement = null;
+      if (nextStatus === "accepted") {
+        returnUpdate.itemReturnRequired = itemReturnRequired;
+      } else {
+        settlement = settleEscrowHold(transaction, orderRef, orderDoc.data(), {
+          holdType: "return",
+          orderFields: { activeReturnId: null },
+          actorId: userId,
+        });
+      }
+
+      transaction.update(returnRef, returnUpdate);
+
+      return { orderId: returnData.orderId, settlement };
+    });
+
+    await logOrderEvent(result.orderId, `return_${nextStatus}`, userId, {
+      returnId,
+      itemReturnRequired: nextStatus === "accepted" ? itemReturnRequired : null,
+      note: note || null,
+    });
+
+    if (result.settlement && result.settlement.release) {
+      await logOrderEvent(result.orderId, "escrow_released", "system", {
+        ...result.settlement.release,
+        automatic: true,
+        triggeredBy: "return_rejected",
+      });
+    }
+
+    logger.info(`Return ${returnId} ${nextStatus} by ${userId}`);
+
+    return response.json({
+      success: true,
+      message: `Return ${nextStatus}`,
+      returnId,
+      status: nextStatus,
+      itemReturnRequired: nextStatus === "accepted" ? itemReturnRequired : null,
+      escrowReleased: !!(result.settlement && result.settlement.release),
+    });
+  } catch (error) {
+    logger.error("Error responding to return:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to respond to return",
+      details: error.message,
+    });
+  }
+});
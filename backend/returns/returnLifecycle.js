@@ -0,0 +1,201 @@
+const { FieldValue } = require("firebase-admin/firestore");
+
+const { orderLineKey, findOrderLine } = require("../orders/orderBuilder");
+
+/**
+ * RETURN LIFECYCLE (RMA State Machine)
+ * Statuses of a return request, who may move it between them, and the
+ * eligibility rules for opening one. Mirrors orders/orderLifecycle.js.
+ *
+ * Lifecycle:
+ *   requested → accepted → item_shipped → item_received → refunded
+ *   requested → accepted → refunded               (itemReturnRequired: false)
+ *   requested → rejected
+ *
+ * While a return is open (requested … item_received) the order carries an
+ * escrow hold (escrowHolds.return) if its escrow was not released yet.
+ * rejected and refunded are terminal; the order can get a new return after.
+ */
+
+// Days after deliveredAt during which the buyer can open a return
+const RETURN_WINDOW_DAYS = 7;
+
+const RETURN_REASONS = [
+  "damaged",
+  "defective",
+  "wrong_item",
+  "not_as_described",
+  "missing_parts",
+  "changed_mind",
+];
+
+const MAX_RETURN_PHOTOS = 5;
+
+const RETURN_STATUSES = ["requested", "accepted", "rejected", "item_shipped", "item_received", "refunded"];
+const TERMINAL_RETURN_STATUSES = ["rejected", "refunded"];
+
+/**
+ * Allowed transitions: RETURN_TRANSITIONS[currentStatus][nextStatus] → roles
+ */
+const RETURN_TRANSITIONS = {
+  requested: {
+    accepted: ["seller", "admin"],
+    rejected: ["seller", "admin"],
+  },
+  accepted: {
+    item_shipped: ["buyer"],
+    refunded: ["seller", "admin"], // only when no item return is required
+  },
+  item_shipped: {
+    item_received: ["seller", "admin"],
+  },
+  item_received: {
+    refunded: ["seller", "admin"],
+  },
+  rejected: {},
+  refunded: {},
+};
+
+function isTerminalReturnStatus(status) {
+  return TERMINAL_RETURN_STATUSES.includes(status);
+}
+
+/**
+ * Validate a return status change.
+ * Throws "Unauthorized..." (→ 403) or a descriptive message (→ 400).
+ */
+function assertReturnTransition(returnData, nextStatus, role) {
+  if (!role) {
+    throw new Error("Unauthorized: you are not a party to this return");
+  }
+
+  const roles = (RETURN_TRANSITIONS[returnData.status] || {})[nextStatus];
+  if (!roles) {
+    throw new Error(`Invalid return transition: cannot move return from '${returnData.status}' to '${nextStatus}'`);
+  }
+  if (!roles.includes(role)) {
+    throw new Error(`Unauthorized: ${role} cannot move return from '${returnData.status}' to '${nextStatus}'`);
+  }
+
+  if (nextStatus === "refunded" && returnData.status === "accepted" && returnData.itemReturnRequired) {
+    throw new Error("Invalid return transition: the item must be received back before refunding");
+  }
+}
+
+/**
+ * Throws if the buyer cannot open a return on this order (→ 400)
+ * @param {Date} now - Current time (injectable for tests)
+ */
+function assertCanRequestReturn(orderData, now = new Date()) {
+  if (orderData.status !== "delivered") {
+    throw new Error(`Cannot request return: order is ${orderData.status}, returns open after delivery`);
+  }
+  if (orderData.activeReturnId) {
+    throw new Error(`Cannot request return: return ${orderData.activeReturnId} is already open for this order`);
+  }
+  if (!orderData.deliveredAt) {
+    throw new Error("Cannot request return: delivery date is unknown");
+  }
+
+  const deadline = returnDeadline(orderData);
+  if (now > deadline) {
+    throw new Error(`Cannot request return: the ${RETURN_WINDOW_DAYS}-day return window closed on ${deadline.toISOString()}`);
+  }
+}
+
+function returnDeadline(orderData) {
+  const deliveredAt = orderData.deliveredAt.toDate();
+  return new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Validate the returned items against the order lines and price them.
+ * Omitted items → every line in full. Quantities already refunded by earlier
+ * returns (orders/{orderId}.returnedQuantities, keyed by orderLineKey) cannot be
+ * returned again, and each order line may be listed once.
+ *
+ * @param {Object} orderData - Order data
+ * @param {Array|undefined} items - [{ productId, variantId?, quantity }]
+ * @returns {{ items: Array, requestedAmount: number }}
+ */
+function buildReturnItems(orderData, items) {
+  const returned = orderData.returnedQuantities || {};
+  const requested = items && items.length > 0
+    ? items
+    : orderData.products.map(line => ({
+      productId: line.productId,
+      variantId: line.variantId || null,
+      quantity: line.quantity - (returned[orderLineKey(line)] || 0),
+    })).filter(item => item.quantity > 0);
+
+  if (requested.length === 0) {
+    throw new Error("Invalid return items: every item of this order was already returned");
+  }
+
+  const listed = new Set();
+  const returnItems = requested.map(item => {
+    const line = findOrderLine(orderData, item.productId, item.variantId);
+    const variantText = item.variantId ? ` (variant ${item.variantId})` : "";
+    if (!line) {
+      throw new Error(`Invalid return items: product ${item.productId}${variantText} is not part of this order`);
+    }
+    if (listed.has(orderLineKey(line))) {
+      throw new Error(`Invalid return items: product ${item.productId}${variantText} is listed more than once`);
+    }
+    listed.add(orderLineKey(line));
+    const returnable = line.quantity - (returned[orderLineKey(line)] || 0);
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0 || item.quantity > returnable) {
+      throw new Error(`Invalid return items: quantity for ${line.name} must be between 1 and ${returnable}`);
+    }
+    return {
+      productId: line.productId,
+      variantId: line.variantId || null,
+      name: line.name,
+      price: line.price,
+      quantity: item.quantity,
+      amount: line.price * item.quantity,
+    };
+  });
+
+  const requestedAmount = returnItems.reduce((sum, item) => sum + item.amount, 0);
+  return { items: returnItems, requestedAmount };
+}
+
+/**
+ * Entry appended to returns/{returnId}.history on every status change
+ */
+function returnHistoryEntry(status, actorId, note = null) {
+  return FieldValue.arrayUnion({
+    status,
+    actorId,
+    note,
+    at: new Date(),
+  });
+}
+
+/**
+ * Map return errors to HTTP status codes
+ */
+function returnErrorStatus(message) {
+  if (message.includes("Authentication failed")) return 401;
+  if (message.includes("not found")) return 404;
+  if (message.startsWith("Unauthorized")) return 403;
+  if (message.startsWith("Cannot") || message.startsWith("Invalid")) return 400;
+  return 500;
+}
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  RETURN_REASONS,
+  MAX_RETURN_PHOTOS,
+  RETURN_STATUSES,
+  TERMINAL_RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  isTerminalReturnStatus,
+  assertReturnTransition,
+  assertCanRequestReturn,
+  returnDeadline,
+  buildReturnItems,
+  returnHistoryEntry,
+  returnErrorStatus,
+};
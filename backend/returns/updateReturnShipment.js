@@ -0,0 +1,92 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { logOrderEvent } = require("../orders/auditLogger");
+const { resolveActorRole } = require("../orders/orderLifecycle");
+const { assertReturnTransition, returnHistoryEntry, returnErrorStatus } = require("./returnLifecycle");
+
+/**
+ * UPDATE RETURN SHIPMENT
+ * Buyer records that the item was sent back to the seller (accepted returns
+ * that require the item back).
+ *
+ * Request Body:
+ * { returnId, trackingNumber, trackingProvider?: string (default "local_courier") }
+ */
+exports.updateReturnShipment = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { returnId, trackingNumber, trackingProvider } = request.body;
+
+    if (!returnId) {
+      return response.status(400).json({ error: "Missing required field: returnId" });
+    }
+    if (typeof trackingNumber !== "string" || trackingNumber.trim().length === 0) {
+      return response.status(400).json({ error: "Tracking number is required when shipping a return" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const returnRef = firestore.collection("returns").doc(returnId);
+
+    const orderId = await firestore.runTransaction(async (transaction) => {
+      const returnDoc = await transaction.get(returnRef);
+      if (!returnDoc.exists) {
+        throw new Error("Return not found");
+      }
+      const returnData = returnDoc.data();
+
+      assertReturnTransition(returnData, "item_shipped", resolveActorRole(returnData, userId, userData));
+      if (!returnData.itemReturnRequired) {
+        throw new Error("Invalid return transition: the seller did not ask for the item back");
+      }
+
+      transaction.update(returnRef, {
+        status: "item_shipped",
+        returnShipment: {
+          trackingNumber: trackingNumber.trim(),
+          trackingProvider: trackingProvider || "local_courier",
+          shippedAt: new Date(),
+        },
+        history: returnHistoryEntry("item_shipped", userId),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      return returnData.orderId;
+    });
+
+    await logOrderEvent(orderId, "return_item_shipped", userId, {
+      returnId,
+      trackingNumber: trackingNumber.trim(),
+      trackingProvider: trackingProvider || "local_courier",
+    });
+
+    logger.info(`Return ${returnId} shipped back by buyer ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Return shipment recorded",
+      returnId,
+      status: "item_shipped",
+    });
+  } catch (error) {
+    logger.error("Error updating return shipment:", error);
+
+    const statusCode = returnErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to update return shipment",
+      details: error.message,
+    });
+  }
+});
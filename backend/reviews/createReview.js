@@ -0,0 +1,140 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { notifyUsers } = require("../notifications/notify");
+const {
+  reviewIdFor,
+  validateReviewInput,
+  assertCanReview,
+  applyRating,
+  reviewErrorStatus,
+} = require("./reviewRules");
+
+/**
+ * CREATE REVIEW
+ * Buyer rates and reviews one product line of their delivered order.
+ *
+ * Request Body:
+ * { orderId, productId, variantId?, rating: 1-5, comment?: string, photoURLs?: [string] (up to 5) }
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, orderId, productId, rating, comment, photos
+ * 2. AUTHORIZATION: Buyer of the order only
+ * 3. TRANSACTION: Order delivered and the line part of it, not reviewed yet;
+ *    create reviews/{reviewId}, add the rating to the product and the seller
+ * 4. NOTIFY: Seller (new_review)
+ * 5. RESPONSE: reviewId
+ */
+exports.createReview = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { orderId, productId, variantId = null, rating, comment, photoURLs = [] } = request.body;
+
+    if (!orderId || !productId) {
+      return response.status(400).json({ error: "Missing required fields: orderId, productId" });
+    }
+    const inputError = validateReviewInput({ rating, comment, photoURLs });
+    if (inputError) {
+      return response.status(400).json({ error: inputError });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    const firestore = admin.firestore();
+    const orderRef = firestore.collection("orders").doc(orderId);
+
+    const review = await firestore.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error("Order not found");
+      }
+      const orderData = orderDoc.data();
+
+      if (orderData.buyerId !== userId) {
+        throw new Error("Unauthorized: only the buyer can review this order");
+      }
+
+      const line = assertCanReview(orderData, productId, variantId);
+      const reviewRef = firestore.collection("reviews").doc(reviewIdFor(orderId, line));
+      const productRef = firestore.collection("products").doc(productId);
+      const sellerRef = firestore.collection("users").doc(orderData.sellerId);
+
+      const [reviewDoc, productDoc, sellerDoc] = await Promise.all([
+        transaction.get(reviewRef),
+        transaction.get(productRef),
+        transaction.get(sellerRef),
+      ]);
+      if (reviewDoc.exists) {
+        throw new Error("Cannot review: this item was already reviewed");
+      }
+
+      const reviewData = {
+        reviewId: reviewRef.id,
+        orderId,
+        productId,
+        variantId: line.variantId || null,
+        sellerId: orderData.sellerId,
+        buyerId: userId,
+        buyerName: userData.displayName || "",
+        productName: line.name,
+        attributes: line.attributes || null,
+        rating,
+        comment: comment ? comment.trim() : "",
+        photoURLs: photoURLs.map(url => url.trim()),
+        verifiedPurchase: true,
+        sellerReply: null,
+        hidden: false,
+        moderation: null,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+      transaction.create(reviewRef, reviewData);
+
+      // Products and seller profiles may be gone; the review still stands
+      if (productDoc.exists) {
+        transaction.update(productRef, { rating: applyRating(productDoc.data().rating, rating, 1) });
+      }
+      if (sellerDoc.exists) {
+        transaction.update(sellerRef, { sellerRating: applyRating(sellerDoc.data().sellerRating, rating, 1) });
+      }
+
+      return reviewData;
+    });
+
+    await notifyUsers([review.sellerId], {
+      type: "new_review",
+      title: "New review",
+      body: `${review.productName} was rated ${rating}/5`,
+      orderId,
+    });
+
+    logger.info(`Review ${review.reviewId} (${rating}/5) created by buyer ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Review posted",
+      reviewId: review.reviewId,
+      productId,
+      variantId: review.variantId,
+      rating,
+    });
+  } catch (error) {
+    logger.error("Error creating review:", error);
+
+    const statusCode = reviewErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to create review",
+      details: error.message,
+    });
+  }
+});
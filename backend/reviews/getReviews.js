@@ -0,0 +1,76 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { parseLimit, parseSort, fetchPage } = require("../utils/pagination");
+const { reviewErrorStatus } = require("./reviewRules");
+
+const REVIEW_SORTS = {
+  newest: { field: "createdAt", direction: "desc" },
+  oldest: { field: "createdAt", direction: "asc" },
+  rating_desc: { field: "rating", direction: "desc" },
+  rating_asc: { field: "rating", direction: "asc" },
+};
+
+/**
+ * GET REVIEWS
+ * GET /getReviews?productId=...   → reviews of a product
+ * GET /getReviews?sellerId=...    → reviews of all of a seller's products
+ * Optional: sort (newest | oldest | rating_desc | rating_asc), limit, cursor
+ * (see utils/pagination.js), includeHidden=true (admins only).
+ *
+ * Public endpoint: hidden reviews are left out unless an admin asks for them.
+ * The rating summary is on the product (rating) and seller (sellerRating).
+ */
+exports.getReviews = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { productId, sellerId } = request.query;
+    if (Boolean(productId) === Boolean(sellerId)) {
+      return response.status(400).json({ error: "Invalid filter: send productId or sellerId" });
+    }
+    const sort = parseSort(request.query.sort, REVIEW_SORTS, "newest");
+    const limit = parseLimit(request.query.limit);
+
+    const includeHidden = request.query.includeHidden === "true";
+    if (includeHidden) {
+      const { user: userData } = await verifyUser(request);
+      if (userData.role !== "admin") {
+        return response.status(403).json({ error: "Unauthorized: only admins can view hidden reviews" });
+      }
+    }
+
+    let query = admin.firestore().collection("reviews");
+    query = productId ? query.where("productId", "==", productId) : query.where("sellerId", "==", sellerId);
+    if (!includeHidden) {
+      query = query.where("hidden", "==", false);
+    }
+
+    const { docs, nextCursor } = await fetchPage(query, { sort, limit, cursor: request.query.cursor });
+    const reviews = docs.map(doc => doc.data());
+
+    return response.json({
+      success: true,
+      count: reviews.length,
+      reviews,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
+  } catch (error) {
+    logger.error("Error getting reviews:", error);
+
+    const statusCode = reviewErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get reviews",
+      details: error.message,
+    });
+  }
+});
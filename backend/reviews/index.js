@@ -0,0 +1,12 @@
+/**
+ * REVIEWS MODULE
+ * Exports verified-purchase product review functions
+ * (eligibility and rating aggregates live in reviewRules.js).
+ */
+
+module.exports = {
+  ...require("./createReview"),
+  ...require("./replyToReview"),
+  ...require("./moderateReview"),
+  ...require("./getReviews"),
+};
@@ -0,0 +1,103 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { applyRating, reviewErrorStatus } = require("./reviewRules");
+
+/**
+ * MODERATE REVIEW (Admin)
+ * Hides an abusive review (or shows it again). Hidden reviews are not listed
+ * publicly and do not count towards the product and seller ratings.
+ *
+ * Request Body: { reviewId, hidden: boolean, reason?: string (required to hide) }
+ */
+exports.moderateReview = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { reviewId, hidden, reason } = request.body;
+
+    if (!reviewId) {
+      return response.status(400).json({ error: "Missing required field: reviewId" });
+    }
+    if (typeof hidden !== "boolean") {
+      return response.status(400).json({ error: "Invalid hidden: must be true or false" });
+    }
+    if (hidden && (typeof reason !== "string" || reason.trim() === "")) {
+      return response.status(400).json({ error: "Missing required field: reason" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can moderate reviews" });
+    }
+
+    const firestore = admin.firestore();
+    const reviewRef = firestore.collection("reviews").doc(reviewId);
+
+    const changed = await firestore.runTransaction(async (transaction) => {
+      const reviewDoc = await transaction.get(reviewRef);
+      if (!reviewDoc.exists) {
+        throw new Error("Review not found");
+      }
+      const reviewData = reviewDoc.data();
+      if (reviewData.hidden === hidden) {
+        return false;
+      }
+
+      const productRef = firestore.collection("products").doc(reviewData.productId);
+      const sellerRef = firestore.collection("users").doc(reviewData.sellerId);
+      const [productDoc, sellerDoc] = await Promise.all([
+        transaction.get(productRef),
+        transaction.get(sellerRef),
+      ]);
+
+      // Hiding removes the rating from the aggregates, showing adds it back
+      const direction = hidden ? -1 : 1;
+      if (productDoc.exists) {
+        transaction.update(productRef, {
+          rating: applyRating(productDoc.data().rating, reviewData.rating, direction),
+        });
+      }
+      if (sellerDoc.exists) {
+        transaction.update(sellerRef, {
+          sellerRating: applyRating(sellerDoc.data().sellerRating, reviewData.rating, direction),
+        });
+      }
+
+      transaction.update(reviewRef, {
+        hidden,
+        moderation: hidden ? { hiddenBy: adminId, reason: reason.trim(), at: new Date() } : null,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      return true;
+    });
+
+    logger.info(`Review ${reviewId} ${hidden ? "hidden" : "shown"} by admin ${adminId}`, { reason, changed });
+
+    return response.json({
+      success: true,
+      message: hidden ? "Review hidden" : "Review visible",
+      reviewId,
+      hidden,
+      changed,
+    });
+  } catch (error) {
+    logger.error("Error moderating review:", error);
+
+    const statusCode = reviewErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to moderate review",
+      details: error.message,
+    });
+  }
+});
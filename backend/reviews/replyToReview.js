@@ -0,0 +1,78 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { notifyUsers } = require("../notifications/notify");
+const { MAX_REPLY_LENGTH, reviewErrorStatus } = require("./reviewRules");
+
+/**
+ * REPLY TO REVIEW
+ * Seller answers a review of their product publicly. Sending again replaces
+ * the reply.
+ *
+ * Request Body: { reviewId, reply: string }
+ */
+exports.replyToReview = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { reviewId, reply } = request.body;
+
+    if (!reviewId) {
+      return response.status(400).json({ error: "Missing required field: reviewId" });
+    }
+    if (typeof reply !== "string" || reply.trim() === "" || reply.length > MAX_REPLY_LENGTH) {
+      return response.status(400).json({ error: `Invalid reply: must be 1-${MAX_REPLY_LENGTH} characters` });
+    }
+
+    const { uid: userId } = await verifyUser(request);
+
+    const reviewRef = admin.firestore().collection("reviews").doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+    if (!reviewDoc.exists) {
+      return response.status(404).json({ error: "Review not found" });
+    }
+    const reviewData = reviewDoc.data();
+    if (reviewData.sellerId !== userId) {
+      return response.status(403).json({ error: "Unauthorized: only the seller can reply to this review" });
+    }
+
+    const sellerReply = { text: reply.trim(), repliedAt: new Date() };
+    await reviewRef.update({
+      sellerReply,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    await notifyUsers([reviewData.buyerId], {
+      type: "review_reply",
+      title: "The seller replied to your review",
+      body: `Reply to your review of ${reviewData.productName}`,
+      orderId: reviewData.orderId,
+    });
+
+    logger.info(`Seller ${userId} replied to review ${reviewId}`);
+
+    return response.json({
+      success: true,
+      message: "Reply posted",
+      reviewId,
+      sellerReply,
+    });
+  } catch (error) {
+    logger.error("Error replying to review:", error);
+
+    const statusCode = reviewErrorStatus(error.message);
+    if (statusCode !== 500) {
+      return response.status(statusCode).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to reply to review",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,109 @@
+const { orderLineKey, findOrderLine } = require("../orders/orderBuilder");
+
+/**
+ * REVIEW RULES
+ * Who may review what, and the rating aggregates kept on products and sellers.
+ *
+ * Buyers review each line of a delivered order once (verified purchase only).
+ * The review id is derived from the order line, so a second review of the
+ * same line is rejected even under concurrent requests.
+ *
+ * Review Schema (reviews/{orderId}_{orderLineKey}):
+ * {
+ *   reviewId, orderId, productId, variantId, sellerId, buyerId,
+ *   buyerName: string,                 // display name when reviewed
+ *   productName: string, attributes: Object | null,   // order line snapshot
+ *   rating: 1-5, comment: string, photoURLs: [string],
+ *   verifiedPurchase: true,
+ *   sellerReply: { text, repliedAt } | null,
+ *   hidden: boolean,                   // hidden by an admin (not listed, not counted)
+ *   moderation: { hiddenBy, reason, at } | null,
+ *   createdAt, updatedAt
+ * }
+ *
+ * Aggregates (visible reviews only), on products/{productId}.rating and
+ * users/{sellerId}.sellerRating:
+ * { count, sum, average, distribution: { 1: n, ..., 5: n } }
+ */
+
+const MAX_REVIEW_PHOTOS = 5;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+const RATINGS = [1, 2, 3, 4, 5];
+
+function reviewIdFor(orderId, line) {
+  return `${orderId}_${orderLineKey(line)}`.replace(/[/:]/g, "_");
+}
+
+/**
+ * Validate a new review's rating, comment and photos
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateReviewInput({ rating, comment, photoURLs }) {
+  if (!RATINGS.includes(rating)) {
+    return "Invalid rating: must be a whole number from 1 to 5";
+  }
+  if (comment !== undefined && (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)) {
+    return `Invalid comment: must be text of up to ${MAX_COMMENT_LENGTH} characters`;
+  }
+  if (!Array.isArray(photoURLs) || photoURLs.length > MAX_REVIEW_PHOTOS ||
+      !photoURLs.every(url => typeof url === "string" && url.trim().length > 0)) {
+    return `Invalid photoURLs: must be an array of up to ${MAX_REVIEW_PHOTOS} URLs`;
+  }
+  return null;
+}
+
+/**
+ * The order line a buyer may review (throws "Cannot ..." / "Invalid ..." → 400)
+ */
+function assertCanReview(orderData, productId, variantId) {
+  if (orderData.status !== "delivered") {
+    throw new Error(`Cannot review: order is ${orderData.status}, reviews open after delivery`);
+  }
+  const line = findOrderLine(orderData, productId, variantId);
+  if (!line) {
+    const variantText = variantId ? ` (variant ${variantId})` : "";
+    throw new Error(`Invalid productId: product ${productId}${variantText} is not part of this order`);
+  }
+  return line;
+}
+
+/**
+ * Rating aggregate after adding (+1) or removing (-1) one rating
+ */
+function applyRating(aggregate, rating, direction) {
+  const current = aggregate || { count: 0, sum: 0, average: 0, distribution: {} };
+  const distribution = { ...current.distribution };
+  distribution[rating] = Math.max(0, (distribution[rating] || 0) + direction);
+  const count = Math.max(0, current.count + direction);
+  const sum = Math.max(0, current.sum + direction * rating);
+  return {
+    count,
+    sum,
+    average: count > 0 ? Math.round((sum / count) * 100) / 100 : 0,
+    distribution,
+  };
+}
+
+/**
+ * Map review errors to HTTP status codes
+ */
+function reviewErrorStatus(message) {
+  if (message.includes("Authentication failed")) return 401;
+  if (message.includes("not found")) return 404;
+  if (message.startsWith("Unauthorized")) return 403;
+  if (message.includes("already reviewed")) return 409;
+  if (message.startsWith("Cannot") || message.startsWith("Invalid")) return 400;
+  return 500;
+}
+
+module.exports = {
+  MAX_REVIEW_PHOTOS,
+  MAX_COMMENT_LENGTH,
+  MAX_REPLY_LENGTH,
+  reviewIdFor,
+  validateReviewInput,
+  assertCanReview,
+  applyRating,
+  reviewErrorStatus,
+};
@@ -0,0 +1,74 @@
+/**
+ * build (or rebuild) the product search index
+ * writes products/{productId}.searchTokens for every product, e.g. products
+ * created before searchProducts existed or after a tokenizer change
+ * (see search/tokenizer.js)
+ *
+ * usage:
+ * 1. start firebase emulators: firebase emulators:start
+ * 2. run: node scripts/buildSearchIndex.js
+ *
+ * against a real project instead of the emulator:
+ *   SEARCH_INDEX_PROJECT=<projectId> node scripts/buildSearchIndex.js
+ *   (uses GOOGLE_APPLICATION_CREDENTIALS)
+ */
+
+const admin = require("firebase-admin");
+
+const { searchIndexFields } = require("../search/tokenizer");
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 400;
+
+//initialize firebase admin (emulator unless a project is given)
+if (!admin.apps.length) {
+  if (process.env.SEARCH_INDEX_PROJECT) {
+    admin.initializeApp({ projectId: process.env.SEARCH_INDEX_PROJECT });
+  } else {
+    admin.initializeApp({ projectId: "myanmar-ecommerce-prototype" });
+    process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || "localhost:8080";
+  }
+}
+
+async function buildSearchIndex() {
+  const db = admin.firestore();
+  const productsRef = db.collection("products");
+  let lastDoc = null;
+  let indexed = 0;
+
+  //page through products by document id so any collection size fits in memory
+  for (;;) {
+    let query = productsRef.orderBy(admin.firestore.FieldPath.documentId()).limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    for (const doc of snapshot.docs) {
+      batch.update(doc.ref, searchIndexFields(doc.data()));
+    }
+    await batch.commit();
+
+    indexed += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`indexed ${indexed} products...`);
+  }
+
+  return indexed;
+}
+
+//run build
+buildSearchIndex()
+  .then((indexed) => {
+    console.log(`search index built for ${indexed} products`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("error building search index:", error.message);
+    console.error(error);
+    process.exit(1);
+  });
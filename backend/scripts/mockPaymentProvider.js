@@ -0,0 +1,194 @@
+/**
+ * local mock KBZPay / WavePay provider for the emulator and tests
+ * mimics the provider APIs used by payments/providers and calls back
+ * paymentWebhook with correctly signed notifications
+ *
+ * usage:
+ * 1. start firebase emulators: firebase emulators:start
+ * 2. run: node scripts/mockPaymentProvider.js (listens on http://localhost:9300)
+ * 3. call createPaymentIntent, then complete the payment:
+ *    POST http://localhost:9300/kbzpay/complete  { "intentId": "...", "status": "success" }
+ *    optional "amount" overrides the paid amount (to test mismatches)
+ *
+ * tests can also require this file and use createMockPaymentServer / sendSignedWebhook
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const { signPayload } = require("../payments/signature");
+const { LOCAL_WEBHOOK_SECRETS } = require("../payments/paymentConfig");
+const kbzpay = require("../payments/providers/kbzpay");
+const wavepay = require("../payments/providers/wavepay");
+
+const DEFAULT_PORT = 9300;
+
+const PROVIDERS_BY_PATH = {
+  kbzpay: kbzpay,
+  wavepay: wavepay,
+};
+
+//build the provider-specific notification body
+function buildWebhookPayload(providerName, { intentId, transactionId, amount, currency = "MMK", succeeded = true }) {
+  if (providerName === kbzpay.name) {
+    return {
+      Request: {
+        notify_time: String(Math.floor(Date.now() / 1000)),
+        merch_order_id: intentId,
+        mm_order_id: transactionId,
+        total_amount: String(amount),
+        trans_currency: currency,
+        trade_status: succeeded ? "PAY_SUCCESS" : "PAY_FAILED",
+      },
+    };
+  }
+
+  return {
+    merchantReferenceId: intentId,
+    transactionId,
+    amount,
+    currency,
+    status: succeeded ? "PAYMENT_CONFIRMED" : "PAYMENT_FAILED",
+  };
+}
+
+//sign and POST a notification to the webhook url (returns { status, body })
+async function sendSignedWebhook(providerName, notifyUrl, payload, secret = LOCAL_WEBHOOK_SECRETS[providerName]) {
+  const provider = providerName === kbzpay.name ? kbzpay : wavepay;
+  const rawBody = JSON.stringify(payload);
+
+  const res = await fetch(notifyUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      [provider.signatureHeader]: signPayload(rawBody, secret),
+    },
+    body: rawBody,
+  });
+
+  let body = null;
+  try {
+    body = await res.json();
+  } catch (error) {
+    //non-json ack
+  }
+  return { status: res.status, body };
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+//create (but do not start) the mock server
+//payments are kept in memory, keyed by our intentId
+function createMockPaymentServer() {
+  const payments = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const [, providerPath, action] = req.url.split("?")[0].split("/");
+      const provider = PROVIDERS_BY_PATH[providerPath];
+
+      if (req.method === "GET" && providerPath === "payments") {
+        return sendJson(res, 200, { payments: Array.from(payments.values()) });
+      }
+      if (!provider || req.method !== "POST") {
+        return sendJson(res, 404, { error: "not found" });
+      }
+
+      const body = await readJson(req);
+
+      //KBZPay precreate
+      if (provider === kbzpay && action === "precreate") {
+        const content = body.Request.biz_content;
+        const prepayId = `KBZ_PREPAY_${crypto.randomBytes(6).toString("hex")}`;
+        payments.set(content.merch_order_id, {
+          provider: kbzpay.name,
+          intentId: content.merch_order_id,
+          providerReference: prepayId,
+          amount: Number(content.total_amount),
+          currency: content.trans_currency,
+          notifyUrl: content.notify_url,
+        });
+        return sendJson(res, 200, {
+          Response: { result: "SUCCESS", prepay_id: prepayId, qrCode: `kbzpay://pay?prepay_id=${prepayId}` },
+        });
+      }
+
+      //WavePay payment creation
+      if (provider === wavepay && action === "payment") {
+        const transactionId = `WAVE_${crypto.randomBytes(6).toString("hex")}`;
+        payments.set(body.merchant_reference_id, {
+          provider: wavepay.name,
+          intentId: body.merchant_reference_id,
+          providerReference: transactionId,
+          amount: Number(body.amount),
+          currency: body.currency,
+          notifyUrl: body.callback_url,
+        });
+        return sendJson(res, 200, {
+          message: "success",
+          transaction_id: transactionId,
+          authenticated_url: `https://localhost/wavepay/authenticate/${transactionId}`,
+        });
+      }
+
+      //simulate the buyer completing (or failing) the payment in the provider app
+      if (action === "complete") {
+        const payment = payments.get(body.intentId);
+        if (!payment) {
+          return sendJson(res, 404, { error: "unknown intentId" });
+        }
+
+        const payload = buildWebhookPayload(payment.provider, {
+          intentId: payment.intentId,
+          transactionId: payment.providerReference,
+          amount: body.amount !== undefined ? body.amount : payment.amount,
+          currency: payment.currency,
+          succeeded: body.status !== "failed",
+        });
+        const webhookResult = await sendSignedWebhook(payment.provider, payment.notifyUrl, payload);
+        return sendJson(res, 200, { webhook: webhookResult });
+      }
+
+      return sendJson(res, 404, { error: "not found" });
+    } catch (error) {
+      console.error("mock payment provider error:", error.message);
+      return sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  return { server, payments };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  buildWebhookPayload,
+  sendSignedWebhook,
+  createMockPaymentServer,
+};
+
+//run standalone: node scripts/mockPaymentProvider.js [port]
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const { server } = createMockPaymentServer();
+  server.listen(port, () => {
+    console.log(`mock KBZPay/WavePay provider listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * sync auth custom claims (role, verificationStatus) for every user
+ * the syncUserClaims trigger only runs on users/{uid} writes, so users created
+ * before it existed (e.g. existing admins) need this once
+ * (see auth/userClaims.js)
+ *
+ * usage:
+ * 1. start firebase emulators: firebase emulators:start
+ * 2. run: node scripts/syncUserClaims.js
+ *
+ * against a real project instead of the emulator:
+ *   USER_CLAIMS_PROJECT=<projectId> node scripts/syncUserClaims.js
+ *   (uses GOOGLE_APPLICATION_CREDENTIALS)
+ */
+
+const admin = require("firebase-admin");
+
+const PAGE_SIZE = 400;
+
+//initialize firebase admin (emulators unless a project is given)
+if (!admin.apps.length) {
+  if (process.env.USER_CLAIMS_PROJECT) {
+    admin.initializeApp({ projectId: process.env.USER_CLAIMS_PROJECT });
+  } else {
+    admin.initializeApp({ projectId: "myanmar-ecommerce-prototype" });
+    process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || "localhost:8080";
+    process.env.FIREBASE_AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || "localhost:9099";
+  }
+}
+
+//required after initializeApp, it uses the default app
+const { applyUserClaims } = require("../auth/userClaims");
+
+async function syncUserClaims() {
+  const usersRef = admin.firestore().collection("users");
+  let lastDoc = null;
+  let checked = 0;
+  let updated = 0;
+
+  //page through users by document id so any collection size fits in memory
+  for (;;) {
+    let query = usersRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      const result = await applyUserClaims(doc.id, doc.data());
+      if (result.updated) {
+        updated++;
+      }
+    }
+
+    checked += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`checked ${checked} users...`);
+  }
+
+  return { checked, updated };
+}
+
+//run sync
+syncUserClaims()
+  .then(({ checked, updated }) => {
+    console.log(`claims updated for ${updated} of ${checked} users`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("error syncing user claims:", error.message);
+    console.error(error);
+    process.exit(1);
+  });
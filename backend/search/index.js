@@ -0,0 +1,8 @@
+/**
+ * SEARCH MODULE
+ * Exports the product search endpoint (English, Myanmar Unicode and Zawgyi).
+ */
+
+module.exports = {
+  ...require("./searchProducts"),
+};
@@ -0,0 +1,154 @@
+/**
+ * MYANMAR TEXT
+ * Burmese is written without spaces between words, and a lot of text on phones
+ * is still typed in Zawgyi (a font encoding reusing Myanmar code points in a
+ * different order) rather than Unicode. Search therefore:
+ *
+ * 1. Detects Zawgyi and converts it to Unicode (isZawgyi, zawgyiToUnicode), so a
+ *    product typed in one encoding is found by a query typed in the other
+ * 2. Splits Myanmar text into syllables (segmentSyllables), the unit words are
+ *    built from, since there are no word boundaries to split on
+ *
+ * Conversion follows the ordered replacement rules of the Rabbit converter;
+ * syllable breaking follows the sylbreak rule (a syllable starts at a consonant
+ * that is not stacked or killed, or at an independent vowel, digit or symbol).
+ */
+
+const CONSONANT = "က-အ";
+const KINZI = "င်္";
+
+// Characters or sequences only Zawgyi produces
+const ZAWGYI_PATTERNS = [
+  /(?:ၚ|[ၠ-႗])/, // Zawgyi glyph variants (stacked consonants, kinzi, short forms)
+  /[ဳဴ]/, // Zawgyi u/uu (Mon vowels in Unicode, not used in Burmese)
+  /(^|[^က-႟])[ေျ]/, // vowel e / ya-yit typed before the consonant
+  /္(?![က-အ])/, // Zawgyi asat (Unicode virama is always followed by a consonant)
+];
+
+/**
+ * Whether text is Zawgyi-encoded (heuristic, false for plain Unicode/English)
+ */
+function isZawgyi(text) {
+  return ZAWGYI_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Zawgyi → Unicode replacement rules, applied in order
+const ZAWGYI_RULES = [
+  ["\u200B", ""], // zero-width space used as a word separator
+  // Medials and asat (each target is no longer a source in later rules)
+  ["[ွႇ]", "ှ"],
+  ["ြ", "ွ"],
+  ["[ျၾ-ႄ]", "ြ"],
+  ["[်ၽ]", "ျ"],
+  ["္", "်"],
+  // Vowel, tone and letter variants
+  ["ဳ", "ု"],
+  ["ဴ", "ူ"],
+  ["ဿ", "ူ"],
+  ["ႆ", "ဿ"],
+  ["ႈ", "ှု"],
+  ["ႉ", "ှူ"],
+  ["ႊ", "ွှ"],
+  ["ၚ", "ါ်"],
+  ["ႎ", "ိံ"],
+  ["ႏ", "န"],
+  ["႐", "ရ"],
+  ["ၪ", "ဉ"],
+  ["ၫ", "ည"],
+  ["[႔႕]", "့"],
+  ["၎", "၎င်း"],
+  // Stacked consonants
+  ["ၠ", "္က"],
+  ["ၡ", "္ခ"],
+  ["ၢ", "္ဂ"],
+  ["ၣ", "္ဃ"],
+  ["ၥ", "္စ"],
+  ["[ၦၧ]", "္ဆ"],
+  ["ၨ", "္ဇ"],
+  ["ၩ", "္ဈ"],
+  ["ၬ", "္ဋ"],
+  ["ၭ", "္ဌ"],
+  ["ၮ", "ဍ္ဍ"],
+  ["ၯ", "ဍ္ဎ"],
+  ["ၰ", "္ဏ"],
+  ["႑", "ဏ္ဍ"],
+  ["႒", "ဋ္ဌ"],
+  ["႗", "ဋ္ဋ"],
+  ["႖", "္တွ"],
+  ["[ၱၲ]", "္တ"],
+  ["[ၳၴ]", "္ထ"],
+  ["ၵ", "္ဒ"],
+  ["ၶ", "္ဓ"],
+  ["ၷ", "္န"],
+  ["ၸ", "္ပ"],
+  ["ၹ", "္ဖ"],
+  ["ၺ", "္ဗ"],
+  ["[ၻ႓]", "္ဘ"],
+  ["ၼ", "္မ"],
+  ["ႅ", "္လ"],
+  // Kinzi: Zawgyi writes it after the consonant it sits on, Unicode before
+  [`([${CONSONANT}][ျ-ှ]*)ၤ`, `${KINZI}$1`],
+  [`([${CONSONANT}][ျ-ှ]*)ႋ`, `${KINZI}$1ိ`],
+  [`([${CONSONANT}][ျ-ှ]*)ႌ`, `${KINZI}$1ီ`],
+  [`([${CONSONANT}][ျ-ှ]*)ႍ`, `${KINZI}$1ံ`],
+  // Reordering: ya-yit, then vowel e, move after the consonant (+ stack, medials)
+  [`ြ((?:${KINZI})?[${CONSONANT}](?:္[${CONSONANT}])?)`, "$1ြ"],
+  [`ေ((?:${KINZI})?[${CONSONANT}](?:္[${CONSONANT}])?[ျ-ှ]*)`, "$1ေ"],
+  // Letter and mark combinations
+  ["ဦ", "ဦ"],
+  ["ဥ်", "ဉ်"],
+  ["့်", "့်"],
+  ["ံု", "ုံ"],
+];
+
+const COMPILED_ZAWGYI_RULES = ZAWGYI_RULES.map(([from, to]) => [new RegExp(from, "g"), to]);
+
+/**
+ * Sort a run of medials into Unicode order (ya-pin, ya-yit, wa-hswe, ha-htoe)
+ */
+function sortMedials(text) {
+  return text.replace(/[ျ-ှ]{2,}/g, medials => [...medials].sort().join(""));
+}
+
+/**
+ * Convert Zawgyi-encoded text to Unicode
+ */
+function zawgyiToUnicode(text) {
+  let converted = text;
+  for (const [pattern, replacement] of COMPILED_ZAWGYI_RULES) {
+    converted = converted.replace(pattern, replacement);
+  }
+  return sortMedials(converted);
+}
+
+/**
+ * Unicode form of Myanmar text in either encoding
+ */
+function toUnicode(text) {
+  return isZawgyi(text) ? zawgyiToUnicode(text) : text;
+}
+
+// A syllable starts here: a consonant that is not stacked (after virama) and not
+// killed/stacking itself (followed by asat/virama), or an independent vowel, digit or symbol
+const SYLLABLE_START = new RegExp(
+  `((?<!္)[${CONSONANT}](?![်္])|[ဣ-ဪဿ၀-၉၌-၏])`,
+  "g"
+);
+
+/**
+ * Split a run of Myanmar (Unicode) text into syllables: "မြန်မာ" → ["မြန်", "မာ"]
+ */
+function segmentSyllables(text) {
+  return text
+    .replace(SYLLABLE_START, "\u0000$1")
+    .split("\u0000")
+    .map(syllable => syllable.replace(/[၊။\s]/g, ""))
+    .filter(syllable => syllable !== "");
+}
+
+module.exports = {
+  isZawgyi,
+  zawgyiToUnicode,
+  toUnicode,
+  segmentSyllables,
+};
@@ -0,0 +1,92 @@
+const { normalizeText, buildSearchTokens, productSearchTexts } = require("./tokenizer");
+
+/**
+ * SEARCH RANKING
+ * Orders the candidates of a search (products sharing at least one token with
+ * the query) by relevance:
+ *
+ * 1. Products matching more of the query's tokens first
+ * 2. Then by score: each matched token counts by the field it matched in
+ *    (name 3, category 2, description/variants 1), adjacent syllable pairs of the
+ *    query found in the name add 2 (in other fields 1), and a name containing the
+ *    whole query adds 5
+ * 3. Then newest first
+ */
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  other: 1,
+};
+const NAME_PAIR_BONUS = 2;
+const OTHER_PAIR_BONUS = 1;
+const PHRASE_BONUS = 5;
+
+function fieldTokens(productData) {
+  const [name, category, ...other] = productSearchTexts(productData);
+  return {
+    name: new Set(buildSearchTokens(name)),
+    category: new Set(buildSearchTokens(category)),
+    other: new Set(buildSearchTokens(...other)),
+  };
+}
+
+/**
+ * Relevance of one product to a parsed query (tokenizer.parseQuery)
+ *
+ * @returns {{ matched: number, score: number }}
+ */
+function scoreProduct(productData, parsedQuery) {
+  const fields = fieldTokens(productData);
+  let matched = 0;
+  let score = 0;
+
+  for (const token of parsedQuery.tokens) {
+    const weight = Math.max(
+      ...Object.entries(FIELD_WEIGHTS).map(([field, fieldWeight]) =>
+        fields[field].has(token) ? fieldWeight : 0)
+    );
+    if (weight > 0) {
+      matched++;
+      score += weight;
+    }
+  }
+
+  for (const pair of parsedQuery.pairs) {
+    if (fields.name.has(pair)) {
+      score += NAME_PAIR_BONUS;
+    } else if (fields.category.has(pair) || fields.other.has(pair)) {
+      score += OTHER_PAIR_BONUS;
+    }
+  }
+
+  if (parsedQuery.phrase && normalizeText(productData.name).includes(parsedQuery.phrase)) {
+    score += PHRASE_BONUS;
+  }
+
+  return { matched, score };
+}
+
+/**
+ * Rank product documents for a parsed query
+ *
+ * @param {Array} productDocs - Candidate product snapshots
+ * @param {Object} parsedQuery - tokenizer.parseQuery result
+ * @returns {Array<{ doc: Object, matched: number, score: number }>} Best first
+ */
+function rankProducts(productDocs, parsedQuery) {
+  const millis = (timestamp) => (timestamp && timestamp.toMillis ? timestamp.toMillis() : 0);
+
+  return productDocs
+    .map(doc => ({ doc, ...scoreProduct(doc.data(), parsedQuery) }))
+    .sort((a, b) =>
+      b.matched - a.matched ||
+      b.score - a.score ||
+      millis(b.doc.data().createdAt) - millis(a.doc.data().createdAt)
+    );
+}
+
+module.exports = {
+  scoreProduct,
+  rankProducts,
+};
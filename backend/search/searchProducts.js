@@ -0,0 +1,125 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { parseQuery } = require("./tokenizer");
+const { rankProducts } = require("./ranking");
+const { toProductListing } = require("../products/productListing");
+const { attachSellerReputation } = require("../reputation/sellerReputation");
+
+// Candidates read per search before ranking (most relevant products share several tokens).
+// Matches beyond this are not ranked; the response is then flagged truncated.
+const MAX_CANDIDATES = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Parse an optional non-negative number query parameter
+ *
+ * @returns {number|null|undefined} The number, null if absent, undefined if invalid
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+function positiveInteger(value, defaultValue) {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * SEARCH PRODUCTS
+ * GET /searchProducts?q=...&categoryId=...&category=...&minPrice=...&maxPrice=...&page=1&pageSize=20
+ * Full-text search over active products' name, description and category (and
+ * variant SKUs/attributes). Works with English, Myanmar Unicode and Zawgyi text:
+ * queries and products are normalized to Unicode and Burmese is matched by
+ * syllable (see tokenizer.js, myanmarText.js).
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (GET only), q (required), filters and paging
+ * 2. FETCH: Active products sharing a token with the query (products/{id}.searchTokens,
+ *    array-contains-any), in the (legacy free-text) category if given
+ * 3. RANK: Filter by categoryId (subcategories included; Firestore allows one
+ *    array filter per query, so done here) and price, rank by relevance (ranking.js), cut the requested page
+ * 4. RESPONSE: { truncated, page, pageSize, hasMore, products: [{ ...product, score, seller }] }
+ *    (seller: { sellerId, trustScore, trustTier }, see reputation/reputationRules.js)
+ *    No total is reported: only MAX_CANDIDATES candidates are ranked, so truncated
+ *    tells the client more products matched than were ranked (narrow the query).
+ *
+ * Note: No authentication required - this is a public endpoint for buyers.
+ * Products created before search existed need scripts/buildSearchIndex.js.
+ */
+exports.searchProducts = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { q, category, categoryId } = request.query;
+    const minPrice = optionalNumber(request.query.minPrice);
+    const maxPrice = optionalNumber(request.query.maxPrice);
+    const page = positiveInteger(request.query.page, 1);
+    const pageSize = positiveInteger(request.query.pageSize, DEFAULT_PAGE_SIZE);
+
+    if (typeof q !== "string" || q.trim() === "") {
+      return response.status(400).json({ error: "Missing required query parameter: q" });
+    }
+    if (minPrice === undefined || maxPrice === undefined) {
+      return response.status(400).json({ error: "Invalid price filter: must be a positive number" });
+    }
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+      return response.status(400).json({ error: "Invalid price filter: minPrice is greater than maxPrice" });
+    }
+    if (page === undefined || pageSize === undefined || pageSize > MAX_PAGE_SIZE) {
+      return response.status(400).json({
+        error: `Invalid paging: page must be a whole number from 1, pageSize from 1 to ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    const parsedQuery = parseQuery(q);
+    if (parsedQuery.tokens.length === 0) {
+      return response.status(400).json({ error: "Invalid query: no searchable words" });
+    }
+
+    let candidatesQuery = admin.firestore().collection("products")
+      .where("status", "==", "active")
+      .where("searchTokens", "array-contains-any", parsedQuery.tokens);
+    if (category) {
+      candidatesQuery = candidatesQuery.where("category", "==", category);
+    }
+    const snapshot = await candidatesQuery.limit(MAX_CANDIDATES).get();
+
+    const matching = snapshot.docs.filter(doc => {
+      const { price, categoryPath } = doc.data();
+      if (categoryId && !(categoryPath || []).includes(categoryId)) return false;
+      return (minPrice === null || price >= minPrice) && (maxPrice === null || price <= maxPrice);
+    });
+    const ranked = rankProducts(matching, parsedQuery);
+
+    const start = (page - 1) * pageSize;
+    const products = await attachSellerReputation(ranked.slice(start, start + pageSize).map(({ doc, score }) => ({
+      ...toProductListing(doc),
+      score,
+    })));
+
+    return response.json({
+      success: true,
+      query: parsedQuery.phrase,
+      truncated: snapshot.size === MAX_CANDIDATES,
+      page,
+      pageSize,
+      hasMore: start + pageSize < ranked.length,
+      count: products.length,
+      products,
+    });
+  } catch (error) {
+    logger.error("Error searching products:", error);
+    return response.status(500).json({
+      error: "Failed to search products",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,144 @@
+const { toUnicode, segmentSyllables } = require("./myanmarText");
+
+/**
+ * SEARCH TOKENIZER
+ * Turns product text and search queries into comparable tokens.
+ *
+ * Products store their tokens in products/{productId}.searchTokens (written by
+ * createProduct/updateProduct, rebuilt for existing products by
+ * scripts/buildSearchIndex.js); searchProducts finds candidates with an
+ * array-contains-any query on them and ranks them in memory.
+ *
+ * Text is normalized first (Zawgyi → Unicode, NFC, lowercase), then:
+ * - English/Latin words: the word plus its prefixes from 2 letters ("shi" finds "shirt")
+ * - Myanmar text: syllables (myanmarText.js) plus pairs of adjacent syllables,
+ *   so a phrase ranks above the same syllables scattered through the text
+ */
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+// Keeps product documents small; name tokens come first and are always kept
+const MAX_PRODUCT_TOKENS = 300;
+// Firestore array-contains-any accepts at most 30 values
+const MAX_QUERY_TOKENS = 30;
+
+// Myanmar runs (U+1000-U+109F), or runs of other letters/digits
+const TERM_PATTERN = /[\u1000-\u109F]+|(?:(?![\u1000-\u109F])[\p{L}\p{N}])+/gu;
+const MYANMAR_PATTERN = /^[\u1000-\u109F]/;
+
+/**
+ * Unicode, NFC, lowercase form of text in any encoding (non-strings → "")
+ */
+function normalizeText(text) {
+  if (typeof text !== "string") return "";
+  return toUnicode(text.normalize("NFC"))
+    .replace(/[\u200B-\u200D\uFEFF]/g, " ") // zero-width (non-)joiners/spaces
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Words (non-Myanmar) and syllable runs (Myanmar) of a text, in order
+ *
+ * @returns {{ words: string[], syllableRuns: string[][] }}
+ */
+function splitTerms(text) {
+  const words = [];
+  const syllableRuns = [];
+  for (const term of normalizeText(text).match(TERM_PATTERN) || []) {
+    if (MYANMAR_PATTERN.test(term)) {
+      const syllables = segmentSyllables(term);
+      if (syllables.length > 0) syllableRuns.push(syllables);
+    } else {
+      words.push(term);
+    }
+  }
+  return { words, syllableRuns };
+}
+
+function syllablePairs(syllables) {
+  const pairs = [];
+  for (let i = 0; i < syllables.length - 1; i++) {
+    pairs.push(syllables[i] + syllables[i + 1]);
+  }
+  return pairs;
+}
+
+/**
+ * Index tokens of one or more texts (words + prefixes, syllables + pairs)
+ *
+ * @returns {string[]} Unique tokens, in text order
+ */
+function buildSearchTokens(...texts) {
+  const tokens = new Set();
+  for (const text of texts) {
+    const { words, syllableRuns } = splitTerms(text);
+    for (const word of words) {
+      const maxLength = Math.min(word.length - 1, MAX_PREFIX_LENGTH);
+      for (let length = MIN_PREFIX_LENGTH; length <= maxLength; length++) {
+        tokens.add(word.slice(0, length));
+      }
+      tokens.add(word);
+    }
+    for (const syllables of syllableRuns) {
+      syllables.forEach(syllable => tokens.add(syllable));
+      syllablePairs(syllables).forEach(pair => tokens.add(pair));
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * Search fields of a product: name, category, description, then the SKUs and
+ * attribute values of its variants (products/variants.js)
+ */
+function productSearchTexts(productData) {
+  const texts = [productData.name, productData.category, productData.description];
+  for (const variant of Object.values(productData.variants || {})) {
+    texts.push(variant.sku, ...Object.values(variant.attributes || {}));
+  }
+  return texts;
+}
+
+/**
+ * Product fields maintaining its search index entry
+ *
+ * @param {Object} productData - Product data as it will be stored
+ * @returns {{ searchTokens: string[] }}
+ */
+function searchIndexFields(productData) {
+  return {
+    searchTokens: buildSearchTokens(...productSearchTexts(productData)).slice(0, MAX_PRODUCT_TOKENS),
+  };
+}
+
+/**
+ * Parse a search query.
+ * tokens: whole words and syllables (no prefixes), matched against searchTokens
+ * pairs: adjacent syllable pairs, for phrase ranking
+ * phrase: the normalized query, for exact name matches
+ *
+ * @returns {{ tokens: string[], pairs: string[], phrase: string }}
+ */
+function parseQuery(query) {
+  const { words, syllableRuns } = splitTerms(query);
+  const tokens = new Set(words);
+  const pairs = new Set();
+  for (const syllables of syllableRuns) {
+    syllables.forEach(syllable => tokens.add(syllable));
+    syllablePairs(syllables).forEach(pair => pairs.add(pair));
+  }
+  return {
+    tokens: [...tokens].slice(0, MAX_QUERY_TOKENS),
+    pairs: [...pairs],
+    phrase: normalizeText(query),
+  };
+}
+
+module.exports = {
+  normalizeText,
+  buildSearchTokens,
+  productSearchTexts,
+  searchIndexFields,
+  parseQuery,
+};
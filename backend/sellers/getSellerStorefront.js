@@ -0,0 +1,71 @@
+/**
+ * GET SELLER STOREFRONT
+ * A seller's public profile and their active products, one page at a time.
+ *
+ * Query: sellerId, plus the product filters, sort and paging of getPublicProducts
+ *        (categoryId, category, minPrice, maxPrice, sort, limit, cursor; see products/productListing.js)
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (GET only), sellerId, filters, sort and paging
+ * 2. FETCH: Public profile (see sellerProfileRules.js; never the private
+ *    users/{uid} fields such as phone number or KYC data)
+ * 3. FETCH: One page of the seller's products where status is "active"
+ * 4. RESPONSE: { seller, products, nextCursor, hasMore }
+ *
+ * Note: No authentication required - this is a public endpoint for buyers.
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { fetchPage } = require("../utils/pagination");
+const { parseProductListParams, applyProductFilters, toProductListing } = require("../products/productListing");
+const { loadPublicSellerProfile } = require("./sellerProfileRules");
+
+exports.getSellerStorefront = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { sellerId } = request.query;
+    if (!sellerId) {
+      return response.status(400).json({ error: "Missing required query parameter: sellerId" });
+    }
+    const params = parseProductListParams(request.query);
+
+    const seller = await loadPublicSellerProfile(sellerId);
+    if (!seller) {
+      return response.status(404).json({ error: "Seller not found" });
+    }
+
+    let query = admin.firestore().collection("products")
+      .where("status", "==", "active")
+      .where("sellerId", "==", sellerId);
+    query = applyProductFilters(query, params);
+
+    const { docs, nextCursor } = await fetchPage(query, params);
+    const products = docs.map(toProductListing);
+
+    return response.json({
+      success: true,
+      seller,
+      count: products.length,
+      products,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
+  } catch (error) {
+    logger.error("Error fetching seller storefront:", error);
+
+    if (error.message.startsWith("Invalid")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to fetch seller storefront",
+      details: error.message,
+    });
+  }
+});
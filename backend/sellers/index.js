@@ -0,0 +1,10 @@
+/**
+ * SELLERS MODULE
+ * Exports public seller profile and storefront functions
+ * (profile fields and what is public live in sellerProfileRules.js).
+ */
+
+module.exports = {
+  ...require("./updateSellerProfile"),
+  ...require("./getSellerStorefront"),
+};
@@ -0,0 +1,150 @@
+const admin = require("firebase-admin");
+
+const { resolveLocation } = require("../shipping/myanmarLocations");
+const { publicReputation } = require("../reputation/reputationRules");
+
+/**
+ * SELLER PROFILE RULES
+ * The public face of a seller, kept apart from the private users/{uid}
+ * document (phone number, KYC data) so storefronts can be shown to anyone.
+ *
+ * Profile Schema (sellerProfiles/{sellerId}), edited by the seller:
+ * {
+ *   sellerId,
+ *   shopName: string,                  // 2-80 characters
+ *   logoURL: string | null,            // http(s) URL
+ *   description: string,               // up to 2000 characters
+ *   location: { township, townshipId, region, regionId } | null,   // see shipping/myanmarLocations.js
+ *   createdAt, updatedAt
+ * }
+ *
+ * Public profile (publicSellerProfile): the fields above plus joinedAt, the
+ * verification badge and review rating taken from users/{sellerId}, and the
+ * trust score and tier (sellerReputation/{sellerId}). Nothing else from the
+ * users document is ever returned.
+ */
+
+const SHOP_NAME_LENGTH = [2, 80];
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_LOGO_URL_LENGTH = 2048;
+
+const PROFILE_FIELDS = ["shopName", "logoURL", "description", "region", "township"];
+
+function isHttpURL(value) {
+  return typeof value === "string" && value.length <= MAX_LOGO_URL_LENGTH && /^https?:\/\/\S+$/.test(value);
+}
+
+/**
+ * Validate profile fields sent by the seller; on a first save shopName is required
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateProfileFields(fields, { partial }) {
+  const sent = PROFILE_FIELDS.filter(field => fields[field] !== undefined);
+  if (sent.length === 0) {
+    return `No profile fields to update: send ${PROFILE_FIELDS.join(", ")}`;
+  }
+  if (!partial && fields.shopName === undefined) {
+    return "Missing required field: shopName";
+  }
+
+  const { shopName, logoURL, description, region, township } = fields;
+  const [minName, maxName] = SHOP_NAME_LENGTH;
+  if (shopName !== undefined &&
+      (typeof shopName !== "string" || shopName.trim().length < minName || shopName.trim().length > maxName)) {
+    return `Invalid shopName: must be ${minName}-${maxName} characters`;
+  }
+  if (logoURL !== undefined && logoURL !== null && !isHttpURL(logoURL)) {
+    return "Invalid logoURL: must be an http(s) URL";
+  }
+  if (description !== undefined && (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Invalid description: must be text of up to ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if ((region === undefined) !== (township === undefined)) {
+    return "Invalid location: send region and township together";
+  }
+  if (region !== undefined && region !== null) {
+    const location = resolveLocation(region, township);
+    if (location.error) {
+      return `Invalid location: ${location.error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Stored form of validated profile fields (only the fields sent;
+ * region and township null clear the location)
+ */
+function buildProfileFields(fields) {
+  const data = {};
+  if (fields.shopName !== undefined) data.shopName = fields.shopName.trim();
+  if (fields.logoURL !== undefined) data.logoURL = fields.logoURL;
+  if (fields.description !== undefined) data.description = fields.description.trim();
+  if (fields.region !== undefined) {
+    const location = fields.region === null ? null : resolveLocation(fields.region, fields.township);
+    data.location = location && {
+      township: location.township.name,
+      townshipId: location.township.id,
+      region: location.region.name,
+      regionId: location.region.id,
+    };
+  }
+  return data;
+}
+
+/**
+ * Public profile of a seller (see schema above)
+ *
+ * @param {string} sellerId
+ * @param {Object|null} profile - sellerProfiles/{sellerId} data (null before the first save)
+ * @param {Object} userData - users/{sellerId} data, only the public bits are used
+ * @param {Object|null} reputation - sellerReputation/{sellerId} data
+ */
+function publicSellerProfile(sellerId, profile, userData, reputation) {
+  const rating = userData.sellerRating;
+  return {
+    sellerId,
+    shopName: profile ? profile.shopName : userData.displayName || "",
+    logoURL: profile ? profile.logoURL || null : null,
+    description: profile ? profile.description || "" : "",
+    location: profile ? profile.location || null : null,
+    joinedAt: userData.createdAt || null,
+    verified: userData.verificationStatus === "verified",
+    rating: rating && rating.count > 0
+      ? { average: rating.average, count: rating.count }
+      : { average: 0, count: 0 },
+    ...publicReputation(reputation),
+  };
+}
+
+/**
+ * Public profile of a seller, read from their profile, user and reputation documents
+ *
+ * @returns {Promise<Object|null>} null if the user does not exist or is not a seller
+ */
+async function loadPublicSellerProfile(sellerId) {
+  const firestore = admin.firestore();
+  const [userDoc, profileDoc, reputationDoc] = await firestore.getAll(
+    firestore.collection("users").doc(sellerId),
+    firestore.collection("sellerProfiles").doc(sellerId),
+    firestore.collection("sellerReputation").doc(sellerId),
+  );
+  if (!userDoc.exists || userDoc.data().role !== "seller") {
+    return null;
+  }
+  return publicSellerProfile(
+    sellerId,
+    profileDoc.exists ? profileDoc.data() : null,
+    userDoc.data(),
+    reputationDoc.exists ? reputationDoc.data() : null,
+  );
+}
+
+module.exports = {
+  SHOP_NAME_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  validateProfileFields,
+  buildProfileFields,
+  publicSellerProfile,
+  loadPublicSellerProfile,
+};
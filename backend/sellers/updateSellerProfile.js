@@ -0,0 +1,87 @@
+/**
+ * UPDATE SELLER PROFILE
+ * Seller creates or edits their public shop profile (sellerProfiles/{sellerId},
+ * see sellerProfileRules.js). Only the fields sent are changed.
+ *
+ * Request Body:
+ * { shopName?, logoURL?: string | null, description?, region?, township? }
+ * (shopName is required on the first save; region and township go together,
+ * both null to clear the location)
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method (PATCH or POST), at least one profile field
+ * 2. AUTHORIZATION: Verify seller role
+ * 3. VALIDATION: Field formats, region/township against the Myanmar location dataset
+ * 4. WRITE: Create or merge the profile document
+ * 5. RESPONSE: The public profile, as shown on the storefront
+ */
+
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const { validateProfileFields, buildProfileFields, loadPublicSellerProfile } = require("./sellerProfileRules");
+
+exports.updateSellerProfile = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "PATCH" && request.method !== "POST") {
+      return response.status(405).json({ error: "Use PATCH or POST method" });
+    }
+
+    // Verify seller role
+    const { uid: userId } = await verifySellerRole(request);
+
+    const firestore = admin.firestore();
+    const profileRef = firestore.collection("sellerProfiles").doc(userId);
+
+    await firestore.runTransaction(async (transaction) => {
+      const profileDoc = await transaction.get(profileRef);
+
+      const fieldsError = validateProfileFields(request.body, { partial: profileDoc.exists });
+      if (fieldsError) {
+        throw new Error(fieldsError);
+      }
+
+      const data = { ...buildProfileFields(request.body), updatedAt: FieldValue.serverTimestamp() };
+      if (profileDoc.exists) {
+        transaction.update(profileRef, data);
+      } else {
+        transaction.create(profileRef, {
+          sellerId: userId,
+          logoURL: null,
+          description: "",
+          location: null,
+          ...data,
+          createdAt: FieldValue.serverTimestamp(),
+        });
+      }
+    });
+
+    const profile = await loadPublicSellerProfile(userId);
+
+    logger.info(`Seller profile updated by seller ${userId}`);
+
+    return response.json({
+      success: true,
+      message: "Profile updated",
+      profile,
+    });
+  } catch (error) {
+    logger.error("Error updating seller profile:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(401).json({ error: error.message });
+    }
+    if (error.message.startsWith("Invalid") || error.message.startsWith("Missing") ||
+        error.message.startsWith("No profile fields")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to update seller profile",
+      details: error.message,
+    });
+  }
+});
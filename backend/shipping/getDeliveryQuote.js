@@ -0,0 +1,71 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const {
+  normalizeDeliveryAddress,
+  isValidOrderItems,
+  buildOrderLines,
+  orderErrorStatus,
+} = require("../orders/orderBuilder");
+const { loadShippingRates, quoteDeliveryFee } = require("./shippingRates");
+
+/**
+ * GET DELIVERY QUOTE
+ * Public: previews the delivery fee and order total for a seller's items and
+ * an address, using the same rules createOrder applies (no stock is reserved).
+ *
+ * Request Body:
+ * {
+ *   sellerId,
+ *   products: [{ productId, quantity }],
+ *   deliveryAddress: { street, township, city, region, phone }
+ * }
+ */
+exports.getDeliveryQuote = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { sellerId, products, deliveryAddress } = request.body;
+
+    if (!sellerId) {
+      return response.status(400).json({ error: "Missing sellerId" });
+    }
+    if (!isValidOrderItems(products)) {
+      return response.status(400).json({ error: "Invalid products array" });
+    }
+    const { address, error: addressError } = normalizeDeliveryAddress(deliveryAddress);
+    if (addressError) {
+      return response.status(400).json({ error: addressError });
+    }
+
+    const firestore = admin.firestore();
+    const productDocs = await Promise.all(
+      products.map(item => firestore.collection("products").doc(item.productId).get())
+    );
+    const { lineItems, subtotal } = buildOrderLines(products, productDocs, sellerId);
+    const quote = quoteDeliveryFee(await loadShippingRates(sellerId), address, lineItems);
+
+    return response.json({
+      success: true,
+      subtotal,
+      ...quote,
+      totalAmount: subtotal + quote.deliveryFee,
+      deliveryAddress: address,
+    });
+  } catch (error) {
+    logger.error("Error getting delivery quote:", error);
+
+    const status = orderErrorStatus(error.message);
+    if (status !== 500) {
+      return response.status(status).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to get delivery quote",
+      details: error.message,
+    });
+  }
+});
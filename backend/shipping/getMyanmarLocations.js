@@ -0,0 +1,38 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+
+const { REGIONS, findRegion } = require("./myanmarLocations");
+
+/**
+ * GET MYANMAR LOCATIONS
+ * Public: states/regions and their townships, for address pickers and for
+ * sellers building shipping zones.
+ *
+ * Query (optional): ?region=yangon → only that region's townships
+ */
+exports.getMyanmarLocations = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    if (request.query.region) {
+      const region = findRegion(request.query.region);
+      if (!region) {
+        return response.status(404).json({ error: `Unknown region: ${request.query.region}` });
+      }
+      return response.json({ success: true, region });
+    }
+
+    return response.json({
+      success: true,
+      regions: REGIONS,
+    });
+  } catch (error) {
+    logger.error("Error getting Myanmar locations:", error);
+    return response.status(500).json({
+      error: "Failed to get locations",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,39 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+
+const { loadShippingRates } = require("./shippingRates");
+
+/**
+ * GET SHIPPING RATES
+ * Public: returns a seller's delivery rate table so buyers can see fees
+ * before checkout. `rates` is null when the seller has not configured one
+ * (no delivery fee is charged).
+ *
+ * Query: ?sellerId=...
+ */
+exports.getShippingRates = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { sellerId } = request.query;
+    if (!sellerId) {
+      return response.status(400).json({ error: "Missing sellerId" });
+    }
+
+    const rates = await loadShippingRates(sellerId);
+
+    return response.json({
+      success: true,
+      sellerId,
+      rates: rates ? { ...rates, updatedAt: rates.updatedAt ? rates.updatedAt.toDate() : null } : null,
+    });
+  } catch (error) {
+    logger.error("Error getting shipping rates:", error);
+    return response.status(500).json({
+      error: "Failed to get shipping rates",
+      details: error.message,
+    });
+  }
+});
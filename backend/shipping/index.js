@@ -0,0 +1,12 @@
+/**
+ * SHIPPING MODULE
+ * Exports Myanmar location, seller shipping rate and delivery quote functions
+ * (dataset lookups live in myanmarLocations.js, fee rules in shippingRates.js).
+ */
+
+module.exports = {
+  ...require("./getMyanmarLocations"),
+  ...require("./setShippingRates"),
+  ...require("./getShippingRates"),
+  ...require("./getDeliveryQuote"),
+};
@@ -0,0 +1,105 @@
+const dataset = require("./data/myanmarLocations.json");
+
+/**
+ * MYANMAR LOCATIONS
+ * Lookup helpers over the bundled states/regions → townships dataset
+ * (data/myanmarLocations.json). Used to validate delivery addresses and to
+ * reference townships from seller shipping rate tables.
+ *
+ * Identifiers:
+ * - region id:   "yangon", "mandalay", "shan", ...
+ * - township id: slug of the English name, unique within its region ("kamayut", "hpa-an")
+ * - township key: "<regionId>/<townshipId>" (unique across the country, e.g. "yangon/kamayut")
+ *
+ * Lookups accept ids, English names (with or without "Region"/"State") and the
+ * Burmese region name, ignoring case, spaces and punctuation.
+ */
+
+function slugify(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// Comparison form: "Hpa-an" / "hpa an" / "HPAAN" → "hpaan"
+function normalizeName(value) {
+  return String(value).trim().toLowerCase().replace(/[\s\-_.'’]+/g, "");
+}
+
+function townshipKey(regionId, townshipId) {
+  return `${regionId}/${townshipId}`;
+}
+
+// Build the lookup tables once at module load
+const REGIONS = dataset.regions.map(region => ({
+  id: region.id,
+  isoCode: region.isoCode,
+  name: region.name,
+  nameMy: region.nameMy,
+  type: region.type,
+  townships: region.townships.map(name => ({
+    id: slugify(name),
+    key: townshipKey(region.id, slugify(name)),
+    name,
+  })),
+}));
+
+const regionsByAlias = new Map();
+for (const region of REGIONS) {
+  const shortName = region.name.replace(/\s+(Region|State|Union Territory)$/, "");
+  for (const alias of [region.id, region.name, shortName, region.nameMy, region.isoCode]) {
+    regionsByAlias.set(normalizeName(alias), region);
+  }
+}
+
+/**
+ * Find a region by id, name, short name, Burmese name or ISO code
+ */
+function findRegion(value) {
+  if (!value) return null;
+  return regionsByAlias.get(normalizeName(value)) || null;
+}
+
+/**
+ * Find a township inside a region by id or name
+ */
+function findTownship(region, value) {
+  if (!region || !value) return null;
+  const wanted = normalizeName(value);
+  return region.townships.find(township =>
+    normalizeName(township.id) === wanted || normalizeName(township.name) === wanted
+  ) || null;
+}
+
+/**
+ * Find a township by its country-wide key ("yangon/kamayut")
+ */
+function findTownshipByKey(key) {
+  if (typeof key !== "string" || !key.includes("/")) return null;
+  const [regionId, townshipId] = key.split("/");
+  return findTownship(findRegion(regionId), townshipId);
+}
+
+/**
+ * Resolve a region + township pair.
+ * @returns {{ region, township } | { error: string }}
+ */
+function resolveLocation(regionValue, townshipValue) {
+  const region = findRegion(regionValue);
+  if (!region) {
+    return { error: `unknown region '${regionValue}'` };
+  }
+  const township = findTownship(region, townshipValue);
+  if (!township) {
+    return { error: `township '${townshipValue}' is not in ${region.name}` };
+  }
+  return { region, township };
+}
+
+module.exports = {
+  REGIONS,
+  slugify,
+  townshipKey,
+  findRegion,
+  findTownship,
+  findTownshipByKey,
+  resolveLocation,
+};
@@ -0,0 +1,63 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const {
+  getShippingRatesRef,
+  validateShippingRates,
+  normalizeShippingRates,
+} = require("./shippingRates");
+
+/**
+ * SET SHIPPING RATES
+ * Seller replaces their delivery rate table (zones by township/region,
+ * weight tiers, free-shipping threshold). Used for every new order to them.
+ *
+ * Request Body:
+ * {
+ *   zones: [{ zoneId, name, townships: ["yangon/kamayut"], regions: ["mandalay"],
+ *             weightTiers: [{ maxWeightKg, fee }] }],
+ *   defaultZone: { name, weightTiers } | null,
+ *   freeShippingThreshold: number | null
+ * }
+ */
+exports.setShippingRates = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const validationError = validateShippingRates(request.body || {});
+    if (validationError) {
+      return response.status(400).json({ error: validationError });
+    }
+
+    const { uid: sellerId } = await verifySellerRole(request);
+
+    const rates = normalizeShippingRates(sellerId, request.body);
+    await getShippingRatesRef(sellerId).set({
+      ...rates,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Shipping rates updated by seller ${sellerId} (${rates.zones.length} zones)`);
+
+    return response.json({
+      success: true,
+      message: "Shipping rates updated",
+      rates,
+    });
+  } catch (error) {
+    logger.error("Error setting shipping rates:", error);
+
+    if (error.message.includes("Authentication failed")) {
+      return response.status(403).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to set shipping rates",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,207 @@
+const admin = require("firebase-admin");
+
+const { findRegion, findTownshipByKey } = require("./myanmarLocations");
+
+/**
+ * SELLER SHIPPING RATES
+ * Each seller can configure one rate table (shippingRates/{sellerId}) used to
+ * compute the delivery fee of their orders.
+ *
+ * Rate Table Schema (shippingRates/{sellerId}):
+ * {
+ *   sellerId,
+ *   zones: [{
+ *     zoneId: string,                 // seller-chosen, unique in the table ("yangon-downtown")
+ *     name: string,
+ *     townships: ["yangon/kamayut"],  // township keys (see myanmarLocations.js)
+ *     regions: ["mandalay"],          // whole regions/states
+ *     weightTiers: [{ maxWeightKg: number | null, fee: number }]  // ascending, null = no limit
+ *   }],
+ *   defaultZone: { name, weightTiers } | null,  // everywhere else; null = no delivery there
+ *   freeShippingThreshold: number | null,       // item subtotal (MMK) from which delivery is free
+ *   updatedAt
+ * }
+ *
+ * Zone matching: a zone listing the township wins over a zone listing the
+ * whole region, which wins over defaultZone. Within a zone, the first tier
+ * whose maxWeightKg covers the order weight applies.
+ *
+ * Sellers without a rate table charge no delivery fee through the platform.
+ */
+
+function getShippingRatesRef(sellerId) {
+  return admin.firestore().collection("shippingRates").doc(sellerId);
+}
+
+/**
+ * Load a seller's rate table (null if not configured)
+ */
+async function loadShippingRates(sellerId) {
+  const ratesDoc = await getShippingRatesRef(sellerId).get();
+  return ratesDoc.exists ? ratesDoc.data() : null;
+}
+
+function validateWeightTiers(weightTiers, label) {
+  if (!Array.isArray(weightTiers) || weightTiers.length === 0) {
+    return `${label}: weightTiers must be a non-empty array`;
+  }
+  let previousMax = 0;
+  for (let i = 0; i < weightTiers.length; i++) {
+    const tier = weightTiers[i];
+    const isLast = i === weightTiers.length - 1;
+    if (!tier || typeof tier.fee !== "number" || tier.fee < 0) {
+      return `${label}: every weight tier needs a non-negative fee`;
+    }
+    if (tier.maxWeightKg === null || tier.maxWeightKg === undefined) {
+      if (!isLast) {
+        return `${label}: only the last weight tier can have no maxWeightKg`;
+      }
+      continue;
+    }
+    if (typeof tier.maxWeightKg !== "number" || tier.maxWeightKg <= previousMax) {
+      return `${label}: weight tiers must have increasing positive maxWeightKg`;
+    }
+    previousMax = tier.maxWeightKg;
+  }
+  return null;
+}
+
+/**
+ * Validate a rate table submitted by a seller.
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateShippingRates({ zones, defaultZone, freeShippingThreshold }) {
+  if (!Array.isArray(zones)) {
+    return "Invalid zones: must be an array";
+  }
+
+  const zoneIds = new Set();
+  for (const zone of zones) {
+    if (!zone || !zone.zoneId || !zone.name) {
+      return "Invalid zone: zoneId and name are required";
+    }
+    if (zoneIds.has(zone.zoneId)) {
+      return `Duplicate zoneId: ${zone.zoneId}`;
+    }
+    zoneIds.add(zone.zoneId);
+
+    const townships = zone.townships || [];
+    const regions = zone.regions || [];
+    if (!Array.isArray(townships) || !Array.isArray(regions) || townships.length + regions.length === 0) {
+      return `Zone ${zone.zoneId}: list at least one township or region`;
+    }
+    for (const key of townships) {
+      if (!findTownshipByKey(key)) {
+        return `Zone ${zone.zoneId}: unknown township '${key}' (use "regionId/townshipId")`;
+      }
+    }
+    for (const regionId of regions) {
+      if (!findRegion(regionId)) {
+        return `Zone ${zone.zoneId}: unknown region '${regionId}'`;
+      }
+    }
+
+    const tierError = validateWeightTiers(zone.weightTiers, `Zone ${zone.zoneId}`);
+    if (tierError) return tierError;
+  }
+
+  if (defaultZone !== undefined && defaultZone !== null) {
+    const tierError = validateWeightTiers(defaultZone.weightTiers, "Default zone");
+    if (tierError) return tierError;
+  }
+
+  if (freeShippingThreshold !== undefined && freeShippingThreshold !== null &&
+      (typeof freeShippingThreshold !== "number" || freeShippingThreshold < 0)) {
+    return "Invalid freeShippingThreshold: must be a non-negative number or null";
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a validated rate table for storage (canonical ids, defaults)
+ */
+function normalizeShippingRates(sellerId, { zones, defaultZone, freeShippingThreshold }) {
+  return {
+    sellerId,
+    zones: zones.map(zone => ({
+      zoneId: zone.zoneId,
+      name: zone.name,
+      townships: (zone.townships || []).map(key => findTownshipByKey(key).key),
+      regions: (zone.regions || []).map(regionId => findRegion(regionId).id),
+      weightTiers: zone.weightTiers.map(tier => ({
+        maxWeightKg: tier.maxWeightKg === undefined ? null : tier.maxWeightKg,
+        fee: Math.round(tier.fee),
+      })),
+    })),
+    defaultZone: defaultZone ? {
+      name: defaultZone.name || "Other areas",
+      weightTiers: defaultZone.weightTiers.map(tier => ({
+        maxWeightKg: tier.maxWeightKg === undefined ? null : tier.maxWeightKg,
+        fee: Math.round(tier.fee),
+      })),
+    } : null,
+    freeShippingThreshold: freeShippingThreshold === undefined ? null : freeShippingThreshold,
+  };
+}
+
+function findZone(rates, address) {
+  const key = `${address.regionId}/${address.townshipId}`;
+  return rates.zones.find(zone => zone.townships.includes(key)) ||
+    rates.zones.find(zone => zone.regions.includes(address.regionId)) ||
+    (rates.defaultZone ? { zoneId: "default", ...rates.defaultZone } : null);
+}
+
+/**
+ * Order weight from line snapshots (products without a weight count as 0 kg)
+ */
+function orderWeightKg(lineItems) {
+  const weight = lineItems.reduce((sum, line) => sum + (line.weightKg || 0) * line.quantity, 0);
+  return Math.round(weight * 1000) / 1000;
+}
+
+/**
+ * Compute the delivery fee for an order.
+ * Throws if the seller has a rate table that does not cover the address.
+ *
+ * @param {Object|null} rates - Seller rate table (loadShippingRates)
+ * @param {Object} address - Normalized delivery address (regionId, townshipId, region, township)
+ * @param {Array} lineItems - Order lines ({ price, quantity, weightKg })
+ * @returns {{ deliveryFee, zoneId, zoneName, weightKg, freeShippingApplied }}
+ */
+function quoteDeliveryFee(rates, address, lineItems) {
+  const weightKg = orderWeightKg(lineItems);
+
+  if (!rates) {
+    return { deliveryFee: 0, zoneId: null, zoneName: null, weightKg, freeShippingApplied: false };
+  }
+
+  const zone = findZone(rates, address);
+  if (!zone) {
+    throw new Error(`Seller does not deliver to ${address.township}, ${address.region}`);
+  }
+
+  const subtotal = lineItems.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const quote = { zoneId: zone.zoneId, zoneName: zone.name, weightKg };
+
+  if (rates.freeShippingThreshold !== null && rates.freeShippingThreshold !== undefined &&
+      subtotal >= rates.freeShippingThreshold) {
+    return { ...quote, deliveryFee: 0, freeShippingApplied: true };
+  }
+
+  const tier = zone.weightTiers.find(t => t.maxWeightKg === null || weightKg <= t.maxWeightKg);
+  if (!tier) {
+    throw new Error(`Order weight ${weightKg} kg exceeds the seller's maximum for ${zone.name}`);
+  }
+
+  return { ...quote, deliveryFee: tier.fee, freeShippingApplied: false };
+}
+
+module.exports = {
+  getShippingRatesRef,
+  loadShippingRates,
+  validateShippingRates,
+  normalizeShippingRates,
+  orderWeightKg,
+  quoteDeliveryFee,
+};
@@ -0,0 +1,256 @@
+/**
+ * CANCEL ORDER ITEM TEST SUITE
+ * Tests partial cancellation of orders (cancelOrderItem)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests per-line stock restoration, recomputed totals/fees, refunds on paid orders
+ * - Default commission on "Test" products: 5% (+1% KBZPay surcharge)
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, cleanupUsers } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder, createOrderWithStatus, confirmPayment } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// CANCEL ORDER ITEM TESTS
+// ============================================================================
+
+describe("Cancel Order Item API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let otherBuyerUid;
+  let buyerToken;
+  let sellerToken;
+  let otherBuyerToken;
+  let productA;
+  let productB;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    otherBuyerUid = `TEST_BUYER2_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    otherBuyerToken = await createAuthUserAndGetToken(otherBuyerUid, "buyer", "unverified");
+
+    productA = await createTestProduct(sellerToken, { name: "Product A", price: 10000, stock: 100 });
+    productB = await createTestProduct(sellerToken, { name: "Product B", price: 5000, stock: 100 });
+    productIds.push(productA, productB);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    await cleanupUsers([otherBuyerUid]);
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  const orderProducts = () => [
+    { productId: productA, quantity: 2 },
+    { productId: productB, quantity: 1 },
+  ];
+
+  async function cancelItem(token, body) {
+    return request(BASE_URL)
+      .post("/cancelOrderItem")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  async function getStock(productId) {
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    return productDoc.data().stock;
+  }
+
+  // ========================================================================
+  // UNPAID ORDERS
+  // ========================================================================
+
+  test("Cancel part of a line on a confirmed order", async () => {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+      status: "confirmed",
+    });
+    orderIds.push(orderId);
+
+    const res = await cancelItem(sellerToken, {
+      orderId,
+      productId: productA,
+      quantity: 1,
+      reason: "Out of stock",
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.amount).toBe(10000);
+    expect(res.body.refundAmount).toBe(0);
+    expect(res.body.totalAmount).toBe(15000);
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("confirmed");
+    expect(order.totalAmount).toBe(15000);
+    expect(order.subtotal).toBe(15000);
+    expect(order.products.find(p => p.productId === productA).quantity).toBe(1);
+    expect(order.feeBreakdown.platformFee).toBe(750); // 5% of 15000, COD
+    expect(order.cancelledAmount).toBe(10000);
+    expect(order.cancelledItems[0].reason).toBe("Out of stock");
+
+    // Only the cancelled quantity goes back to stock
+    expect(await getStock(productA)).toBe(99);
+    expect(await getStock(productB)).toBe(99);
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "order_item_cancelled")
+      .get();
+    expect(logs.docs.length).toBe(1);
+    expect(logs.docs[0].data().metadata.newTotalAmount).toBe(15000);
+  }, 30000);
+
+  test("Cancelling the whole order afterwards restores the remaining stock only", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+    });
+    orderIds.push(orderId);
+
+    await cancelItem(buyerToken, { orderId, productId: productB });
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, status: "cancelled" });
+
+    expect(res.statusCode).toBe(200);
+    expect(await getStock(productA)).toBe(100);
+    expect(await getStock(productB)).toBe(100);
+  }, 30000);
+
+  // ========================================================================
+  // PAID ORDERS
+  // ========================================================================
+
+  test("Cancel a line on a paid order refunds only that line", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_ITEM_${Date.now()}` });
+
+    const res = await cancelItem(sellerToken, { orderId, productId: productB });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refundAmount).toBe(5000);
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("pending");
+    expect(order.paymentStatus).toBe("paid");
+    expect(order.totalAmount).toBe(20000);
+    expect(order.products.length).toBe(1);
+    expect(order.feeBreakdown.platformFee).toBe(1200); // 5% + 1% of 20000
+
+    const entries = await firestore.collection("ledgerEntries").where("orderId", "==", orderId).get();
+    const refund = entries.docs.map(doc => doc.data()).find(e => e.type === "escrow_refunded");
+    expect(refund.amount).toBe(5000);
+
+    const walletDoc = await firestore.collection("wallets").doc(sellerUid).get();
+    expect(walletDoc.data().pendingBalance).toBe(20000);
+
+    const refundLogs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "order_refunded")
+      .get();
+    expect(refundLogs.docs[0].data().metadata.refundedAmount).toBe(5000);
+  }, 30000);
+
+  // ========================================================================
+  // VALIDATION
+  // ========================================================================
+
+  test("Cancel the last item (should fail)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId: productA, quantity: 1 }],
+    });
+    orderIds.push(orderId);
+
+    const res = await cancelItem(sellerToken, { orderId, productId: productA });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/cancel the order instead/);
+  }, 30000);
+
+  test("Cancel item on a shipped order (should fail)", async () => {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+      status: "shipped",
+    });
+    orderIds.push(orderId);
+
+    const res = await cancelItem(sellerToken, { orderId, productId: productB });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+
+  test("Cancel more than the ordered quantity (should fail)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+    });
+    orderIds.push(orderId);
+
+    const res = await cancelItem(sellerToken, { orderId, productId: productA, quantity: 3 });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+
+  test("Cancel item on someone else's order (should fail)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: orderProducts(),
+    });
+    orderIds.push(orderId);
+
+    const res = await cancelItem(otherBuyerToken, { orderId, productId: productB });
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+});
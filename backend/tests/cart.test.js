@@ -0,0 +1,275 @@
+/**
+ * CART TEST SUITE
+ * Tests the cart functions (addToCart, updateCartItem, removeCartItem, getCart, checkoutCart)
+ * with proper isolation and cleanup
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests multi-seller checkout split into one order per seller under a shared checkoutId
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, cleanupUsers, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// CART TESTS
+// ============================================================================
+
+describe("Cart API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let seller2Uid;
+  let buyerToken;
+  let sellerToken;
+  let seller2Token;
+  let productId;
+  let product2Id;
+  let productIds = [];
+  let orderIds = [];
+  let checkoutIds = [];
+
+  const deliveryAddress = {
+    street: "123 Test St",
+    city: "Yangon",
+    region: "Yangon",
+    township: "Kamayut",
+    phone: "+959123456789",
+  };
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    seller2Uid = `TEST_SELLER2_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    seller2Token = await createAuthUserAndGetToken(seller2Uid, "seller", "verified");
+
+    // One product per seller
+    productId = await createTestProduct(sellerToken, { name: "Seller 1 Product", price: 10000, stock: 10 });
+    product2Id = await createTestProduct(seller2Token, { name: "Seller 2 Product", price: 5000, stock: 10 });
+    productIds.push(productId, product2Id);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    await cleanupUsers([seller2Uid]);
+    await deleteFirestoreDoc("carts", buyerUid);
+    for (const checkoutId of checkoutIds) {
+      await deleteFirestoreDoc("checkouts", checkoutId);
+    }
+    orderIds = [];
+    productIds = [];
+    checkoutIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPER: Add product to buyer's cart
+  // ========================================================================
+  async function addToCartLocal(id, quantity) {
+    return request(BASE_URL)
+      .post("/addToCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId: id, quantity });
+  }
+
+  // ========================================================================
+  // CART MANAGEMENT
+  // ========================================================================
+
+  test("Add to cart (new item and merge quantity)", async () => {
+    const first = await addToCartLocal(productId, 2);
+    expect(first.statusCode).toBe(200);
+    expect(first.body.item.quantity).toBe(2);
+    expect(first.body.item.sellerId).toBe(sellerUid);
+
+    const second = await addToCartLocal(productId, 3);
+    expect(second.statusCode).toBe(200);
+    expect(second.body.item.quantity).toBe(5);
+
+    const cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    expect(cartDoc.data().items[productId].quantity).toBe(5);
+  }, 30000);
+
+  test("Add to cart (insufficient stock - should fail)", async () => {
+    const res = await addToCartLocal(productId, 11);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock/);
+  }, 30000);
+
+  test("Add to cart (invalid quantity - should fail)", async () => {
+    const res = await addToCartLocal(productId, 0);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid quantity/);
+  }, 30000);
+
+  test("Add to cart (product not found)", async () => {
+    const res = await addToCartLocal("NON_EXISTENT_PRODUCT", 1);
+
+    expect(res.statusCode).toBe(404);
+  }, 30000);
+
+  test("Update cart item (change quantity and remove with 0)", async () => {
+    await addToCartLocal(productId, 2);
+
+    const updateRes = await request(BASE_URL)
+      .patch("/updateCartItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId, quantity: 4 });
+    expect(updateRes.statusCode).toBe(200);
+
+    let cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    expect(cartDoc.data().items[productId].quantity).toBe(4);
+
+    const removeRes = await request(BASE_URL)
+      .patch("/updateCartItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId, quantity: 0 });
+    expect(removeRes.statusCode).toBe(200);
+
+    cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    expect(cartDoc.data().items[productId]).toBeUndefined();
+  }, 30000);
+
+  test("Remove cart item", async () => {
+    await addToCartLocal(productId, 1);
+
+    const res = await request(BASE_URL)
+      .delete("/removeCartItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId });
+
+    expect(res.statusCode).toBe(200);
+
+    const missing = await request(BASE_URL)
+      .delete("/removeCartItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId });
+    expect(missing.statusCode).toBe(404);
+  }, 30000);
+
+  test("Get cart (grouped by seller with totals)", async () => {
+    await addToCartLocal(productId, 2);
+    await addToCartLocal(product2Id, 1);
+
+    const res = await request(BASE_URL)
+      .get("/getCart")
+      .set("Authorization", `Bearer ${buyerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.itemCount).toBe(2);
+    expect(res.body.sellers.length).toBe(2);
+    expect(res.body.totalAmount).toBe(25000); // 2 * 10000 + 1 * 5000
+  }, 30000);
+
+  // ========================================================================
+  // CHECKOUT
+  // ========================================================================
+
+  test("Checkout cart (splits into one order per seller)", async () => {
+    await addToCartLocal(productId, 2);
+    await addToCartLocal(product2Id, 3);
+
+    const res = await request(BASE_URL)
+      .post("/checkoutCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ paymentMethod: "COD", deliveryAddress });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checkoutId).toBeDefined();
+    expect(res.body.orders.length).toBe(2);
+    expect(res.body.totalAmount).toBe(35000);
+    checkoutIds.push(res.body.checkoutId);
+    orderIds.push(...res.body.orders.map(order => order.orderId));
+
+    // Each order belongs to one seller and shares the checkoutId
+    for (const order of res.body.orders) {
+      const orderDoc = await firestore.collection("orders").doc(order.orderId).get();
+      const orderData = orderDoc.data();
+      expect(orderData.checkoutId).toBe(res.body.checkoutId);
+      expect(orderData.orderSource).toBe("cart");
+      expect(orderData.products.every(p => [productId, product2Id].includes(p.productId))).toBe(true);
+    }
+
+    // Stock reduced for both sellers
+    const product1Doc = await firestore.collection("products").doc(productId).get();
+    const product2Doc = await firestore.collection("products").doc(product2Id).get();
+    expect(product1Doc.data().stock).toBe(8);
+    expect(product2Doc.data().stock).toBe(7);
+
+    // Cart emptied
+    const cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    expect(Object.keys(cartDoc.data().items).length).toBe(0);
+  }, 30000);
+
+  test("Checkout cart (insufficient stock - nothing created)", async () => {
+    await addToCartLocal(productId, 2);
+    await addToCartLocal(product2Id, 2);
+
+    // Stock drops after the item was added to the cart
+    await firestore.collection("products").doc(product2Id).update({ stock: 1 });
+
+    const res = await request(BASE_URL)
+      .post("/checkoutCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ paymentMethod: "COD", deliveryAddress });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock/);
+
+    // All-or-nothing: first seller's stock untouched, cart kept
+    const product1Doc = await firestore.collection("products").doc(productId).get();
+    expect(product1Doc.data().stock).toBe(10);
+    const cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    expect(Object.keys(cartDoc.data().items).length).toBe(2);
+  }, 30000);
+
+  test("Checkout cart (empty cart - should fail)", async () => {
+    const res = await request(BASE_URL)
+      .post("/checkoutCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ paymentMethod: "COD", deliveryAddress });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Cart is empty/);
+  }, 30000);
+
+  test("Checkout cart (grouped orders visible in getUserOrders)", async () => {
+    await addToCartLocal(productId, 1);
+    await addToCartLocal(product2Id, 1);
+
+    const checkoutRes = await request(BASE_URL)
+      .post("/checkoutCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ paymentMethod: "KBZPay", deliveryAddress });
+    checkoutIds.push(checkoutRes.body.checkoutId);
+    orderIds.push(...checkoutRes.body.orders.map(order => order.orderId));
+
+    const res = await request(BASE_URL)
+      .get("/getUserOrders")
+      .set("Authorization", `Bearer ${buyerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.checkouts.length).toBe(1);
+    expect(res.body.checkouts[0].checkoutId).toBe(checkoutRes.body.checkoutId);
+    expect(res.body.checkouts[0].orderCount).toBe(2);
+    expect(res.body.checkouts[0].totalAmount).toBe(15000);
+  }, 30000);
+});
@@ -0,0 +1,296 @@
+/**
+ * CATEGORIES TEST SUITE
+ * Tests the admin-managed category tree (createCategory, updateCategory,
+ * deleteCategory, getCategoryTree) and category ids on products
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Category names carry the test timestamp, so other suites' categories never clash
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+
+// ============================================================================
+// CATEGORY TESTS
+// ============================================================================
+
+describe("Category API Tests", () => {
+  let sellerUid;
+  let adminUid;
+  let sellerToken;
+  let adminToken;
+  let suffix;
+  let productIds = [];
+  let categoryIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+    suffix = String(timestamp);
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      sellerUid,
+      adminUid,
+      productIds,
+      categoryIds,
+    });
+    productIds = [];
+    categoryIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createCategory(body, token = adminToken) {
+    const res = await request(BASE_URL)
+      .post("/createCategory")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+    if (res.body.categoryId) {
+      categoryIds.push(res.body.categoryId);
+    }
+    return res;
+  }
+
+  async function createProduct(body) {
+    const res = await request(BASE_URL)
+      .post("/createProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ name: "Category Test Product", price: 10000, stock: 10, ...body });
+    if (res.body.productId) {
+      productIds.push(res.body.productId);
+    }
+    return res;
+  }
+
+  async function updateCategory(body) {
+    return request(BASE_URL)
+      .patch("/updateCategory")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+  }
+
+  function findNode(nodes, categoryId) {
+    for (const node of nodes) {
+      if (node.categoryId === categoryId) return node;
+      const child = findNode(node.children, categoryId);
+      if (child) return child;
+    }
+    return null;
+  }
+
+  async function getTree() {
+    const res = await request(BASE_URL).get("/getCategoryTree");
+    expect(res.statusCode).toBe(200);
+    return res.body.categories;
+  }
+
+  // ========================================================================
+  // CREATE CATEGORY
+  // ========================================================================
+
+  test("Admin creates a category with Burmese, English and Mandarin names", async () => {
+    const res = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}`, zh: `手机 ${suffix}` },
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.parentId).toBeNull();
+    expect(res.body.path).toEqual([res.body.categoryId]);
+
+    const categoryDoc = await firestore.collection("categories").doc(res.body.categoryId).get();
+    expect(categoryDoc.data().names.zh).toBe(`手机 ${suffix}`);
+    expect(categoryDoc.data().depth).toBe(0);
+    expect(categoryDoc.data().active).toBe(true);
+  }, 30000);
+
+  test("Subcategory stores its path from the root", async () => {
+    const parent = await createCategory({ names: { my: `လျှပ်စစ် ${suffix}`, en: `Electronics ${suffix}` } });
+    const child = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` },
+      parentId: parent.body.categoryId,
+    });
+
+    expect(child.statusCode).toBe(200);
+    expect(child.body.path).toEqual([parent.body.categoryId, child.body.categoryId]);
+  }, 30000);
+
+  test("Create category: duplicate sibling name (should fail)", async () => {
+    await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } });
+    const res = await createCategory({ names: { my: `ဖုန်းများ ${suffix}`, en: `PHONES ${suffix}` } });
+
+    expect(res.statusCode).toBe(409);
+  }, 30000);
+
+  test("Create category: missing Burmese name (should fail)", async () => {
+    const res = await createCategory({ names: { en: `Phones ${suffix}` } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/my name is required/);
+  }, 30000);
+
+  test("Create category: non-admin (should fail)", async () => {
+    const res = await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } }, sellerToken);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  // ========================================================================
+  // PRODUCTS
+  // ========================================================================
+
+  test("Product created with a categoryId stores its path and English name", async () => {
+    const parent = await createCategory({ names: { my: `လျှပ်စစ် ${suffix}`, en: `Electronics ${suffix}` } });
+    const child = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` },
+      parentId: parent.body.categoryId,
+    });
+
+    const res = await createProduct({ categoryId: child.body.categoryId });
+    expect(res.statusCode).toBe(200);
+
+    const productDoc = await firestore.collection("products").doc(res.body.productId).get();
+    expect(productDoc.data().categoryId).toBe(child.body.categoryId);
+    expect(productDoc.data().categoryPath).toEqual(child.body.path);
+    expect(productDoc.data().category).toBe(`Phones ${suffix}`);
+  }, 30000);
+
+  test("Product with an unknown or inactive categoryId (should fail)", async () => {
+    const category = await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } });
+    await updateCategory({ categoryId: category.body.categoryId, active: false });
+
+    const unknown = await createProduct({ categoryId: "NO_SUCH_CATEGORY" });
+    const inactive = await createProduct({ categoryId: category.body.categoryId });
+
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.error).toMatch(/not found/);
+    expect(inactive.statusCode).toBe(400);
+    expect(inactive.body.error).toMatch(/inactive/);
+  }, 30000);
+
+  test("Product moved to another category with updateProduct", async () => {
+    const first = await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } });
+    const second = await createCategory({ names: { my: `တက်ဘလက် ${suffix}`, en: `Tablets ${suffix}` } });
+    const product = await createProduct({ categoryId: first.body.categoryId });
+
+    const res = await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId: product.body.productId, categoryId: second.body.categoryId });
+
+    expect(res.statusCode).toBe(200);
+    const productDoc = await firestore.collection("products").doc(product.body.productId).get();
+    expect(productDoc.data().categoryId).toBe(second.body.categoryId);
+    expect(productDoc.data().category).toBe(`Tablets ${suffix}`);
+  }, 30000);
+
+  test("Renaming a category renames it on its products", async () => {
+    const category = await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } });
+    const product = await createProduct({ categoryId: category.body.categoryId });
+
+    const res = await updateCategory({
+      categoryId: category.body.categoryId,
+      names: { en: `Mobile Phones ${suffix}` },
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.productsRenamed).toBe(1);
+    expect(res.body.names.my).toBe(`ဖုန်း ${suffix}`);
+    const productDoc = await firestore.collection("products").doc(product.body.productId).get();
+    expect(productDoc.data().category).toBe(`Mobile Phones ${suffix}`);
+  }, 30000);
+
+  test("Public products filtered by categoryId include subcategories", async () => {
+    const parent = await createCategory({ names: { my: `လျှပ်စစ် ${suffix}`, en: `Electronics ${suffix}` } });
+    const child = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` },
+      parentId: parent.body.categoryId,
+    });
+    const inParent = await createProduct({ categoryId: parent.body.categoryId });
+    const inChild = await createProduct({ categoryId: child.body.categoryId });
+
+    const res = await request(BASE_URL)
+      .get("/getPublicProducts")
+      .query({ sellerId: sellerUid, categoryId: parent.body.categoryId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.products.map(product => product.productId).sort())
+      .toEqual([inParent.body.productId, inChild.body.productId].sort());
+  }, 30000);
+
+  // ========================================================================
+  // CATEGORY TREE
+  // ========================================================================
+
+  test("Category tree nests subcategories with product counts", async () => {
+    const parent = await createCategory({ names: { my: `လျှပ်စစ် ${suffix}`, en: `Electronics ${suffix}` } });
+    const child = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` },
+      parentId: parent.body.categoryId,
+    });
+    await createProduct({ categoryId: parent.body.categoryId });
+    await createProduct({ categoryId: child.body.categoryId });
+
+    const parentNode = findNode(await getTree(), parent.body.categoryId);
+
+    expect(parentNode.productCount).toBe(2);
+    expect(parentNode.children).toHaveLength(1);
+    expect(parentNode.children[0].categoryId).toBe(child.body.categoryId);
+    expect(parentNode.children[0].productCount).toBe(1);
+    expect(parentNode.children[0].names.my).toBe(`ဖုန်း ${suffix}`);
+  }, 30000);
+
+  test("Inactive categories and their subcategories are hidden from the tree", async () => {
+    const parent = await createCategory({ names: { my: `လျှပ်စစ် ${suffix}`, en: `Electronics ${suffix}` } });
+    const child = await createCategory({
+      names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` },
+      parentId: parent.body.categoryId,
+    });
+    await updateCategory({ categoryId: parent.body.categoryId, active: false });
+
+    const tree = await getTree();
+
+    expect(findNode(tree, parent.body.categoryId)).toBeNull();
+    expect(findNode(tree, child.body.categoryId)).toBeNull();
+  }, 30000);
+
+  // ========================================================================
+  // DELETE CATEGORY
+  // ========================================================================
+
+  test("Delete category: only empty categories", async () => {
+    const category = await createCategory({ names: { my: `ဖုန်း ${suffix}`, en: `Phones ${suffix}` } });
+    const product = await createProduct({ categoryId: category.body.categoryId });
+
+    const inUse = await request(BASE_URL)
+      .post("/deleteCategory")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ categoryId: category.body.categoryId });
+    expect(inUse.statusCode).toBe(400);
+
+    await firestore.collection("products").doc(product.body.productId).delete();
+    const res = await request(BASE_URL)
+      .post("/deleteCategory")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ categoryId: category.body.categoryId });
+
+    expect(res.statusCode).toBe(200);
+    const categoryDoc = await firestore.collection("categories").doc(category.body.categoryId).get();
+    expect(categoryDoc.exists).toBe(false);
+  }, 30000);
+});
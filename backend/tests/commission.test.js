@@ -0,0 +1,173 @@
+/**
+ * COMMISSION TEST SUITE
+ * Tests platform fee calculation at order creation and net escrow release
+ * (createOrder feeBreakdown, getCommissionRules, updateCommissionRules, releaseEscrow)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Uses a per-test category so rule changes do not affect other suites
+ */
+
+const request = require("supertest");
+const { FieldValue } = require("firebase-admin/firestore");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder, createDeliveredAndPaidOrder } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// COMMISSION TESTS
+// ============================================================================
+
+describe("Commission API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let buyerToken;
+  let sellerToken;
+  let adminToken;
+  let category;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+    category = `TEST_CATEGORY_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100, category });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    // Remove this test's category rate (keep other rules intact)
+    const configRef = firestore.collection("platformConfig").doc("commission");
+    const configDoc = await configRef.get();
+    if (configDoc.exists) {
+      await configRef.update({ [`categoryRates.${category}`]: FieldValue.delete() });
+    }
+
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      adminUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  async function setCategoryRate(rate) {
+    return request(BASE_URL)
+      .post("/updateCommissionRules")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ categoryRates: { [category]: rate } });
+  }
+
+  // ========================================================================
+  // FEE BREAKDOWN
+  // ========================================================================
+
+  test("Create order stores fee breakdown (total unchanged)", async () => {
+    await setCategoryRate(0.1);
+
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const orderData = orderDoc.data();
+    const breakdown = orderData.feeBreakdown;
+
+    expect(orderData.totalAmount).toBe(20000);
+    expect(breakdown.subtotal).toBe(20000);
+    expect(breakdown.commissionLines[0].category).toBe(category);
+    expect(breakdown.commissionLines[0].rate).toBe(0.1);
+    expect(breakdown.commissionAmount).toBe(2000);
+    expect(breakdown.paymentSurcharge).toBe(Math.round(20000 * breakdown.paymentSurchargeRate));
+    expect(breakdown.platformFee).toBe(breakdown.commissionAmount + breakdown.flatFee + breakdown.paymentSurcharge);
+    expect(breakdown.sellerNetAmount).toBe(20000 - breakdown.platformFee);
+  }, 30000);
+
+  test("Escrow release credits net amount and records platform share", async () => {
+    await setCategoryRate(0.1);
+
+    const orderId = await createDeliveredAndPaidOrder({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+      autoReleaseEscrow: false,
+    });
+    orderIds.push(orderId);
+
+    const res = await request(BASE_URL)
+      .post("/releaseEscrow")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ orderId });
+
+    expect(res.statusCode).toBe(200);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const { platformFee, sellerNetAmount } = orderDoc.data().feeBreakdown;
+    expect(res.body.amount).toBe(20000);
+    expect(res.body.platformFee).toBe(platformFee);
+    expect(res.body.sellerAmount).toBe(sellerNetAmount);
+
+    const entries = await firestore.collection("ledgerEntries").where("orderId", "==", orderId).get();
+    const byType = Object.fromEntries(entries.docs.map(doc => [doc.data().type, doc.data()]));
+    expect(byType.escrow_released.amount).toBe(sellerNetAmount);
+    expect(byType.platform_fee.amount).toBe(platformFee);
+    expect(byType.platform_fee.debitAccount).toBe("platform_fees");
+  }, 30000);
+
+  // ========================================================================
+  // COMMISSION RULES
+  // ========================================================================
+
+  test("Get commission rules (defaults merged)", async () => {
+    const res = await request(BASE_URL)
+      .get("/getCommissionRules")
+      .set("Authorization", `Bearer ${sellerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(typeof res.body.rules.defaultRate).toBe("number");
+    expect(res.body.rules.paymentSurchargeRates).toHaveProperty("KBZPay");
+    expect(res.body.rules.paymentSurchargeRates).toHaveProperty("WavePay");
+  }, 30000);
+
+  test("Update commission rules (seller - should fail)", async () => {
+    const res = await request(BASE_URL)
+      .post("/updateCommissionRules")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ categoryRates: { [category]: 0 } });
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  test("Update commission rules (invalid rate - should fail)", async () => {
+    const res = await setCategoryRate(1.5);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid commission rate/);
+  }, 30000);
+});
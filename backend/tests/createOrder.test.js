@@ -88,6 +88,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
           notes: "Test notes",
         },
@@ -135,6 +137,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "456 Test Ave",
           city: "Mandalay",
+          region: "Mandalay",
+          township: "Chanayethazan",
           phone: "+959987654321",
         },
       });
@@ -179,6 +183,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "789 Chat St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959111222333",
         },
         chatId: chatId,
@@ -227,6 +233,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "456 Chat St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959111222333",
         },
         chatId: chatId,
@@ -266,6 +274,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
         chatId: invalidChatId,
@@ -296,6 +306,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
         chatId: chatId,
@@ -339,6 +351,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
         chatId: chatId,
@@ -381,6 +395,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
         chatId: chatId,
@@ -407,6 +423,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -435,6 +453,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -453,6 +473,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -472,6 +494,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -490,6 +514,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -509,6 +535,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -541,6 +569,8 @@ describe("Create Order API Tests", () => {
         paymentMethod: "COD",
         deliveryAddress: {
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -578,6 +608,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
         },
       });
 
@@ -596,6 +628,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -615,6 +649,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -634,6 +670,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -653,6 +691,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -676,6 +716,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -700,6 +742,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -720,6 +764,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -751,6 +797,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -795,6 +843,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -819,6 +869,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -846,6 +898,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -865,6 +919,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -897,6 +953,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -929,6 +987,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
           // notes is optional
         },
@@ -970,6 +1030,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -985,6 +1047,8 @@ describe("Create Order API Tests", () => {
         deliveryAddress: {
           street: "456 Test Ave",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959987654321",
         },
       });
@@ -0,0 +1,424 @@
+/**
+ * DISPUTES TEST SUITE
+ * Tests admin-mediated disputes
+ * (openDispute, addDisputeEvidence, getDispute, getDisputes, resolveDispute)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests escrow freeze, chat excerpts as evidence, audit trail and every ruling
+ * - Default commission on "Test" products: 5% (+1% KBZPay surcharge)
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, cleanupChats } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestChat } = require("./helpers/chatHelpers");
+const { createTestOrder, createOrderWithStatus, confirmPayment } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// DISPUTES TESTS
+// ============================================================================
+
+describe("Disputes API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let buyerToken;
+  let sellerToken;
+  let adminToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+  let chatIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    for (const chatId of chatIds) {
+      const messages = await firestore.collection("messages").where("chatId", "==", chatId).get();
+      for (const doc of messages.docs) {
+        await doc.ref.delete();
+      }
+    }
+    await cleanupChats(chatIds);
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      adminUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+    chatIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  // Paid KBZPay order, shipped but not delivered (escrow still held)
+  async function createPaidShippedOrder() {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_DISPUTE_${Date.now()}` });
+
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "confirmed" });
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "shipped", trackingNumber: "TRACK_DISPUTE" });
+
+    return orderId;
+  }
+
+  async function openDisputeLocal(orderId, token = buyerToken) {
+    return request(BASE_URL)
+      .post("/openDispute")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        orderId,
+        reason: "item_not_received",
+        description: "Courier says delivered but nothing arrived",
+      });
+  }
+
+  async function resolve(disputeId, body) {
+    return request(BASE_URL)
+      .post("/resolveDispute")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ disputeId, note: "Ruling after reviewing the case file", ...body });
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  async function getWallet() {
+    const walletDoc = await firestore.collection("wallets").doc(sellerUid).get();
+    return walletDoc.data();
+  }
+
+  async function getLogTypes(orderId) {
+    const logs = await firestore.collection("orderLogs").where("orderId", "==", orderId).get();
+    return logs.docs.map(doc => doc.data().eventType);
+  }
+
+  // ========================================================================
+  // OPEN DISPUTE
+  // ========================================================================
+
+  test("Open dispute freezes escrow release", async () => {
+    const orderId = await createPaidShippedOrder();
+
+    const res = await openDisputeLocal(orderId);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.escrowHeld).toBe(true);
+
+    // Delivery no longer releases escrow automatically
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "delivered", proofOfDelivery: { photoURL: "https://example.com/pod.jpg" } });
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("delivered");
+    expect(order.escrowReleased).toBeFalsy();
+    expect(order.escrowHolds.dispute.disputeId).toBe(res.body.disputeId);
+    expect(await getLogTypes(orderId)).toContain("dispute_opened");
+  }, 30000);
+
+  test("Open dispute (pending order - should fail)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+    });
+    orderIds.push(orderId);
+
+    const res = await openDisputeLocal(orderId);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/cancel it instead/);
+  }, 30000);
+
+  test("Open dispute (admin - should fail)", async () => {
+    const orderId = await createPaidShippedOrder();
+
+    const res = await openDisputeLocal(orderId, adminToken);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  test("Open dispute (second dispute - should fail)", async () => {
+    const orderId = await createPaidShippedOrder();
+    await openDisputeLocal(orderId);
+
+    const res = await openDisputeLocal(orderId, sellerToken);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/already open/);
+  }, 30000);
+
+  test("Cancel order with open dispute (should fail)", async () => {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      status: "confirmed",
+    });
+    orderIds.push(orderId);
+    await openDisputeLocal(orderId);
+
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, status: "cancelled" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/dispute is open/);
+  }, 30000);
+
+  // ========================================================================
+  // EVIDENCE
+  // ========================================================================
+
+  test("Add evidence with chat excerpts; admin case file", async () => {
+    const chatId = await createTestChat(buyerUid, sellerUid, productId);
+    chatIds.push(chatId);
+    const messageRes = await request(BASE_URL)
+      .post("/sendMessage")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ chatId, text: "I will ship tomorrow" });
+    const messageId = messageRes.body.messageId;
+
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const evidenceRes = await request(BASE_URL)
+      .post("/addDisputeEvidence")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ disputeId, statement: "Seller promised shipping", messageIds: [messageId] });
+    expect(evidenceRes.statusCode).toBe(200);
+
+    const buyerView = await request(BASE_URL)
+      .get("/getDispute")
+      .query({ disputeId })
+      .set("Authorization", `Bearer ${buyerToken}`);
+    expect(buyerView.statusCode).toBe(200);
+    expect(buyerView.body.caseFile).toBeUndefined();
+    const excerpt = buyerView.body.dispute.evidence[1].chatExcerpts[0];
+    expect(excerpt.messageId).toBe(messageId);
+    expect(excerpt.text).toBe("I will ship tomorrow");
+
+    const adminView = await request(BASE_URL)
+      .get("/getDispute")
+      .query({ disputeId })
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(adminView.statusCode).toBe(200);
+    expect(adminView.body.caseFile.trackingNumber).toBe("TRACK_DISPUTE");
+    expect(adminView.body.caseFile.chatMessages.length).toBe(1);
+    expect(adminView.body.caseFile.orderLogs.length).toBeGreaterThan(0);
+
+    const logTypes = await getLogTypes(orderId);
+    expect(logTypes).toContain("dispute_evidence_added");
+    expect(logTypes).toContain("dispute_case_viewed");
+  }, 30000);
+
+  test("Add evidence (message from another chat - should fail)", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await request(BASE_URL)
+      .post("/addDisputeEvidence")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ disputeId, messageIds: ["NOT_A_MESSAGE"] });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+
+  // ========================================================================
+  // RULINGS
+  // ========================================================================
+
+  test("Resolve dispute (seller - should fail)", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await request(BASE_URL)
+      .post("/resolveDispute")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ disputeId, outcome: "release_to_seller", note: "Mine" });
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  test("Resolve dispute: full refund from held escrow", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await resolve(disputeId, { outcome: "refund_full" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refundAmount).toBe(20000);
+    expect(res.body.escrowReleased).toBe(false);
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("refunded");
+    expect(order.paymentStatus).toBe("refunded");
+    expect(order.activeDisputeId).toBeNull();
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(0);
+    expect(wallet.availableBalance).toBe(0);
+
+    const disputeDoc = await firestore.collection("disputes").doc(disputeId).get();
+    expect(disputeDoc.data().status).toBe("resolved");
+    expect(disputeDoc.data().resolution.outcome).toBe("refund_full");
+    expect(await getLogTypes(orderId)).toEqual(expect.arrayContaining(["dispute_resolved", "order_refunded"]));
+
+    // Cannot resolve twice
+    const again = await resolve(disputeId, { outcome: "release_to_seller" });
+    expect(again.statusCode).toBe(400);
+  }, 30000);
+
+  test("Resolve dispute: partial refund, rest released to seller", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await resolve(disputeId, { outcome: "refund_partial", amount: 5000 });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.escrowReleased).toBe(true);
+    expect(res.body.sellerAmount).toBe(14100); // 15000 - 900 (fee on the remaining 75%)
+
+    const order = await getOrder(orderId);
+    expect(order.refundedAmount).toBe(5000);
+    expect(order.escrowReleased).toBe(true);
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(0);
+    expect(wallet.availableBalance).toBe(14100);
+  }, 30000);
+
+  test("Resolve dispute: release to seller", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId, sellerToken);
+
+    const res = await resolve(disputeId, { outcome: "release_to_seller" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refundAmount).toBe(0);
+    expect(res.body.escrowReleased).toBe(true);
+
+    const wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(18800);
+    expect(await getLogTypes(orderId)).toContain("escrow_released");
+  }, 30000);
+
+  test("Resolve dispute: full refund before shipping restores the stock", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_DISPUTE_${Date.now()}` });
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "confirmed" });
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await resolve(disputeId, { outcome: "refund_full" });
+    expect(res.statusCode).toBe(200);
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("refunded");
+    expect(order.stockReservation).toBe("released");
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    expect(productDoc.data().stock).toBe(100);
+    expect(productDoc.data().soldCount).toBe(0);
+  }, 30000);
+
+  test("Resolve dispute: unpaid COD order is cancelled and its stock restored", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "COD",
+    });
+    orderIds.push(orderId);
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "confirmed" });
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    // Nothing was paid: no refund ruling
+    const refundRes = await resolve(disputeId, { outcome: "refund_full" });
+    expect(refundRes.statusCode).toBe(400);
+    expect(refundRes.body.error).toMatch(/use cancel_order/);
+
+    const res = await resolve(disputeId, { outcome: "cancel_order" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refundAmount).toBe(0);
+    expect(res.body.escrowReleased).toBe(false);
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("cancelled");
+    expect(order.activeDisputeId).toBeNull();
+    expect(order.stockReservation).toBe("released");
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    expect(productDoc.data().stock).toBe(100);
+    expect(productDoc.data().soldCount).toBe(0);
+    expect(await getLogTypes(orderId)).toEqual(expect.arrayContaining(["dispute_resolved", "status_updated"]));
+  }, 30000);
+
+  test("Resolve dispute: cancel a paid order (should fail)", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await resolve(disputeId, { outcome: "cancel_order" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/use refund_full/);
+  }, 30000);
+
+  test("Get disputes (admin queue)", async () => {
+    const orderId = await createPaidShippedOrder();
+    const { body: { disputeId } } = await openDisputeLocal(orderId);
+
+    const res = await request(BASE_URL)
+      .get("/getDisputes")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.disputes.some(d => d.disputeId === disputeId)).toBe(true);
+  }, 30000);
+});
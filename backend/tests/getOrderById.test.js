@@ -14,7 +14,7 @@ const { firestore, BASE_URL } = require("./helpers/testSetup");
 const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
 const { cleanupTestData } = require("./helpers/cleanupHelpers");
 const { createTestProduct } = require("./helpers/productHelpers");
-const { createTestOrder } = require("./helpers/orderHelpers");
+const { createTestOrder, getDeliveryOtp } = require("./helpers/orderHelpers");
 
 // ============================================================================
 // GET ORDER BY ID TESTS
@@ -375,6 +375,8 @@ describe("Get Order By ID API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
         chatId: "chat123",
@@ -424,7 +426,7 @@ describe("Get Order By ID API Tests", () => {
         status: "delivered",
         proofOfDelivery: {
           photoURL: "https://example.com/photo.jpg",
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
           deliveryNotes: "Delivered successfully",
         },
       });
@@ -439,7 +441,7 @@ describe("Get Order By ID API Tests", () => {
     expect(res.statusCode).toBe(200);
     expect(res.body.order.proofOfDelivery).toBeDefined();
     expect(res.body.order.proofOfDelivery.photoURL).toBe("https://example.com/photo.jpg");
-    expect(res.body.order.proofOfDelivery.otpCode).toBe("123456");
+    expect(res.body.order.proofOfDelivery.otpVerified).toBe(true);
     expect(res.body.order.proofOfDelivery.deliveryNotes).toBe("Delivered successfully");
     expect(res.body.order.proofOfDelivery.confirmedBy).toBe(sellerUid);
     expect(res.body.order.deliveredAt).toBeDefined();
@@ -530,6 +532,8 @@ describe("Get Order By ID API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
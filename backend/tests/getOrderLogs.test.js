@@ -15,7 +15,7 @@ const { firestore, BASE_URL } = require("./helpers/testSetup");
 const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
 const { cleanupTestData } = require("./helpers/cleanupHelpers");
 const { createTestProduct } = require("./helpers/productHelpers");
-const { createTestOrder, createOrderWithStatus } = require("./helpers/orderHelpers");
+const { createTestOrder, createOrderWithStatus, getDeliveryOtp } = require("./helpers/orderHelpers");
 
 // ============================================================================
 // GET ORDER LOGS TESTS
@@ -249,10 +249,16 @@ describe("Get Order Logs API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
 
+    // 6. Buyer confirms receipt (releases escrow)
+    await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+
     // Wait for all logs to be written
     await new Promise(resolve => setTimeout(resolve, 1000));
 
@@ -275,8 +281,9 @@ describe("Get Order Logs API Tests", () => {
     expect(eventTypes).toContain("status_updated");
     expect(eventTypes).toContain("tracking_number_added");
     expect(eventTypes).toContain("delivery_proof_submitted");
+    expect(eventTypes).toContain("receipt_confirmed");
     
-    // Escrow should be auto-released on delivery
+    // Escrow is released once the buyer confirms receipt
     expect(eventTypes).toContain("escrow_released");
   }, 30000);
 
@@ -7,7 +7,7 @@
  * - Test isolation (beforeEach/afterEach)
  * - Complete cleanup to prevent repeated run failures
  * - Tests buyer orders, seller orders (automatic role detection)
- * - Note: Status filtering is now handled on frontend, not tested here
+ * - Tests cursor pagination, status/date filters and sort
  */
 
 const request = require("supertest");
@@ -74,7 +74,6 @@ describe("Get User Orders API Tests", () => {
       paymentMethod: paymentMethod,
       status: status,
       trackingNumber: status === "shipped" || status === "delivered" ? "TRACK123456789" : undefined,
-      proofOfDelivery: status === "delivered" ? { otpCode: "123456" } : undefined,
     });
     if (orderId) {
       orderIds.push(orderId);
@@ -185,7 +184,7 @@ describe("Get User Orders API Tests", () => {
     expect(res.body.count).toBe(5);
     expect(res.body.orders).toHaveLength(5);
     
-    // Verify all orders belong to buyer (status filtering is now frontend responsibility)
+    // Verify all orders belong to buyer (no filters: every status is returned)
     res.body.orders.forEach(order => {
       expect(order.buyerId).toBe(buyerUid);
       expect(order.userRole).toBe("buyer");
@@ -269,7 +268,7 @@ describe("Get User Orders API Tests", () => {
     expect(res.body.count).toBe(4);
     expect(res.body.orders).toHaveLength(4);
     
-    // Verify all orders belong to seller (status filtering is now frontend responsibility)
+    // Verify all orders belong to seller (no filters: every status is returned)
     res.body.orders.forEach(order => {
       expect(order.sellerId).toBe(sellerUid);
       expect(order.userRole).toBe("seller");
@@ -404,6 +403,8 @@ describe("Get User Orders API Tests", () => {
         deliveryAddress: {
           street: "456 Test Ave",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959987654321",
         },
       });
@@ -469,6 +470,8 @@ describe("Get User Orders API Tests", () => {
         deliveryAddress: {
           street: "456 Test Ave",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959987654321",
         },
       });
@@ -499,4 +502,89 @@ describe("Get User Orders API Tests", () => {
       sellerUid: seller2Uid,
     });
   }, 30000);
+
+  // ========================================================================
+  // PAGINATION, FILTERS AND SORT
+  // ========================================================================
+
+  async function getOrders(token, query = {}) {
+    return request(BASE_URL)
+      .get("/getUserOrders")
+      .set("Authorization", `Bearer ${token}`)
+      .query(query);
+  }
+
+  test("Get user orders (cursor pagination)", async () => {
+    await createTestOrder();
+    await createTestOrder();
+    await createTestOrder();
+
+    const first = await getOrders(buyerToken, { limit: 2 });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.count).toBe(2);
+    expect(first.body.hasMore).toBe(true);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await getOrders(buyerToken, { limit: 2, cursor: first.body.nextCursor });
+    expect(second.statusCode).toBe(200);
+    expect(second.body.count).toBe(1);
+    expect(second.body.hasMore).toBe(false);
+    expect(second.body.nextCursor).toBeNull();
+
+    const pagedIds = [...first.body.orders, ...second.body.orders].map(order => order.orderId);
+    expect(new Set(pagedIds).size).toBe(3);
+    expect(pagedIds.sort()).toEqual([...orderIds].sort());
+  }, 30000);
+
+  test("Get user orders (filter by status)", async () => {
+    await createTestOrder("COD", "pending");
+    const confirmedId = await createTestOrder("COD", "confirmed");
+
+    const res = await getOrders(sellerToken, { status: "confirmed" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.orders.map(order => order.orderId)).toEqual([confirmedId]);
+  }, 30000);
+
+  test("Get user orders (filter by date range)", async () => {
+    const orderId = await createTestOrder();
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const hourAhead = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const inRange = await getOrders(buyerToken, { dateFrom: hourAgo, dateTo: hourAhead });
+    const beforeRange = await getOrders(buyerToken, { dateTo: hourAgo });
+
+    expect(inRange.body.orders.map(order => order.orderId)).toEqual([orderId]);
+    expect(beforeRange.body.count).toBe(0);
+  }, 30000);
+
+  test("Get user orders (sort oldest first)", async () => {
+    const olderId = await createTestOrder();
+    const newerId = await createTestOrder();
+
+    const newest = await getOrders(buyerToken);
+    const oldest = await getOrders(buyerToken, { sort: "oldest" });
+
+    expect(newest.body.orders.map(order => order.orderId)).toEqual([newerId, olderId]);
+    expect(oldest.body.orders.map(order => order.orderId)).toEqual([olderId, newerId]);
+  }, 30000);
+
+  test("Get user orders (invalid filters or paging)", async () => {
+    expect((await getOrders(buyerToken, { status: "lost" })).statusCode).toBe(400);
+    expect((await getOrders(buyerToken, { dateFrom: "yesterday" })).statusCode).toBe(400);
+    expect((await getOrders(buyerToken, { sort: "cheapest" })).statusCode).toBe(400);
+    expect((await getOrders(buyerToken, { limit: 0 })).statusCode).toBe(400);
+    expect((await getOrders(buyerToken, { cursor: "not-a-cursor" })).statusCode).toBe(400);
+  }, 30000);
+
+  test("Get user orders (cursor from another sort is rejected)", async () => {
+    await createTestOrder();
+    await createTestOrder();
+
+    const first = await getOrders(buyerToken, { limit: 1 });
+    const res = await getOrders(buyerToken, { limit: 1, sort: "oldest", cursor: first.body.nextCursor });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid cursor/);
+  }, 30000);
 });
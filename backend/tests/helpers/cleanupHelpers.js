@@ -45,6 +45,102 @@ async function cleanupOrderLogs(orderIds) {
   }
 }
 
+/**
+ * Cleanup escrow ledger entries for orders (batch deletion for efficiency)
+ *
+ * @param {string[]} orderIds - Array of order IDs
+ */
+async function cleanupLedgerEntries(orderIds) {
+  if (!orderIds || orderIds.length === 0) {
+    return;
+  }
+
+  for (let i = 0; i < orderIds.length; i += 10) {
+    const batch = orderIds.slice(i, i + 10);
+    const entriesSnapshot = await firestore.collection("ledgerEntries")
+      .where("orderId", "in", batch)
+      .get();
+
+    if (entriesSnapshot.docs.length > 0) {
+      const deleteBatch = firestore.batch();
+      entriesSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+      await deleteBatch.commit();
+    }
+  }
+}
+
+/**
+ * Cleanup return requests for orders
+ *
+ * @param {string[]} orderIds - Array of order IDs
+ */
+async function cleanupReturns(orderIds) {
+  if (!orderIds || orderIds.length === 0) {
+    return;
+  }
+
+  for (let i = 0; i < orderIds.length; i += 10) {
+    const batch = orderIds.slice(i, i + 10);
+    const returnsSnapshot = await firestore.collection("returns")
+      .where("orderId", "in", batch)
+      .get();
+
+    if (returnsSnapshot.docs.length > 0) {
+      const deleteBatch = firestore.batch();
+      returnsSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+      await deleteBatch.commit();
+    }
+  }
+}
+
+/**
+ * Cleanup reviews for orders
+ *
+ * @param {string[]} orderIds - Array of order IDs
+ */
+async function cleanupReviews(orderIds) {
+  if (!orderIds || orderIds.length === 0) {
+    return;
+  }
+
+  for (let i = 0; i < orderIds.length; i += 10) {
+    const batch = orderIds.slice(i, i + 10);
+    const reviewsSnapshot = await firestore.collection("reviews")
+      .where("orderId", "in", batch)
+      .get();
+
+    if (reviewsSnapshot.docs.length > 0) {
+      const deleteBatch = firestore.batch();
+      reviewsSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+      await deleteBatch.commit();
+    }
+  }
+}
+
+/**
+ * Cleanup disputes for orders
+ *
+ * @param {string[]} orderIds - Array of order IDs
+ */
+async function cleanupDisputes(orderIds) {
+  if (!orderIds || orderIds.length === 0) {
+    return;
+  }
+
+  for (let i = 0; i < orderIds.length; i += 10) {
+    const batch = orderIds.slice(i, i + 10);
+    const disputesSnapshot = await firestore.collection("disputes")
+      .where("orderId", "in", batch)
+      .get();
+
+    if (disputesSnapshot.docs.length > 0) {
+      const deleteBatch = firestore.batch();
+      disputesSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+      await deleteBatch.commit();
+    }
+  }
+}
+
 /**
  * Cleanup orders
  * 
@@ -57,6 +153,7 @@ async function cleanupOrders(orderIds) {
 
   for (const orderId of orderIds) {
     await deleteFirestoreDoc("orders", orderId);
+    await deleteFirestoreDoc("deliveryOtps", orderId);
   }
 }
 
@@ -75,6 +172,21 @@ async function cleanupProducts(productIds) {
   }
 }
 
+/**
+ * Cleanup categories
+ * 
+ * @param {string[]} categoryIds - Array of category IDs
+ */
+async function cleanupCategories(categoryIds) {
+  if (!categoryIds || categoryIds.length === 0) {
+    return;
+  }
+
+  for (const categoryId of categoryIds) {
+    await deleteFirestoreDoc("categories", categoryId);
+  }
+}
+
 /**
  * Cleanup chats
  * 
@@ -91,7 +203,61 @@ async function cleanupChats(chatIds) {
 }
 
 /**
- * Cleanup users (Firestore and Auth)
+ * Cleanup notifications of a user
+ * 
+ * @param {string} userId - User ID
+ */
+async function cleanupNotifications(userId) {
+  const notificationsSnapshot = await firestore.collection("notifications")
+    .where("userId", "==", userId)
+    .get();
+
+  if (notificationsSnapshot.docs.length > 0) {
+    const deleteBatch = firestore.batch();
+    notificationsSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+    await deleteBatch.commit();
+  }
+}
+
+/**
+ * Cleanup stored Idempotency-Key responses of a user
+ * 
+ * @param {string} userId - User ID
+ */
+async function cleanupIdempotencyKeys(userId) {
+  const keysSnapshot = await firestore.collection("idempotencyKeys")
+    .where("userId", "==", userId)
+    .get();
+
+  if (keysSnapshot.docs.length > 0) {
+    const deleteBatch = firestore.batch();
+    keysSnapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+    await deleteBatch.commit();
+  }
+}
+
+/**
+ * Cleanup KYC submissions and logs of a seller
+ * 
+ * @param {string} sellerId - Seller user ID
+ */
+async function cleanupKyc(sellerId) {
+  for (const collection of ["kycSubmissions", "kycLogs"]) {
+    const snapshot = await firestore.collection(collection)
+      .where("sellerId", "==", sellerId)
+      .get();
+
+    if (snapshot.docs.length > 0) {
+      const deleteBatch = firestore.batch();
+      snapshot.docs.forEach(doc => deleteBatch.delete(doc.ref));
+      await deleteBatch.commit();
+    }
+  }
+}
+
+/**
+ * Cleanup users (Firestore and Auth, including their notifications, idempotency keys,
+ * KYC submissions, seller reputation and profile, claims record)
  * 
  * @param {string[]} userIds - Array of user IDs
  */
@@ -103,7 +269,13 @@ async function cleanupUsers(userIds) {
   // Delete Firestore users
   for (const userId of userIds) {
     if (userId) {
+      await cleanupNotifications(userId);
+      await cleanupIdempotencyKeys(userId);
+      await cleanupKyc(userId);
+      await deleteFirestoreDoc("sellerReputation", userId);
+      await deleteFirestoreDoc("sellerProfiles", userId);
       await deleteFirestoreDoc("users", userId);
+      await deleteFirestoreDoc("userClaims", userId);
       await deleteAuthUser(userId);
     }
   }
@@ -111,7 +283,7 @@ async function cleanupUsers(userIds) {
 
 /**
  * Cleanup all test data
- * Unified cleanup function that handles orders, logs, products, chats, and users
+ * Unified cleanup function that handles orders, logs, ledger entries, returns, reviews, disputes, wallets, products, categories, chats, and users
  * 
  * @param {Object} options - Cleanup options
  * @param {string} options.buyerUid - Buyer user ID (optional)
@@ -120,6 +292,7 @@ async function cleanupUsers(userIds) {
  * @param {string[]} options.productIds - Array of product IDs (optional)
  * @param {string[]} options.orderIds - Array of order IDs (optional)
  * @param {string[]} options.chatIds - Array of chat IDs (optional)
+ * @param {string[]} options.categoryIds - Array of category IDs (optional)
  */
 async function cleanupTestData(options = {}) {
   const {
@@ -129,6 +302,7 @@ async function cleanupTestData(options = {}) {
     productIds = [],
     orderIds = [],
     chatIds = [],
+    categoryIds = [],
   } = options;
 
   // Cleanup order logs first (before orders)
@@ -136,11 +310,36 @@ async function cleanupTestData(options = {}) {
     await cleanupOrderLogs(orderIds);
   }
 
+  // Cleanup ledger entries (before orders)
+  if (orderIds && orderIds.length > 0) {
+    await cleanupLedgerEntries(orderIds);
+  }
+
+  // Cleanup return requests (before orders)
+  if (orderIds && orderIds.length > 0) {
+    await cleanupReturns(orderIds);
+  }
+
+  // Cleanup reviews (before orders)
+  if (orderIds && orderIds.length > 0) {
+    await cleanupReviews(orderIds);
+  }
+
+  // Cleanup disputes (before orders)
+  if (orderIds && orderIds.length > 0) {
+    await cleanupDisputes(orderIds);
+  }
+
   // Cleanup orders
   if (orderIds && orderIds.length > 0) {
     await cleanupOrders(orderIds);
   }
 
+  // Cleanup seller wallet
+  if (sellerUid) {
+    await deleteFirestoreDoc("wallets", sellerUid);
+  }
+
   // Cleanup chats
   if (chatIds && chatIds.length > 0) {
     await cleanupChats(chatIds);
@@ -151,6 +350,11 @@ async function cleanupTestData(options = {}) {
     await cleanupProducts(productIds);
   }
 
+  // Cleanup categories (after their products)
+  if (categoryIds && categoryIds.length > 0) {
+    await cleanupCategories(categoryIds);
+  }
+
   // Cleanup users (Firestore and Auth)
   const userIds = [buyerUid, sellerUid, adminUid].filter(uid => uid !== null);
   if (userIds.length > 0) {
@@ -161,9 +365,17 @@ async function cleanupTestData(options = {}) {
 module.exports = {
   deleteFirestoreDoc,
   cleanupOrderLogs,
+  cleanupLedgerEntries,
+  cleanupReturns,
+  cleanupReviews,
+  cleanupDisputes,
   cleanupOrders,
   cleanupProducts,
+  cleanupCategories,
   cleanupChats,
+  cleanupNotifications,
+  cleanupIdempotencyKeys,
+  cleanupKyc,
   cleanupUsers,
   cleanupTestData,
 };
@@ -4,9 +4,29 @@
  */
 
 const request = require("supertest");
-const { firestore, BASE_URL } = require("./testSetup");
+const { BASE_URL } = require("./testSetup");
 const admin = require("firebase-admin");
 
+/**
+ * Get the delivery OTP of a shipped order, as shown to the buyer
+ * 
+ * @param {string} buyerToken - Buyer authentication token
+ * @param {string} orderId - Order ID (must be shipped)
+ * @returns {Promise<string>} The code to submit as proofOfDelivery.otpCode
+ */
+async function getDeliveryOtp(buyerToken, orderId) {
+  const res = await request(BASE_URL)
+    .get("/getOrderById")
+    .query({ orderId })
+    .set("Authorization", `Bearer ${buyerToken}`);
+
+  if (res.statusCode !== 200 || !res.body.order.deliveryOtp) {
+    throw new Error(`Failed to get delivery OTP: ${res.body.error || "no code issued"}`);
+  }
+
+  return res.body.order.deliveryOtp.code;
+}
+
 /**
  * Create test order
  * 
@@ -28,6 +48,8 @@ async function createTestOrder(options) {
     deliveryAddress = {
       street: "123 Test St",
       city: "Yangon",
+      region: "Yangon",
+      township: "Kamayut",
       phone: "+959123456789",
       notes: "",
     },
@@ -159,7 +181,7 @@ async function createOrderWithStatus(options) {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: options.proofOfDelivery || {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
     return orderId;
@@ -189,7 +211,7 @@ async function createOrderWithStatus(options) {
  * @param {string} options.sellerId - Seller user ID
  * @param {Array} options.products - Array of { productId, quantity }
  * @param {string} options.paymentMethod - Payment method (default: "KBZPay")
- * @param {boolean} options.autoReleaseEscrow - Whether to allow auto-release (default: true)
+ * @param {boolean} options.autoReleaseEscrow - Buyer confirms receipt so escrow is released (default: true)
  * @returns {Promise<string>} Order ID
  */
 async function createDeliveredAndPaidOrder(options) {
@@ -246,16 +268,17 @@ async function createDeliveredAndPaidOrder(options) {
       orderId: orderId,
       status: "delivered",
       proofOfDelivery: {
-        otpCode: "123456",
+        otpCode: await getDeliveryOtp(buyerToken, orderId),
       },
     });
 
-  // If auto-release is disabled, manually set escrowReleased to false
-  // This is useful for testing manual escrow release
-  if (!autoReleaseEscrow) {
-    await firestore.collection("orders").doc(orderId).update({
-      escrowReleased: false,
-    });
+  // Escrow is held for the buyer acceptance window; the buyer confirming receipt releases it.
+  // Without confirmation escrow stays held (useful for testing manual escrow release)
+  if (autoReleaseEscrow) {
+    await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
   }
 
   return orderId;
@@ -303,6 +326,7 @@ async function confirmPayment(options) {
 }
 
 module.exports = {
+  getDeliveryOtp,
   createTestOrder,
   createOrderWithStatus,
   createDeliveredAndPaidOrder,
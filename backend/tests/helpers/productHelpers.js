@@ -17,6 +17,7 @@ const { BASE_URL } = require("./testSetup");
  * @param {string} options.category - Product category (default: "Test")
  * @param {string} options.description - Product description (optional)
  * @param {string} options.imageURL - Product image URL (optional)
+ * @param {number} options.weightKg - Product weight in kg (optional)
  * @returns {Promise<string>} Product ID
  */
 async function createTestProduct(sellerToken, options = {}) {
@@ -27,6 +28,7 @@ async function createTestProduct(sellerToken, options = {}) {
     category = "Test",
     description = undefined,
     imageURL = undefined,
+    weightKg = undefined,
   } = options;
 
   const productData = {
@@ -44,6 +46,10 @@ async function createTestProduct(sellerToken, options = {}) {
     productData.imageURL = imageURL;
   }
 
+  if (weightKg !== undefined) {
+    productData.weightKg = weightKg;
+  }
+
   const res = await request(BASE_URL)
     .post("/createProduct")
     .set("Authorization", `Bearer ${sellerToken}`)
@@ -0,0 +1,263 @@
+/**
+ * IDEMPOTENCY KEY TEST SUITE
+ * Tests Idempotency-Key handling of createOrder, simulatePayment, updateOrderStatus
+ * and releaseEscrow (orders/idempotency.js)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Retries are simulated by sending the same request twice with the same key
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, cleanupUsers } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// IDEMPOTENCY KEY TESTS
+// ============================================================================
+
+describe("Idempotency-Key Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+  let extraUserIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    await cleanupUsers(extraUserIds);
+    orderIds = [];
+    productIds = [];
+    extraUserIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  function orderBody(quantity = 2) {
+    return {
+      sellerId: sellerUid,
+      products: [{ productId, quantity }],
+      paymentMethod: "COD",
+      deliveryAddress: {
+        street: "123 Test St",
+        city: "Yangon",
+        region: "Yangon",
+        township: "Kamayut",
+        phone: "+959123456789",
+        notes: "",
+      },
+    };
+  }
+
+  async function postCreateOrder(token, key, body) {
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Idempotency-Key", key)
+      .send(body);
+    if (res.body.orderId && !orderIds.includes(res.body.orderId)) {
+      orderIds.push(res.body.orderId);
+    }
+    return res;
+  }
+
+  async function getStock() {
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    return productDoc.data().stock;
+  }
+
+  // ========================================================================
+  // CREATE ORDER
+  // ========================================================================
+
+  test("Create order retried with the same key (one order, stock reduced once)", async () => {
+    const key = `KEY_${Date.now()}`;
+
+    const first = await postCreateOrder(buyerToken, key, orderBody());
+    const retry = await postCreateOrder(buyerToken, key, orderBody());
+
+    expect(first.statusCode).toBe(200);
+    expect(first.headers["idempotent-replayed"]).toBeUndefined();
+    expect(retry.statusCode).toBe(200);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body).toEqual(first.body);
+
+    const orders = await firestore.collection("orders").where("buyerId", "==", buyerUid).get();
+    expect(orders.docs.length).toBe(1);
+    expect(await getStock()).toBe(98);
+  }, 30000);
+
+  test("Create order retried after the first request stopped unrecorded (not run again)", async () => {
+    const key = `KEY_${Date.now()}`;
+    const first = await postCreateOrder(buyerToken, key, orderBody());
+    expect(first.statusCode).toBe(200);
+
+    // The order was created but its result never stored, and the lock has run out
+    const keys = await firestore.collection("idempotencyKeys")
+      .where("userId", "==", buyerUid)
+      .where("endpoint", "==", "createOrder")
+      .get();
+    expect(keys.docs.length).toBe(1);
+    await keys.docs[0].ref.update({
+      status: "in_progress",
+      statusCode: null,
+      responseBody: null,
+      lockedAt: new Date(Date.now() - 10 * 60 * 1000),
+      completedAt: null,
+    });
+
+    const retry = await postCreateOrder(buyerToken, key, orderBody());
+
+    expect(retry.statusCode).toBe(409);
+    const orders = await firestore.collection("orders").where("buyerId", "==", buyerUid).get();
+    expect(orders.docs.length).toBe(1);
+    expect(await getStock()).toBe(98);
+  }, 30000);
+
+  test("Create order with different keys (two orders)", async () => {
+    const first = await postCreateOrder(buyerToken, `KEY_A_${Date.now()}`, orderBody());
+    const second = await postCreateOrder(buyerToken, `KEY_B_${Date.now()}`, orderBody());
+
+    expect(first.statusCode).toBe(200);
+    expect(second.statusCode).toBe(200);
+    expect(second.body.orderId).not.toBe(first.body.orderId);
+    expect(await getStock()).toBe(96);
+  }, 30000);
+
+  test("Create order reusing a key with a different body (should fail)", async () => {
+    const key = `KEY_${Date.now()}`;
+
+    await postCreateOrder(buyerToken, key, orderBody(2));
+    const res = await postCreateOrder(buyerToken, key, orderBody(5));
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toMatch(/different request/);
+    expect(await getStock()).toBe(98);
+  }, 30000);
+
+  test("Create order (same key from another user is independent)", async () => {
+    const otherBuyerUid = `TEST_BUYER2_${Date.now()}`;
+    const otherBuyerToken = await createAuthUserAndGetToken(otherBuyerUid, "buyer", "unverified");
+    extraUserIds.push(otherBuyerUid);
+    const key = `KEY_${Date.now()}`;
+
+    const first = await postCreateOrder(buyerToken, key, orderBody());
+    const other = await postCreateOrder(otherBuyerToken, key, orderBody());
+
+    expect(other.statusCode).toBe(200);
+    expect(other.headers["idempotent-replayed"]).toBeUndefined();
+    expect(other.body.orderId).not.toBe(first.body.orderId);
+  }, 30000);
+
+  test("Create order rejection is replayed too (not re-run)", async () => {
+    const key = `KEY_${Date.now()}`;
+
+    const first = await postCreateOrder(buyerToken, key, orderBody(1000));
+    const retry = await postCreateOrder(buyerToken, key, orderBody(1000));
+
+    expect(first.statusCode).toBe(400);
+    expect(retry.statusCode).toBe(400);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body).toEqual(first.body);
+  }, 30000);
+
+  test("Create order with an over-long key (should fail)", async () => {
+    const res = await postCreateOrder(buyerToken, "K".repeat(256), orderBody());
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid Idempotency-Key/);
+  }, 30000);
+
+  // ========================================================================
+  // PAYMENT AND STATUS UPDATES
+  // ========================================================================
+
+  test("Simulate payment retried with the same key (replayed, not rejected as already paid)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+    const key = `PAY_${Date.now()}`;
+
+    const send = () => request(BASE_URL)
+      .post("/simulatePayment")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .set("Idempotency-Key", key)
+      .send({ orderId, transactionId: `TXN_IDEMPOTENT_${orderId}` });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(first.statusCode).toBe(200);
+    expect(retry.statusCode).toBe(200);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "payment_confirmed")
+      .get();
+    expect(logs.docs.length).toBe(1);
+  }, 30000);
+
+  test("Update order status retried with the same key (logged once)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+    });
+    orderIds.push(orderId);
+    const key = `STATUS_${Date.now()}`;
+
+    const send = () => request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .set("Idempotency-Key", key)
+      .send({ orderId, status: "confirmed" });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(first.statusCode).toBe(200);
+    expect(retry.statusCode).toBe(200);
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "status_updated")
+      .get();
+    expect(logs.docs.length).toBe(1);
+  }, 30000);
+});
@@ -0,0 +1,198 @@
+/**
+ * INVENTORY TEST SUITE
+ * Tests stock reservations (products/inventory.js): stock is held when an order
+ * is placed, committed on payment or seller confirmation (COD) and released on
+ * cancellation, with the counts shown by getSellerProducts
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder, confirmPayment } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// INVENTORY TESTS
+// ============================================================================
+
+describe("Stock Reservation Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 10 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createOrder(paymentMethod, quantity = 3) {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity }],
+      paymentMethod,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  async function updateStatus(orderId, status) {
+    return request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status });
+  }
+
+  // Inventory as the seller sees it
+  async function getInventory() {
+    const res = await request(BASE_URL)
+      .get("/getSellerProducts")
+      .set("Authorization", `Bearer ${sellerToken}`);
+    expect(res.statusCode).toBe(200);
+    return res.body.products.find(product => product.productId === productId).inventory;
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  // ========================================================================
+  // RESERVATION LIFECYCLE
+  // ========================================================================
+
+  test("New product has all stock available", async () => {
+    expect(await getInventory()).toEqual({ available: 10, reserved: 0, sold: 0 });
+  }, 30000);
+
+  test("Placing an order holds the stock", async () => {
+    const orderId = await createOrder("KBZPay");
+
+    expect(await getInventory()).toEqual({ available: 7, reserved: 3, sold: 0 });
+
+    const order = await getOrder(orderId);
+    expect(order.stockReservation).toBe("held");
+    expect(order.stockHoldExpiresAt.toMillis()).toBe(order.paymentDueAt.toMillis());
+  }, 30000);
+
+  test("Payment commits held stock", async () => {
+    const orderId = await createOrder("KBZPay");
+
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_STOCK_${Date.now()}` });
+
+    expect(await getInventory()).toEqual({ available: 7, reserved: 0, sold: 3 });
+    const order = await getOrder(orderId);
+    expect(order.stockReservation).toBe("committed");
+    expect(order.stockCommittedAt).toBeDefined();
+  }, 30000);
+
+  test("Seller confirmation commits COD stock; unpaid mobile-money stock stays held", async () => {
+    const codOrderId = await createOrder("COD", 2);
+    const kbzOrderId = await createOrder("KBZPay", 3);
+
+    expect((await updateStatus(codOrderId, "confirmed")).statusCode).toBe(200);
+    expect((await updateStatus(kbzOrderId, "confirmed")).statusCode).toBe(200);
+
+    expect(await getInventory()).toEqual({ available: 5, reserved: 3, sold: 2 });
+    expect((await getOrder(codOrderId)).stockReservation).toBe("committed");
+    expect((await getOrder(kbzOrderId)).stockReservation).toBe("held");
+  }, 30000);
+
+  test("Cancelling releases held stock", async () => {
+    const orderId = await createOrder("COD");
+
+    expect((await updateStatus(orderId, "cancelled")).statusCode).toBe(200);
+
+    expect(await getInventory()).toEqual({ available: 10, reserved: 0, sold: 0 });
+    expect((await getOrder(orderId)).stockReservation).toBe("released");
+  }, 30000);
+
+  test("Cancelling a paid order releases sold stock", async () => {
+    const orderId = await createOrder("KBZPay");
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_STOCK_${Date.now()}` });
+
+    const res = await updateStatus(orderId, "cancelled");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe("refunded");
+    expect(await getInventory()).toEqual({ available: 10, reserved: 0, sold: 0 });
+  }, 30000);
+
+  test("Cancelling one line item releases only that quantity", async () => {
+    const otherProductId = await createTestProduct(sellerToken, { price: 5000, stock: 10 });
+    productIds.push(otherProductId);
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 3 }, { productId: otherProductId, quantity: 1 }],
+      paymentMethod: "COD",
+    });
+    orderIds.push(orderId);
+
+    const res = await request(BASE_URL)
+      .post("/cancelOrderItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, productId, quantity: 2 });
+
+    expect(res.statusCode).toBe(200);
+    expect(await getInventory()).toEqual({ available: 9, reserved: 1, sold: 0 });
+  }, 30000);
+
+  test("Held stock is not available to other orders", async () => {
+    await createOrder("KBZPay", 8);
+
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({
+        sellerId: sellerUid,
+        products: [{ productId, quantity: 3 }],
+        paymentMethod: "COD",
+        deliveryAddress: {
+          street: "123 Test St",
+          city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
+          phone: "+959123456789",
+        },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock/);
+  }, 30000);
+});
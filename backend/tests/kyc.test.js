@@ -0,0 +1,255 @@
+/**
+ * KYC TEST SUITE
+ * Tests seller identity verification: private document uploads, submissions,
+ * the admin review queue and decisions
+ * (createKycUpload, submitKyc, getKycStatus, getKycQueue, reviewKyc)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Requires the Storage emulator (uploads go through storage.rules)
+ */
+
+const request = require("supertest");
+const sharp = require("sharp");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+
+const VALID_SUBMISSION = {
+  nrcNumber: "12/kamaya (N) 123456",
+  mobileMoney: { provider: "KBZPay", accountNumber: "09123456789", accountName: "Aung Aung" },
+};
+
+// ============================================================================
+// KYC TESTS
+// ============================================================================
+
+describe("KYC API Tests", () => {
+  let sellerUid;
+  let adminUid;
+  let buyerUid;
+  let sellerToken;
+  let adminToken;
+  let buyerToken;
+  let storageObjectsURL; // Storage emulator objects endpoint, from the last upload URL
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+    buyerUid = `TEST_BUYER_${timestamp}`;
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "unverified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({ buyerUid, sellerUid, adminUid });
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  // Upload one document the way a client does, with the seller's ID token
+  async function uploadDocument(token = sellerToken) {
+    const buffer = await sharp({ create: { width: 64, height: 64, channels: 3, background: "#43a047" } })
+      .jpeg()
+      .toBuffer();
+    const upload = await request(BASE_URL)
+      .post("/createKycUpload")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ contentType: "image/jpeg", size: buffer.length });
+    expect(upload.status).toBe(200);
+
+    const uploaded = await fetch(upload.body.uploadURL, {
+      method: upload.body.method,
+      headers: { ...upload.body.headers, Authorization: `Firebase ${token}` },
+      body: buffer,
+    });
+    expect(uploaded.ok).toBe(true);
+    storageObjectsURL = upload.body.uploadURL.split("?")[0];
+    return upload.body.documentId;
+  }
+
+
+  async function uploadDocuments() {
+    return {
+      nrcFront: await uploadDocument(),
+      nrcBack: await uploadDocument(),
+      selfie: await uploadDocument(),
+    };
+  }
+
+  async function submitKyc(body, token = sellerToken) {
+    return request(BASE_URL)
+      .post("/submitKyc")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+  }
+
+  async function reviewKyc(body) {
+    return request(BASE_URL)
+      .post("/reviewKyc")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+  }
+
+  async function getKycStatus() {
+    return request(BASE_URL)
+      .get("/getKycStatus")
+      .set("Authorization", `Bearer ${sellerToken}`);
+  }
+
+  async function sellerStatus() {
+    const userDoc = await firestore.collection("users").doc(sellerUid).get();
+    return userDoc.data().verificationStatus;
+  }
+
+  // ========================================================================
+  // SUBMISSION
+  // ========================================================================
+
+  test("Seller submits documents and is pending review", async () => {
+    const documents = await uploadDocuments();
+    const res = await submitKyc({ ...VALID_SUBMISSION, documents });
+
+    expect(res.status).toBe(200);
+    expect(res.body.verificationStatus).toBe("pending");
+    expect(await sellerStatus()).toBe("pending");
+
+    const submissionDoc = await firestore.collection("kycSubmissions").doc(res.body.submissionId).get();
+    expect(submissionDoc.data()).toMatchObject({
+      sellerId: sellerUid,
+      nrcNumber: "12/KAMAYA(N)123456",
+      documents: { nrcFront: `kyc/${sellerUid}/${documents.nrcFront}` },
+      status: "pending",
+    });
+
+    const statusRes = await getKycStatus();
+    expect(statusRes.status).toBe(200);
+    expect(statusRes.body.verificationStatus).toBe("pending");
+    expect(statusRes.body.submission.documents).toBeUndefined();
+  }, 60000);
+
+  test("Documents are private: the uploading seller cannot read them back", async () => {
+    const documentId = await uploadDocument();
+    const downloadURL = `${storageObjectsURL}/${encodeURIComponent(`kyc/${sellerUid}/${documentId}`)}?alt=media`;
+    const res = await fetch(downloadURL, {
+      headers: { Authorization: `Firebase ${sellerToken}` },
+    });
+
+    expect(res.ok).toBe(false);
+  }, 30000);
+
+  test("Submit KYC: invalid NRC, mobile money or documents (should fail)", async () => {
+    const documents = await uploadDocuments();
+
+    const nrcRes = await submitKyc({ ...VALID_SUBMISSION, documents, nrcNumber: "12/KMY/123456" });
+    expect(nrcRes.status).toBe(400);
+    expect(nrcRes.body.error).toContain("nrcNumber");
+
+    const stateRes = await submitKyc({ ...VALID_SUBMISSION, documents, nrcNumber: "15/KAMAYA(N)123456" });
+    expect(stateRes.status).toBe(400);
+
+    const accountRes = await submitKyc({
+      ...VALID_SUBMISSION,
+      documents,
+      mobileMoney: { provider: "KBZPay", accountNumber: "12345", accountName: "Aung Aung" },
+    });
+    expect(accountRes.status).toBe(400);
+    expect(accountRes.body.error).toContain("accountNumber");
+
+    const missingRes = await submitKyc({ ...VALID_SUBMISSION, documents: { ...documents, selfie: "not-uploaded" } });
+    expect(missingRes.status).toBe(400);
+    expect(missingRes.body.error).toContain("documents.selfie");
+
+    const sameRes = await submitKyc({ ...VALID_SUBMISSION, documents: { ...documents, nrcBack: documents.nrcFront } });
+    expect(sameRes.status).toBe(400);
+
+    expect(await sellerStatus()).toBe("unverified");
+  }, 60000);
+
+  test("Submit KYC: buyers, and sellers already pending (should fail)", async () => {
+    const buyerRes = await submitKyc({ ...VALID_SUBMISSION, documents: {} }, buyerToken);
+    expect(buyerRes.status).toBe(403);
+
+    const documents = await uploadDocuments();
+    expect((await submitKyc({ ...VALID_SUBMISSION, documents })).status).toBe(200);
+
+    const againRes = await submitKyc({ ...VALID_SUBMISSION, documents });
+    expect(againRes.status).toBe(400);
+    expect(againRes.body.error).toContain("pending");
+  }, 60000);
+
+  // ========================================================================
+  // REVIEW
+  // ========================================================================
+
+  test("Admin sees the queue, asks for more information, then approves a resubmission", async () => {
+    const first = await submitKyc({ ...VALID_SUBMISSION, documents: await uploadDocuments() });
+
+    const queueRes = await request(BASE_URL)
+      .get("/getKycQueue")
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(queueRes.status).toBe(200);
+    const queued = queueRes.body.submissions.find(item => item.submissionId === first.body.submissionId);
+    expect(queued).toBeDefined();
+    expect(Object.keys(queued.documentURLs).sort()).toEqual(["nrcBack", "nrcFront", "selfie"]);
+
+    const infoRes = await reviewKyc({
+      submissionId: first.body.submissionId,
+      decision: "request_info",
+      reason: "The NRC photo is blurry",
+    });
+    expect(infoRes.status).toBe(200);
+    expect(await sellerStatus()).toBe("info_requested");
+
+    const statusRes = await getKycStatus();
+    expect(statusRes.body.submission.decision).toEqual({ decision: "request_info", reason: "The NRC photo is blurry" });
+
+    const second = await submitKyc({ ...VALID_SUBMISSION, documents: await uploadDocuments() });
+    expect(second.status).toBe(200);
+
+    const approveRes = await reviewKyc({ submissionId: second.body.submissionId, decision: "approve" });
+    expect(approveRes.status).toBe(200);
+    expect(approveRes.body.verificationStatus).toBe("verified");
+    expect(await sellerStatus()).toBe("verified");
+
+    const logs = await firestore.collection("kycLogs").where("sellerId", "==", sellerUid).get();
+    const events = logs.docs.map(doc => doc.data().eventType).sort();
+    expect(events).toEqual(["kyc_approved", "kyc_info_requested", "kyc_submitted", "kyc_submitted"]);
+  }, 90000);
+
+  test("Review KYC: rejecting needs a reason, decisions only once, admins only (should fail)", async () => {
+    const submitted = await submitKyc({ ...VALID_SUBMISSION, documents: await uploadDocuments() });
+    const { submissionId } = submitted.body;
+
+    const noReasonRes = await reviewKyc({ submissionId, decision: "reject" });
+    expect(noReasonRes.status).toBe(400);
+
+    const decisionRes = await reviewKyc({ submissionId, decision: "verified" });
+    expect(decisionRes.status).toBe(400);
+
+    const sellerRes = await request(BASE_URL)
+      .post("/reviewKyc")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ submissionId, decision: "approve" });
+    expect(sellerRes.status).toBe(403);
+
+    expect((await reviewKyc({ submissionId, decision: "reject", reason: "NRC does not match the selfie" })).status)
+      .toBe(200);
+    expect(await sellerStatus()).toBe("rejected");
+
+    const againRes = await reviewKyc({ submissionId, decision: "approve" });
+    expect(againRes.status).toBe(400);
+    expect(await sellerStatus()).toBe("rejected");
+  }, 60000);
+});
@@ -0,0 +1,237 @@
+/**
+ * ORDER EXPIRY TEST SUITE
+ * Tests automatic cancellation of orders whose stock hold expired: unpaid
+ * KBZPay/WavePay orders and COD orders the seller never confirmed
+ * (orders/orderExpiry.js, run every 10 minutes by the expireUnpaidOrders schedule)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Calls the expiry job directly against the emulator (scheduled functions
+ *   have no HTTP endpoint); paymentDueAt/stockHoldExpiresAt are moved into the
+ *   past to simulate the timeout
+ */
+
+const request = require("supertest");
+const { Timestamp } = require("firebase-admin/firestore");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder, confirmPayment } = require("./helpers/orderHelpers");
+const { expireUnpaidOrders } = require("../orders/orderExpiry");
+
+// ============================================================================
+// ORDER EXPIRY TESTS
+// ============================================================================
+
+describe("Unpaid Order Expiry Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createOrder(paymentMethod) {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 3 }],
+      paymentMethod,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  // Simulate the timeout passing (the stock hold of mobile-money orders ends at paymentDueAt)
+  async function moveDeadlineIntoPast(orderId) {
+    const past = Timestamp.fromMillis(Date.now() - 60 * 1000);
+    const order = await getOrder(orderId);
+    await firestore.collection("orders").doc(orderId).update(order.paymentMethod === "COD"
+      ? { stockHoldExpiresAt: past }
+      : { paymentDueAt: past, stockHoldExpiresAt: past });
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  async function getStock() {
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    return productDoc.data().stock;
+  }
+
+  // ========================================================================
+  // PAYMENT DEADLINE
+  // ========================================================================
+
+  test("Mobile-money orders show their payment deadline; COD orders have none", async () => {
+    const kbzOrderId = await createOrder("KBZPay");
+    const codOrderId = await createOrder("COD");
+
+    const res = await request(BASE_URL)
+      .get("/getOrderById")
+      .query({ orderId: kbzOrderId })
+      .set("Authorization", `Bearer ${buyerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.order.paymentDueAt).toBeDefined();
+    expect(res.body.order.paymentDueAt).not.toBeNull();
+
+    const codOrder = await getOrder(codOrderId);
+    expect(codOrder.paymentDueAt).toBeNull();
+  }, 30000);
+
+  // ========================================================================
+  // EXPIRY
+  // ========================================================================
+
+  test("Expired unpaid order is cancelled, stock restored, parties notified", async () => {
+    const orderId = await createOrder("WavePay");
+    expect(await getStock()).toBe(97);
+    await moveDeadlineIntoPast(orderId);
+
+    const { expired } = await expireUnpaidOrders();
+
+    expect(expired).toContain(orderId);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("cancelled");
+    expect(order.paymentStatus).toBe("pending");
+    expect(order.cancelledBy).toBe("system");
+    expect(order.cancellationReason).toBe("payment_timeout");
+    expect(await getStock()).toBe(100);
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "order_expired")
+      .get();
+    expect(logs.docs.length).toBe(1);
+    expect(logs.docs[0].data().actorId).toBe("system");
+
+    const notifications = await request(BASE_URL)
+      .get("/getNotifications")
+      .set("Authorization", `Bearer ${sellerToken}`);
+    expect(notifications.statusCode).toBe(200);
+    expect(notifications.body.notifications.some(n => n.orderId === orderId && n.type === "order_expired")).toBe(true);
+  }, 30000);
+
+  test("COD order the seller never confirmed is cancelled when its stock hold expires", async () => {
+    const orderId = await createOrder("COD");
+    expect(await getStock()).toBe(97);
+    await moveDeadlineIntoPast(orderId);
+
+    const { expired } = await expireUnpaidOrders();
+
+    expect(expired).toContain(orderId);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("cancelled");
+    expect(order.cancellationReason).toBe("stock_hold_expired");
+    expect(order.stockReservation).toBe("released");
+    expect(await getStock()).toBe(100);
+  }, 30000);
+
+  test("Order that cannot be expired is flagged and left out of later runs", async () => {
+    const orderId = await createOrder("COD");
+    await moveDeadlineIntoPast(orderId);
+    await firestore.collection("products").doc(productId).delete();
+
+    const first = await expireUnpaidOrders();
+
+    expect(first.failed).toContain(orderId);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("pending");
+    expect(order.stockReservation).toBe("held");
+    expect(order.expiryFailedAt).toBeDefined();
+    expect(order.expiryError).toMatch(/not found/);
+
+    const second = await expireUnpaidOrders();
+    expect(second.failed).not.toContain(orderId);
+    expect(second.expired).not.toContain(orderId);
+  }, 30000);
+
+  test("COD order confirmed by the seller is not expired", async () => {
+    const orderId = await createOrder("COD");
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "confirmed" });
+    await moveDeadlineIntoPast(orderId);
+
+    const { expired } = await expireUnpaidOrders();
+
+    expect(expired).not.toContain(orderId);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("confirmed");
+    expect(order.stockReservation).toBe("committed");
+  }, 30000);
+
+  test("Order before its deadline is not expired", async () => {
+    const orderId = await createOrder("KBZPay");
+
+    const { expired } = await expireUnpaidOrders();
+
+    expect(expired).not.toContain(orderId);
+    expect((await getOrder(orderId)).status).toBe("pending");
+  }, 30000);
+
+  test("Paid order is not expired", async () => {
+    const orderId = await createOrder("KBZPay");
+    await confirmPayment({ buyerToken, orderId, transactionId: `TXN_EXPIRY_${Date.now()}` });
+    await moveDeadlineIntoPast(orderId);
+
+    const { expired } = await expireUnpaidOrders();
+
+    expect(expired).not.toContain(orderId);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("pending");
+    expect(order.paymentStatus).toBe("paid");
+    expect(await getStock()).toBe(97);
+  }, 30000);
+
+  test("Paying an expired order is rejected", async () => {
+    const orderId = await createOrder("KBZPay");
+    await moveDeadlineIntoPast(orderId);
+    await expireUnpaidOrders();
+
+    const res = await request(BASE_URL)
+      .post("/simulatePayment")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, transactionId: `TXN_LATE_${Date.now()}` });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+});
@@ -0,0 +1,296 @@
+/**
+ * PAYMENTS TEST SUITE
+ * Tests createPaymentIntent and paymentWebhook against the local mock provider
+ * (scripts/mockPaymentProvider.js) with proper isolation and cleanup
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests signed webhooks: success, invalid signature, amount mismatch, expired intent, duplicates
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder } = require("./helpers/orderHelpers");
+const {
+  DEFAULT_PORT,
+  buildWebhookPayload,
+  sendSignedWebhook,
+  createMockPaymentServer,
+} = require("../scripts/mockPaymentProvider");
+
+// ============================================================================
+// PAYMENT TESTS
+// ============================================================================
+
+describe("Payments API Tests", () => {
+  let mockServer;
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+  let intentIds = [];
+
+  // Mock KBZPay/WavePay provider used by createPaymentIntent in the emulator
+  beforeAll(async () => {
+    mockServer = createMockPaymentServer().server;
+    await new Promise(resolve => mockServer.listen(DEFAULT_PORT, resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mockServer.close(resolve));
+  });
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    for (const intentId of intentIds) {
+      await deleteFirestoreDoc("paymentIntents", intentId);
+    }
+    orderIds = [];
+    productIds = [];
+    intentIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+  async function createOrderLocal(paymentMethod = "KBZPay") {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  async function createIntentLocal(orderId, token = buyerToken) {
+    const res = await request(BASE_URL)
+      .post("/createPaymentIntent")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ orderId });
+    if (res.body.paymentIntent) {
+      intentIds.push(res.body.paymentIntent.intentId);
+    }
+    return res;
+  }
+
+  function webhookUrl(provider) {
+    return `${BASE_URL}/paymentWebhook?provider=${provider}`;
+  }
+
+  // ========================================================================
+  // CREATE PAYMENT INTENT
+  // ========================================================================
+
+  test("Create payment intent (KBZPay)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const res = await createIntentLocal(orderId);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.paymentIntent.provider).toBe("KBZPay");
+    expect(res.body.paymentIntent.amount).toBe(20000);
+    expect(res.body.paymentIntent.paymentUrl).toBeDefined();
+
+    const intentDoc = await firestore.collection("paymentIntents").doc(res.body.paymentIntent.intentId).get();
+    expect(intentDoc.data().status).toBe("pending");
+    expect(intentDoc.data().orderId).toBe(orderId);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentIntentId).toBe(res.body.paymentIntent.intentId);
+    expect(orderDoc.data().paymentStatus).toBe("pending");
+  }, 30000);
+
+  test("Create payment intent (COD order - should fail)", async () => {
+    const orderId = await createOrderLocal("COD");
+    const res = await createIntentLocal(orderId);
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+
+  test("Create payment intent (not the buyer - should fail)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const res = await createIntentLocal(orderId, sellerToken);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  // ========================================================================
+  // PAYMENT WEBHOOK
+  // ========================================================================
+
+  test("Webhook marks order paid (KBZPay via mock provider)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+    const intentId = intentRes.body.paymentIntent.intentId;
+
+    // Buyer completes the payment in the (mock) provider app
+    const completeRes = await request(`http://localhost:${DEFAULT_PORT}`)
+      .post("/kbzpay/complete")
+      .send({ intentId, status: "success" });
+
+    expect(completeRes.statusCode).toBe(200);
+    expect(completeRes.body.webhook.status).toBe(200);
+    expect(completeRes.body.webhook.body.outcome).toBe("succeeded");
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("paid");
+    expect(orderDoc.data().paymentConfirmation.provider).toBe("KBZPay");
+    expect(orderDoc.data().paymentConfirmation.source).toBe("provider_webhook");
+
+    const intentDoc = await firestore.collection("paymentIntents").doc(intentId).get();
+    expect(intentDoc.data().status).toBe("succeeded");
+  }, 30000);
+
+  test("Webhook marks order paid (WavePay)", async () => {
+    const orderId = await createOrderLocal("WavePay");
+    const intentRes = await createIntentLocal(orderId);
+    const intentId = intentRes.body.paymentIntent.intentId;
+
+    const res = await sendSignedWebhook("WavePay", webhookUrl("WavePay"), buildWebhookPayload("WavePay", {
+      intentId,
+      transactionId: "WAVE_TEST_TXN",
+      amount: 20000,
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe("succeeded");
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("paid");
+    expect(orderDoc.data().paymentConfirmation.transactionId).toBe("WAVE_TEST_TXN");
+  }, 30000);
+
+  test("Webhook (invalid signature - should be rejected)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+
+    const res = await sendSignedWebhook("KBZPay", webhookUrl("KBZPay"), buildWebhookPayload("KBZPay", {
+      intentId: intentRes.body.paymentIntent.intentId,
+      transactionId: "KBZ_FORGED_TXN",
+      amount: 20000,
+    }), "wrong-secret");
+
+    expect(res.status).toBe(401);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("pending");
+  }, 30000);
+
+  test("Webhook (amount mismatch - should be rejected)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+    const intentId = intentRes.body.paymentIntent.intentId;
+
+    const res = await sendSignedWebhook("KBZPay", webhookUrl("KBZPay"), buildWebhookPayload("KBZPay", {
+      intentId,
+      transactionId: "KBZ_SHORT_TXN",
+      amount: 100,
+    }));
+
+    expect(res.status).toBe(400);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("pending");
+
+    const intentDoc = await firestore.collection("paymentIntents").doc(intentId).get();
+    expect(intentDoc.data().status).toBe("amount_mismatch");
+
+    const logsSnapshot = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "payment_rejected")
+      .get();
+    expect(logsSnapshot.size).toBe(1);
+  }, 30000);
+
+  test("Webhook (intent expired - payment not settled)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+    const intentId = intentRes.body.paymentIntent.intentId;
+    await firestore.collection("paymentIntents").doc(intentId).update({
+      expiresAt: new Date(Date.now() - 60 * 1000),
+    });
+
+    const res = await sendSignedWebhook("KBZPay", webhookUrl("KBZPay"), buildWebhookPayload("KBZPay", {
+      intentId,
+      transactionId: "KBZ_LATE_TXN",
+      amount: 20000,
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.outcome).toBe("expired");
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("pending");
+
+    const intentDoc = await firestore.collection("paymentIntents").doc(intentId).get();
+    expect(intentDoc.data().status).toBe("expired");
+    expect(intentDoc.data().rejectionReason).toContain("expired");
+  }, 30000);
+
+  test("Webhook (duplicate notification - processed once)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+    const payload = buildWebhookPayload("KBZPay", {
+      intentId: intentRes.body.paymentIntent.intentId,
+      transactionId: "KBZ_DUP_TXN",
+      amount: 20000,
+    });
+
+    const first = await sendSignedWebhook("KBZPay", webhookUrl("KBZPay"), payload);
+    const second = await sendSignedWebhook("KBZPay", webhookUrl("KBZPay"), payload);
+
+    expect(first.body.outcome).toBe("succeeded");
+    expect(second.status).toBe(200);
+    expect(second.body.outcome).toBe("duplicate");
+
+    const logsSnapshot = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "payment_confirmed")
+      .get();
+    expect(logsSnapshot.size).toBe(1);
+  }, 30000);
+
+  test("Webhook (failed payment - order stays unpaid)", async () => {
+    const orderId = await createOrderLocal("KBZPay");
+    const intentRes = await createIntentLocal(orderId);
+    const intentId = intentRes.body.paymentIntent.intentId;
+
+    const completeRes = await request(`http://localhost:${DEFAULT_PORT}`)
+      .post("/kbzpay/complete")
+      .send({ intentId, status: "failed" });
+
+    expect(completeRes.body.webhook.body.outcome).toBe("failed");
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().paymentStatus).toBe("pending");
+  }, 30000);
+});
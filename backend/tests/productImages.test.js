@@ -0,0 +1,202 @@
+/**
+ * PRODUCT IMAGES TEST SUITE
+ * Tests image uploads into the Storage emulator and thumbnail generation
+ * (createProductImageUpload, processProductImage, updateProductImages)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Requires the Storage emulator (uploads go through storage.rules)
+ */
+
+const request = require("supertest");
+const sharp = require("sharp");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// PRODUCT IMAGE TESTS
+// ============================================================================
+
+describe("Product Image Tests", () => {
+  let sellerUid;
+  let otherSellerUid;
+  let sellerToken;
+  let otherSellerToken;
+  let productId;
+  let productIds = [];
+  let imageIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    otherSellerUid = `TEST_SELLER_2_${timestamp}`;
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    otherSellerToken = await createAuthUserAndGetToken(otherSellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { name: "Image Test Product" });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    // Remove uploaded images (deletes their files from the Storage emulator)
+    await request(BASE_URL)
+      .patch("/updateProductImages")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, imageIds: [] });
+
+    for (const imageId of imageIds) {
+      await deleteFirestoreDoc("productImageUploads", imageId);
+    }
+    await cleanupTestData({ sellerUid, productIds });
+    await cleanupTestData({ sellerUid: otherSellerUid });
+    productIds = [];
+    imageIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createUpload(body, token = sellerToken) {
+    const res = await request(BASE_URL)
+      .post("/createProductImageUpload")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ productId, ...body });
+    if (res.body.imageId) {
+      imageIds.push(res.body.imageId);
+    }
+    return res;
+  }
+
+  // Send the file the way a client does, with the seller's ID token
+  async function uploadFile(upload, buffer, token = sellerToken) {
+    return fetch(upload.uploadURL, {
+      method: upload.method,
+      headers: { ...upload.headers, Authorization: `Firebase ${token}` },
+      body: buffer,
+    });
+  }
+
+  async function waitForTicket(imageId) {
+    for (let attempt = 0; attempt < 40; attempt++) {
+      const ticketDoc = await firestore.collection("productImageUploads").doc(imageId).get();
+      if (ticketDoc.data().status !== "pending") {
+        return ticketDoc.data();
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Upload ${imageId} was not processed`);
+  }
+
+  async function testImage(width = 1600, height = 1200) {
+    return sharp({ create: { width, height, channels: 3, background: "#1e88e5" } }).png().toBuffer();
+  }
+
+  async function addImage() {
+    const buffer = await testImage();
+    const upload = await createUpload({ contentType: "image/png", size: buffer.length });
+    const uploaded = await uploadFile(upload.body, buffer);
+    expect(uploaded.ok).toBe(true);
+    return waitForTicket(upload.body.imageId);
+  }
+
+  // ========================================================================
+  // UPLOADS
+  // ========================================================================
+
+  test("Uploaded image gets thumbnails and WebP variants", async () => {
+    const ticket = await addImage();
+    expect(ticket.status).toBe("ready");
+
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    const { images, imageURL } = productDoc.data();
+
+    expect(images).toHaveLength(1);
+    expect(images[0].imageId).toBe(ticket.imageId);
+    expect(images[0].width).toBe(1200); // resized from 1600
+    expect(imageURL).toBe(images[0].url);
+
+    const thumbnail = await fetch(images[0].thumbnailWebpURL);
+    expect(thumbnail.ok).toBe(true);
+    const metadata = await sharp(Buffer.from(await thumbnail.arrayBuffer())).metadata();
+    expect(metadata.format).toBe("webp");
+    expect(metadata.width).toBe(320);
+  }, 60000);
+
+  test("Upload that is not an image is rejected", async () => {
+    const buffer = Buffer.from("definitely not a picture");
+    const upload = await createUpload({ contentType: "image/png", size: buffer.length });
+    await uploadFile(upload.body, buffer);
+
+    const ticket = await waitForTicket(upload.body.imageId);
+
+    expect(ticket.status).toBe("rejected");
+    expect(ticket.reason).toMatch(/could not be decoded/);
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    expect(productDoc.data().images).toEqual([]);
+  }, 60000);
+
+  test("Another seller cannot upload to the product's path (storage.rules)", async () => {
+    const buffer = await testImage(100, 100);
+    const upload = await createUpload({ contentType: "image/png", size: buffer.length });
+
+    const res = await uploadFile(upload.body, buffer, otherSellerToken);
+
+    expect(res.ok).toBe(false);
+    expect(res.status).toBe(403);
+  }, 30000);
+
+  test("Create upload: other seller's product or bad file type (should fail)", async () => {
+    const notOwner = await createUpload({ contentType: "image/png", size: 1000 }, otherSellerToken);
+    const badType = await createUpload({ contentType: "image/gif", size: 1000 });
+    const tooLarge = await createUpload({ contentType: "image/png", size: 50 * 1024 * 1024 });
+
+    expect(notOwner.statusCode).toBe(403);
+    expect(badType.statusCode).toBe(400);
+    expect(tooLarge.statusCode).toBe(400);
+  }, 30000);
+
+  // ========================================================================
+  // ORDER AND REMOVE
+  // ========================================================================
+
+  test("Images are reordered and removed with updateProductImages", async () => {
+    const first = await addImage();
+    const second = await addImage();
+
+    const reordered = await request(BASE_URL)
+      .patch("/updateProductImages")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, imageIds: [second.imageId, first.imageId] });
+
+    expect(reordered.statusCode).toBe(200);
+    expect(reordered.body.images.map(image => image.imageId)).toEqual([second.imageId, first.imageId]);
+
+    const removed = await request(BASE_URL)
+      .patch("/updateProductImages")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, imageIds: [first.imageId] });
+
+    expect(removed.statusCode).toBe(200);
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    expect(productDoc.data().images.map(image => image.imageId)).toEqual([first.imageId]);
+    expect(productDoc.data().imageURL).toBe(productDoc.data().images[0].url);
+  }, 90000);
+
+  test("Update images: unknown imageId (should fail)", async () => {
+    const res = await request(BASE_URL)
+      .patch("/updateProductImages")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, imageIds: ["NO_SUCH_IMAGE"] });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+});
@@ -0,0 +1,191 @@
+/**
+ * PRODUCT IMPORT / EXPORT TEST SUITE
+ * Tests bulk CSV/JSON product import (upsert by seller sku, per-row errors,
+ * dry run) and catalog export (importProducts, exportProducts)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+
+// ============================================================================
+// PRODUCT IMPORT TESTS
+// ============================================================================
+
+describe("Product Import/Export Tests", () => {
+  let sellerUid;
+  let sellerToken;
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+  }, 30000);
+
+  // Cleanup after each test (imported products are found by seller)
+  afterEach(async () => {
+    const snapshot = await firestore.collection("products")
+      .where("sellerId", "==", sellerUid)
+      .get();
+    await cleanupTestData({
+      sellerUid,
+      productIds: snapshot.docs.map(doc => doc.id),
+    });
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function importProducts(body) {
+    return request(BASE_URL)
+      .post("/importProducts")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send(body);
+  }
+
+  async function exportProducts(format) {
+    return request(BASE_URL)
+      .get("/exportProducts")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .query(format ? { format } : {});
+  }
+
+  async function productBySku(sku) {
+    const snapshot = await firestore.collection("products")
+      .where("sellerId", "==", sellerUid)
+      .where("sku", "==", sku)
+      .get();
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  const CSV = [
+    "sku,name,description,price,stock,category",
+    "TEE-1,Cotton T-shirt,\"Soft, breathable\",12000,20,Clothing",
+    "LONGYI-1,ပုဆိုး,Silk longyi,35000,5,Clothing",
+  ].join("\n");
+
+  // ========================================================================
+  // IMPORT
+  // ========================================================================
+
+  test("CSV import creates products", async () => {
+    const res = await importProducts({ csv: CSV });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ total: 2, created: 2, updated: 0, failed: 0 });
+
+    const tee = await productBySku("TEE-1");
+    expect(tee.description).toBe("Soft, breathable");
+    expect(tee.price).toBe(12000);
+    expect(tee.stock).toBe(20);
+    expect(tee.status).toBe("active");
+    expect((await productBySku("LONGYI-1")).name).toBe("ပုဆိုး");
+  }, 30000);
+
+  test("Import updates products with the same sku", async () => {
+    await importProducts({ csv: CSV });
+
+    const res = await importProducts({ csv: "sku,price,stock\nTEE-1,10000,15\nNEW-1,5000,1" });
+
+    expect(res.body.summary).toMatchObject({ created: 0, updated: 1, failed: 1 });
+    expect(res.body.rows[1].error).toMatch(/Missing required fields/);
+
+    const tee = await productBySku("TEE-1");
+    expect(tee.price).toBe(10000);
+    expect(tee.stock).toBe(15);
+    expect(tee.name).toBe("Cotton T-shirt"); // empty columns are left unchanged
+  }, 30000);
+
+  test("Invalid rows are reported and skipped", async () => {
+    const res = await importProducts({
+      products: [
+        { sku: "OK-1", name: "Good", price: 1000 },
+        { sku: "BAD-1", name: "Negative", price: -5 },
+        { sku: "OK-1", name: "Repeated", price: 1000 },
+        { name: "No sku", price: 1000 },
+      ],
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ total: 4, created: 1, updated: 0, failed: 3 });
+    expect(res.body.rows.map(row => row.action)).toEqual(["create", "error", "error", "error"]);
+    expect(res.body.rows[1].error).toMatch(/Invalid price/);
+    expect(res.body.rows[2].error).toMatch(/Duplicate sku OK-1/);
+    expect(await productBySku("BAD-1")).toBeNull();
+  }, 30000);
+
+  test("Import updates the imageURL unless the product has uploaded images", async () => {
+    await importProducts({ csv: CSV });
+    const longyiRef = firestore.collection("products").doc((await productBySku("LONGYI-1")).productId);
+    await longyiRef.update({
+      images: [{ imageId: "img1", url: "https://example.com/uploaded.jpg" }],
+      imageURL: "https://example.com/uploaded.jpg",
+    });
+
+    const res = await importProducts({
+      csv: "sku,imageURL\nTEE-1,https://example.com/tee.jpg\nLONGYI-1,https://example.com/other.jpg",
+    });
+
+    expect(res.body.summary).toMatchObject({ updated: 1, failed: 1 });
+    expect(res.body.rows[1].error).toMatch(/Invalid imageURL/);
+    expect((await productBySku("TEE-1")).imageURL).toBe("https://example.com/tee.jpg");
+    expect((await productBySku("LONGYI-1")).imageURL).toBe("https://example.com/uploaded.jpg");
+  }, 30000);
+
+  test("Dry run validates without writing", async () => {
+    const res = await importProducts({ csv: CSV, dryRun: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.summary.created).toBe(2);
+    expect(await productBySku("TEE-1")).toBeNull();
+  }, 30000);
+
+  test("Import: unknown column or too many rows (should fail)", async () => {
+    const unknown = await importProducts({ csv: "sku,colour\nTEE-1,Red" });
+    const tooMany = await importProducts({
+      products: Array.from({ length: 501 }, (_, i) => ({ sku: `SKU-${i}`, name: "Bulk", price: 1 })),
+    });
+
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.error).toMatch(/unknown column colour/);
+    expect(tooMany.statusCode).toBe(400);
+  }, 30000);
+
+  // ========================================================================
+  // EXPORT
+  // ========================================================================
+
+  test("Export returns the catalog as CSV that imports back unchanged", async () => {
+    await importProducts({ csv: CSV });
+
+    const exported = await exportProducts();
+    expect(exported.statusCode).toBe(200);
+    expect(exported.headers["content-type"]).toMatch(/text\/csv/);
+    expect(exported.text).toMatch(/TEE-1/);
+
+    const reimported = await importProducts({ csv: exported.text });
+    expect(reimported.body.summary).toEqual({ total: 2, created: 0, updated: 2, failed: 0 });
+  }, 30000);
+
+  test("Export as JSON", async () => {
+    await importProducts({ csv: CSV });
+
+    const res = await exportProducts("json");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.products.map(product => product.sku).sort()).toEqual(["LONGYI-1", "TEE-1"]);
+    expect(res.body.products[0].productId).toBeDefined();
+  }, 30000);
+});
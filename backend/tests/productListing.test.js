@@ -0,0 +1,174 @@
+/**
+ * PRODUCT LISTING TEST SUITE
+ * Tests cursor pagination, filters and sort of getPublicProducts and
+ * getSellerProducts (products/productListing.js, utils/pagination.js)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Public listings are filtered by the test seller, so other products never match
+ */
+
+const request = require("supertest");
+const { BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// PRODUCT LISTING TESTS
+// ============================================================================
+
+describe("Product Listing Tests", () => {
+  let sellerUid;
+  let sellerToken;
+  let productIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      sellerUid,
+      productIds,
+    });
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createProduct(options) {
+    const productId = await createTestProduct(sellerToken, options);
+    productIds.push(productId);
+    return productId;
+  }
+
+  async function getPublicProducts(query = {}) {
+    return request(BASE_URL)
+      .get("/getPublicProducts")
+      .query({ sellerId: sellerUid, ...query });
+  }
+
+  async function getSellerProducts(query = {}) {
+    return request(BASE_URL)
+      .get("/getSellerProducts")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .query(query);
+  }
+
+  function ids(res) {
+    return res.body.products.map(product => product.productId);
+  }
+
+  // ========================================================================
+  // PUBLIC PRODUCTS
+  // ========================================================================
+
+  test("Public products are paged with a cursor", async () => {
+    await createProduct({ name: "One" });
+    await createProduct({ name: "Two" });
+    await createProduct({ name: "Three" });
+
+    const first = await getPublicProducts({ limit: 2 });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.count).toBe(2);
+    expect(first.body.hasMore).toBe(true);
+
+    const second = await getPublicProducts({ limit: 2, cursor: first.body.nextCursor });
+    expect(second.statusCode).toBe(200);
+    expect(second.body.count).toBe(1);
+    expect(second.body.nextCursor).toBeNull();
+
+    expect([...ids(first), ...ids(second)].sort()).toEqual([...productIds].sort());
+  }, 30000);
+
+  test("Public products are sorted newest first by default", async () => {
+    const olderId = await createProduct({ name: "Older" });
+    const newerId = await createProduct({ name: "Newer" });
+
+    expect(ids(await getPublicProducts())).toEqual([newerId, olderId]);
+    expect(ids(await getPublicProducts({ sort: "oldest" }))).toEqual([olderId, newerId]);
+  }, 30000);
+
+  test("Public products filtered by price range (sorted by price)", async () => {
+    await createProduct({ price: 5000 });
+    const midId = await createProduct({ price: 15000 });
+    const highId = await createProduct({ price: 25000 });
+    await createProduct({ price: 50000 });
+
+    const ascending = await getPublicProducts({ minPrice: 10000, maxPrice: 30000 });
+    const descending = await getPublicProducts({ minPrice: 10000, maxPrice: 30000, sort: "price_desc" });
+
+    expect(ascending.statusCode).toBe(200);
+    expect(ids(ascending)).toEqual([midId, highId]);
+    expect(ids(descending)).toEqual([highId, midId]);
+  }, 30000);
+
+  test("Public products filtered by category", async () => {
+    const category = `ListingTest${Date.now()}`;
+    const inCategoryId = await createProduct({ category });
+    await createProduct({ category: "Other" });
+
+    const res = await getPublicProducts({ category });
+
+    expect(ids(res)).toEqual([inCategoryId]);
+    expect(res.body.products[0].searchTokens).toBeUndefined();
+  }, 30000);
+
+  test("Public products: price range with a date sort (should fail)", async () => {
+    const res = await getPublicProducts({ minPrice: 1000, sort: "newest" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/requires sort price_asc or price_desc/);
+  }, 30000);
+
+  test("Public products: invalid limit or price (should fail)", async () => {
+    expect((await getPublicProducts({ limit: 101 })).statusCode).toBe(400);
+    expect((await getPublicProducts({ minPrice: "cheap" })).statusCode).toBe(400);
+    expect((await getPublicProducts({ minPrice: 20000, maxPrice: 10000 })).statusCode).toBe(400);
+  }, 30000);
+
+  // ========================================================================
+  // SELLER PRODUCTS
+  // ========================================================================
+
+  test("Seller products are paged and include inactive products", async () => {
+    await createProduct({ name: "Active" });
+    const inactiveId = await createProduct({ name: "Inactive" });
+    await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId: inactiveId, status: "inactive" });
+
+    const first = await getSellerProducts({ limit: 1 });
+    const second = await getSellerProducts({ limit: 1, cursor: first.body.nextCursor });
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.products[0].inventory).toBeDefined();
+    expect([...ids(first), ...ids(second)].sort()).toEqual([...productIds].sort());
+    expect(second.body.hasMore).toBe(false);
+  }, 30000);
+
+  test("Seller products filtered by status", async () => {
+    const activeId = await createProduct({ name: "Active" });
+    const inactiveId = await createProduct({ name: "Inactive" });
+    await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId: inactiveId, status: "inactive" });
+
+    expect(ids(await getSellerProducts({ status: "inactive" }))).toEqual([inactiveId]);
+    expect(ids(await getSellerProducts({ status: "active" }))).toEqual([activeId]);
+    expect((await getSellerProducts({ status: "deleted" })).statusCode).toBe(400);
+  }, 30000);
+});
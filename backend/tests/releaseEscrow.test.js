@@ -16,7 +16,7 @@ const admin = require("firebase-admin");
 const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
 const { cleanupTestData } = require("./helpers/cleanupHelpers");
 const { createTestProduct } = require("./helpers/productHelpers");
-const { createTestOrder, createDeliveredAndPaidOrder } = require("./helpers/orderHelpers");
+const { createTestOrder, createDeliveredAndPaidOrder, getDeliveryOtp } = require("./helpers/orderHelpers");
 
 // ============================================================================
 // RELEASE ESCROW TESTS
@@ -146,7 +146,7 @@ describe("Release Escrow API Tests", () => {
       paymentStatus: "paid",
       deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
       proofOfDelivery: {
-        otpCode: "123456",
+        otpVerified: true,
         confirmedBy: sellerUid,
         confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
@@ -205,7 +205,7 @@ describe("Release Escrow API Tests", () => {
       paymentStatus: "paid",
       deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
       proofOfDelivery: {
-        otpCode: "123456",
+        otpVerified: true,
         confirmedBy: sellerUid,
         confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
@@ -299,10 +299,16 @@ describe("Release Escrow API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
 
+    // Buyer confirms receipt, which releases escrow automatically
+    await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+
     // Verify escrow is already released (auto-release happened)
     const orderDocBefore = await firestore.collection("orders").doc(orderId).get();
     expect(orderDocBefore.data().escrowReleased).toBe(true);
@@ -509,7 +515,7 @@ describe("Release Escrow API Tests", () => {
       paymentStatus: "paid",
       deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
       proofOfDelivery: {
-        otpCode: "123456",
+        otpVerified: true,
         confirmedBy: sellerUid,
         confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
@@ -550,6 +556,8 @@ describe("Release Escrow API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -567,6 +575,8 @@ describe("Release Escrow API Tests", () => {
         deliveryAddress: {
           street: "456 Test Ave",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959987654321",
         },
       });
@@ -596,7 +606,7 @@ describe("Release Escrow API Tests", () => {
       paymentStatus: "paid",
       deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
       proofOfDelivery: {
-        otpCode: "123456",
+        otpVerified: true,
         confirmedBy: sellerUid,
         confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
@@ -608,7 +618,7 @@ describe("Release Escrow API Tests", () => {
       paymentStatus: "paid",
       deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
       proofOfDelivery: {
-        otpCode: "789012",
+        otpVerified: true,
         confirmedBy: sellerUid,
         confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
@@ -0,0 +1,193 @@
+/**
+ * SELLER REPUTATION TEST SUITE
+ * Tests seller trust scores and badge tiers recomputed from orders, order logs
+ * and disputes (reputation/sellerReputation.js, run nightly by the
+ * recomputeSellerReputation schedule), getSellerReputation and the seller
+ * reputation attached to public product listings
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Calls the recompute job directly against the emulator (scheduled functions
+ *   have no HTTP endpoint)
+ */
+
+const request = require("supertest");
+const { BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createOrderWithStatus } = require("./helpers/orderHelpers");
+const { recomputeSellerReputations } = require("../reputation/sellerReputation");
+
+// ============================================================================
+// SELLER REPUTATION TESTS
+// ============================================================================
+
+describe("Seller Reputation Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    productIds = [];
+    orderIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createOrder(status) {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      status,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  async function cancelOrder(orderId, token) {
+    return request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ orderId, status: "cancelled" });
+  }
+
+  async function getReputation(sellerId = sellerUid) {
+    return request(BASE_URL)
+      .get("/getSellerReputation")
+      .query({ sellerId });
+  }
+
+  // ========================================================================
+  // NEW SELLERS
+  // ========================================================================
+
+  test("Sellers without a computed reputation are new", async () => {
+    const res = await getReputation();
+
+    expect(res.status).toBe(200);
+    expect(res.body.trustScore).toBeNull();
+    expect(res.body.trustTier).toBe("new");
+    expect(res.body.metrics).toBeNull();
+
+    const listRes = await request(BASE_URL)
+      .get("/getPublicProducts")
+      .query({ sellerId: sellerUid });
+
+    expect(listRes.status).toBe(200);
+    expect(listRes.body.products[0].seller).toEqual({ sellerId: sellerUid, trustScore: null, trustTier: "new" });
+  });
+
+  test("Sellers with too few finished orders stay new after a recompute", async () => {
+    await createOrder("delivered");
+    await recomputeSellerReputations();
+
+    const res = await getReputation();
+
+    expect(res.status).toBe(200);
+    expect(res.body.trustTier).toBe("new");
+    expect(res.body.trustScore).toBe(100);
+    expect(res.body.metrics.deliveredCount).toBe(1);
+  }, 60000);
+
+  // ========================================================================
+  // TRUST SCORE AND TIER
+  // ========================================================================
+
+  test("Delivered orders earn a score and tier, shown on product listings", async () => {
+    for (let i = 0; i < 5; i++) {
+      await createOrder("delivered");
+    }
+
+    const { sellers } = await recomputeSellerReputations();
+    expect(sellers).toBeGreaterThan(0);
+
+    const res = await getReputation();
+
+    expect(res.status).toBe(200);
+    expect(res.body.metrics).toMatchObject({
+      orderCount: 5,
+      finishedCount: 5,
+      deliveredCount: 5,
+      shippedCount: 5,
+      fulfilmentRate: 1,
+      cancellationRate: 0,
+      disputesLost: 0,
+    });
+    expect(res.body.metrics.avgShipHours).toBeLessThan(1);
+    expect(res.body.trustScore).toBe(100);
+    expect(res.body.trustTier).toBe("gold");
+
+    const listRes = await request(BASE_URL)
+      .get("/getPublicProducts")
+      .query({ sellerId: sellerUid });
+
+    expect(listRes.status).toBe(200);
+    expect(listRes.body.products[0].seller).toEqual({ sellerId: sellerUid, trustScore: 100, trustTier: "gold" });
+  }, 180000);
+
+  test("Seller cancellations count against the seller, buyer cancellations do not", async () => {
+    const sellerCancelled = await createOrder("pending");
+    const buyerCancelled = await createOrder("pending");
+    expect((await cancelOrder(sellerCancelled, sellerToken)).status).toBe(200);
+    expect((await cancelOrder(buyerCancelled, buyerToken)).status).toBe(200);
+
+    await recomputeSellerReputations();
+
+    const res = await getReputation();
+
+    expect(res.status).toBe(200);
+    expect(res.body.metrics).toMatchObject({
+      orderCount: 1,
+      finishedCount: 1,
+      deliveredCount: 0,
+      sellerCancelledCount: 1,
+      fulfilmentRate: 0,
+      cancellationRate: 1,
+    });
+    expect(res.body.trustScore).toBeLessThan(50);
+  }, 60000);
+
+  // ========================================================================
+  // VALIDATION
+  // ========================================================================
+
+  test("Get reputation: missing sellerId or not a seller (should fail)", async () => {
+    const missingRes = await request(BASE_URL).get("/getSellerReputation");
+    expect(missingRes.status).toBe(400);
+
+    const buyerRes = await getReputation(buyerUid);
+    expect(buyerRes.status).toBe(404);
+  });
+});
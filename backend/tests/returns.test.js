@@ -0,0 +1,409 @@
+/**
+ * RETURNS TEST SUITE
+ * Tests the buyer return / refund (RMA) workflow
+ * (requestReturn, respondToReturn, updateReturnShipment, confirmReturnReceived,
+ * issueReturnRefund, getReturns)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests return window, escrow hold while a return is open, full and partial refunds
+ * - Default commission on "Test" products: 5% (+1% KBZPay surcharge)
+ */
+
+const request = require("supertest");
+const { Timestamp } = require("firebase-admin/firestore");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const {
+  createOrderWithStatus,
+  createDeliveredAndPaidOrder,
+  confirmPayment,
+} = require("./helpers/orderHelpers");
+const { releaseAcceptedOrders } = require("../orders/acceptanceWindow");
+
+// ============================================================================
+// RETURNS TESTS
+// ============================================================================
+
+describe("Returns API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let buyerToken;
+  let sellerToken;
+  let adminToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      adminUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+  async function requestReturnLocal(orderId, body = {}, token = buyerToken) {
+    return request(BASE_URL)
+      .post("/requestReturn")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        orderId,
+        reason: "damaged",
+        description: "Screen cracked on arrival",
+        photoURLs: ["https://example.com/return-photo.jpg"],
+        ...body,
+      });
+  }
+
+  async function respond(returnId, decision, body = {}) {
+    return request(BASE_URL)
+      .post("/respondToReturn")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ returnId, decision, ...body });
+  }
+
+  async function refund(returnId, body = {}) {
+    return request(BASE_URL)
+      .post("/issueReturnRefund")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ returnId, ...body });
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  async function getLedgerTypes(orderId) {
+    const snapshot = await firestore.collection("ledgerEntries").where("orderId", "==", orderId).get();
+    return snapshot.docs.map(doc => doc.data().type).sort();
+  }
+
+  async function getWallet() {
+    const walletDoc = await firestore.collection("wallets").doc(sellerUid).get();
+    return walletDoc.data();
+  }
+
+  // Simulate the buyer acceptance window passing without a confirmation
+  async function endAcceptanceWindow(orderId) {
+    await firestore.collection("orders").doc(orderId).update({
+      acceptanceDeadline: Timestamp.fromMillis(Date.now() - 60 * 1000),
+    });
+  }
+
+  // Delivered KBZPay order that is not paid yet, so its escrow is not released
+  async function createDeliveredUnpaidOrder() {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+      status: "delivered",
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  // ========================================================================
+  // REQUEST RETURN
+  // ========================================================================
+
+  test("Request return (order not delivered - should fail)", async () => {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      status: "shipped",
+    });
+    orderIds.push(orderId);
+
+    const res = await requestReturnLocal(orderId);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/returns open after delivery/);
+  }, 30000);
+
+  test("Request return (return window closed - should fail)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+    await firestore.collection("orders").doc(orderId).update({
+      deliveredAt: Timestamp.fromMillis(Date.now() - 8 * 24 * 60 * 60 * 1000),
+    });
+
+    const res = await requestReturnLocal(orderId);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/return window closed/);
+  }, 30000);
+
+  test("Request return (seller - should fail)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+
+    const res = await requestReturnLocal(orderId, {}, sellerToken);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  test("Request return (missing photo - should fail)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+
+    const res = await requestReturnLocal(orderId, { photoURLs: [] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/at least one photo/);
+  }, 30000);
+
+  test("Request return (second open return - should fail)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+    const first = await requestReturnLocal(orderId, { items: [{ productId, quantity: 1 }] });
+    expect(first.statusCode).toBe(200);
+
+    const res = await requestReturnLocal(orderId, { items: [{ productId, quantity: 1 }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/already open/);
+  }, 30000);
+
+  test("Request return (same product listed twice - should fail)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+
+    const res = await requestReturnLocal(orderId, {
+      items: [{ productId, quantity: 2 }, { productId, quantity: 2 }],
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/listed more than once/);
+    expect((await getOrder(orderId)).activeReturnId || null).toBeNull();
+  }, 30000);
+
+  // ========================================================================
+  // ESCROW HOLD
+  // ========================================================================
+
+  test("Open return holds escrow; partial refund, rest released after the acceptance window", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+
+    const returnRes = await requestReturnLocal(orderId, { items: [{ productId, quantity: 1 }] });
+    expect(returnRes.statusCode).toBe(200);
+    expect(returnRes.body.escrowHeld).toBe(true);
+    expect(returnRes.body.requestedAmount).toBe(10000);
+    const { returnId } = returnRes.body;
+
+    // Payment arrives while the return is open: no automatic release
+    await confirmPayment({ buyerToken, orderId, transactionId: "TXN_RETURN_HOLD" });
+    let order = await getOrder(orderId);
+    expect(order.escrowReleased).toBeFalsy();
+    expect(order.escrowHolds.return.returnId).toBe(returnId);
+
+    const releaseRes = await request(BASE_URL)
+      .post("/releaseEscrow")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ orderId });
+    expect(releaseRes.statusCode).toBe(400);
+    expect(releaseRes.body.error).toMatch(/on hold/);
+
+    // Accept without asking for the item back, then refund half the order
+    const acceptRes = await respond(returnId, "accept", { itemReturnRequired: false });
+    expect(acceptRes.statusCode).toBe(200);
+
+    const refundRes = await refund(returnId);
+    expect(refundRes.statusCode).toBe(200);
+    expect(refundRes.body.refundAmount).toBe(10000);
+    expect(refundRes.body.orderStatus).toBe("delivered");
+    expect(refundRes.body.escrowReleased).toBe(false); // acceptance window still running
+
+    order = await getOrder(orderId);
+    expect(order.refundedAmount).toBe(10000);
+    expect(order.returnedQuantities[productId]).toBe(1);
+    expect(order.escrowHolds.return).toBeUndefined();
+    expect(order.activeReturnId).toBeNull();
+
+    await endAcceptanceWindow(orderId);
+    const { released } = await releaseAcceptedOrders();
+    expect(released).toContain(orderId);
+
+    expect(await getLedgerTypes(orderId)).toEqual(
+      ["escrow_held", "escrow_refunded", "escrow_released", "platform_fee"]
+    );
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(0);
+    expect(wallet.availableBalance).toBe(9400); // 10000 - 600 (fee on the remaining half)
+  }, 30000);
+
+  test("Rejected return clears the hold and releases escrow (acceptance window passed)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+    const returnRes = await requestReturnLocal(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: "TXN_RETURN_REJECT" });
+    await endAcceptanceWindow(orderId);
+
+    const missingNote = await respond(returnRes.body.returnId, "reject");
+    expect(missingNote.statusCode).toBe(400);
+
+    const res = await respond(returnRes.body.returnId, "reject", { note: "Photo shows a different item" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe("rejected");
+    expect(res.body.escrowReleased).toBe(true);
+
+    const order = await getOrder(orderId);
+    expect(order.escrowReleased).toBe(true);
+    expect(order.activeReturnId).toBeNull();
+    const wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(18800);
+  }, 30000);
+
+  // ========================================================================
+  // ITEM RETURN + FULL REFUND
+  // ========================================================================
+
+  test("Full return after escrow release (refund taken from seller wallet)", async () => {
+    const orderId = await createDeliveredAndPaidOrder({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+
+    const returnRes = await requestReturnLocal(orderId);
+    expect(returnRes.statusCode).toBe(200);
+    expect(returnRes.body.escrowHeld).toBe(false);
+    const { returnId } = returnRes.body;
+
+    await respond(returnId, "accept");
+
+    // Item must come back before the refund
+    const earlyRefund = await refund(returnId);
+    expect(earlyRefund.statusCode).toBe(400);
+
+    const shipRes = await request(BASE_URL)
+      .post("/updateReturnShipment")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ returnId, trackingNumber: "RETURN_TRACK_1" });
+    expect(shipRes.statusCode).toBe(200);
+
+    const receivedRes = await request(BASE_URL)
+      .post("/confirmReturnReceived")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ returnId, note: "Item received, box damaged" });
+    expect(receivedRes.statusCode).toBe(200);
+
+    const refundRes = await refund(returnId);
+    expect(refundRes.statusCode).toBe(200);
+    expect(refundRes.body.refundAmount).toBe(20000);
+    expect(refundRes.body.orderStatus).toBe("refunded");
+
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("refunded");
+    expect(order.paymentStatus).toBe("refunded");
+    expect(order.refundedAmount).toBe(20000);
+
+    expect(await getLedgerTypes(orderId)).toEqual(
+      ["escrow_held", "escrow_released", "platform_fee", "platform_fee_refunded", "seller_refund"]
+    );
+    const wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(0);
+    expect(wallet.totalFees).toBe(0);
+
+    const returnDoc = await firestore.collection("returns").doc(returnId).get();
+    expect(returnDoc.data().status).toBe("refunded");
+    expect(returnDoc.data().history.map(entry => entry.status)).toEqual(
+      ["requested", "accepted", "item_shipped", "item_received", "refunded"]
+    );
+  }, 30000);
+
+  test("Refund more than order total (should fail)", async () => {
+    const orderId = await createDeliveredAndPaidOrder({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+
+    const returnRes = await requestReturnLocal(orderId);
+    await respond(returnRes.body.returnId, "accept", { itemReturnRequired: false });
+
+    const res = await refund(returnRes.body.returnId, { amount: 25000 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/at most 20000/);
+  }, 30000);
+
+  test("Refund more than the returned items (should fail)", async () => {
+    const orderId = await createDeliveredAndPaidOrder({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+
+    const returnRes = await requestReturnLocal(orderId, { items: [{ productId, quantity: 1 }] });
+    await respond(returnRes.body.returnId, "accept", { itemReturnRequired: false });
+
+    const res = await refund(returnRes.body.returnId, { amount: 20000 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/at most 10000 MMK can be refunded for this return/);
+    const order = await getOrder(orderId);
+    expect(order.status).toBe("delivered");
+    expect(order.refundedAmount || 0).toBe(0);
+  }, 30000);
+
+  // ========================================================================
+  // LISTING
+  // ========================================================================
+
+  test("Get returns (buyer and seller see the order's return)", async () => {
+    const orderId = await createDeliveredUnpaidOrder();
+    const returnRes = await requestReturnLocal(orderId);
+
+    const buyerRes = await request(BASE_URL)
+      .get("/getReturns")
+      .query({ orderId })
+      .set("Authorization", `Bearer ${buyerToken}`);
+    expect(buyerRes.statusCode).toBe(200);
+    expect(buyerRes.body.returns[0].returnId).toBe(returnRes.body.returnId);
+
+    const sellerRes = await request(BASE_URL)
+      .get("/getReturns")
+      .query({ status: "requested" })
+      .set("Authorization", `Bearer ${sellerToken}`);
+    expect(sellerRes.statusCode).toBe(200);
+    expect(sellerRes.body.returns.some(r => r.returnId === returnRes.body.returnId)).toBe(true);
+  }, 30000);
+});
@@ -0,0 +1,228 @@
+/**
+ * REVIEWS TEST SUITE
+ * Tests verified-purchase reviews of delivered order lines, seller replies,
+ * admin moderation and rating aggregates
+ * (createReview, replyToReview, moderateReview, getReviews)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createOrderWithStatus } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// REVIEW TESTS
+// ============================================================================
+
+describe("Review API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let buyerToken;
+  let sellerToken;
+  let adminToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+
+    productId = await createTestProduct(sellerToken, { name: "Reviewed Product", price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      adminUid,
+      productIds,
+      orderIds,
+    });
+    productIds = [];
+    orderIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createOrder(status = "delivered") {
+    const orderId = await createOrderWithStatus({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      status,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  async function createReview(body, token = buyerToken) {
+    return request(BASE_URL)
+      .post("/createReview")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ productId, rating: 5, ...body });
+  }
+
+  async function moderateReview(body) {
+    return request(BASE_URL)
+      .post("/moderateReview")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+  }
+
+  async function productRating() {
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    return productDoc.data().rating;
+  }
+
+  // ========================================================================
+  // CREATE REVIEW
+  // ========================================================================
+
+  test("Buyer reviews a delivered order line", async () => {
+    const orderId = await createOrder();
+
+    const res = await createReview({ orderId, rating: 4, comment: "Good quality", photoURLs: ["https://example.com/p.jpg"] });
+
+    expect(res.statusCode).toBe(200);
+    const reviewDoc = await firestore.collection("reviews").doc(res.body.reviewId).get();
+    expect(reviewDoc.data().verifiedPurchase).toBe(true);
+    expect(reviewDoc.data().comment).toBe("Good quality");
+    expect(reviewDoc.data().sellerId).toBe(sellerUid);
+  }, 60000);
+
+  test("Ratings are aggregated on the product and the seller", async () => {
+    const firstOrderId = await createOrder();
+    const secondOrderId = await createOrder();
+
+    await createReview({ orderId: firstOrderId, rating: 5 });
+    await createReview({ orderId: secondOrderId, rating: 2 });
+
+    const rating = await productRating();
+    expect(rating.count).toBe(2);
+    expect(rating.average).toBe(3.5);
+    expect(rating.distribution["2"]).toBe(1);
+
+    const sellerDoc = await firestore.collection("users").doc(sellerUid).get();
+    expect(sellerDoc.data().sellerRating.count).toBe(2);
+  }, 90000);
+
+  test("Create review: order not delivered yet (should fail)", async () => {
+    const orderId = await createOrder("shipped");
+
+    const res = await createReview({ orderId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/reviews open after delivery/);
+  }, 60000);
+
+  test("Create review: second review of the same line (should fail)", async () => {
+    const orderId = await createOrder();
+    await createReview({ orderId });
+
+    const res = await createReview({ orderId, rating: 1 });
+
+    expect(res.statusCode).toBe(409);
+    expect((await productRating()).count).toBe(1);
+  }, 60000);
+
+  test("Create review: not the buyer, or invalid rating (should fail)", async () => {
+    const orderId = await createOrder();
+
+    const notBuyer = await createReview({ orderId }, sellerToken);
+    const badRating = await createReview({ orderId, rating: 6 });
+
+    expect(notBuyer.statusCode).toBe(403);
+    expect(badRating.statusCode).toBe(400);
+  }, 60000);
+
+  // ========================================================================
+  // REPLIES AND MODERATION
+  // ========================================================================
+
+  test("Seller replies to a review", async () => {
+    const orderId = await createOrder();
+    const review = await createReview({ orderId });
+
+    const res = await request(BASE_URL)
+      .post("/replyToReview")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ reviewId: review.body.reviewId, reply: "Thank you!" });
+
+    expect(res.statusCode).toBe(200);
+    const reviewDoc = await firestore.collection("reviews").doc(review.body.reviewId).get();
+    expect(reviewDoc.data().sellerReply.text).toBe("Thank you!");
+
+    const notSeller = await request(BASE_URL)
+      .post("/replyToReview")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ reviewId: review.body.reviewId, reply: "Me too" });
+    expect(notSeller.statusCode).toBe(403);
+  }, 60000);
+
+  test("Admin hides an abusive review: not listed, not counted", async () => {
+    const orderId = await createOrder();
+    const review = await createReview({ orderId, rating: 1, comment: "abusive text" });
+
+    const hidden = await moderateReview({ reviewId: review.body.reviewId, hidden: true, reason: "Abusive language" });
+    expect(hidden.statusCode).toBe(200);
+    expect((await productRating()).count).toBe(0);
+
+    const listed = await request(BASE_URL).get("/getReviews").query({ productId });
+    expect(listed.body.reviews).toHaveLength(0);
+
+    await moderateReview({ reviewId: review.body.reviewId, hidden: false });
+    expect((await productRating()).count).toBe(1);
+  }, 60000);
+
+  test("Moderate review: non-admin (should fail)", async () => {
+    const orderId = await createOrder();
+    const review = await createReview({ orderId });
+
+    const res = await request(BASE_URL)
+      .post("/moderateReview")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ reviewId: review.body.reviewId, hidden: true, reason: "I do not like it" });
+
+    expect(res.statusCode).toBe(403);
+  }, 60000);
+
+  // ========================================================================
+  // GET REVIEWS
+  // ========================================================================
+
+  test("Reviews listed by product and by seller, best first", async () => {
+    const firstOrderId = await createOrder();
+    const secondOrderId = await createOrder();
+    await createReview({ orderId: firstOrderId, rating: 3 });
+    await createReview({ orderId: secondOrderId, rating: 5 });
+
+    const byProduct = await request(BASE_URL).get("/getReviews").query({ productId, sort: "rating_desc" });
+    const bySeller = await request(BASE_URL).get("/getReviews").query({ sellerId: sellerUid });
+
+    expect(byProduct.statusCode).toBe(200);
+    expect(byProduct.body.reviews.map(review => review.rating)).toEqual([5, 3]);
+    expect(bySeller.body.count).toBe(2);
+  }, 90000);
+});
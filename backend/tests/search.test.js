@@ -0,0 +1,247 @@
+/**
+ * PRODUCT SEARCH TEST SUITE
+ * Tests searchProducts: English prefix matches, Burmese syllable matches,
+ * Zawgyi input normalized to Unicode, ranking, filters and paging
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Each test searches in its own category, so other products never match
+ */
+
+const request = require("supertest");
+const { BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// PRODUCT SEARCH TESTS
+// ============================================================================
+
+describe("Product Search Tests", () => {
+  let sellerUid;
+  let sellerToken;
+  let category;
+  let productIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    category = `SearchTest${timestamp}`;
+
+    // Create users with phone number auth
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      sellerUid,
+      productIds,
+    });
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createProduct(name, options = {}) {
+    const productId = await createTestProduct(sellerToken, { name, category, ...options });
+    productIds.push(productId);
+    return productId;
+  }
+
+  async function search(params) {
+    return request(BASE_URL)
+      .get("/searchProducts")
+      .query({ category, ...params });
+  }
+
+  function resultIds(res) {
+    return res.body.products.map(product => product.productId);
+  }
+
+  // ========================================================================
+  // MATCHING
+  // ========================================================================
+
+  test("Search English words by prefix", async () => {
+    const shirtId = await createProduct("Cotton Shirt");
+    await createProduct("Leather Sandals");
+
+    const res = await search({ q: "shir" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([shirtId]);
+    expect(res.body.products[0].searchTokens).toBeUndefined();
+  }, 30000);
+
+  test("Search Burmese text by syllable", async () => {
+    const shirtId = await createProduct("ရှပ်အင်္ကျီ အဖြူ");
+    await createProduct("ဖိနပ်");
+
+    const res = await search({ q: "အင်္ကျီ" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([shirtId]);
+  }, 30000);
+
+  test("Zawgyi query finds a Unicode product", async () => {
+    const productId = await createProduct("ကျောင်းလွယ်အိတ်");
+
+    // ေက်ာင္း = ကျောင်း typed in Zawgyi
+    const res = await search({ q: "ေက်ာင္း" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([productId]);
+    expect(res.body.query).toBe("ကျောင်း");
+  }, 30000);
+
+  test("Unicode query finds a Zawgyi product", async () => {
+    // ျမန္မာ ပုဆိုး = မြန်မာ ပုဆိုး typed in Zawgyi
+    const productId = await createProduct("ျမန္မာ ပုဆိုး");
+
+    const res = await search({ q: "မြန်မာ" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([productId]);
+  }, 30000);
+
+  test("Search matches the description", async () => {
+    const productId = await createProduct("Longyi", { description: "Handwoven silk from Mandalay" });
+
+    const res = await search({ q: "mandalay silk" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([productId]);
+  }, 30000);
+
+  test("Inactive products are not found", async () => {
+    const productId = await createProduct("Cotton Shirt");
+    await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, status: "inactive" });
+
+    const res = await search({ q: "shirt" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(0);
+  }, 30000);
+
+  test("Renamed product is found by its new name", async () => {
+    const productId = await createProduct("Cotton Shirt");
+    await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ productId, name: "Silk Blouse" });
+
+    expect(resultIds(await search({ q: "blouse" }))).toEqual([productId]);
+    expect((await search({ q: "shirt" })).body.count).toBe(0);
+  }, 30000);
+
+  // ========================================================================
+  // RANKING
+  // ========================================================================
+
+  test("Name matches rank above description matches", async () => {
+    const descriptionMatchId = await createProduct("Sandals", { description: "Matches any longyi" });
+    const nameMatchId = await createProduct("Silk Longyi");
+
+    const res = await search({ q: "longyi" });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([nameMatchId, descriptionMatchId]);
+    expect(res.body.products[0].score).toBeGreaterThan(res.body.products[1].score);
+  }, 30000);
+
+  test("Products matching every word rank first", async () => {
+    const partialId = await createProduct("Red Shirt");
+    const fullId = await createProduct("Red Silk Shirt");
+
+    const res = await search({ q: "silk shirt" });
+
+    expect(resultIds(res)).toEqual([fullId, partialId]);
+  }, 30000);
+
+  test("Burmese phrase ranks above scattered syllables", async () => {
+    // Same syllables (ရွှေ, ဆွဲ, ကြိုး); only the first has ဆွဲကြိုး together
+    const phraseId = await createProduct("ရွှေ ဆွဲကြိုး");
+    const scatteredId = await createProduct("ကြိုး ဆွဲ ရွှေ");
+
+    const res = await search({ q: "ဆွဲကြိုး" });
+
+    expect(resultIds(res)).toEqual([phraseId, scatteredId]);
+  }, 30000);
+
+  // ========================================================================
+  // FILTERS AND PAGING
+  // ========================================================================
+
+  test("Filter by price range", async () => {
+    await createProduct("Cheap Shirt", { price: 5000 });
+    const midId = await createProduct("Nice Shirt", { price: 15000 });
+    await createProduct("Fancy Shirt", { price: 50000 });
+
+    const res = await search({ q: "shirt", minPrice: 10000, maxPrice: 20000 });
+
+    expect(res.statusCode).toBe(200);
+    expect(resultIds(res)).toEqual([midId]);
+  }, 30000);
+
+  test("Filter by category", async () => {
+    const productId = await createProduct("Cotton Shirt");
+
+    const otherCategory = await search({ q: "shirt", category: `${category}_OTHER` });
+    const sameCategory = await search({ q: "shirt" });
+
+    expect(otherCategory.body.count).toBe(0);
+    expect(resultIds(sameCategory)).toEqual([productId]);
+  }, 30000);
+
+  test("Paginate results", async () => {
+    await createProduct("Shirt One");
+    await createProduct("Shirt Two");
+    await createProduct("Shirt Three");
+
+    const first = await search({ q: "shirt", pageSize: 2, page: 1 });
+    const second = await search({ q: "shirt", pageSize: 2, page: 2 });
+
+    expect(first.body.truncated).toBe(false);
+    expect(first.body.count).toBe(2);
+    expect(first.body.hasMore).toBe(true);
+    expect(second.body.count).toBe(1);
+    expect(second.body.hasMore).toBe(false);
+    expect(resultIds(second)).not.toContain(resultIds(first)[0]);
+  }, 30000);
+
+  // ========================================================================
+  // VALIDATION
+  // ========================================================================
+
+  test("Search without a query (should fail)", async () => {
+    const res = await search({});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/q/);
+  }, 30000);
+
+  test("Search with invalid paging or prices (should fail)", async () => {
+    expect((await search({ q: "shirt", pageSize: 500 })).statusCode).toBe(400);
+    expect((await search({ q: "shirt", page: 0 })).statusCode).toBe(400);
+    expect((await search({ q: "shirt", minPrice: -1 })).statusCode).toBe(400);
+    expect((await search({ q: "shirt", minPrice: 20000, maxPrice: 10000 })).statusCode).toBe(400);
+  }, 30000);
+
+  test("Search with wrong HTTP method (should fail)", async () => {
+    const res = await request(BASE_URL)
+      .post("/searchProducts")
+      .send({ q: "shirt" });
+
+    expect(res.statusCode).toBe(405);
+  }, 30000);
+});
@@ -0,0 +1,179 @@
+/**
+ * SELLER STOREFRONT TEST SUITE
+ * Tests public seller profiles edited by the seller and the public storefront
+ * with the seller's active products (updateSellerProfile, getSellerStorefront)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// SELLER STOREFRONT TESTS
+// ============================================================================
+
+describe("Seller Storefront API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+    });
+    productIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function updateProfile(body, token = sellerToken) {
+    return request(BASE_URL)
+      .patch("/updateSellerProfile")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+  }
+
+  async function getStorefront(query = {}) {
+    return request(BASE_URL)
+      .get("/getSellerStorefront")
+      .query({ sellerId: sellerUid, ...query });
+  }
+
+  // ========================================================================
+  // UPDATE PROFILE
+  // ========================================================================
+
+  test("Seller creates and edits their shop profile", async () => {
+    const createRes = await updateProfile({
+      shopName: "  Golden Lotus Crafts ",
+      logoURL: "https://example.com/logo.png",
+      description: "Handmade lacquerware from Bagan",
+      region: "Yangon",
+      township: "Kamayut",
+    });
+
+    expect(createRes.status).toBe(200);
+    expect(createRes.body.profile).toMatchObject({
+      sellerId: sellerUid,
+      shopName: "Golden Lotus Crafts",
+      logoURL: "https://example.com/logo.png",
+      description: "Handmade lacquerware from Bagan",
+      location: { township: "Kamayut", townshipId: "kamayut", region: "Yangon Region", regionId: "yangon" },
+      verified: true,
+    });
+
+    const editRes = await updateProfile({ description: "Lacquerware and longyi", logoURL: null });
+
+    expect(editRes.status).toBe(200);
+    expect(editRes.body.profile.shopName).toBe("Golden Lotus Crafts");
+    expect(editRes.body.profile.description).toBe("Lacquerware and longyi");
+    expect(editRes.body.profile.logoURL).toBeNull();
+  });
+
+  test("Update profile: first save without shopName or invalid fields (should fail)", async () => {
+    const noNameRes = await updateProfile({ description: "No name yet" });
+    expect(noNameRes.status).toBe(400);
+    expect(noNameRes.body.error).toContain("shopName");
+
+    const logoRes = await updateProfile({ shopName: "Shop", logoURL: "not a url" });
+    expect(logoRes.status).toBe(400);
+    expect(logoRes.body.error).toContain("logoURL");
+
+    const townshipRes = await updateProfile({ shopName: "Shop", region: "Yangon", township: "Pyin Oo Lwin" });
+    expect(townshipRes.status).toBe(400);
+    expect(townshipRes.body.error).toContain("Invalid location");
+
+    const regionOnlyRes = await updateProfile({ shopName: "Shop", region: "Yangon" });
+    expect(regionOnlyRes.status).toBe(400);
+  });
+
+  test("Update profile: buyers cannot have a seller profile (should fail)", async () => {
+    const res = await updateProfile({ shopName: "Not a Shop" }, buyerToken);
+
+    expect(res.status).toBe(401);
+  });
+
+  // ========================================================================
+  // STOREFRONT
+  // ========================================================================
+
+  test("Storefront shows the public profile and never private fields", async () => {
+    await updateProfile({ shopName: "Golden Lotus Crafts" });
+    await firestore.collection("users").doc(sellerUid).update({ kycData: { nrc: "12/KAMAYA(N)123456" } });
+
+    const res = await getStorefront();
+
+    expect(res.status).toBe(200);
+    expect(res.body.seller).toMatchObject({
+      sellerId: sellerUid,
+      shopName: "Golden Lotus Crafts",
+      verified: true,
+      rating: { average: 0, count: 0 },
+      trustTier: "new",
+    });
+    expect(res.body.seller.joinedAt).toBeTruthy();
+
+    const body = JSON.stringify(res.body);
+    expect(body).not.toContain("phoneNumber");
+    expect(body).not.toContain("+959");
+    expect(body).not.toContain("kycData");
+    expect(body).not.toContain("12/KAMAYA(N)123456");
+  });
+
+  test("Storefront lists only active products, one page at a time", async () => {
+    for (let i = 0; i < 3; i++) {
+      productIds.push(await createTestProduct(sellerToken, { name: `Storefront Product ${i}`, price: 1000 + i }));
+    }
+    const inactiveId = await createTestProduct(sellerToken, { name: "Hidden Product", price: 500 });
+    productIds.push(inactiveId);
+    await firestore.collection("products").doc(inactiveId).update({ status: "inactive" });
+
+    const firstRes = await getStorefront({ limit: 2 });
+
+    expect(firstRes.status).toBe(200);
+    expect(firstRes.body.products).toHaveLength(2);
+    expect(firstRes.body.hasMore).toBe(true);
+
+    const secondRes = await getStorefront({ limit: 2, cursor: firstRes.body.nextCursor });
+
+    expect(secondRes.status).toBe(200);
+    expect(secondRes.body.products).toHaveLength(1);
+    expect(secondRes.body.hasMore).toBe(false);
+
+    const listed = [...firstRes.body.products, ...secondRes.body.products].map(product => product.productId);
+    expect(listed).not.toContain(inactiveId);
+  }, 60000);
+
+  test("Storefront: missing sellerId or not a seller (should fail)", async () => {
+    const missingRes = await request(BASE_URL).get("/getSellerStorefront");
+    expect(missingRes.status).toBe(400);
+
+    const buyerRes = await getStorefront({ sellerId: buyerUid });
+    expect(buyerRes.status).toBe(404);
+  });
+});
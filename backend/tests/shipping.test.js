@@ -0,0 +1,253 @@
+/**
+ * SHIPPING TEST SUITE
+ * Tests Myanmar address validation and seller delivery fees
+ * (getMyanmarLocations, setShippingRates, getShippingRates, getDeliveryQuote, createOrder)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests township zones, weight tiers and the free-shipping threshold
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const { createTestOrder } = require("./helpers/orderHelpers");
+
+// ============================================================================
+// SHIPPING TESTS
+// ============================================================================
+
+describe("Shipping API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+
+  const kamayutAddress = {
+    street: "123 Test St",
+    city: "Yangon",
+    region: "Yangon",
+    township: "Kamayut",
+    phone: "+959123456789",
+  };
+
+  const mandalayAddress = {
+    street: "456 Test Ave",
+    city: "Mandalay",
+    region: "Mandalay",
+    township: "Chanayethazan",
+    phone: "+959987654321",
+  };
+
+  // Yangon townships only: 1500 up to 2 kg, 3000 above; free from 50000
+  const yangonRates = {
+    zones: [
+      {
+        zoneId: "yangon-central",
+        name: "Yangon Central",
+        townships: ["yangon/kamayut"],
+        weightTiers: [{ maxWeightKg: 2, fee: 1500 }, { maxWeightKg: null, fee: 3000 }],
+      },
+      {
+        zoneId: "yangon-other",
+        name: "Rest of Yangon",
+        regions: ["yangon"],
+        weightTiers: [{ maxWeightKg: null, fee: 2500 }],
+      },
+    ],
+    defaultZone: null,
+    freeShippingThreshold: 50000,
+  };
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100, weightKg: 1.5 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await deleteFirestoreDoc("shippingRates", sellerUid);
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+  }, 30000);
+
+  async function setRates(rates, token = sellerToken) {
+    return request(BASE_URL)
+      .post("/setShippingRates")
+      .set("Authorization", `Bearer ${token}`)
+      .send(rates);
+  }
+
+  // ========================================================================
+  // LOCATIONS & ADDRESS VALIDATION
+  // ========================================================================
+
+  test("Get Myanmar locations (single region)", async () => {
+    const res = await request(BASE_URL)
+      .get("/getMyanmarLocations")
+      .query({ region: "Yangon Region" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.region.id).toBe("yangon");
+    expect(res.body.region.townships.some(t => t.key === "yangon/kamayut")).toBe(true);
+  }, 30000);
+
+  test("Create order (township not in region - should fail)", async () => {
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({
+        sellerId: sellerUid,
+        products: [{ productId, quantity: 1 }],
+        paymentMethod: "COD",
+        deliveryAddress: { ...kamayutAddress, township: "Chanayethazan" },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Missing or invalid delivery address: township 'Chanayethazan' is not in Yangon/);
+  }, 30000);
+
+  test("Create order stores canonical address ids", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 1 }],
+      deliveryAddress: { ...kamayutAddress, region: "yangon", township: "KAMAYUT" },
+    });
+    orderIds.push(orderId);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const { deliveryAddress, deliveryFee, totalAmount } = orderDoc.data();
+    expect(deliveryAddress.regionId).toBe("yangon");
+    expect(deliveryAddress.townshipId).toBe("kamayut");
+    expect(deliveryAddress.township).toBe("Kamayut");
+    expect(deliveryFee).toBe(0); // no rate table
+    expect(totalAmount).toBe(10000);
+  }, 30000);
+
+  // ========================================================================
+  // SHIPPING RATES
+  // ========================================================================
+
+  test("Set shipping rates (unknown township - should fail)", async () => {
+    const res = await setRates({
+      zones: [{ zoneId: "z1", name: "Zone", townships: ["yangon/nowhere"], weightTiers: [{ fee: 1000 }] }],
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/unknown township/);
+  }, 30000);
+
+  test("Set shipping rates (buyer - should fail)", async () => {
+    const res = await setRates(yangonRates, buyerToken);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  test("Set and get shipping rates", async () => {
+    const setRes = await setRates(yangonRates);
+    expect(setRes.statusCode).toBe(200);
+
+    const res = await request(BASE_URL)
+      .get("/getShippingRates")
+      .query({ sellerId: sellerUid });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.rates.zones.length).toBe(2);
+    expect(res.body.rates.zones[0].townships).toEqual(["yangon/kamayut"]);
+    expect(res.body.rates.freeShippingThreshold).toBe(50000);
+  }, 30000);
+
+  // ========================================================================
+  // DELIVERY FEES
+  // ========================================================================
+
+  test("Create order adds delivery fee to total (weight tier)", async () => {
+    await setRates(yangonRates);
+
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({
+        sellerId: sellerUid,
+        products: [{ productId, quantity: 2 }], // 3 kg → second tier
+        paymentMethod: "COD",
+        deliveryAddress: kamayutAddress,
+      });
+    orderIds.push(res.body.orderId);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.deliveryFee).toBe(3000);
+    expect(res.body.totalAmount).toBe(23000);
+
+    const orderDoc = await firestore.collection("orders").doc(res.body.orderId).get();
+    const orderData = orderDoc.data();
+    expect(orderData.subtotal).toBe(20000);
+    expect(orderData.deliveryQuote.zoneId).toBe("yangon-central");
+    expect(orderData.deliveryQuote.weightKg).toBe(3);
+    expect(orderData.feeBreakdown.deliveryFee).toBe(3000);
+    expect(orderData.feeBreakdown.commissionAmount).toBe(1000); // 5% of items only
+    expect(orderData.feeBreakdown.sellerNetAmount).toBe(22000);
+  }, 30000);
+
+  test("Delivery quote (free shipping threshold)", async () => {
+    await setRates(yangonRates);
+
+    const res = await request(BASE_URL)
+      .post("/getDeliveryQuote")
+      .send({
+        sellerId: sellerUid,
+        products: [{ productId, quantity: 5 }],
+        deliveryAddress: kamayutAddress,
+      });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.subtotal).toBe(50000);
+    expect(res.body.deliveryFee).toBe(0);
+    expect(res.body.freeShippingApplied).toBe(true);
+    expect(res.body.totalAmount).toBe(50000);
+  }, 30000);
+
+  test("Create order (township not covered by seller - should fail)", async () => {
+    await setRates(yangonRates);
+
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({
+        sellerId: sellerUid,
+        products: [{ productId, quantity: 1 }],
+        paymentMethod: "COD",
+        deliveryAddress: mandalayAddress,
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Seller does not deliver to Chanayethazan/);
+
+    // Stock untouched
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    expect(productDoc.data().stock).toBe(100);
+  }, 30000);
+});
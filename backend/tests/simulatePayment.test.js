@@ -15,7 +15,7 @@ const { firestore, BASE_URL } = require("./helpers/testSetup");
 const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
 const { cleanupTestData } = require("./helpers/cleanupHelpers");
 const { createTestProduct } = require("./helpers/productHelpers");
-const { createTestOrder } = require("./helpers/orderHelpers");
+const { createTestOrder, getDeliveryOtp } = require("./helpers/orderHelpers");
 
 // ============================================================================
 // SIMULATE PAYMENT TESTS
@@ -158,7 +158,7 @@ describe("Simulate Payment API Tests", () => {
   }, 30000);
 
 
-  test("Simulate payment (delivered order - auto-release escrow)", async () => {
+  test("Simulate payment (delivered and accepted order - auto-release escrow)", async () => {
     const orderId = await createTestOrderLocal("KBZPay");
 
     // Update order status to delivered
@@ -186,11 +186,18 @@ describe("Simulate Payment API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
 
-    // Now simulate payment (order is already delivered)
+    // Buyer confirms receipt before paying (escrow waits for the payment)
+    const confirmRes = await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+    expect(confirmRes.body.escrowReleased).toBe(false);
+
+    // Now simulate payment (order is already delivered and accepted)
     const res = await request(BASE_URL)
       .post("/simulatePayment")
       .set("Authorization", `Bearer ${buyerToken}`)
@@ -10,11 +10,12 @@
  */
 
 const request = require("supertest");
+const { Timestamp } = require("firebase-admin/firestore");
 const { firestore, BASE_URL } = require("./helpers/testSetup");
 const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
 const { cleanupTestData } = require("./helpers/cleanupHelpers");
 const { createTestProduct } = require("./helpers/productHelpers");
-const { createTestOrder } = require("./helpers/orderHelpers");
+const { createTestOrder, getDeliveryOtp } = require("./helpers/orderHelpers");
 
 // ============================================================================
 // UPDATE ORDER STATUS TESTS
@@ -173,7 +174,7 @@ describe("Update Order Status API Tests", () => {
         status: "delivered",
         proofOfDelivery: {
           photoURL: "https://example.com/delivery-photo.jpg",
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
           deliveryNotes: "Delivered to recipient",
         },
       });
@@ -189,12 +190,13 @@ describe("Update Order Status API Tests", () => {
     expect(orderData.deliveredAt).toBeDefined();
     expect(orderData.proofOfDelivery).toBeDefined();
     expect(orderData.proofOfDelivery.photoURL).toBe("https://example.com/delivery-photo.jpg");
-    expect(orderData.proofOfDelivery.otpCode).toBe("123456");
+    expect(orderData.proofOfDelivery.otpVerified).toBe(true);
+    expect(orderData.proofOfDelivery.otpCode).toBeUndefined(); // Never stored
     expect(orderData.proofOfDelivery.deliveryNotes).toBe("Delivered to recipient");
     expect(orderData.proofOfDelivery.confirmedBy).toBe(sellerUid);
   }, 30000);
 
-  test("Update order status (delivered - COD auto-payment and escrow release)", async () => {
+  test("Update order status (delivered - COD auto-payment, escrow held for acceptance)", async () => {
     const orderId = await createTestOrderLocal("COD"); // COD order
 
     // Status progression
@@ -215,7 +217,7 @@ describe("Update Order Status API Tests", () => {
         trackingNumber: "TRACK123456789",
       });
 
-    // Mark as delivered (COD should auto-pay and release escrow)
+    // Mark as delivered (COD should auto-pay; escrow waits for the buyer)
     const res = await request(BASE_URL)
       .patch("/updateOrderStatus")
       .set("Authorization", `Bearer ${sellerToken}`)
@@ -223,19 +225,82 @@ describe("Update Order Status API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
 
     expect(res.statusCode).toBe(200);
 
-    // Verify COD payment is auto-confirmed and escrow is released
+    // Verify COD payment is auto-confirmed and the acceptance window started
     const orderDoc = await firestore.collection("orders").doc(orderId).get();
     const orderData = orderDoc.data();
     expect(orderData.paymentStatus).toBe("paid"); // COD auto-paid on delivery
-    expect(orderData.escrowReleased).toBe(true); // Escrow auto-released
-    expect(orderData.escrowReleasedAt).toBeDefined();
-    expect(orderData.escrowReleasedBy).toBe("system"); // Automated release
+    expect(orderData.escrowReleased).toBe(false); // Held until the buyer accepts
+    const windowHours = (orderData.acceptanceDeadline.toMillis() - Date.now()) / (60 * 60 * 1000);
+    expect(windowHours).toBeGreaterThan(71);
+    expect(windowHours).toBeLessThanOrEqual(72);
+  }, 30000);
+
+  test("Confirm receipt (buyer - releases escrow)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+
+    for (const update of [
+      { status: "confirmed" },
+      { status: "shipped", trackingNumber: "TRACK123456789" },
+    ]) {
+      await request(BASE_URL)
+        .patch("/updateOrderStatus")
+        .set("Authorization", `Bearer ${sellerToken}`)
+        .send({ orderId, ...update });
+    }
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId,
+        status: "delivered",
+        proofOfDelivery: { otpCode: await getDeliveryOtp(buyerToken, orderId) },
+      });
+
+    // Seller cannot confirm on the buyer's behalf
+    const sellerRes = await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId });
+    expect(sellerRes.statusCode).toBe(403);
+
+    const res = await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.escrowReleased).toBe(true);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const orderData = orderDoc.data();
+    expect(orderData.buyerConfirmedAt).toBeDefined();
+    expect(orderData.escrowReleased).toBe(true);
+    expect(orderData.escrowReleasedBy).toBe(buyerUid);
+
+    // Confirming twice fails
+    const again = await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+    expect(again.statusCode).toBe(400);
+  }, 30000);
+
+  test("Confirm receipt (order not delivered - should fail)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+
+    const res = await request(BASE_URL)
+      .post("/confirmOrderReceipt")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/not delivered/);
   }, 30000);
 
   test("Update order status (delivered - KBZPay with pre-confirmed payment)", async () => {
@@ -268,7 +333,7 @@ describe("Update Order Status API Tests", () => {
         trackingNumber: "TRACK123456789",
       });
 
-    // Mark as delivered (payment already confirmed, escrow should auto-release)
+    // Mark as delivered (payment already confirmed, escrow held for the acceptance window)
     const res = await request(BASE_URL)
       .patch("/updateOrderStatus")
       .set("Authorization", `Bearer ${sellerToken}`)
@@ -282,11 +347,99 @@ describe("Update Order Status API Tests", () => {
 
     expect(res.statusCode).toBe(200);
 
-    // Verify escrow is released (payment was already confirmed)
+    // Verify escrow is still held (buyer has not accepted yet)
+    expect(res.body.acceptanceDeadline).toBeDefined();
     const orderDoc = await firestore.collection("orders").doc(orderId).get();
     const orderData = orderDoc.data();
     expect(orderData.paymentStatus).toBe("paid");
-    expect(orderData.escrowReleased).toBe(true); // Escrow auto-released after delivery
+    expect(orderData.escrowReleased).toBe(false);
+  }, 30000);
+
+  // ========================================================================
+  // LIFECYCLE TESTS: NO SKIPPING STEPS
+  // ========================================================================
+
+  test("Update order status (pending → delivered - should fail)", async () => {
+    const orderId = await createTestOrderLocal();
+
+    // Seller tries to jump straight to delivered
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId: orderId,
+        status: "delivered",
+        proofOfDelivery: {
+          otpCode: "123456",
+        },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid status transition/);
+    expect(res.body.error).toMatch(/pending.*delivered/);
+
+    // Verify order is still pending and nothing was released
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const orderData = orderDoc.data();
+    expect(orderData.status).toBe("pending");
+    expect(orderData.paymentStatus).toBe("pending");
+    expect(orderData.escrowReleased).toBeUndefined();
+  }, 30000);
+
+  test("Update order status (confirmed → delivered - should fail)", async () => {
+    const orderId = await createTestOrderLocal();
+
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId: orderId,
+        status: "confirmed",
+      });
+
+    // Seller tries to skip shipping
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId: orderId,
+        status: "delivered",
+        proofOfDelivery: {
+          otpCode: "123456",
+        },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid status transition/);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().status).toBe("confirmed");
+  }, 30000);
+
+  test("Update order status (seller moves order back to pending - should fail)", async () => {
+    const orderId = await createTestOrderLocal();
+
+    await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId: orderId,
+        status: "confirmed",
+      });
+
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId: orderId,
+        status: "pending",
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid status transition/);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().status).toBe("confirmed");
   }, 30000);
 
   // ========================================================================
@@ -426,7 +579,7 @@ describe("Update Order Status API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
         },
       });
 
@@ -926,7 +1079,30 @@ describe("Update Order Status API Tests", () => {
       });
 
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toMatch(/COD orders require stronger proof/);
+    expect(res.body.error).toMatch(/COD orders require the buyer's delivery code/);
+  }, 30000);
+
+  test("Update order status (delivered - COD with photo and signature but no OTP - should fail)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId,
+        status: "delivered",
+        proofOfDelivery: {
+          photoURL: "https://example.com/photo.jpg",
+          signatureURL: "https://example.com/signature.jpg",
+        },
+      });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/COD orders require the buyer's delivery code/);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().status).toBe("shipped");
   }, 30000);
 
   test("Update order status (delivered - COD with OTP proof - should succeed)", async () => {
@@ -957,7 +1133,7 @@ describe("Update Order Status API Tests", () => {
         orderId: orderId,
         status: "delivered",
         proofOfDelivery: {
-          otpCode: "123456", // Strong proof for COD
+          otpCode: await getDeliveryOtp(buyerToken, orderId), // Strong proof for COD
         },
       });
 
@@ -1030,7 +1206,7 @@ describe("Update Order Status API Tests", () => {
         status: "delivered",
         proofOfDelivery: {
           photoURL: "https://example.com/photo.jpg",
-          otpCode: "123456",
+          otpCode: await getDeliveryOtp(buyerToken, orderId),
           signatureURL: "https://example.com/signature.jpg",
           deliveryNotes: "Delivered successfully",
         },
@@ -1042,11 +1218,179 @@ describe("Update Order Status API Tests", () => {
     const orderDoc = await firestore.collection("orders").doc(orderId).get();
     const proof = orderDoc.data().proofOfDelivery;
     expect(proof.photoURL).toBe("https://example.com/photo.jpg");
-    expect(proof.otpCode).toBe("123456");
+    expect(proof.otpVerified).toBe(true);
     expect(proof.signatureURL).toBe("https://example.com/signature.jpg");
     expect(proof.deliveryNotes).toBe("Delivered successfully");
   }, 30000);
 
+  // ========================================================================
+  // DELIVERY OTP
+  // ========================================================================
+
+  async function shipOrder(orderId) {
+    for (const update of [
+      { status: "confirmed" },
+      { status: "shipped", trackingNumber: "TRACK123456789" },
+    ]) {
+      await request(BASE_URL)
+        .patch("/updateOrderStatus")
+        .set("Authorization", `Bearer ${sellerToken}`)
+        .send({ orderId, ...update });
+    }
+  }
+
+  async function deliverWithOtp(orderId, otpCode) {
+    return request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId, status: "delivered", proofOfDelivery: { otpCode } });
+  }
+
+  // A 6-digit code guaranteed not to be the real one
+  function wrongCode(code) {
+    return code === "000000" ? "111111" : "000000";
+  }
+
+  test("Delivery OTP (issued on shipping, shown to the buyer only, hashed at rest)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+
+    const buyerRes = await request(BASE_URL)
+      .get("/getOrderById")
+      .query({ orderId })
+      .set("Authorization", `Bearer ${buyerToken}`);
+    expect(buyerRes.statusCode).toBe(200);
+    expect(buyerRes.body.order.deliveryOtp.code).toMatch(/^\d{6}$/);
+    expect(buyerRes.body.order.deliveryOtp.attemptsLeft).toBe(5);
+
+    const sellerRes = await request(BASE_URL)
+      .get("/getOrderById")
+      .query({ orderId })
+      .set("Authorization", `Bearer ${sellerToken}`);
+    expect(sellerRes.statusCode).toBe(200);
+    expect(sellerRes.body.order.deliveryOtp).toBeUndefined();
+
+    const otpDoc = await firestore.collection("deliveryOtps").doc(orderId).get();
+    expect(otpDoc.exists).toBe(true);
+    expect(JSON.stringify(otpDoc.data())).not.toContain(buyerRes.body.order.deliveryOtp.code);
+  }, 30000);
+
+  test("Delivery OTP (wrong code - should fail and count the attempt)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+    const code = await getDeliveryOtp(buyerToken, orderId);
+
+    const res = await deliverWithOtp(orderId, wrongCode(code));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Incorrect delivery code/);
+    expect(res.body.attemptsLeft).toBe(4);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    expect(orderDoc.data().status).toBe("shipped");
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "delivery_otp_failed")
+      .get();
+    expect(logs.docs.length).toBe(1);
+    expect(logs.docs[0].data().metadata.reason).toBe("mismatch");
+
+    // The right code still works
+    const okRes = await deliverWithOtp(orderId, code);
+    expect(okRes.statusCode).toBe(200);
+  }, 30000);
+
+  test("Delivery OTP (locked after 5 wrong codes - should fail)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+    const code = await getDeliveryOtp(buyerToken, orderId);
+
+    for (let i = 0; i < 5; i++) {
+      await deliverWithOtp(orderId, wrongCode(code));
+    }
+
+    const res = await deliverWithOtp(orderId, code);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Too many incorrect delivery codes/);
+    expect(res.body.attemptsLeft).toBe(0);
+  }, 30000);
+
+  test("Delivery OTP (expired code - should fail)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+    const code = await getDeliveryOtp(buyerToken, orderId);
+
+    await firestore.collection("deliveryOtps").doc(orderId).update({
+      expiresAt: Timestamp.fromMillis(Date.now() - 60 * 1000),
+    });
+
+    const res = await deliverWithOtp(orderId, code);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/expired/);
+  }, 30000);
+
+  test("Delivery OTP (rejected update does not use up the code)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+    const code = await getDeliveryOtp(buyerToken, orderId);
+
+    // The buyer cannot mark the order delivered, even with the right code
+    const buyerRes = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, status: "delivered", proofOfDelivery: { otpCode: code } });
+    expect(buyerRes.statusCode).toBe(403);
+
+    const otpDoc = await firestore.collection("deliveryOtps").doc(orderId).get();
+    expect(otpDoc.data().verifiedAt).toBeNull();
+
+    const res = await deliverWithOtp(orderId, code);
+    expect(res.statusCode).toBe(200);
+  }, 30000);
+
+  test("Delivery OTP (admin override after lockout; sellers cannot override)", async () => {
+    const orderId = await createTestOrderLocal("COD");
+    await shipOrder(orderId);
+    const code = await getDeliveryOtp(buyerToken, orderId);
+    for (let i = 0; i < 5; i++) {
+      await deliverWithOtp(orderId, wrongCode(code));
+    }
+
+    const sellerRes = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        orderId,
+        status: "delivered",
+        proofOfDelivery: { photoURL: "https://example.com/photo.jpg", otpOverrideReason: "Buyer lost the code" },
+      });
+    expect(sellerRes.statusCode).toBe(403);
+
+    const adminRes = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        orderId,
+        status: "delivered",
+        proofOfDelivery: { otpOverrideReason: "Buyer confirmed receipt by phone" },
+      });
+    expect(adminRes.statusCode).toBe(200);
+
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    const proof = orderDoc.data().proofOfDelivery;
+    expect(proof.otpVerified).toBe(false);
+    expect(proof.otpOverride).toEqual({ reason: "Buyer confirmed receipt by phone", overriddenBy: adminUid });
+
+    const logs = await firestore.collection("orderLogs")
+      .where("orderId", "==", orderId)
+      .where("eventType", "==", "delivery_otp_overridden")
+      .get();
+    expect(logs.docs.length).toBe(1);
+  }, 60000);
+
   // ========================================================================
   // ADMIN TESTS
   // ========================================================================
@@ -1264,6 +1608,8 @@ describe("Update Order Status API Tests", () => {
         deliveryAddress: {
           street: "123 Test St",
           city: "Yangon",
+          region: "Yangon",
+          township: "Kamayut",
           phone: "+959123456789",
         },
       });
@@ -0,0 +1,172 @@
+/**
+ * USER CLAIMS TEST SUITE
+ * Tests roles mirrored from users/{uid} into Auth custom claims, session
+ * revocation when a role is lost or the profile is deleted and the admin demote endpoint
+ * (syncUserClaims, demoteUser)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Claims are set by a Firestore trigger, so tests wait for them
+ */
+
+const request = require("supertest");
+const admin = require("firebase-admin");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData } = require("./helpers/cleanupHelpers");
+
+// ============================================================================
+// USER CLAIMS TESTS
+// ============================================================================
+
+describe("User Claims API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let sellerToken;
+  let adminToken;
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+
+    // Create users with phone number auth
+    await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({ buyerUid, sellerUid, adminUid });
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  // Wait for the trigger to bring a user's custom claims to the expected values
+  async function waitForClaims(uid, expected, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    let claims = {};
+    while (Date.now() < deadline) {
+      const authUser = await admin.auth().getUser(uid);
+      claims = authUser.customClaims || {};
+      if (claims.role === expected.role && claims.verificationStatus === expected.verificationStatus) {
+        return authUser;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error(`Claims of ${uid} are ${JSON.stringify(claims)}, expected ${JSON.stringify(expected)}`);
+  }
+
+  async function demoteUser(body, token = adminToken) {
+    return request(BASE_URL)
+      .post("/demoteUser")
+      .set("Authorization", `Bearer ${token}`)
+      .send(body);
+  }
+
+  // ========================================================================
+  // SYNC
+  // ========================================================================
+
+  test("New users get their role and verification status as claims", async () => {
+    await waitForClaims(buyerUid, { role: "buyer", verificationStatus: "unverified" });
+    await waitForClaims(sellerUid, { role: "seller", verificationStatus: "verified" });
+    await waitForClaims(adminUid, { role: "admin", verificationStatus: "unverified" });
+
+    const claimsDoc = await firestore.collection("userClaims").doc(sellerUid).get();
+    expect(claimsDoc.data()).toMatchObject({ uid: sellerUid, role: "seller", verificationStatus: "verified" });
+  }, 30000);
+
+  test("Profile edits that keep the role do not touch the claims", async () => {
+    await waitForClaims(buyerUid, { role: "buyer", verificationStatus: "unverified" });
+    const before = await firestore.collection("userClaims").doc(buyerUid).get();
+
+    await firestore.collection("users").doc(buyerUid).update({ displayName: "Renamed Buyer" });
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    const after = await firestore.collection("userClaims").doc(buyerUid).get();
+    expect(after.data().claimsUpdatedAt.isEqual(before.data().claimsUpdatedAt)).toBe(true);
+  }, 30000);
+
+  test("Deleted profile: claims record kept without a role and old tokens revoked", async () => {
+    await waitForClaims(adminUid, { role: "admin", verificationStatus: "unverified" });
+    // Revocation has one-second precision: sign-in and deletion must not share a second
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    await firestore.collection("users").doc(adminUid).delete();
+    // The record is written last, once the claims are cleared and sessions revoked
+    let claimsDoc;
+    for (let i = 0; i < 30; i++) {
+      claimsDoc = await firestore.collection("userClaims").doc(adminUid).get();
+      if (claimsDoc.exists && claimsDoc.data().role === null) break;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    expect(claimsDoc.data()).toMatchObject({ uid: adminUid, role: null, verificationStatus: null });
+    const { auth_time: authTime } = await admin.auth().verifyIdToken(adminToken);
+    expect(claimsDoc.data().revokeTime).toBeGreaterThan(authTime);
+    await expect(admin.auth().verifyIdToken(adminToken, true)).rejects.toMatchObject({
+      code: "auth/id-token-revoked",
+    });
+    expect((await admin.auth().getUser(adminUid)).customClaims || {}).not.toHaveProperty("role");
+  }, 30000);
+
+  // ========================================================================
+  // DEMOTE
+  // ========================================================================
+
+  test("Admin demotes a seller to buyer: claims follow and sessions are revoked", async () => {
+    const before = await waitForClaims(sellerUid, { role: "seller", verificationStatus: "verified" });
+    // Revocation has one-second precision: sign-in and demotion must not share a second
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const res = await demoteUser({ userId: sellerUid, role: "buyer", reason: "Repeated counterfeit listings" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ oldRole: "seller", role: "buyer" });
+
+    const userDoc = await firestore.collection("users").doc(sellerUid).get();
+    expect(userDoc.data()).toMatchObject({ role: "buyer", verificationStatus: "unverified" });
+    expect(userDoc.data().roleChange).toMatchObject({ from: "seller", to: "buyer", changedBy: adminUid });
+
+    const after = await waitForClaims(sellerUid, { role: "buyer", verificationStatus: "unverified" });
+    await expect(admin.auth().verifyIdToken(sellerToken, true)).rejects.toMatchObject({
+      code: "auth/id-token-revoked",
+    });
+    expect(new Date(after.tokensValidAfterTime).getTime())
+      .toBeGreaterThanOrEqual(new Date(before.tokensValidAfterTime).getTime());
+  }, 30000);
+
+  test("Demote: not lower than the current role, self or unknown user (should fail)", async () => {
+    const sameRes = await demoteUser({ userId: sellerUid, role: "seller", reason: "No change" });
+    expect(sameRes.status).toBe(400);
+
+    const buyerRes = await demoteUser({ userId: buyerUid, role: "seller", reason: "Promotion" });
+    expect(buyerRes.status).toBe(400);
+
+    const selfRes = await demoteUser({ userId: adminUid, role: "buyer", reason: "Stepping down" });
+    expect(selfRes.status).toBe(400);
+
+    const noReasonRes = await demoteUser({ userId: sellerUid, role: "buyer" });
+    expect(noReasonRes.status).toBe(400);
+
+    const missingRes = await demoteUser({ userId: "TEST_NO_SUCH_USER", role: "buyer", reason: "Gone" });
+    expect(missingRes.status).toBe(404);
+
+    const userDoc = await firestore.collection("users").doc(sellerUid).get();
+    expect(userDoc.data().role).toBe("seller");
+  });
+
+  test("Demote: non-admins cannot demote (should fail)", async () => {
+    const res = await demoteUser({ userId: buyerUid, role: "buyer", reason: "Not allowed" }, sellerToken);
+
+    expect(res.status).toBe(403);
+  });
+});
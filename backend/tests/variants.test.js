@@ -0,0 +1,348 @@
+/**
+ * PRODUCT VARIANTS TEST SUITE
+ * Tests products with variants (products/variants.js): per-variant SKU, price
+ * and stock, orders referencing a variantId with the variant snapshotted on the
+ * line, variants as separate cart lines, and stock restored to the right
+ * variant on cancellation
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+
+// ============================================================================
+// PRODUCT VARIANTS TESTS
+// ============================================================================
+
+describe("Product Variants Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let buyerToken;
+  let sellerToken;
+  let productId;
+  let variantIds;
+  let productIds = [];
+  let orderIds = [];
+  let checkoutIds = [];
+
+  const deliveryAddress = {
+    street: "123 Test St",
+    city: "Yangon",
+    region: "Yangon",
+    township: "Kamayut",
+    phone: "+959123456789",
+  };
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+
+    const res = await createVariantProduct([
+      { sku: "SHIRT-M-RED", attributes: { size: "M", colour: "Red" }, price: 12000, stock: 5 },
+      { sku: "SHIRT-L-RED", attributes: { size: "L", colour: "Red" }, price: 15000, stock: 2 },
+    ]);
+    expect(res.statusCode).toBe(200);
+    productId = res.body.productId;
+    productIds.push(productId);
+
+    // variantIds by sku
+    variantIds = {};
+    for (const variant of Object.values(res.body.variants)) {
+      variantIds[variant.sku] = variant.variantId;
+    }
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      productIds,
+      orderIds,
+    });
+    await deleteFirestoreDoc("carts", buyerUid);
+    for (const checkoutId of checkoutIds) {
+      await deleteFirestoreDoc("checkouts", checkoutId);
+    }
+    orderIds = [];
+    productIds = [];
+    checkoutIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+
+  async function createVariantProduct(variants, extra = {}) {
+    return request(BASE_URL)
+      .post("/createProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        name: "Test Shirt",
+        category: "Test",
+        variantOptions: ["size", "colour"],
+        variants,
+        ...extra,
+      });
+  }
+
+  async function postOrder(products) {
+    const res = await request(BASE_URL)
+      .post("/createOrder")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ sellerId: sellerUid, products, paymentMethod: "COD", deliveryAddress });
+    if (res.body.orderId) {
+      orderIds.push(res.body.orderId);
+    }
+    return res;
+  }
+
+  async function getProduct() {
+    const productDoc = await firestore.collection("products").doc(productId).get();
+    return productDoc.data();
+  }
+
+  async function getOrder(orderId) {
+    const orderDoc = await firestore.collection("orders").doc(orderId).get();
+    return orderDoc.data();
+  }
+
+  // ========================================================================
+  // CREATE / UPDATE PRODUCT
+  // ========================================================================
+
+  test("Create product with variants (price and stock derived from the variants)", async () => {
+    const product = await getProduct();
+
+    expect(product.variantOptions).toEqual(["size", "colour"]);
+    expect(Object.keys(product.variants).length).toBe(2);
+    expect(product.price).toBe(12000);
+    expect(product.stock).toBe(7);
+
+    const variant = product.variants[variantIds["SHIRT-L-RED"]];
+    expect(variant.attributes).toEqual({ size: "L", colour: "Red" });
+    expect(variant.price).toBe(15000);
+    expect(variant.stock).toBe(2);
+  }, 30000);
+
+  test("Create product with duplicate sku (should fail)", async () => {
+    const res = await createVariantProduct([
+      { sku: "DUP", attributes: { size: "M", colour: "Red" }, price: 12000, stock: 1 },
+      { sku: "DUP", attributes: { size: "L", colour: "Red" }, price: 12000, stock: 1 },
+    ]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/duplicate sku/);
+  }, 30000);
+
+  test("Create product with a missing attribute (should fail)", async () => {
+    const res = await createVariantProduct([
+      { sku: "SHIRT-M", attributes: { size: "M" }, price: 12000, stock: 1 },
+    ]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Invalid variants: attributes/);
+  }, 30000);
+
+  test("Create product with variants and a product price (should fail)", async () => {
+    const res = await createVariantProduct(
+      [{ sku: "SHIRT-M", attributes: { size: "M", colour: "Red" }, price: 12000, stock: 1 }],
+      { price: 12000 }
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/set price and stock per variant/);
+  }, 30000);
+
+  test("Update a variant and add a new one", async () => {
+    const res = await request(BASE_URL)
+      .patch("/updateProduct")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({
+        productId,
+        variants: [
+          { variantId: variantIds["SHIRT-M-RED"], sku: "SHIRT-M-RED", attributes: { size: "M", colour: "Red" }, price: 11000, stock: 8 },
+          { sku: "SHIRT-M-BLUE", attributes: { size: "M", colour: "Blue" }, price: 11000, stock: 3 },
+        ],
+      });
+
+    expect(res.statusCode).toBe(200);
+
+    const product = await getProduct();
+    expect(Object.keys(product.variants).length).toBe(3);
+    expect(product.variants[variantIds["SHIRT-M-RED"]].stock).toBe(8);
+    expect(product.price).toBe(11000);
+    expect(product.stock).toBe(13);
+  }, 30000);
+
+  // ========================================================================
+  // ORDERS
+  // ========================================================================
+
+  test("Order a variant (line snapshots the variant, variant stock held)", async () => {
+    const variantId = variantIds["SHIRT-L-RED"];
+
+    const res = await postOrder([{ productId, variantId, quantity: 2 }]);
+
+    expect(res.statusCode).toBe(200);
+    const order = await getOrder(res.body.orderId);
+    expect(order.products[0]).toMatchObject({
+      productId,
+      variantId,
+      sku: "SHIRT-L-RED",
+      attributes: { size: "L", colour: "Red" },
+      price: 15000,
+      quantity: 2,
+    });
+
+    const product = await getProduct();
+    expect(product.variants[variantId].stock).toBe(0);
+    expect(product.variants[variantId].reservedStock).toBe(2);
+    expect(product.stock).toBe(5);
+  }, 30000);
+
+  test("Order a product with variants without a variantId (should fail)", async () => {
+    const res = await postOrder([{ productId, quantity: 1 }]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/requires a variantId/);
+  }, 30000);
+
+  test("Order more than the variant's stock (should fail)", async () => {
+    const res = await postOrder([{ productId, variantId: variantIds["SHIRT-L-RED"], quantity: 3 }]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient stock/);
+  }, 30000);
+
+  test("Order a variant of a product without variants (should fail)", async () => {
+    const plainProductId = await createTestProduct(sellerToken, { price: 5000, stock: 10 });
+    productIds.push(plainProductId);
+
+    const res = await postOrder([{ productId: plainProductId, variantId: "abc123", quantity: 1 }]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/has no variants/);
+  }, 30000);
+
+  // ========================================================================
+  // CART
+  // ========================================================================
+
+  test("Cart: each variant is its own line and checks out with its variant", async () => {
+    const mediumId = variantIds["SHIRT-M-RED"];
+    const largeId = variantIds["SHIRT-L-RED"];
+    const addToCart = body => request(BASE_URL)
+      .post("/addToCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send(body);
+
+    const noVariantRes = await addToCart({ productId, quantity: 1 });
+    expect(noVariantRes.statusCode).toBe(400);
+    expect(noVariantRes.body.error).toMatch(/requires a variantId/);
+
+    const tooManyRes = await addToCart({ productId, variantId: largeId, quantity: 3 });
+    expect(tooManyRes.statusCode).toBe(400);
+    expect(tooManyRes.body.error).toMatch(/Insufficient stock/);
+
+    expect((await addToCart({ productId, variantId: mediumId, quantity: 2 })).statusCode).toBe(200);
+    expect((await addToCart({ productId, variantId: largeId, quantity: 1 })).statusCode).toBe(200);
+
+    const updateRes = await request(BASE_URL)
+      .patch("/updateCartItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ productId, variantId: mediumId, quantity: 3 });
+    expect(updateRes.statusCode).toBe(200);
+
+    const cartDoc = await firestore.collection("carts").doc(buyerUid).get();
+    const items = cartDoc.data().items;
+    expect(items[`${productId}:${mediumId}`]).toMatchObject({ variantId: mediumId, quantity: 3 });
+    expect(items[`${productId}:${largeId}`]).toMatchObject({ variantId: largeId, quantity: 1 });
+
+    const checkoutRes = await request(BASE_URL)
+      .post("/checkoutCart")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ paymentMethod: "COD", deliveryAddress });
+
+    expect(checkoutRes.statusCode).toBe(200);
+    checkoutIds.push(checkoutRes.body.checkoutId);
+    orderIds.push(...checkoutRes.body.orders.map(order => order.orderId));
+
+    const order = await getOrder(checkoutRes.body.orders[0].orderId);
+    expect(order.subtotal).toBe(3 * 12000 + 15000);
+    expect(order.products.map(line => line.variantId).sort()).toEqual([mediumId, largeId].sort());
+
+    const product = await getProduct();
+    expect(product.variants[mediumId].stock).toBe(2);
+    expect(product.variants[largeId].stock).toBe(1);
+
+    const emptiedCart = await firestore.collection("carts").doc(buyerUid).get();
+    expect(Object.keys(emptiedCart.data().items).length).toBe(0);
+  }, 30000);
+
+  // ========================================================================
+  // CANCELLATION
+  // ========================================================================
+
+  test("Cancelling the order restores each variant's stock", async () => {
+    const mediumId = variantIds["SHIRT-M-RED"];
+    const largeId = variantIds["SHIRT-L-RED"];
+    const orderRes = await postOrder([
+      { productId, variantId: mediumId, quantity: 3 },
+      { productId, variantId: largeId, quantity: 1 },
+    ]);
+    expect(orderRes.statusCode).toBe(200);
+
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ orderId: orderRes.body.orderId, status: "cancelled" });
+
+    expect(res.statusCode).toBe(200);
+    const product = await getProduct();
+    expect(product.variants[mediumId].stock).toBe(5);
+    expect(product.variants[largeId].stock).toBe(2);
+    expect(product.variants[mediumId].reservedStock).toBe(0);
+    expect(product.stock).toBe(7);
+  }, 30000);
+
+  test("Cancelling one variant line restores only that variant", async () => {
+    const mediumId = variantIds["SHIRT-M-RED"];
+    const largeId = variantIds["SHIRT-L-RED"];
+    const orderRes = await postOrder([
+      { productId, variantId: mediumId, quantity: 3 },
+      { productId, variantId: largeId, quantity: 1 },
+    ]);
+    expect(orderRes.statusCode).toBe(200);
+
+    const res = await request(BASE_URL)
+      .post("/cancelOrderItem")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId: orderRes.body.orderId, productId, variantId: mediumId });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.variantId).toBe(mediumId);
+
+    const product = await getProduct();
+    expect(product.variants[mediumId].stock).toBe(5);
+    expect(product.variants[largeId].stock).toBe(1);
+    expect(product.stock).toBe(6);
+
+    const order = await getOrder(orderRes.body.orderId);
+    expect(order.products.length).toBe(1);
+    expect(order.products[0].variantId).toBe(largeId);
+  }, 30000);
+});
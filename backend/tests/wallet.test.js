@@ -0,0 +1,308 @@
+/**
+ * WALLET TEST SUITE
+ * Tests the escrow ledger, seller wallet balances and payouts
+ * (getWalletBalance, requestPayout, reviewPayout, getPayoutRequests)
+ *
+ * Features:
+ * - Phone number authentication (Myanmar format)
+ * - Test isolation (beforeEach/afterEach)
+ * - Complete cleanup to prevent repeated run failures
+ * - Tests ledger entries for held, released and refunded escrow
+ * - Default commission on "Test" products: 5% (+1% KBZPay/WavePay surcharge)
+ * - Tests payout request / admin approval / rejection
+ */
+
+const request = require("supertest");
+const { firestore, BASE_URL } = require("./helpers/testSetup");
+const { createAuthUserAndGetToken } = require("./helpers/authHelpers");
+const { cleanupTestData, deleteFirestoreDoc } = require("./helpers/cleanupHelpers");
+const { createTestProduct } = require("./helpers/productHelpers");
+const {
+  createTestOrder,
+  createDeliveredAndPaidOrder,
+  confirmPayment,
+} = require("./helpers/orderHelpers");
+
+// ============================================================================
+// WALLET TESTS
+// ============================================================================
+
+describe("Wallet API Tests", () => {
+  let buyerUid;
+  let sellerUid;
+  let adminUid;
+  let buyerToken;
+  let sellerToken;
+  let adminToken;
+  let productId;
+  let productIds = [];
+  let orderIds = [];
+  let payoutIds = [];
+
+  // Setup before each test (isolation)
+  beforeEach(async () => {
+    const timestamp = Date.now();
+    buyerUid = `TEST_BUYER_${timestamp}`;
+    sellerUid = `TEST_SELLER_${timestamp}`;
+    adminUid = `TEST_ADMIN_${timestamp}`;
+
+    // Create users with phone number auth
+    buyerToken = await createAuthUserAndGetToken(buyerUid, "buyer", "unverified");
+    sellerToken = await createAuthUserAndGetToken(sellerUid, "seller", "verified");
+    adminToken = await createAuthUserAndGetToken(adminUid, "admin", "unverified");
+
+    productId = await createTestProduct(sellerToken, { price: 10000, stock: 100 });
+    productIds.push(productId);
+  }, 30000);
+
+  // Cleanup after each test
+  afterEach(async () => {
+    for (const payoutId of payoutIds) {
+      const entries = await firestore.collection("ledgerEntries").where("payoutId", "==", payoutId).get();
+      for (const doc of entries.docs) {
+        await doc.ref.delete();
+      }
+      await deleteFirestoreDoc("payouts", payoutId);
+    }
+    await cleanupTestData({
+      buyerUid,
+      sellerUid,
+      adminUid,
+      productIds,
+      orderIds,
+    });
+    orderIds = [];
+    productIds = [];
+    payoutIds = [];
+  }, 30000);
+
+  // ========================================================================
+  // HELPERS
+  // ========================================================================
+  async function createDeliveredOrderLocal(paymentMethod = "KBZPay") {
+    const orderId = await createDeliveredAndPaidOrder({
+      buyerToken,
+      sellerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod,
+    });
+    orderIds.push(orderId);
+    return orderId;
+  }
+
+  async function getLedgerTypes(orderId) {
+    const snapshot = await firestore.collection("ledgerEntries").where("orderId", "==", orderId).get();
+    return snapshot.docs.map(doc => doc.data().type).sort();
+  }
+
+  async function getWallet() {
+    const walletDoc = await firestore.collection("wallets").doc(sellerUid).get();
+    return walletDoc.data();
+  }
+
+  async function requestPayoutLocal(amount) {
+    const res = await request(BASE_URL)
+      .post("/requestPayout")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ amount, method: "KBZPay", accountNumber: "09123456789", accountName: "Test Seller" });
+    if (res.body.payoutId) {
+      payoutIds.push(res.body.payoutId);
+    }
+    return res;
+  }
+
+  // ========================================================================
+  // ESCROW LEDGER
+  // ========================================================================
+
+  test("Ledger (payment held in escrow)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "KBZPay",
+    });
+    orderIds.push(orderId);
+
+    await confirmPayment({ buyerToken, orderId, transactionId: "TXN_LEDGER_HELD" });
+
+    expect(await getLedgerTypes(orderId)).toEqual(["escrow_held"]);
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(20000);
+    expect(wallet.availableBalance).toBe(0);
+  }, 30000);
+
+  test("Ledger (escrow released to seller wallet once the buyer accepts)", async () => {
+    const orderId = await createDeliveredOrderLocal("KBZPay");
+
+    expect(await getLedgerTypes(orderId)).toEqual(["escrow_held", "escrow_released", "platform_fee"]);
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(0);
+    expect(wallet.availableBalance).toBe(18800); // 20000 - 1000 commission - 200 surcharge
+    expect(wallet.totalFees).toBe(1200);
+  }, 30000);
+
+  test("Ledger (COD held on delivery and released once the buyer accepts)", async () => {
+    const orderId = await createDeliveredOrderLocal("COD");
+
+    expect(await getLedgerTypes(orderId)).toEqual(["escrow_held", "escrow_released", "platform_fee"]);
+    const wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(19000); // no surcharge for COD
+  }, 30000);
+
+  test("Ledger (paid order cancelled - escrow refunded)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "WavePay",
+    });
+    orderIds.push(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: "TXN_LEDGER_REFUND" });
+
+    const res = await request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, status: "cancelled" });
+    expect(res.body.status).toBe("refunded");
+
+    expect(await getLedgerTypes(orderId)).toEqual(["escrow_held", "escrow_refunded"]);
+    const wallet = await getWallet();
+    expect(wallet.pendingBalance).toBe(0);
+    expect(wallet.availableBalance).toBe(0);
+  }, 30000);
+
+  test("Ledger (concurrent cancellations refund once)", async () => {
+    const orderId = await createTestOrder({
+      buyerToken,
+      sellerId: sellerUid,
+      products: [{ productId, quantity: 2 }],
+      paymentMethod: "WavePay",
+    });
+    orderIds.push(orderId);
+    await confirmPayment({ buyerToken, orderId, transactionId: "TXN_LEDGER_RACE" });
+    const stockBefore = (await firestore.collection("products").doc(productId).get()).data().stock;
+
+    const cancel = () => request(BASE_URL)
+      .patch("/updateOrderStatus")
+      .set("Authorization", `Bearer ${buyerToken}`)
+      .send({ orderId, status: "cancelled" });
+    const results = await Promise.all([cancel(), cancel()]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(await getLedgerTypes(orderId)).toEqual(["escrow_held", "escrow_refunded"]);
+    expect((await getWallet()).pendingBalance).toBe(0);
+    const stockAfter = (await firestore.collection("products").doc(productId).get()).data().stock;
+    expect(stockAfter).toBe(stockBefore + 2);
+  }, 30000);
+
+  test("Get wallet balance (seller)", async () => {
+    await createDeliveredOrderLocal("KBZPay");
+
+    const res = await request(BASE_URL)
+      .get("/getWalletBalance")
+      .set("Authorization", `Bearer ${sellerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.wallet.availableBalance).toBe(18800);
+    expect(res.body.wallet.pendingBalance).toBe(0);
+    expect(res.body.recentEntries.length).toBe(3);
+  }, 30000);
+
+  test("Get wallet balance (buyer - should fail)", async () => {
+    const res = await request(BASE_URL)
+      .get("/getWalletBalance")
+      .set("Authorization", `Bearer ${buyerToken}`);
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+
+  // ========================================================================
+  // PAYOUTS
+  // ========================================================================
+
+  test("Request payout (more than available - should fail)", async () => {
+    const res = await requestPayoutLocal(5000);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/Insufficient available balance/);
+  }, 30000);
+
+  test("Request payout (invalid account number - should fail)", async () => {
+    const res = await request(BASE_URL)
+      .post("/requestPayout")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ amount: 1000, method: "KBZPay", accountNumber: "12345" });
+
+    expect(res.statusCode).toBe(400);
+  }, 30000);
+
+  test("Payout approved by admin", async () => {
+    await createDeliveredOrderLocal("KBZPay");
+
+    const requestRes = await requestPayoutLocal(15000);
+    expect(requestRes.statusCode).toBe(200);
+
+    let wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(3800);
+    expect(wallet.payoutPendingBalance).toBe(15000);
+
+    const queueRes = await request(BASE_URL)
+      .get("/getPayoutRequests")
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(queueRes.statusCode).toBe(200);
+    expect(queueRes.body.payouts.some(p => p.payoutId === requestRes.body.payoutId)).toBe(true);
+
+    const reviewRes = await request(BASE_URL)
+      .post("/reviewPayout")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ payoutId: requestRes.body.payoutId, decision: "approve", transferReference: "KBZ_TRANSFER_1" });
+    expect(reviewRes.statusCode).toBe(200);
+    expect(reviewRes.body.status).toBe("approved");
+
+    wallet = await getWallet();
+    expect(wallet.payoutPendingBalance).toBe(0);
+    expect(wallet.totalPaidOut).toBe(15000);
+
+    const entries = await firestore.collection("ledgerEntries")
+      .where("payoutId", "==", requestRes.body.payoutId)
+      .get();
+    expect(entries.size).toBe(1);
+    expect(entries.docs[0].data().creditAccount).toBe(`seller:${sellerUid}`);
+
+    // Cannot review twice
+    const again = await request(BASE_URL)
+      .post("/reviewPayout")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ payoutId: requestRes.body.payoutId, decision: "reject", reason: "duplicate" });
+    expect(again.statusCode).toBe(400);
+  }, 30000);
+
+  test("Payout rejected by admin (balance returned)", async () => {
+    await createDeliveredOrderLocal("KBZPay");
+    const requestRes = await requestPayoutLocal(18000);
+
+    const reviewRes = await request(BASE_URL)
+      .post("/reviewPayout")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ payoutId: requestRes.body.payoutId, decision: "reject", reason: "Account name mismatch" });
+    expect(reviewRes.statusCode).toBe(200);
+
+    const wallet = await getWallet();
+    expect(wallet.availableBalance).toBe(18800);
+    expect(wallet.payoutPendingBalance).toBe(0);
+  }, 30000);
+
+  test("Review payout (seller - should fail)", async () => {
+    await createDeliveredOrderLocal("KBZPay");
+    const requestRes = await requestPayoutLocal(1000);
+
+    const res = await request(BASE_URL)
+      .post("/reviewPayout")
+      .set("Authorization", `Bearer ${sellerToken}`)
+      .send({ payoutId: requestRes.body.payoutId, decision: "approve" });
+
+    expect(res.statusCode).toBe(403);
+  }, 30000);
+});
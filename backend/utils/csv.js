@@ -0,0 +1,126 @@
+/**
+ * CSV
+ * Minimal RFC 4180 reading and writing for seller imports and exports
+ * (importProducts, exportProducts).
+ *
+ * - Fields may be quoted ("..."); quotes inside are doubled ("")
+ * - Quoted fields may contain commas and line breaks
+ * - Rows end with \n or \r\n; a leading UTF-8 byte order mark is ignored
+ *
+ * Written files start with a byte order mark so spreadsheet apps open Burmese
+ * text as UTF-8.
+ *
+ * Malformed input throws an Error starting with "Invalid CSV" (callers answer 400).
+ */
+
+const BYTE_ORDER_MARK = "\uFEFF";
+
+/**
+ * Split CSV text into rows of string fields (blank lines skipped)
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const input = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === "\"" && input[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        quoted = false;
+        const next = input[i + 1];
+        if (next !== undefined && next !== "," && next !== "\n" && next !== "\r") {
+          throw new Error(`Invalid CSV: unexpected character after closing quote on line ${line}`);
+        }
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Invalid CSV: unclosed quote on line ${line}`);
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== "") rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * (headers trimmed; missing trailing fields are "")
+ *
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    throw new Error("Invalid CSV: missing header row");
+  }
+  const headers = rows[0].map(header => header.trim());
+  const records = rows.slice(1).map((row, index) => {
+    if (row.length > headers.length) {
+      throw new Error(`Invalid CSV: row ${index + 1} has more fields than the header`);
+    }
+    const record = {};
+    headers.forEach((header, column) => {
+      record[header] = row[column] !== undefined ? row[column] : "";
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+function formatField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Write objects as CSV with the given columns (header row first)
+ *
+ * @param {string[]} columns
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function toCsv(columns, records) {
+  const lines = [columns.map(formatField).join(",")];
+  for (const record of records) {
+    lines.push(columns.map(column => formatField(record[column])).join(","));
+  }
+  return BYTE_ORDER_MARK + lines.join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
@@ -0,0 +1,177 @@
+const { FieldPath, Timestamp } = require("firebase-admin/firestore");
+
+/**
+ * CURSOR PAGINATION
+ * Shared paging, sorting and filter parsing for listing endpoints
+ * (getPublicProducts, getSellerProducts, getUserOrders).
+ *
+ * Clients send `limit` (default 20, max 100) and, for the next page, the
+ * `nextCursor` of the previous response as `cursor`. The cursor is opaque
+ * (base64url JSON of the last item's sort value and id); it only works with the
+ * same filters and sort it was issued for. `nextCursor` is null on the last page.
+ *
+ * Queries are ordered by the sort field and then the document id, so items with
+ * equal sort values are never skipped or repeated between pages.
+ *
+ * Every combination of equality filters + sort field needs a composite index
+ * (firestore.indexes.json, in both directions).
+ *
+ * Invalid parameters throw an Error starting with "Invalid" (callers answer 400).
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Page size from the `limit` query parameter
+ */
+function parseLimit(value) {
+  if (value === undefined || value === "") return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit: must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+/**
+ * Sort from the `sort` query parameter
+ *
+ * @param {string|undefined} value - Sort name, e.g. "newest"
+ * @param {Object} options - { [sortName]: { field, direction } }
+ * @param {string} defaultSort - Sort name used when none is given
+ * @returns {{ name: string, field: string, direction: "asc"|"desc" }}
+ */
+function parseSort(value, options, defaultSort) {
+  const name = value === undefined || value === "" ? defaultSort : value;
+  if (!Object.prototype.hasOwnProperty.call(options, name)) {
+    throw new Error(`Invalid sort: must be one of ${Object.keys(options).join(", ")}`);
+  }
+  return { name, ...options[name] };
+}
+
+/**
+ * Optional non-negative number query parameter (null if absent)
+ */
+function parseNumberParam(value, name) {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: must be a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Optional date query parameter (ISO 8601 or epoch milliseconds) as a Timestamp (null if absent)
+ */
+function parseDateParam(value, name) {
+  if (value === undefined || value === "") return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: must be an ISO 8601 date or epoch milliseconds`);
+  }
+  return Timestamp.fromDate(date);
+}
+
+/**
+ * Optional value that must be one of `allowed` (null if absent)
+ */
+function parseEnumParam(value, name, allowed) {
+  if (value === undefined || value === "") return null;
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${name}: must be one of ${allowed.join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Check that range filters are on the sort field (Firestore orders by the
+ * range field first, so a different sort cannot be served)
+ *
+ * @param {Object} sort - parseSort result
+ * @param {string} field - Field with range filters
+ * @param {boolean} hasRange - Whether a range filter was given
+ * @param {string[]} sortNames - Sorts on that field, for the error message
+ */
+function assertRangeMatchesSort(sort, field, hasRange, sortNames) {
+  if (hasRange && sort.field !== field) {
+    throw new Error(`Invalid sort: filtering by ${field} requires sort ${sortNames.join(" or ")}`);
+  }
+}
+
+function encodeSortValue(value) {
+  if (value instanceof Timestamp) {
+    return { t: value.toMillis() };
+  }
+  return { v: value === undefined ? null : value };
+}
+
+function decodeSortValue(encoded) {
+  if (encoded && typeof encoded.t === "number") {
+    return Timestamp.fromMillis(encoded.t);
+  }
+  return encoded ? encoded.v : null;
+}
+
+/**
+ * Cursor pointing after this document for the given sort
+ */
+function encodeCursor(doc, sort) {
+  const payload = { s: sort.name, k: encodeSortValue(doc.get(sort.field)), id: doc.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * startAfter() values of a cursor: [sortValue, documentId]
+ */
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+  if (!payload || typeof payload.id !== "string" || payload.s !== sort.name) {
+    throw new Error("Invalid cursor: it belongs to a different sort");
+  }
+  return [decodeSortValue(payload.k), payload.id];
+}
+
+/**
+ * Run one page of a filtered query.
+ *
+ * @param {Object} query - Firestore query with the equality/range filters applied
+ * @param {Object} options
+ * @param {Object} options.sort - parseSort result
+ * @param {number} options.limit - parseLimit result
+ * @param {string|undefined} options.cursor - `cursor` query parameter
+ * @returns {Promise<{ docs: Array, nextCursor: string|null }>}
+ */
+async function fetchPage(query, { sort, limit, cursor }) {
+  let pageQuery = query
+    .orderBy(sort.field, sort.direction)
+    .orderBy(FieldPath.documentId(), sort.direction);
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(...decodeCursor(cursor, sort));
+  }
+
+  // One extra document tells whether there is a next page
+  const snapshot = await pageQuery.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+  const nextCursor = snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1], sort) : null;
+
+  return { docs, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  parseSort,
+  parseNumberParam,
+  parseDateParam,
+  parseEnumParam,
+  assertRangeMatchesSort,
+  fetchPage,
+};
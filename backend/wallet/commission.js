@@ -0,0 +1,198 @@
+const admin = require("firebase-admin");
+
+/**
+ * PLATFORM COMMISSION & FEES
+ * Computes the platform's share of an order at creation time. The buyer pays
+ * `totalAmount` (items + delivery fee); the fees are withheld from the seller when
+ * escrow is released (see ledger.js → escrow_released net + platform_fee).
+ *
+ * Rules live in platformConfig/commission (admin-editable via
+ * updateCommissionRules) and fall back to DEFAULT_COMMISSION_RULES:
+ * {
+ *   defaultRate: number,                 // commission for categories without a rate (0.05 = 5%)
+ *   categoryRates: { [category]: rate }, // per-category commission
+ *   flatOrderFee: number,                // fixed MMK fee per order
+ *   paymentSurchargeRates: { COD, KBZPay, WavePay } // mobile-money processing surcharge
+ * }
+ *
+ * Fee Breakdown (stored on orders/{orderId}.feeBreakdown):
+ * {
+ *   subtotal,          // items only
+ *   deliveryFee,       // collected for the seller, no commission on it
+ *   totalAmount,       // subtotal + deliveryFee (what the buyer pays)
+ *   currency: "MMK",
+ *   commissionLines: [{ productId, category, rate, amount }],
+ *   commissionAmount, flatFee,
+ *   paymentSurchargeRate, paymentSurcharge,  // surcharge applies to the amount paid
+ *   platformFee,       // commissionAmount + flatFee + paymentSurcharge (never above totalAmount)
+ *   sellerNetAmount    // totalAmount - platformFee
+ * }
+ *
+ * All amounts are whole MMK (each component is rounded).
+ */
+
+const DEFAULT_COMMISSION_RULES = {
+  defaultRate: 0.05,
+  categoryRates: {},
+  flatOrderFee: 0,
+  paymentSurchargeRates: {
+    COD: 0,
+    KBZPay: 0.01,
+    WavePay: 0.01,
+  },
+};
+
+function getCommissionConfigRef() {
+  return admin.firestore().collection("platformConfig").doc("commission");
+}
+
+/**
+ * Merge stored rules over the defaults (missing keys keep their default)
+ */
+function mergeCommissionRules(stored) {
+  const rules = stored || {};
+  return {
+    defaultRate: rules.defaultRate !== undefined ? rules.defaultRate : DEFAULT_COMMISSION_RULES.defaultRate,
+    categoryRates: { ...DEFAULT_COMMISSION_RULES.categoryRates, ...(rules.categoryRates || {}) },
+    flatOrderFee: rules.flatOrderFee !== undefined ? rules.flatOrderFee : DEFAULT_COMMISSION_RULES.flatOrderFee,
+    paymentSurchargeRates: {
+      ...DEFAULT_COMMISSION_RULES.paymentSurchargeRates,
+      ...(rules.paymentSurchargeRates || {}),
+    },
+  };
+}
+
+/**
+ * Load the current commission rules (defaults if none configured)
+ */
+async function loadCommissionRules() {
+  const configDoc = await getCommissionConfigRef().get();
+  return mergeCommissionRules(configDoc.exists ? configDoc.data() : null);
+}
+
+function isValidRate(rate) {
+  return typeof rate === "number" && rate >= 0 && rate < 1;
+}
+
+/**
+ * Validate an admin-provided (partial) rules object.
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCommissionRules(rules) {
+  if (!rules || typeof rules !== "object") {
+    return "Invalid rules: must be an object";
+  }
+  if (rules.defaultRate !== undefined && !isValidRate(rules.defaultRate)) {
+    return "Invalid defaultRate: must be a number between 0 and 1";
+  }
+  if (rules.categoryRates !== undefined) {
+    if (typeof rules.categoryRates !== "object" || rules.categoryRates === null) {
+      return "Invalid categoryRates: must be an object of category → rate";
+    }
+    for (const [category, rate] of Object.entries(rules.categoryRates)) {
+      if (!isValidRate(rate)) {
+        return `Invalid commission rate for category '${category}': must be a number between 0 and 1`;
+      }
+    }
+  }
+  if (rules.flatOrderFee !== undefined &&
+      (typeof rules.flatOrderFee !== "number" || rules.flatOrderFee < 0)) {
+    return "Invalid flatOrderFee: must be a non-negative number";
+  }
+  if (rules.paymentSurchargeRates !== undefined) {
+    if (typeof rules.paymentSurchargeRates !== "object" || rules.paymentSurchargeRates === null) {
+      return "Invalid paymentSurchargeRates: must be an object of payment method → rate";
+    }
+    for (const [method, rate] of Object.entries(rules.paymentSurchargeRates)) {
+      if (!Object.keys(DEFAULT_COMMISSION_RULES.paymentSurchargeRates).includes(method)) {
+        return `Invalid payment method in paymentSurchargeRates: ${method}`;
+      }
+      if (!isValidRate(rate)) {
+        return `Invalid surcharge rate for ${method}: must be a number between 0 and 1`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the fee breakdown for an order's lines.
+ *
+ * @param {Array} lineItems - Order lines ({ productId, category, price, quantity })
+ * @param {string} paymentMethod - "COD" | "KBZPay" | "WavePay"
+ * @param {Object} rules - Merged commission rules (loadCommissionRules)
+ * @param {number} deliveryFee - Delivery fee added to the order total (default 0)
+ */
+function calculateFeeBreakdown(lineItems, paymentMethod, rules, deliveryFee = 0) {
+  let subtotal = 0;
+  const commissionLines = lineItems.map(line => {
+    const lineTotal = line.price * line.quantity;
+    subtotal += lineTotal;
+
+    const category = line.category || "Uncategorized";
+    const rate = rules.categoryRates[category] !== undefined
+      ? rules.categoryRates[category]
+      : rules.defaultRate;
+
+    return {
+      productId: line.productId,
+      category,
+      rate,
+      amount: Math.round(lineTotal * rate),
+    };
+  });
+
+  const totalAmount = subtotal + deliveryFee;
+  const commissionAmount = commissionLines.reduce((sum, line) => sum + line.amount, 0);
+  const flatFee = Math.round(rules.flatOrderFee);
+  const paymentSurchargeRate = rules.paymentSurchargeRates[paymentMethod] || 0;
+  const paymentSurcharge = Math.round(totalAmount * paymentSurchargeRate);
+  const platformFee = Math.min(commissionAmount + flatFee + paymentSurcharge, totalAmount);
+
+  return {
+    subtotal,
+    deliveryFee,
+    totalAmount,
+    currency: "MMK",
+    commissionLines,
+    commissionAmount,
+    flatFee,
+    paymentSurchargeRate,
+    paymentSurcharge,
+    platformFee,
+    sellerNetAmount: totalAmount - platformFee,
+  };
+}
+
+/**
+ * Recompute an order's fee breakdown after its lines changed (line items
+ * cancelled), using the rates the order was priced with rather than the
+ * current rules. The delivery fee stays as quoted.
+ *
+ * @param {Object} feeBreakdown - The order's current feeBreakdown
+ * @param {Array} lineItems - Remaining order lines
+ * @param {string} paymentMethod - Order payment method
+ */
+function recalculateFeeBreakdown(feeBreakdown, lineItems, paymentMethod) {
+  const categoryRates = {};
+  for (const line of feeBreakdown.commissionLines) {
+    categoryRates[line.category] = line.rate;
+  }
+  const orderRules = {
+    defaultRate: 0, // every remaining line was priced already, so its category has a rate
+    categoryRates,
+    flatOrderFee: feeBreakdown.flatFee,
+    paymentSurchargeRates: { [paymentMethod]: feeBreakdown.paymentSurchargeRate },
+  };
+  return calculateFeeBreakdown(lineItems, paymentMethod, orderRules, feeBreakdown.deliveryFee);
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_RULES,
+  getCommissionConfigRef,
+  mergeCommissionRules,
+  loadCommissionRules,
+  validateCommissionRules,
+  calculateFeeBreakdown,
+  recalculateFeeBreakdown,
+};
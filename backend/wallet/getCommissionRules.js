@@ -0,0 +1,33 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { loadCommissionRules } = require("./commission");
+
+/**
+ * GET COMMISSION RULES
+ * Returns the platform commission and fee rules in effect (defaults if not configured).
+ * Available to any signed-in user so sellers can see what will be withheld.
+ */
+exports.getCommissionRules = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    await verifyUser(request);
+
+    const rules = await loadCommissionRules();
+
+    return response.json({
+      success: true,
+      rules,
+    });
+  } catch (error) {
+    logger.error("Error getting commission rules:", error);
+    return response.status(500).json({
+      error: "Failed to get commission rules",
+      details: error.message,
+    });
+  }
+});
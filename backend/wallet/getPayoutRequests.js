@@ -0,0 +1,50 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+
+const PAYOUT_STATUSES = ["requested", "approved", "rejected"];
+
+/**
+ * GET PAYOUT REQUESTS (Admin)
+ * Payout review queue: GET /getPayoutRequests?status=requested (default)
+ * Oldest requests first so they are reviewed in order.
+ */
+exports.getPayoutRequests = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can view payout requests" });
+    }
+
+    const status = request.query.status || "requested";
+    if (!PAYOUT_STATUSES.includes(status)) {
+      return response.status(400).json({ error: `Invalid status: must be one of ${PAYOUT_STATUSES.join(", ")}` });
+    }
+
+    const snapshot = await admin.firestore().collection("payouts")
+      .where("status", "==", status)
+      .orderBy("createdAt", "asc")
+      .get();
+
+    const payouts = snapshot.docs.map(doc => doc.data());
+
+    return response.json({
+      success: true,
+      count: payouts.length,
+      payouts,
+    });
+  } catch (error) {
+    logger.error("Error getting payout requests:", error);
+    return response.status(500).json({
+      error: "Failed to get payout requests",
+      details: error.message,
+    });
+  }
+});
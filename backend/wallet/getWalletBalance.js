@@ -0,0 +1,70 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const { getWalletRef, emptyWallet, sellerAccount } = require("./ledger");
+
+/**
+ * GET WALLET BALANCE
+ * Returns a seller's wallet: pending (still in escrow) vs available (withdrawable)
+ * balance, recent payout requests and recent ledger entries.
+ *
+ * - Sellers get their own wallet
+ * - Admins can pass ?sellerId= to inspect any seller's wallet
+ */
+exports.getWalletBalance = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "GET") {
+      return response.status(405).json({ error: "Use GET method" });
+    }
+
+    const { uid: userId, user: userData } = await verifyUser(request);
+
+    let sellerId;
+    if (userData.role === "admin") {
+      sellerId = request.query.sellerId;
+      if (!sellerId) {
+        return response.status(400).json({ error: "Missing required query parameter: sellerId" });
+      }
+    } else if (userData.role === "seller") {
+      sellerId = userId;
+    } else {
+      return response.status(403).json({ error: "Unauthorized: only sellers have a wallet" });
+    }
+
+    const firestore = admin.firestore();
+    const [walletDoc, payoutsSnapshot, entriesSnapshot] = await Promise.all([
+      getWalletRef(sellerId).get(),
+      firestore.collection("payouts")
+        .where("sellerId", "==", sellerId)
+        .orderBy("createdAt", "desc")
+        .limit(10)
+        .get(),
+      firestore.collection("ledgerEntries")
+        .where("sellerId", "==", sellerId)
+        .orderBy("createdAt", "desc")
+        .limit(20)
+        .get(),
+    ]);
+
+    const wallet = {
+      ...emptyWallet(sellerId),
+      ...(walletDoc.exists ? walletDoc.data() : {}),
+    };
+
+    return response.json({
+      success: true,
+      wallet,
+      account: sellerAccount(sellerId),
+      recentPayouts: payoutsSnapshot.docs.map(doc => doc.data()),
+      recentEntries: entriesSnapshot.docs.map(doc => doc.data()),
+    });
+  } catch (error) {
+    logger.error("Error getting wallet balance:", error);
+    return response.status(500).json({
+      error: "Failed to get wallet balance",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,14 @@
+/**
+ * WALLET MODULE
+ * Exports seller wallet, payout and commission functions
+ * (escrow ledger lives in ledger.js, fee calculation in commission.js).
+ */
+
+module.exports = {
+  ...require("./getWalletBalance"),
+  ...require("./requestPayout"),
+  ...require("./reviewPayout"),
+  ...require("./getPayoutRequests"),
+  ...require("./getCommissionRules"),
+  ...require("./updateCommissionRules"),
+};
@@ -0,0 +1,325 @@
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+
+/**
+ * ESCROW LEDGER (Double-Entry)
+ * Every money movement is one ledgerEntries document that moves `amount`
+ * out of `creditAccount` and into `debitAccount`. Summing debits minus credits
+ * per account reconstructs any balance, so wallets can always be reconciled.
+ *
+ * Accounts:
+ * - buyer_payments       money received from buyers (provider or cash on delivery)
+ * - escrow               platform-held funds for paid, not yet released orders
+ * - seller:{sellerId}    seller wallet (released, withdrawable funds)
+ * - platform_fees        platform commission / fee revenue
+ * - buyer_refunds        money returned to buyers
+ * - seller_payouts       money transferred to sellers' mobile-money accounts
+ *
+ * Entry types:
+ * - escrow_held      buyer_payments → escrow          (payment confirmed)
+ * - escrow_released  escrow → seller:{sellerId}      (net amount to seller)
+ * - platform_fee     escrow → platform_fees          (fee kept on release)
+ * - escrow_refunded  escrow → buyer_refunds          (paid order refunded, fully or partly)
+ * - seller_refund    seller:{sellerId} → buyer_refunds   (refund after release, seller share)
+ * - platform_fee_refunded  platform_fees → buyer_refunds (refund after release, fee share)
+ * - payout           seller:{sellerId} → seller_payouts (approved payout)
+ *
+ * Wallet Schema (wallets/{sellerId}), denormalized from the ledger:
+ * {
+ *   sellerId, currency: "MMK",
+ *   pendingBalance: number,        // held in escrow for the seller's orders (gross)
+ *   availableBalance: number,      // released and withdrawable
+ *   payoutPendingBalance: number,  // requested payouts awaiting admin approval
+ *   totalPaidOut: number,
+ *   totalFees: number,
+ *   updatedAt
+ * }
+ *
+ * Ledger entries are written with the order/payout update they belong to
+ * (same transaction or batch), never on their own.
+ *
+ * Partial refunds: orders/{orderId}.refundedAmount is the part of totalAmount
+ * already given back. Escrow still held is refunded directly; after release the
+ * refund is taken back from the seller wallet (which may go negative and is
+ * offset by later earnings) and the platform returns its share of the fee.
+ */
+
+const CURRENCY = "MMK";
+
+const ACCOUNTS = {
+  BUYER_PAYMENTS: "buyer_payments",
+  ESCROW: "escrow",
+  PLATFORM_FEES: "platform_fees",
+  BUYER_REFUNDS: "buyer_refunds",
+  SELLER_PAYOUTS: "seller_payouts",
+};
+
+const ENTRY_TYPES = {
+  ESCROW_HELD: "escrow_held",
+  ESCROW_RELEASED: "escrow_released",
+  PLATFORM_FEE: "platform_fee",
+  ESCROW_REFUNDED: "escrow_refunded",
+  SELLER_REFUND: "seller_refund",
+  PLATFORM_FEE_REFUNDED: "platform_fee_refunded",
+  PAYOUT: "payout",
+};
+
+function sellerAccount(sellerId) {
+  return `seller:${sellerId}`;
+}
+
+function getWalletRef(sellerId) {
+  return admin.firestore().collection("wallets").doc(sellerId);
+}
+
+/**
+ * Empty wallet shape (returned for sellers without any ledger activity yet)
+ */
+function emptyWallet(sellerId) {
+  return {
+    sellerId,
+    currency: CURRENCY,
+    pendingBalance: 0,
+    availableBalance: 0,
+    payoutPendingBalance: 0,
+    totalPaidOut: 0,
+    totalFees: 0,
+  };
+}
+
+/**
+ * Queue a ledger entry on a transaction or batch (both expose set()).
+ */
+function postLedgerEntry(writer, entry) {
+  const entryRef = admin.firestore().collection("ledgerEntries").doc();
+  writer.set(entryRef, {
+    entryId: entryRef.id,
+    type: entry.type,
+    debitAccount: entry.debitAccount,
+    creditAccount: entry.creditAccount,
+    amount: entry.amount,
+    currency: CURRENCY,
+    orderId: entry.orderId || null,
+    sellerId: entry.sellerId || null,
+    payoutId: entry.payoutId || null,
+    actorId: entry.actorId || "system",
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return entryRef.id;
+}
+
+/**
+ * Queue balance changes on the seller wallet (creates it on first use).
+ * @param {Object} deltas - e.g. { pendingBalance: -5000, availableBalance: 5000 }
+ */
+function adjustWallet(writer, sellerId, deltas) {
+  const update = {
+    sellerId,
+    currency: CURRENCY,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  for (const [field, delta] of Object.entries(deltas)) {
+    update[field] = FieldValue.increment(delta);
+  }
+  writer.set(getWalletRef(sellerId), update, { merge: true });
+}
+
+/**
+ * Platform fee withheld from the seller when escrow is released
+ * (computed at order creation, see commission.js)
+ */
+function orderPlatformFee(orderData) {
+  return (orderData.feeBreakdown && orderData.feeBreakdown.platformFee) || 0;
+}
+
+/**
+ * How the order amount not yet refunded splits between seller and platform
+ * (the platform fee shrinks proportionally with partial refunds)
+ * @returns {{ amount: number, platformFee: number, sellerAmount: number }}
+ */
+function escrowReleaseSplit(orderData) {
+  const totalAmount = orderData.totalAmount;
+  const amount = totalAmount - (orderData.refundedAmount || 0);
+  const fullFee = orderPlatformFee(orderData);
+  const fee = amount === totalAmount ? fullFee : Math.round(fullFee * amount / totalAmount);
+  const platformFee = Math.min(fee, amount);
+  return { amount, platformFee, sellerAmount: amount - platformFee };
+}
+
+/**
+ * Post the ledger entries implied by an order update.
+ * Compares the order before the update with the fields being written, so every
+ * endpoint that changes payment or escrow state only has to call this once
+ * next to its transaction.update / batch.update.
+ *
+ * - paymentStatus → "paid"                 escrow_held
+ * - escrowReleased → true                  escrow_released (+ platform_fee)
+ * - paymentStatus "paid" → "refunded"      escrow_refunded
+ *
+ * @param {Object} writer - Firestore transaction or batch
+ * @param {string} orderId - Order ID
+ * @param {Object} orderData - Order data BEFORE the update
+ * @param {Object} updateData - Fields being written to the order
+ * @param {string} actorId - Who triggered the movement ("system" for automatic)
+ * @returns {string[]} Types of the entries posted
+ */
+function recordEscrowMovements(writer, orderId, orderData, updateData, actorId = "system") {
+  const posted = [];
+  const sellerId = orderData.sellerId;
+  const amount = orderData.totalAmount;
+  const remainingAmount = amount - (orderData.refundedAmount || 0);
+  const base = { orderId, sellerId, actorId };
+
+  const becomesPaid = orderData.paymentStatus !== "paid" && updateData.paymentStatus === "paid";
+  const isReleased = !orderData.escrowReleased && updateData.escrowReleased === true;
+  const isRefunded = orderData.paymentStatus === "paid" && updateData.paymentStatus === "refunded";
+
+  if (becomesPaid) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.ESCROW_HELD,
+      debitAccount: ACCOUNTS.ESCROW,
+      creditAccount: ACCOUNTS.BUYER_PAYMENTS,
+      amount,
+    });
+    posted.push(ENTRY_TYPES.ESCROW_HELD);
+  }
+
+  const { amount: releasedAmount, platformFee, sellerAmount } = escrowReleaseSplit(orderData);
+
+  if (isReleased) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.ESCROW_RELEASED,
+      debitAccount: sellerAccount(sellerId),
+      creditAccount: ACCOUNTS.ESCROW,
+      amount: sellerAmount,
+    });
+    posted.push(ENTRY_TYPES.ESCROW_RELEASED);
+
+    if (platformFee > 0) {
+      postLedgerEntry(writer, {
+        ...base,
+        type: ENTRY_TYPES.PLATFORM_FEE,
+        debitAccount: ACCOUNTS.PLATFORM_FEES,
+        creditAccount: ACCOUNTS.ESCROW,
+        amount: platformFee,
+      });
+      posted.push(ENTRY_TYPES.PLATFORM_FEE);
+    }
+  }
+
+  if (isRefunded) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.ESCROW_REFUNDED,
+      debitAccount: ACCOUNTS.BUYER_REFUNDS,
+      creditAccount: ACCOUNTS.ESCROW,
+      amount: remainingAmount,
+    });
+    posted.push(ENTRY_TYPES.ESCROW_REFUNDED);
+  }
+
+  // Wallet: held funds are pending until released (net) or refunded
+  const deltas = {};
+  if (becomesPaid) {
+    deltas.pendingBalance = amount;
+  }
+  if (isReleased) {
+    deltas.pendingBalance = (deltas.pendingBalance || 0) - releasedAmount;
+    deltas.availableBalance = sellerAmount;
+    deltas.totalFees = platformFee;
+  }
+  if (isRefunded) {
+    deltas.pendingBalance = (deltas.pendingBalance || 0) - remainingAmount;
+  }
+  if (Object.keys(deltas).length > 0) {
+    adjustWallet(writer, sellerId, deltas);
+  }
+
+  return posted;
+}
+
+/**
+ * Post the ledger entries for refunding part (or the rest) of a paid order.
+ * Call with the order BEFORE its refundedAmount is increased.
+ *
+ * - escrow not released: escrow_refunded for the amount
+ * - escrow released:     seller_refund (seller share) + platform_fee_refunded
+ *
+ * @param {Object} writer - Firestore transaction or batch
+ * @param {string} orderId - Order ID
+ * @param {Object} orderData - Order data BEFORE the refund
+ * @param {number} amount - Amount refunded to the buyer (≤ amount not yet refunded)
+ * @param {string} actorId - Who issued the refund
+ * @returns {{ posted: string[], sellerShare: number, platformFeeShare: number }}
+ */
+function recordRefund(writer, orderId, orderData, amount, actorId = "system") {
+  const posted = [];
+  const sellerId = orderData.sellerId;
+  const base = { orderId, sellerId, actorId };
+
+  if (!orderData.escrowReleased) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.ESCROW_REFUNDED,
+      debitAccount: ACCOUNTS.BUYER_REFUNDS,
+      creditAccount: ACCOUNTS.ESCROW,
+      amount,
+    });
+    posted.push(ENTRY_TYPES.ESCROW_REFUNDED);
+    adjustWallet(writer, sellerId, { pendingBalance: -amount });
+    return { posted, sellerShare: 0, platformFeeShare: 0 };
+  }
+
+  // Already released: split the refund like the release was split
+  const before = escrowReleaseSplit(orderData);
+  const after = escrowReleaseSplit({
+    ...orderData,
+    refundedAmount: (orderData.refundedAmount || 0) + amount,
+  });
+  const platformFeeShare = before.platformFee - after.platformFee;
+  const sellerShare = amount - platformFeeShare;
+
+  if (sellerShare > 0) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.SELLER_REFUND,
+      debitAccount: ACCOUNTS.BUYER_REFUNDS,
+      creditAccount: sellerAccount(sellerId),
+      amount: sellerShare,
+    });
+    posted.push(ENTRY_TYPES.SELLER_REFUND);
+  }
+  if (platformFeeShare > 0) {
+    postLedgerEntry(writer, {
+      ...base,
+      type: ENTRY_TYPES.PLATFORM_FEE_REFUNDED,
+      debitAccount: ACCOUNTS.BUYER_REFUNDS,
+      creditAccount: ACCOUNTS.PLATFORM_FEES,
+      amount: platformFeeShare,
+    });
+    posted.push(ENTRY_TYPES.PLATFORM_FEE_REFUNDED);
+  }
+  adjustWallet(writer, sellerId, {
+    availableBalance: -sellerShare,
+    totalFees: -platformFeeShare,
+  });
+
+  return { posted, sellerShare, platformFeeShare };
+}
+
+module.exports = {
+  CURRENCY,
+  ACCOUNTS,
+  ENTRY_TYPES,
+  sellerAccount,
+  getWalletRef,
+  emptyWallet,
+  postLedgerEntry,
+  adjustWallet,
+  orderPlatformFee,
+  escrowReleaseSplit,
+  recordEscrowMovements,
+  recordRefund,
+};
@@ -0,0 +1,116 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifySellerRole } = require("../auth");
+const { CURRENCY, getWalletRef, adjustWallet } = require("./ledger");
+
+// Mobile-money providers sellers can withdraw to
+const PAYOUT_METHODS = ["KBZPay", "WavePay"];
+
+// Myanmar mobile numbers: 09xxxxxxx or +959xxxxxxx
+const MOBILE_MONEY_ACCOUNT_PATTERN = /^(\+959|09)\d{7,9}$/;
+
+/**
+ * REQUEST PAYOUT
+ * Seller asks to withdraw part of their available balance to a mobile-money account.
+ * The money is reserved immediately (available → payoutPending) so it cannot be
+ * requested twice; it only leaves the wallet when an admin approves (reviewPayout).
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, amount, method, accountNumber
+ * 2. AUTHORIZATION: Verified seller only
+ * 3. TRANSACTION: Check available balance, create payouts/{payoutId}, reserve amount
+ * 4. RESPONSE: Return payout request
+ *
+ * Payout Schema (payouts/{payoutId}):
+ * {
+ *   payoutId, sellerId, amount, currency: "MMK",
+ *   method: "KBZPay" | "WavePay", accountNumber, accountName,
+ *   status: "requested" | "approved" | "rejected",
+ *   transferReference, rejectionReason, reviewedBy, reviewedAt,
+ *   ledgerEntryId, createdAt, updatedAt
+ * }
+ */
+exports.requestPayout = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { amount, method, accountNumber, accountName } = request.body;
+
+    if (typeof amount !== "number" || !Number.isInteger(amount) || amount <= 0) {
+      return response.status(400).json({ error: "Invalid amount: must be a positive whole number of MMK" });
+    }
+    if (!PAYOUT_METHODS.includes(method)) {
+      return response.status(400).json({ error: `Invalid payout method: must be one of ${PAYOUT_METHODS.join(", ")}` });
+    }
+    if (typeof accountNumber !== "string" || !MOBILE_MONEY_ACCOUNT_PATTERN.test(accountNumber.trim())) {
+      return response.status(400).json({ error: "Invalid accountNumber: must be a Myanmar mobile number" });
+    }
+
+    const { uid: sellerId } = await verifySellerRole(request);
+
+    const firestore = admin.firestore();
+    const walletRef = getWalletRef(sellerId);
+    const payoutRef = firestore.collection("payouts").doc();
+
+    await firestore.runTransaction(async (transaction) => {
+      const walletDoc = await transaction.get(walletRef);
+      const availableBalance = walletDoc.exists ? walletDoc.data().availableBalance || 0 : 0;
+
+      if (amount > availableBalance) {
+        throw new Error(`Insufficient available balance: requested ${amount}, available ${availableBalance}`);
+      }
+
+      transaction.set(payoutRef, {
+        payoutId: payoutRef.id,
+        sellerId,
+        amount,
+        currency: CURRENCY,
+        method,
+        accountNumber: accountNumber.trim(),
+        accountName: accountName || null,
+        status: "requested",
+        transferReference: null,
+        rejectionReason: null,
+        reviewedBy: null,
+        reviewedAt: null,
+        ledgerEntryId: null,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      adjustWallet(transaction, sellerId, {
+        availableBalance: -amount,
+        payoutPendingBalance: amount,
+      });
+    });
+
+    logger.info(`Payout ${payoutRef.id} of ${amount} ${CURRENCY} requested by seller ${sellerId}`);
+
+    return response.json({
+      success: true,
+      message: "Payout requested. It will be transferred once approved by an admin.",
+      payoutId: payoutRef.id,
+      amount,
+      status: "requested",
+    });
+  } catch (error) {
+    logger.error("Error requesting payout:", error);
+
+    if (error.message.includes("Insufficient available balance")) {
+      return response.status(400).json({ error: error.message });
+    }
+    if (error.message.includes("Authentication failed")) {
+      return response.status(403).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to request payout",
+      details: error.message,
+    });
+  }
+});
@@ -0,0 +1,132 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const admin = require("firebase-admin");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const {
+  ACCOUNTS,
+  ENTRY_TYPES,
+  sellerAccount,
+  postLedgerEntry,
+  adjustWallet,
+} = require("./ledger");
+
+/**
+ * REVIEW PAYOUT (Admin)
+ * Approve or reject a seller payout request.
+ *
+ * FUNCTION FLOW:
+ * 1. VALIDATION: HTTP method, payoutId, decision ("approve" | "reject")
+ * 2. AUTHORIZATION: Admin only
+ * 3. TRANSACTION: Payout must still be "requested", then:
+ *    - approve → payout ledger entry (seller wallet → seller_payouts),
+ *      payoutPending decreases, totalPaidOut increases
+ *    - reject  → reserved amount returned to availableBalance
+ * 4. RESPONSE: Return updated payout status
+ *
+ * Note: approving records that the transfer to the seller's mobile-money account
+ * was made; pass the provider's transferReference for reconciliation.
+ */
+exports.reviewPayout = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can review payouts" });
+    }
+
+    const { payoutId, decision, transferReference, reason } = request.body;
+
+    if (!payoutId || !decision) {
+      return response.status(400).json({ error: "Missing required fields: payoutId and decision" });
+    }
+    if (decision !== "approve" && decision !== "reject") {
+      return response.status(400).json({ error: "Invalid decision: must be 'approve' or 'reject'" });
+    }
+    if (decision === "reject" && !reason) {
+      return response.status(400).json({ error: "A reason is required when rejecting a payout" });
+    }
+
+    const firestore = admin.firestore();
+    const payoutRef = firestore.collection("payouts").doc(payoutId);
+    let payoutData;
+
+    await firestore.runTransaction(async (transaction) => {
+      const payoutDoc = await transaction.get(payoutRef);
+
+      if (!payoutDoc.exists) {
+        throw new Error("Payout not found");
+      }
+
+      payoutData = payoutDoc.data();
+
+      if (payoutData.status !== "requested") {
+        throw new Error(`Payout already ${payoutData.status}`);
+      }
+
+      const update = {
+        reviewedBy: adminId,
+        reviewedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      if (decision === "approve") {
+        update.status = "approved";
+        update.transferReference = transferReference || null;
+        update.ledgerEntryId = postLedgerEntry(transaction, {
+          type: ENTRY_TYPES.PAYOUT,
+          debitAccount: ACCOUNTS.SELLER_PAYOUTS,
+          creditAccount: sellerAccount(payoutData.sellerId),
+          amount: payoutData.amount,
+          sellerId: payoutData.sellerId,
+          payoutId,
+          actorId: adminId,
+        });
+        adjustWallet(transaction, payoutData.sellerId, {
+          payoutPendingBalance: -payoutData.amount,
+          totalPaidOut: payoutData.amount,
+        });
+      } else {
+        update.status = "rejected";
+        update.rejectionReason = reason;
+        adjustWallet(transaction, payoutData.sellerId, {
+          payoutPendingBalance: -payoutData.amount,
+          availableBalance: payoutData.amount,
+        });
+      }
+
+      transaction.update(payoutRef, update);
+    });
+
+    const status = decision === "approve" ? "approved" : "rejected";
+    logger.info(`Payout ${payoutId} for seller ${payoutData.sellerId} ${status} by admin ${adminId}`);
+
+    return response.json({
+      success: true,
+      message: `Payout ${status}`,
+      payoutId,
+      sellerId: payoutData.sellerId,
+      amount: payoutData.amount,
+      status,
+    });
+  } catch (error) {
+    logger.error("Error reviewing payout:", error);
+
+    if (error.message === "Payout not found") {
+      return response.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Payout already")) {
+      return response.status(400).json({ error: error.message });
+    }
+
+    return response.status(500).json({
+      error: "Failed to review payout",
+      details: error.message,
+    });
+  }
+});
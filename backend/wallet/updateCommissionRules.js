@@ -0,0 +1,76 @@
+const { onRequest } = require("firebase-functions/v2/https");
+const { FieldValue } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+
+const { verifyUser } = require("../auth");
+const {
+  getCommissionConfigRef,
+  loadCommissionRules,
+  mergeCommissionRules,
+  validateCommissionRules,
+} = require("./commission");
+
+/**
+ * UPDATE COMMISSION RULES (Admin)
+ * Partially updates platformConfig/commission. Only the provided keys change;
+ * categoryRates and paymentSurchargeRates are merged key by key.
+ *
+ * Body: { defaultRate?, categoryRates?, flatOrderFee?, paymentSurchargeRates? }
+ *
+ * Note: Rules apply to orders created afterwards. Existing orders keep the
+ * fee breakdown computed when they were placed.
+ */
+exports.updateCommissionRules = onRequest(async (request, response) => {
+  try {
+    if (request.method !== "POST") {
+      return response.status(405).json({ error: "Use POST method" });
+    }
+
+    const { uid: adminId, user: userData } = await verifyUser(request);
+
+    if (userData.role !== "admin") {
+      return response.status(403).json({ error: "Unauthorized: only admins can update commission rules" });
+    }
+
+    const { defaultRate, categoryRates, flatOrderFee, paymentSurchargeRates } = request.body;
+    const changes = { defaultRate, categoryRates, flatOrderFee, paymentSurchargeRates };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+    if (Object.keys(changes).length === 0) {
+      return response.status(400).json({ error: "No commission rules provided" });
+    }
+
+    const validationError = validateCommissionRules(changes);
+    if (validationError) {
+      return response.status(400).json({ error: validationError });
+    }
+
+    const current = await loadCommissionRules();
+    const rules = mergeCommissionRules({
+      ...current,
+      ...changes,
+      categoryRates: { ...current.categoryRates, ...(changes.categoryRates || {}) },
+      paymentSurchargeRates: { ...current.paymentSurchargeRates, ...(changes.paymentSurchargeRates || {}) },
+    });
+
+    await getCommissionConfigRef().set({
+      ...rules,
+      updatedBy: adminId,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Commission rules updated by admin ${adminId}`, { changes });
+
+    return response.json({
+      success: true,
+      message: "Commission rules updated",
+      rules,
+    });
+  } catch (error) {
+    logger.error("Error updating commission rules:", error);
+    return response.status(500).json({
+      error: "Failed to update commission rules",
+      details: error.message,
+    });
+  }
+});